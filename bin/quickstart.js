@@ -0,0 +1,914 @@
+#!/usr/bin/env node
+/**
+ * Quickstart CLI
+ * ==============
+ *
+ * One entry point for the deploy, configure, bridge, bridge status, track, watch, history export, reconciliation, status, pause and balance scripts.
+ * Every subcommand takes named flags, --help and --json, plus --network and
+ * --local where it acts on a set of networks. The actual work is done by the
+ * SDK in lib/, the same one the individual scripts use.
+ *
+ * Usage:
+ *   quickstart <command> [options]
+ *   quickstart help [command]
+ *
+ * Exit codes:
+ *   0  Success
+ *   1  The command ran but failed (or only partly succeeded)
+ *   2  Invalid usage (unknown command or option, missing or bad argument)
+ *
+ * With --json, the result is printed to stdout as a single JSON document and
+ * progress events are printed to stderr, so the output can be piped straight into jq.
+ */
+
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { networks, getNetworkConfig, getLocalNetworkNames } = require('../network.config');
+const { getDeployConfig } = require('../deploy.config');
+const { readDevnetState } = require('../lib/devnet');
+const { compileContract, deployAndConfigure } = require('../lib/deploy');
+const { buildDeploymentPlan, verifyDeterministicPlan } = require('../lib/plan');
+const { loadDeployments, readDeploymentFile } = require('../lib/deployments');
+const { configureContracts } = require('../lib/configure');
+const { bridge, getBridgeStatus } = require('../lib/bridge');
+const { readBatchFile, getReportPath, bridgeBatch } = require('../lib/batch');
+const { trackBridges } = require('../lib/track');
+const { watchBridges } = require('../lib/watch');
+const { exportHistory, writeTransfers } = require('../lib/history');
+const { reconcileSupply } = require('../lib/reconcile');
+const { getDeploymentStatus } = require('../lib/status');
+const { getPauseStatus, setPaused } = require('../lib/pause');
+const { resolveAddress, getBalances } = require('../lib/balances');
+const { logToConsole, askOnStuck } = require('../lib/progress');
+const { printDeploymentPlan } = require('../scripts/deploy');
+const { printBatchReport } = require('../scripts/bridge');
+const { printBridgeStatus } = require('../scripts/bridgeStatus');
+const { printLedger } = require('../scripts/track');
+const { printWatchSummary } = require('../scripts/watch');
+const { printHistorySummary } = require('../scripts/exportHistory');
+const { printReconciliation } = require('../scripts/reconcile');
+const { printDeploymentStatus } = require('../scripts/status');
+const { printPauseStatus } = require('../scripts/pause');
+const { printBalances } = require('../scripts/getBalance');
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// Options every subcommand accepts
+const COMMON_OPTIONS = {
+  help: { type: 'boolean', short: 'h' },
+  json: { type: 'boolean' }
+};
+
+const COMMON_HELP = [
+  ['--json', 'Print the result as JSON on stdout'],
+  ['-h, --help', 'Show help for the command']
+];
+
+// Options of the subcommands that act on a set of networks
+const NETWORK_OPTIONS = {
+  local: { type: 'boolean' },
+  network: { type: 'string', short: 'n', multiple: true }
+};
+
+// Options of the subcommands that send transactions
+const STUCK_ACTIONS = ['ask', 'wait', 'speed-up', 'cancel'];
+const STUCK_HELP = ['--on-stuck <action>', 'What to do with a transaction pending too long: ask (default), wait, speed-up or cancel'];
+
+// Option of the subcommands that can read from the indexer instead of the chains
+const INDEXER_HELP = ['--indexer <url>', 'Read from this indexer (default: INDEXER_URL from .env), falling back to the chains'];
+
+const NETWORK_HELP = [
+  ['-n, --network <name>', 'Only act on this network (repeatable, or comma-separated)'],
+  ['--local', 'Use the local devnet networks instead of the public ones']
+];
+
+// ======================================================================
+// SECTION 1: ARGUMENT HELPERS
+// ======================================================================
+
+/**
+ * Create an error that is reported as invalid usage (exit code 2)
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged as a usage error
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+/**
+ * Resolve the networks a command should act on from --network and --local
+ *
+ * @param {Object} values - Parsed option values
+ * @returns {Object} Selected network names and the whole group they belong to ({ selected, group, local })
+ * @throws {Error} If a network is unknown, or local and public networks are mixed
+ */
+function selectNetworks(values) {
+  const names = (values.network || []).flatMap(value => value.split(',')).filter(Boolean);
+
+  for (const name of names) {
+    if (!getNetworkConfig(name)) {
+      throw usageError(`Network ${name} not found in network.config.js`);
+    }
+  }
+
+  const localFlags = names.map(name => Boolean(getNetworkConfig(name).local));
+  if (localFlags.includes(true) && localFlags.includes(false)) {
+    throw usageError('Local devnet networks and public networks cannot be used together');
+  }
+
+  const local = Boolean(values.local) || localFlags.includes(true);
+  if (local && !readDevnetState()) {
+    throw new Error('Local devnet is not running. Start it first with: node scripts/devnet.js');
+  }
+
+  const group = local ? getLocalNetworkNames() : Object.keys(networks);
+  return { selected: names.length > 0 ? names : group, group, local };
+}
+
+/**
+ * Resolve --on-stuck to the onStuck option of the library functions
+ * "ask" puts the question at the terminal (and waits when there is none).
+ *
+ * @param {Object} values - Parsed option values
+ * @returns {string|Function} onStuck option
+ * @throws {Error} If the action is unknown
+ */
+function resolveOnStuck(values) {
+  const action = values['on-stuck'] || 'ask';
+  if (!STUCK_ACTIONS.includes(action)) {
+    throw usageError(`Invalid --on-stuck action: ${action} (expected ${STUCK_ACTIONS.join(', ')})`);
+  }
+  return action === 'ask' ? askOnStuck() : action;
+}
+
+/**
+ * Look up a required option value
+ *
+ * @param {Object} values - Parsed option values
+ * @param {string} name - Option name
+ * @returns {string} Option value
+ * @throws {Error} If the option is missing
+ */
+function requireOption(values, name) {
+  if (values[name] === undefined) {
+    throw usageError(`Missing required option --${name}`);
+  }
+  return values[name];
+}
+
+// ======================================================================
+// SECTION 2: COMMANDS
+// ======================================================================
+
+/**
+ * quickstart deploy
+ * @param {Object} values - Parsed option values
+ * @param {EventEmitter} events - Progress event emitter
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runDeploy(values, events) {
+  const { selected, group } = selectNetworks(values);
+  const onStuck = resolveOnStuck(values);
+  const deployConfig = getDeployConfig();
+  const deterministic = deployConfig.deterministic.enabled || values.deterministic || values.salt
+    ? { salt: values.salt || deployConfig.deterministic.salt }
+    : null;
+
+  try {
+    await compileContract({ events });
+  } catch (error) {
+    throw new Error(`Compilation failed: ${error.message}. Aborting deployment.`);
+  }
+
+  if (values.plan) {
+    const plan = await buildDeploymentPlan(selected, { deterministic });
+    if (!values.json) {
+      printDeploymentPlan(plan);
+    }
+    return { ok: true, result: plan };
+  }
+
+  if (deterministic) {
+    const plan = await buildDeploymentPlan(selected, { deterministic });
+    if (!verifyDeterministicPlan(plan, { events }).ok) {
+      throw new Error('Deterministic deployment checks failed. Nothing was sent.');
+    }
+  }
+
+  const { deployments, failed, configuration } = await deployAndConfigure(selected, {
+    deterministic,
+    peerNetworkNames: group,
+    onStuck,
+    events
+  });
+
+  const ok = failed.length === 0
+    && deployments.length >= 2
+    && configuration.every(result => result.status !== 'failed');
+  if (ok && !values.json) {
+    console.log('\n=== Deployment and Configuration Completed Successfully! ===');
+  }
+
+  return {
+    ok,
+    result: {
+      deployments: deployments.map(deployment => ({
+        network: deployment.network,
+        chainId: Number(deployment.chainId),
+        address: deployment.address,
+        isExisting: deployment.isExisting
+      })),
+      failed,
+      configuration
+    }
+  };
+}
+
+/**
+ * quickstart configure
+ * @param {Object} values - Parsed option values
+ * @param {EventEmitter} events - Progress event emitter
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runConfigure(values, events) {
+  const { selected, group } = selectNetworks(values);
+  const onStuck = resolveOnStuck(values);
+
+  // Peers are always the full set of deployments, even when only some networks are configured
+  const deployments = await loadDeployments(group, { events });
+  if (deployments.length < 2) {
+    throw new Error('Need at least 2 deployments to configure cross-chain messaging. Run the deploy command first.');
+  }
+
+  const only = selected.map(name => getNetworkConfig(name).chainId);
+  const missing = selected.filter((name, index) =>
+    !deployments.some(deployment => Number(deployment.chainId) === only[index])
+  );
+  if (values.network && missing.length > 0) {
+    throw new Error(`No deployment found for: ${missing.join(', ')}. Run the deploy command first.`);
+  }
+
+  const results = await configureContracts(deployments, { only, onStuck, events });
+  return { ok: results.every(result => result.status !== 'failed'), result: results };
+}
+
+/**
+ * quickstart bridge
+ * @param {Object} values - Parsed option values
+ * @param {EventEmitter} events - Progress event emitter
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runBridge(values, events) {
+  const from = requireOption(values, 'from');
+  if (values.file) {
+    return runBatchBridge(from, values, events);
+  }
+
+  const to = requireOption(values, 'to');
+  const amount = requireOption(values, 'amount');
+
+  for (const name of [from, to]) {
+    if (!getNetworkConfig(name)) {
+      throw usageError(`Network ${name} not found in network.config.js`);
+    }
+  }
+  if (from === to) {
+    throw usageError('--from and --to must be different networks');
+  }
+  // The token's decimals are only known once connected, so bridge() checks the precision
+  if (!/^\d+(\.\d+)?$/.test(amount) || !/[1-9]/.test(amount)) {
+    throw usageError(`Invalid amount: ${amount}`);
+  }
+  if (values.recipient && !ethers.isAddress(values.recipient)) {
+    throw usageError(`Invalid recipient address: ${values.recipient}`);
+  }
+
+  const onStuck = resolveOnStuck(values);
+  const waitForCompletion = !values['no-wait'];
+  const result = await bridge(from, to, amount, {
+    recipient: values.recipient,
+    wait: waitForCompletion,
+    onStuck,
+    events
+  });
+
+  // Waiting that timed out counts as a failure, even though the tokens may still arrive
+  return { ok: !waitForCompletion || result.received !== null, result };
+}
+
+/**
+ * quickstart bridge --file
+ * @param {string} from - Source network name
+ * @param {Object} values - Parsed option values
+ * @param {EventEmitter} events - Progress event emitter
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runBatchBridge(from, values, events) {
+  if (!getNetworkConfig(from)) {
+    throw usageError(`Network ${from} not found in network.config.js`);
+  }
+  for (const name of ['to', 'amount', 'recipient', 'no-wait']) {
+    if (values[name] !== undefined) {
+      throw usageError(`--${name} can't be combined with --file`);
+    }
+  }
+
+  const onStuck = resolveOnStuck(values);
+  const batch = readBatchFile(values.file);
+  if (batch.isReport && batch.sourceNetwork !== from) {
+    throw usageError(`Report ${values.file} is for ${batch.sourceNetwork}, not ${from}`);
+  }
+
+  const reportPath = getReportPath(values.file, batch.isReport);
+  const report = await bridgeBatch(from, batch.rows, { reportPath, onStuck, events });
+  if (!values.json) {
+    printBatchReport(report);
+  }
+  return { ok: report.rows.every(row => row.status === 'confirmed'), result: { ...report, reportPath } };
+}
+
+/**
+ * quickstart bridge-status
+ * @param {Object} values - Parsed option values
+ * @param {EventEmitter} events - Progress event emitter
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runBridgeStatus(values, events) {
+  const from = requireOption(values, 'from');
+  const tx = requireOption(values, 'tx');
+
+  if (!getNetworkConfig(from)) {
+    throw usageError(`Network ${from} not found in network.config.js`);
+  }
+  if (!ethers.isHexString(tx, 32)) {
+    throw usageError(`Invalid transaction hash: ${tx}`);
+  }
+
+  const status = await getBridgeStatus(from, tx, { indexer: values.indexer || process.env.INDEXER_URL, events });
+  if (!values.json) {
+    printBridgeStatus(status);
+  }
+  return { ok: status.status !== 'unknown', result: status };
+}
+
+/**
+ * quickstart track
+ * @param {Object} values - Parsed option values
+ * @param {EventEmitter} events - Progress event emitter
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runTrack(values, events) {
+  // Without --network or --local, every undelivered bridge in the ledger is tracked
+  const networks = values.network || values.local ? selectNetworks(values).selected : null;
+
+  const timeout = values.timeout === undefined ? undefined : Number(values.timeout);
+  if (timeout !== undefined && !(timeout > 0)) {
+    throw usageError(`Invalid timeout: ${values.timeout}`);
+  }
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+
+  const entries = await trackBridges({
+    once: values.once,
+    networks,
+    timeout: timeout && timeout * 1000,
+    signal: controller.signal,
+    events
+  });
+  if (!values.json) {
+    printLedger(entries);
+  }
+  return { ok: entries.every(entry => entry.status === 'delivered'), result: entries };
+}
+
+/**
+ * quickstart watch
+ * @param {Object} values - Parsed option values
+ * @param {EventEmitter} events - Progress event emitter
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runWatch(values, events) {
+  const { selected } = selectNetworks(values);
+  const list = (option, fallback) => (option || [fallback || ''])
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  const addresses = list(values.address, process.env.WATCH_ADDRESSES);
+  const webhooks = list(values.webhook, process.env.WATCH_WEBHOOKS);
+  for (const address of addresses) {
+    if (!ethers.isAddress(address)) {
+      throw usageError(`Invalid address: ${address}`);
+    }
+  }
+  for (const url of webhooks) {
+    if (!URL.canParse(url)) {
+      throw usageError(`Invalid webhook URL: ${url}`);
+    }
+  }
+  const stuckAfterMinutes = values['stuck-after'] === undefined ? undefined : Number(values['stuck-after']);
+  if (stuckAfterMinutes !== undefined && !(stuckAfterMinutes > 0)) {
+    throw usageError(`Invalid --stuck-after: ${values['stuck-after']}`);
+  }
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  process.once('SIGTERM', () => controller.abort());
+
+  const summary = await watchBridges(selected, { addresses, webhooks, stuckAfterMinutes, signal: controller.signal, events });
+  if (!values.json) {
+    printWatchSummary(summary);
+  }
+  return { ok: summary.deliveries.failed === 0, result: summary };
+}
+
+/**
+ * quickstart export
+ * @param {Object} values - Parsed option values
+ * @param {EventEmitter} events - Progress event emitter
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runExport(values, events) {
+  const { selected } = selectNetworks(values);
+  const outputPath = values.out || 'bridge-history.csv';
+
+  const result = await exportHistory(selected, { events });
+  // With --json the transfers go to stdout, unless a file was asked for too
+  if (values.out || !values.json) {
+    writeTransfers(result.transfers, outputPath);
+  }
+  if (!values.json) {
+    printHistorySummary(result, outputPath);
+  }
+  return { ok: result.scans.every(scan => !scan.error), result };
+}
+
+/**
+ * quickstart reconcile
+ * @param {Object} values - Parsed option values
+ * @param {EventEmitter} events - Progress event emitter
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runReconcile(values, events) {
+  // Every deployment in the group counts towards the supply, so there is no --network
+  const { group } = selectNetworks({ local: values.local });
+
+  const maxPendingMinutes = values['max-pending'] === undefined ? undefined : Number(values['max-pending']);
+  if (maxPendingMinutes !== undefined && !(maxPendingMinutes > 0)) {
+    throw usageError(`Invalid --max-pending: ${values['max-pending']}`);
+  }
+
+  const report = await reconcileSupply(group, { maxPendingMinutes, events });
+  if (!values.json) {
+    printReconciliation(report);
+  }
+  return { ok: report.ok, result: report };
+}
+
+/**
+ * quickstart status
+ * @param {Object} values - Parsed option values
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runStatus(values) {
+  const { selected, group } = selectNetworks(values);
+  const statuses = await getDeploymentStatus(selected, group);
+
+  if (!values.json) {
+    printDeploymentStatus(statuses);
+  }
+  return { ok: statuses.every(status => !status.error), result: statuses };
+}
+
+/**
+ * Switch the pause for quickstart pause and quickstart unpause
+ *
+ * @param {boolean} paused - Whether to pause or unpause
+ * @param {Object} values - Parsed option values
+ * @param {EventEmitter} events - Progress event emitter
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runSetPaused(paused, values, events) {
+  const { selected, group } = selectNetworks(values);
+  const onStuck = resolveOnStuck(values);
+
+  const chainNames = (values.chain || []).flatMap(value => value.split(',')).filter(Boolean);
+  for (const name of chainNames) {
+    if (!getNetworkConfig(name)) {
+      throw usageError(`Network ${name} not found in network.config.js`);
+    }
+    if (!group.includes(name)) {
+      throw usageError(`--chain ${name} is not in the same group as the networks being switched`);
+    }
+  }
+
+  // Without --network, only the networks that have a deployment are switched
+  const targets = values.network ? selected : selected.filter(name => readDeploymentFile(name));
+  if (targets.length === 0) {
+    throw new Error('No deployments found. Run the deploy command first.');
+  }
+
+  const results = await setPaused(targets, {
+    paused,
+    chainIds: chainNames.map(name => getNetworkConfig(name).chainId),
+    receiving: Boolean(values.receiving),
+    onStuck,
+    events
+  });
+  return { ok: results.every(result => result.status !== 'failed'), result: results };
+}
+
+/**
+ * quickstart pause
+ * @param {Object} values - Parsed option values
+ * @param {EventEmitter} events - Progress event emitter
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runPause(values, events) {
+  return runSetPaused(true, values, events);
+}
+
+/**
+ * quickstart unpause
+ * @param {Object} values - Parsed option values
+ * @param {EventEmitter} events - Progress event emitter
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runUnpause(values, events) {
+  return runSetPaused(false, values, events);
+}
+
+/**
+ * quickstart pause-status
+ * @param {Object} values - Parsed option values
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runPauseStatus(values) {
+  const { selected, group } = selectNetworks(values);
+  const statuses = await getPauseStatus(selected, group);
+
+  if (!values.json) {
+    printPauseStatus(statuses);
+  }
+  return { ok: statuses.every(status => !status.error), result: statuses };
+}
+
+/**
+ * quickstart balances
+ * @param {Object} values - Parsed option values
+ * @param {EventEmitter} events - Progress event emitter
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runBalances(values, events) {
+  if (values.address && !ethers.isAddress(values.address)) {
+    throw usageError(`Invalid address: ${values.address}`);
+  }
+  const { selected } = selectNetworks(values);
+
+  const address = resolveAddress(values.address, getNetworkConfig(selected[0]));
+  const balances = await getBalances(selected, address, { indexer: values.indexer || process.env.INDEXER_URL, events });
+  if (balances.length === 0) {
+    throw new Error('No deployments found. Run the deploy command first.');
+  }
+
+  if (!values.json) {
+    printBalances(address, balances);
+  }
+  return { ok: balances.every(entry => !entry.error), result: { address, balances } };
+}
+
+const COMMANDS = {
+  deploy: {
+    summary: 'Deploy the token and configure cross-chain messaging',
+    usage: 'quickstart deploy [--network <name>] [--local] [--plan] [--deterministic] [--salt <salt>] [--on-stuck <action>] [--json]',
+    options: {
+      plan: { type: 'boolean' },
+      deterministic: { type: 'boolean' },
+      salt: { type: 'string' },
+      'on-stuck': { type: 'string' }
+    },
+    help: [
+      ['--plan', 'Preview what would be deployed and configured, without sending anything'],
+      ['--deterministic', 'Deploy through CREATE2 so the token has the same address on every chain'],
+      ['--salt <salt>', 'CREATE2 salt (implies --deterministic, defaults to deploy.config.js)'],
+      STUCK_HELP
+    ],
+    networkOptions: true,
+    run: runDeploy
+  },
+  configure: {
+    summary: 'Configure cross-chain messaging between existing deployments',
+    usage: 'quickstart configure [--network <name>] [--local] [--on-stuck <action>] [--json]',
+    options: {
+      'on-stuck': { type: 'string' }
+    },
+    help: [
+      STUCK_HELP
+    ],
+    networkOptions: true,
+    run: runConfigure
+  },
+  bridge: {
+    summary: 'Bridge tokens from one network to another',
+    usage: 'quickstart bridge --from <network> (--to <network> --amount <tokens> [--recipient <address>] [--no-wait] | --file <path>) [--on-stuck <action>] [--json]',
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      amount: { type: 'string' },
+      recipient: { type: 'string' },
+      'no-wait': { type: 'boolean' },
+      file: { type: 'string' },
+      'on-stuck': { type: 'string' }
+    },
+    help: [
+      ['--from <network>', 'Source network (required)'],
+      ['--to <network>', 'Destination network (required without --file)'],
+      ['--amount <tokens>', 'Amount of tokens to bridge (required without --file)'],
+      ['--recipient <address>', 'Recipient on the destination chain (defaults to the sender)'],
+      ['--no-wait', 'Don\'t wait for the tokens to arrive on the destination chain'],
+      ['--file <path>', 'Bridge to every row of a CSV or JSON file (or retry the failed rows of its report)'],
+      STUCK_HELP
+    ],
+    networkOptions: false,
+    run: runBridge
+  },
+  'bridge-status': {
+    summary: 'Look up whether a bridge transaction has been delivered',
+    usage: 'quickstart bridge-status --from <network> --tx <hash> [--indexer <url>] [--json]',
+    options: {
+      from: { type: 'string' },
+      tx: { type: 'string' },
+      indexer: { type: 'string' }
+    },
+    help: [
+      ['--from <network>', 'Network the bridge transaction was sent on (required)'],
+      ['--tx <hash>', 'Source transaction hash (required)'],
+      INDEXER_HELP
+    ],
+    networkOptions: false,
+    run: runBridgeStatus
+  },
+  track: {
+    summary: 'Resume tracking undelivered bridges from the ledger',
+    usage: 'quickstart track [--once] [--timeout <seconds>] [--network <name>] [--local] [--json]',
+    options: {
+      once: { type: 'boolean' },
+      timeout: { type: 'string' }
+    },
+    help: [
+      ['--once', 'Check each undelivered bridge once instead of waiting for delivery'],
+      ['--timeout <seconds>', 'How long to keep waiting (default: 300)']
+    ],
+    networkOptions: true,
+    run: runTrack
+  },
+  watch: {
+    summary: 'Watch for bridges from or to a set of addresses and notify webhooks',
+    usage: 'quickstart watch [--address <address>] [--webhook <url>] [--stuck-after <minutes>] [--network <name>] [--local] [--json]',
+    options: {
+      address: { type: 'string', multiple: true },
+      webhook: { type: 'string', multiple: true },
+      'stuck-after': { type: 'string' }
+    },
+    help: [
+      ['--address <address>', 'Address to watch, repeatable (default: WATCH_ADDRESSES from .env, or every bridge)'],
+      ['--webhook <url>', 'URL to POST notifications to, repeatable (default: WATCH_WEBHOOKS from .env)'],
+      ['--stuck-after <minutes>', 'Report bridges undelivered for longer than this as stuck (default: 30)']
+    ],
+    networkOptions: true,
+    run: runWatch
+  },
+  export: {
+    summary: 'Export the history of bridge transfers as CSV or JSON',
+    usage: 'quickstart export [--out <file.csv|file.json>] [--network <name>] [--local] [--json]',
+    options: {
+      out: { type: 'string' }
+    },
+    help: [
+      ['--out <path>', 'File to write (default: bridge-history.csv, JSON if it ends in .json)']
+    ],
+    networkOptions: true,
+    run: runExport
+  },
+  reconcile: {
+    summary: 'Check that the total supply across all chains balances',
+    usage: 'quickstart reconcile [--local] [--max-pending <minutes>] [--json]',
+    options: {
+      local: { type: 'boolean' },
+      'max-pending': { type: 'string' }
+    },
+    help: [
+      ['--local', 'Reconcile the local devnet deployments'],
+      ['--max-pending <minutes>', 'Report bridges undelivered for longer than this as lost (default: 60)']
+    ],
+    networkOptions: false,
+    run: runReconcile
+  },
+  status: {
+    summary: 'Show deployment, peer configuration and journal status',
+    usage: 'quickstart status [--network <name>] [--local] [--json]',
+    options: {},
+    help: [],
+    networkOptions: true,
+    run: runStatus
+  },
+  pause: {
+    summary: 'Pause bridging, globally or towards some destination chains',
+    usage: 'quickstart pause [--chain <network>] [--receiving] [--network <name>] [--local] [--on-stuck <action>] [--json]',
+    options: {
+      chain: { type: 'string', multiple: true },
+      receiving: { type: 'boolean' },
+      'on-stuck': { type: 'string' }
+    },
+    help: [
+      ['--chain <network>', 'Only pause the routes to this destination network (repeatable, or comma-separated)'],
+      ['--receiving', 'Also reject messages arriving from the paused routes'],
+      STUCK_HELP
+    ],
+    networkOptions: true,
+    run: runPause
+  },
+  unpause: {
+    summary: 'Unpause bridging, globally or towards some destination chains',
+    usage: 'quickstart unpause [--chain <network>] [--network <name>] [--local] [--on-stuck <action>] [--json]',
+    options: {
+      chain: { type: 'string', multiple: true },
+      'on-stuck': { type: 'string' }
+    },
+    help: [
+      ['--chain <network>', 'Only unpause the routes to this destination network (repeatable, or comma-separated)'],
+      STUCK_HELP
+    ],
+    networkOptions: true,
+    run: runUnpause
+  },
+  'pause-status': {
+    summary: 'Show which routes are paused on every deployed network',
+    usage: 'quickstart pause-status [--network <name>] [--local] [--json]',
+    options: {},
+    help: [],
+    networkOptions: true,
+    run: runPauseStatus
+  },
+  balances: {
+    summary: 'Show token and native balances on every deployed network',
+    usage: 'quickstart balances [--address <address>] [--indexer <url>] [--network <name>] [--local] [--json]',
+    options: {
+      address: { type: 'string' },
+      indexer: { type: 'string' }
+    },
+    help: [
+      ['--address <address>', 'Address to check (defaults to the configured wallet)'],
+      INDEXER_HELP
+    ],
+    networkOptions: true,
+    run: runBalances
+  }
+};
+
+// ======================================================================
+// SECTION 3: HELP AND OUTPUT
+// ======================================================================
+
+/**
+ * Format a list of [flag, description] pairs as aligned lines
+ * @param {Array<Array<string>>} rows - Flag and description pairs
+ * @returns {string} Formatted lines
+ */
+function formatOptions(rows) {
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return rows.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`).join('\n');
+}
+
+/**
+ * Print general help, or help for one command
+ * @param {string} [commandName] - Command to describe
+ */
+function printHelp(commandName) {
+  const command = COMMANDS[commandName];
+
+  if (!command) {
+    const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+    console.log('Usage: quickstart <command> [options]\n');
+    console.log('Commands:');
+    for (const [name, { summary }] of Object.entries(COMMANDS)) {
+      console.log(`  ${name.padEnd(width)}  ${summary}`);
+    }
+    console.log('\nRun "quickstart <command> --help" for the options of a command.');
+    return;
+  }
+
+  console.log(`Usage: ${command.usage}\n`);
+  console.log(`${command.summary}.\n`);
+  console.log('Options:');
+  const networkHelp = command.networkOptions ? NETWORK_HELP : [];
+  console.log(formatOptions([...command.help, ...networkHelp, ...COMMON_HELP]));
+}
+
+/**
+ * JSON.stringify replacer that writes bigints as decimal strings
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Value to serialize
+ */
+function jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Run a command, printing its progress events to stderr in JSON mode
+ *
+ * @param {Object} command - Entry from COMMANDS
+ * @param {Object} values - Parsed option values
+ * @returns {Promise<Object>} Command outcome ({ ok, result })
+ */
+async function runCommand(command, values) {
+  // Keep stdout clean for the JSON document
+  const events = logToConsole(undefined, { stderr: Boolean(values.json) });
+  return command.run(values, events);
+}
+
+// ======================================================================
+// SECTION 4: MAIN EXECUTION
+// ======================================================================
+
+/**
+ * Main execution function
+ * Parses the command line, runs the command and works out the exit code
+ *
+ * @param {Array<string>} argv - Command line arguments (without node and the script path)
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const [commandName, ...rest] = argv;
+
+  if (!commandName || commandName === '--help' || commandName === '-h') {
+    printHelp();
+    return commandName ? EXIT_SUCCESS : EXIT_USAGE;
+  }
+  if (commandName === 'help') {
+    printHelp(rest[0]);
+    return EXIT_SUCCESS;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`Unknown command: ${commandName}\n`);
+    printHelp();
+    return EXIT_USAGE;
+  }
+
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: rest,
+      options: {
+        ...COMMON_OPTIONS,
+        ...(command.networkOptions ? NETWORK_OPTIONS : {}),
+        ...command.options
+      },
+      allowPositionals: false,
+      strict: true
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n`);
+    console.error(`Usage: ${command.usage}`);
+    return EXIT_USAGE;
+  }
+
+  if (values.help) {
+    printHelp(commandName);
+    return EXIT_SUCCESS;
+  }
+
+  try {
+    const { ok, result } = await runCommand(command, values);
+    if (values.json) {
+      console.log(JSON.stringify(result, jsonReplacer, 2));
+    }
+    return ok ? EXIT_SUCCESS : EXIT_FAILURE;
+  } catch (error) {
+    if (values.json) {
+      console.log(JSON.stringify({ error: error.shortMessage || error.message }, null, 2));
+    } else {
+      console.error('Error:', error.shortMessage || error.message);
+    }
+    if (error.usage) {
+      console.error(`Usage: ${command.usage}`);
+      return EXIT_USAGE;
+    }
+    return EXIT_FAILURE;
+  }
+}
+
+main(process.argv.slice(2))
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error);
+    process.exit(EXIT_FAILURE);
+  });
@@ -6,28 +6,96 @@ import "@vialabs-io/npm-contracts/MessageClient.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
 
 contract MyERC20 is ERC20Burnable, MessageClient {
-    // Events for tracking cross-chain transfers
-    event TokensBridged(address indexed sender, uint indexed destChainId, address indexed recipient, uint amount);
-    event TokensReceived(uint indexed sourceChainId, address indexed recipient, uint amount);
+    // Events for tracking cross-chain transfers. txId is the message ID assigned by
+    // the message layer on the source chain, so a delivery can be matched to its bridge.
+    event TokensBridged(address indexed sender, uint indexed destChainId, address indexed recipient, uint amount, uint txId);
+    event TokensReceived(uint indexed sourceChainId, address indexed recipient, uint amount, uint indexed txId);
 
-    constructor() ERC20("Cross Chain Native Token", "CCNT") {
-        MESSAGE_OWNER = msg.sender;
-        _mint(msg.sender, 1_000_000 ether);
+    // Events for tracking the pause switches
+    event PauseChanged(bool paused, bool receivingPaused);
+    event ChainPauseChanged(uint indexed chainId, bool paused);
+    event ChainSendingChanged(uint indexed chainId, bool disabled);
+
+    uint8 private immutable _tokenDecimals;
+
+    // Owner-controlled switches for when a peer chain or the message layer is
+    // compromised. A route is paused when bridging is paused globally or for that
+    // chain. Paused routes can't be bridged to, and when receivingPaused is set,
+    // messages coming from them are rejected too so the messenger has to retry
+    // them once the route is unpaused.
+    bool public paused;
+    bool public receivingPaused;
+    mapping(uint => bool) public chainPaused;
+
+    // A peer configured with configureClient is used both to send and to receive,
+    // so a one-way route (see bridgeSource / bridgeDestination in network.config.js)
+    // keeps the peer to receive its messages and blocks bridging back to it here.
+    mapping(uint => bool) public sendingDisabled;
+
+    // Token parameters come from deploy.config.js. The owner is passed in rather than
+    // taken from msg.sender so the token can be deployed through a CREATE2 factory.
+    // The initial supply is only minted on the genesis chain (0 = none), which keeps the
+    // constructor arguments - and a CREATE2 address - identical on every chain, and
+    // means deploying to more chains never inflates the total supply.
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        uint8 _decimals,
+        uint _initialSupply,
+        uint _genesisChainId,
+        address _owner
+    ) ERC20(_name, _symbol) {
+        _tokenDecimals = _decimals;
+        MESSAGE_OWNER = _owner;
+
+        if (block.chainid == _genesisChainId) {
+            _mint(_owner, _initialSupply);
+        }
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return _tokenDecimals;
+    }
+
+    function isRoutePaused(uint _chainId) public view returns (bool) {
+        return paused || chainPaused[_chainId];
+    }
+
+    function setPaused(bool _paused, bool _receivingPaused) external onlyMessageOwner {
+        paused = _paused;
+        receivingPaused = _receivingPaused;
+        emit PauseChanged(_paused, _receivingPaused);
+    }
+
+    function setChainPaused(uint _chainId, bool _paused) external onlyMessageOwner {
+        chainPaused[_chainId] = _paused;
+        emit ChainPauseChanged(_chainId, _paused);
+    }
+
+    function setSendingDisabled(uint[] calldata _chainIds, bool[] calldata _disabled) external onlyMessageOwner {
+        require(_chainIds.length == _disabled.length, "MyERC20: length mismatch");
+        for (uint x = 0; x < _chainIds.length; x++) {
+            sendingDisabled[_chainIds[x]] = _disabled[x];
+            emit ChainSendingChanged(_chainIds[x], _disabled[x]);
+        }
     }
 
     function bridge(uint _destChainId, address _recipient, uint _amount) external onlyActiveChain(_destChainId) {
+        require(!isRoutePaused(_destChainId), "MyERC20: bridging paused");
+        require(!sendingDisabled[_destChainId], "MyERC20: route is receive-only");
         _burn(msg.sender, _amount);
-        _sendMessage(_destChainId, abi.encode(_recipient, _amount));
+        uint _txId = _sendMessage(_destChainId, abi.encode(_recipient, _amount));
         
         // Emit event when tokens are bridged
-        emit TokensBridged(msg.sender, _destChainId, _recipient, _amount);
+        emit TokensBridged(msg.sender, _destChainId, _recipient, _amount, _txId);
     }
 
-    function _processMessage(uint _sourceChainId, uint, bytes calldata _data) internal virtual override {
+    function _processMessage(uint _sourceChainId, uint _txId, bytes calldata _data) internal virtual override {
+        require(!receivingPaused || !isRoutePaused(_sourceChainId), "MyERC20: receiving paused");
         (address _recipient, uint _amount) = abi.decode(_data, (address, uint));
         _mint(_recipient, _amount);
         
         // Emit event when tokens are received
-        emit TokensReceived(_sourceChainId, _recipient, _amount);
+        emit TokensReceived(_sourceChainId, _recipient, _amount, _txId);
     }
 }
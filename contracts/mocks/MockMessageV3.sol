@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity =0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+interface IMessageClientReceiver {
+    function messageProcess(uint _txId, uint _sourceChainId, address _sender, address _reference, uint _amount, bytes calldata _data) external;
+}
+
+// Fee token handed out by MockMessageV3.feeToken() so MessageClient.configureClient
+// has a real ERC20 to approve. No fees are ever charged on a devnet.
+contract MockFeeToken is ERC20 {
+    constructor() ERC20("Mock Fee Token", "MFEE") {}
+}
+
+// Local stand-in for the VIA MessageV3 contract, used by scripts/devnet.js.
+// sendMessage only records the request as an event; the relayer delivers it on
+// the destination chain by calling process() on that chain's MockMessageV3.
+contract MockMessageV3 {
+    event SendRequested(uint indexed txId, address indexed sender, address indexed recipient, uint chain, bool express, bytes data, uint16 confirmations);
+    event MessageProcessed(uint indexed txId, uint indexed sourceChainId, address indexed recipient);
+
+    address public immutable feeToken;
+    address public relayer;
+    uint public nextTxId = 1;
+
+    // sourceChainId => txId => delivered
+    mapping(uint => mapping(uint => bool)) public processed;
+
+    modifier onlyRelayer() {
+        require(msg.sender == relayer, "MockMessageV3: not relayer");
+        _;
+    }
+
+    constructor() {
+        feeToken = address(new MockFeeToken());
+        relayer = msg.sender;
+    }
+
+    function setRelayer(address _relayer) external onlyRelayer {
+        relayer = _relayer;
+    }
+
+    function sendMessage(address _recipient, uint _chain, bytes calldata _data, uint16 _confirmations, bool _express) external returns (uint _txId) {
+        _txId = nextTxId++;
+        emit SendRequested(_txId, msg.sender, _recipient, _chain, _express, _data, _confirmations);
+    }
+
+    function process(uint _txId, uint _sourceChainId, address _sender, address _recipient, bytes calldata _data) external onlyRelayer {
+        require(!processed[_sourceChainId][_txId], "MockMessageV3: already processed");
+        processed[_sourceChainId][_txId] = true;
+
+        IMessageClientReceiver(_recipient).messageProcess(_txId, _sourceChainId, _sender, address(0), 0, _data);
+        emit MessageProcessed(_txId, _sourceChainId, _recipient);
+    }
+}
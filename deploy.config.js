@@ -0,0 +1,97 @@
+require('dotenv').config();
+const { getNetworkConfig } = require('./network.config');
+
+// Deployment settings used by scripts/deploy.js
+const deployConfig = {
+  // Constructor parameters of MyERC20. They are recorded in each deployment file,
+  // and changing them only affects networks that haven't been deployed to yet.
+  token: {
+    name: process.env.TOKEN_NAME || 'Cross Chain Native Token',
+    symbol: process.env.TOKEN_SYMBOL || 'CCNT',
+    decimals: Number(process.env.TOKEN_DECIMALS || 18),
+    // Whole tokens (not wei), minted once to the deployer on the genesis network
+    initialSupply: process.env.TOKEN_INITIAL_SUPPLY || '1000000',
+    // The only network that gets the initial supply - every other chain starts at 0
+    // and only receives tokens by bridging. Set to null (TOKEN_GENESIS_NETWORK=none)
+    // to mint nothing anywhere.
+    genesisNetwork: parseGenesisNetwork(process.env.TOKEN_GENESIS_NETWORK, 'avalanche-testnet'),
+    // Genesis network used with `deploy.js --local` (null to mint nothing)
+    localGenesisNetwork: 'local-a'
+  },
+
+  // Deterministic mode deploys MyERC20 through the CREATE2 factory at
+  // 0x4e59b44847b379578588920cA78FbF26c0B4956C, so the token gets the same
+  // address on every chain (as long as the deployer address is the same).
+  // Changing the salt gives a new address. Can also be enabled with --deterministic
+  // and --salt <salt> on the command line.
+  deterministic: {
+    enabled: process.env.DETERMINISTIC_DEPLOY === 'true',
+    salt: process.env.DEPLOY_SALT || 'quickstart-token-v1'
+  }
+};
+
+/**
+ * Read a genesis network setting from the environment
+ *
+ * @param {string|undefined} value - Network name, or 'none' to mint nothing
+ * @param {string} fallback - Network used when the value isn't set
+ * @returns {string|null} Network name, or null to mint nothing
+ */
+function parseGenesisNetwork(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  return value.trim().toLowerCase() === 'none' ? null : value.trim();
+}
+
+/**
+ * Validate the token parameters
+ * Runs when this file is loaded so a bad configuration fails before anything is deployed.
+ *
+ * @param {Object} token - Token parameters
+ * @throws {Error} If a parameter is invalid
+ */
+function validateTokenConfig(token) {
+  const fail = (message) => {
+    throw new Error(`Invalid token configuration in deploy.config.js: ${message}`);
+  };
+
+  if (typeof token.name !== 'string' || token.name.trim() === '') {
+    fail('name must be a non-empty string');
+  }
+  if (typeof token.symbol !== 'string' || token.symbol.trim() === '') {
+    fail('symbol must be a non-empty string');
+  }
+  if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 36) {
+    fail(`decimals must be an integer between 0 and 36 (got ${token.decimals})`);
+  }
+
+  // Whole or fractional token amount, with no more fraction digits than decimals allows
+  const fraction = String(token.initialSupply).split('.')[1] || '';
+  if (!/^\d+(\.\d+)?$/.test(String(token.initialSupply)) || fraction.length > token.decimals) {
+    fail(`initialSupply must be a non-negative amount with at most ${token.decimals} decimals (got ${token.initialSupply})`);
+  }
+
+  for (const key of ['genesisNetwork', 'localGenesisNetwork']) {
+    if (token[key] !== null && !getNetworkConfig(token[key])) {
+      fail(`${key} '${token[key]}' is not a network in network.config.js`);
+    }
+  }
+}
+
+validateTokenConfig(deployConfig.token);
+
+/**
+ * Get the deployment settings
+ * @returns {Object} Deployment settings
+ */
+function getDeployConfig() {
+  return deployConfig;
+}
+
+module.exports = {
+  deployConfig,
+  getDeployConfig,
+  parseGenesisNetwork,
+  validateTokenConfig
+};
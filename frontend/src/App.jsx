@@ -25,6 +25,7 @@ import {
   getTokenContract,
   getNetworkByChainId,
   getAllNetworks,
+  getRoutePauseReason,
   listenForWalletEvents
 } from './utils/blockchain';
 import {
@@ -34,7 +35,10 @@ import {
 } from './utils/deployments';
 import {
   fetchTokenBalance,
-  fetchBalanceForChain
+  fetchBalanceForChain,
+  getTokenDecimals,
+  parseTokenAmount,
+  formatTokenAmount
 } from './utils/balances';
 import { ethers } from 'ethers';
 
@@ -55,7 +59,7 @@ function App() {
   const [tokenContract, setTokenContract] = useState(null);
   const [tokenSymbol, setTokenSymbol] = useState('MYERC20');
 
-  // Balance state
+  // Balance state, keyed by chain ID ({ value: bigint, decimals })
   const [balances, setBalances] = useState({});
   const [isLoadingBalances, setIsLoadingBalances] = useState({});
 
@@ -68,6 +72,9 @@ function App() {
   // Bridge state
   const [isBridging, setIsBridging] = useState(false);
 
+  // Why the selected route is paused, or null if it isn't
+  const [pauseReason, setPauseReason] = useState(null);
+
   // Bridge modal state
   const [showBridgeModal, setShowBridgeModal] = useState(false);
   const [bridgeModalData, setBridgeModalData] = useState({
@@ -75,8 +82,8 @@ function App() {
     destNetwork: null,
     txHash: null,
     recipientAddress: null,
-    initialSourceBalance: '0',
-    initialDestBalance: '0',
+    initialSourceBalance: null,
+    initialDestBalance: null,
     bridgeAmount: '0'
   });
 
@@ -300,7 +307,7 @@ function App() {
     await handleFetchBalanceForChain(destChainId);
 
     // Return the updated balance
-    return balances[destChainId] || '0';
+    return balances[destChainId] || null;
   }, [bridgeModalData, handleFetchBalanceForChain, balances]);
 
   // Handle modal close
@@ -320,14 +327,14 @@ function App() {
       const destNetworkObj = getNetworkByChainId(destChainId);
 
       // Get current balances before the transaction
-      const currentSourceBalance = balances[sourceChainId] || '0';
-      const currentDestBalance = balances[destChainId] || '0';
+      const currentSourceBalance = balances[sourceChainId] || null;
+      const currentDestBalance = balances[destChainId] || null;
 
       // Get deployment info for destination chain
       const destDeployment = getDeploymentByChainId(destChainId);
 
       // First get the transaction object before waiting for confirmation
-      const amountWei = ethers.parseEther(amount);
+      const amountWei = parseTokenAmount(amount, await getTokenDecimals(contract, sourceChainId));
       console.log(`Sending bridge transaction: ${amount} tokens from chain ${sourceChainId} to chain ${destChainId}`);
 
       const tx = await contract.bridge(destChainId, recipient, amountWei);
@@ -583,6 +590,25 @@ function App() {
     return () => clearInterval(intervalId);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // We're using an empty dependency array to avoid re-running this effect
+  // Check the pause switches whenever the route changes
+  useEffect(() => {
+    const sourceChainId = networks[sourceNetwork]?.chainId;
+    const destChainId = networks[destNetwork]?.chainId;
+    setPauseReason(null);
+    if (!sourceChainId || !destChainId || sourceChainId === destChainId) return;
+
+    let cancelled = false;
+    getRoutePauseReason(sourceChainId, destChainId).then((reason) => {
+      if (!cancelled) {
+        setPauseReason(reason);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sourceNetwork, destNetwork]); // networks is rebuilt on every render
+
   // ======== Render UI ========
 
   // If there's a deployment error, show error message
@@ -613,8 +639,8 @@ function App() {
   const destChainId = networks[destNetwork]?.chainId;
 
   // Get balances
-  const sourceBalance = sourceChainId ? balances[sourceChainId] || '0' : '0';
-  const destBalance = destChainId ? balances[destChainId] || '0' : '0';
+  const sourceBalance = sourceChainId ? balances[sourceChainId] || null : null;
+  const destBalance = destChainId ? balances[destChainId] || null : null;
 
   // Check if balances are loading
   const isLoadingSourceBalance = sourceChainId ? isLoadingBalances[sourceChainId] : false;
@@ -658,7 +684,7 @@ function App() {
                     <div className="chain-balance">
                       <span className="balance-label">Balance:</span>
                       <span className="balance-amount">
-                        {!sourceNetwork ? '-' : isLoadingSourceBalance ? 'Loading...' : `${sourceBalance} ${tokenSymbol}`}
+                        {!sourceNetwork ? '-' : isLoadingSourceBalance ? 'Loading...' : `${formatTokenAmount(sourceBalance)} ${tokenSymbol}`}
                       </span>
                     </div>
                   </>
@@ -684,7 +710,7 @@ function App() {
                     <div className="chain-balance">
                       <span className="balance-label">Balance:</span>
                       <span className="balance-amount">
-                        {!destNetwork ? '-' : isLoadingDestBalance ? 'Loading...' : `${destBalance} ${tokenSymbol}`}
+                        {!destNetwork ? '-' : isLoadingDestBalance ? 'Loading...' : `${formatTokenAmount(destBalance)} ${tokenSymbol}`}
                       </span>
                     </div>
                   </>
@@ -704,6 +730,7 @@ function App() {
               isLoading={isBridging}
               sourceNetwork={sourceNetwork ? networks[sourceNetwork]?.name : null}
               destNetwork={destNetwork ? networks[destNetwork]?.name : null}
+              pauseReason={pauseReason}
             />
 
             <div className="bridge-footer">
@@ -53,7 +53,7 @@ function BridgeModal({
         setDestBalance(newBalance);
         
         // If balance has increased, mark destination as confirmed
-        if (parseFloat(newBalance) > parseFloat(initialDestBalance)) {
+        if (newBalance && newBalance.value > (initialDestBalance ? initialDestBalance.value : 0n)) {
           setDestConfirmed(true);
           setStatus('success');
           clearInterval(intervalId);
@@ -14,6 +14,7 @@
  */
 
 import React, { useState, useRef, useEffect } from 'react';
+import { formatTokenAmount } from '../utils/balances';
 
 function NetworkSelector({ 
   networks, 
@@ -100,16 +101,13 @@ function NetworkSelector({
   const formatBalance = (balance, symbol = 'MYERC20') => {
     if (!balance) return '0';
     
-    const balanceNum = parseFloat(balance);
-    if (isNaN(balanceNum)) return '0';
+    if (balance.value === 0n) return `0 ${symbol}`;
     
-    if (balanceNum === 0) return `0 ${symbol}`;
+    // Anything that rounds down to zero at 3 decimals is still a non-zero balance
+    const formatted = formatTokenAmount(balance, 3);
+    if (formatted === '0') return `<0.001 ${symbol}`;
     
-    if (balanceNum < 0.001) return `<0.001 ${symbol}`;
-    
-    return `${balanceNum.toLocaleString(undefined, {
-      maximumFractionDigits: 3
-    })} ${symbol}`;
+    return `${formatted} ${symbol}`;
   };
   
   return (
@@ -168,7 +166,7 @@ function NetworkSelector({
         {networkOptions.map(([key, network]) => {
           const isSelected = key === selectedNetwork;
           const chainId = network.chainId;
-          const balance = balances[chainId] || '0';
+          const balance = balances[chainId] || null;
           
           return (
             <div 
@@ -10,20 +10,15 @@
  */
 
 import React from 'react';
+import { formatTokenAmount } from '../utils/balances';
 
 function TokenBalance({ isConnected, balance, symbol, isLoading }) {
-  const formatBalance = (balanceStr) => {
-    if (balanceStr === 'Error') return 'Error loading balance';
+  const formatBalance = (balance) => {
+    if (balance === 'Error') return 'Error loading balance';
     
-    // If the balance has more than 6 decimal places, truncate it
-    const balanceNum = parseFloat(balanceStr);
-    if (isNaN(balanceNum)) return balanceStr;
-    
-    // Format with commas for thousands and limit to 6 decimal places
-    return new Intl.NumberFormat('en-US', {
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 6
-    }).format(balanceNum);
+    // Format with commas for thousands and truncate to 6 decimal places,
+    // keeping the balance as a bigint so large amounts stay exact
+    return formatTokenAmount(balance, 6);
   };
   
   return (
@@ -7,9 +7,13 @@
  * - Specify an amount to bridge
  * - Optionally specify a recipient address
  * - Submit the bridge transaction
+ *
+ * The bridge button is disabled, with the reason shown, while the token owner
+ * has the selected route paused.
  */
 
 import React, { useState } from 'react';
+import { parseTokenAmount, formatTokenAmount, formatTokenAmountExact } from '../utils/balances';
 
 function TokenBridge({ 
   isConnected, 
@@ -18,7 +22,8 @@ function TokenBridge({
   tokenBalance,
   isLoading,
   sourceNetwork,
-  destNetwork
+  destNetwork,
+  pauseReason
 }) {
   // Form state
   const [amount, setAmount] = useState('');
@@ -38,8 +43,17 @@ function TokenBridge({
       return;
     }
     
-    const amountNum = parseFloat(amount);
-    if (isNaN(amountNum) || amountNum <= 0) {
+    // Parse with the token's decimals, so an amount the token can't represent is rejected here
+    let amountValue;
+    try {
+      amountValue = parseTokenAmount(amount, tokenBalance ? tokenBalance.decimals : 18);
+    } catch (parseError) {
+      setError(tokenBalance
+        ? `Please enter a valid amount with at most ${tokenBalance.decimals} decimals`
+        : 'Please enter a valid positive amount');
+      return;
+    }
+    if (amountValue <= 0n) {
       setError('Please enter a valid positive amount');
       return;
     }
@@ -54,6 +68,11 @@ function TokenBridge({
       return;
     }
     
+    if (pauseReason) {
+      setError(pauseReason);
+      return;
+    }
+    
     // Validate recipient address if provided
     if (recipient && !/^0x[a-fA-F0-9]{40}$/.test(recipient)) {
       setError('Please enter a valid Ethereum address (0x...)');
@@ -66,7 +85,7 @@ function TokenBridge({
   
   // Handle max button click
   const handleMaxClick = () => {
-    setAmount(tokenBalance);
+    setAmount(formatTokenAmountExact(tokenBalance));
   };
   
   return (
@@ -92,7 +111,7 @@ function TokenBridge({
               </div>
               <div className="balance-actions">
                 <span className="available-balance">
-                  Available: {tokenBalance} {tokenSymbol}
+                  Available: {formatTokenAmount(tokenBalance)} {tokenSymbol}
                 </span>
                 <button 
                   type="button" 
@@ -120,6 +139,13 @@ function TokenBridge({
             />
           </div>
           
+          {/* Paused route */}
+          {pauseReason && (
+            <div className="bridge-error-message bridge-paused-message">
+              {pauseReason} Bridging on this route is disabled until it is unpaused.
+            </div>
+          )}
+          
           {/* Error message */}
           {error && (
             <div className="bridge-error-message">
@@ -131,13 +157,15 @@ function TokenBridge({
           <button
             type="submit"
             className="bridge-button"
-            disabled={isLoading || !amount || !sourceNetwork || !destNetwork}
+            disabled={isLoading || !amount || !sourceNetwork || !destNetwork || Boolean(pauseReason)}
           >
             {isLoading ? (
               <>
                 <span className="button-spinner"></span>
                 Bridging...
               </>
+            ) : pauseReason ? (
+              'Bridging Paused'
             ) : (
               'Bridge Tokens'
             )}
@@ -4,15 +4,79 @@
  * 
  * This module provides utility functions for managing token balances across different chains.
  * It includes functions for fetching, caching, and refreshing balances.
+ *
+ * Balances are kept as { value, decimals } objects, where value is a bigint in the
+ * token's smallest unit and decimals is read from the deployment. They are only
+ * turned into strings for display, so large balances never lose precision.
  */
 
 import { ethers } from 'ethers';
 import { getTokenContract, getNetworkByChainId } from './blockchain';
 import { deploymentsExist, getDeploymentByChainId } from './deployments';
+import { indexerEnabled, fetchIndexedBalance } from './indexer';
 
 // Cache for providers to avoid creating new ones for each balance check
 let providerCache = {};
 
+// Cache for token decimals, which never change once a token is deployed
+const decimalsCache = {};
+
+/**
+ * Get the number of decimals of the token deployed on a chain
+ * 
+ * @param {Object} contract - Token contract instance
+ * @param {number} chainId - Chain ID the contract is deployed on
+ * @returns {Promise<number>} Token decimals
+ */
+export async function getTokenDecimals(contract, chainId) {
+  if (decimalsCache[chainId] === undefined) {
+    decimalsCache[chainId] = Number(await contract.decimals());
+  }
+  return decimalsCache[chainId];
+}
+
+/**
+ * Convert a token amount entered by the user to its smallest unit
+ * 
+ * @param {string} amount - Amount in whole tokens (e.g., "10.5")
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Amount in the token's smallest unit
+ * @throws {Error} If the amount isn't a number or has more fraction digits than the token allows
+ */
+export function parseTokenAmount(amount, decimals) {
+  return ethers.parseUnits(amount.trim(), decimals);
+}
+
+/**
+ * Format a balance with every digit, e.g. to fill in an amount field
+ * 
+ * @param {Object|null} balance - Balance ({ value, decimals })
+ * @returns {string} Exact amount in whole tokens (e.g., "10.5")
+ */
+export function formatTokenAmountExact(balance) {
+  if (!balance) return '0';
+  
+  const formatted = ethers.formatUnits(balance.value, balance.decimals);
+  return formatted.endsWith('.0') ? formatted.slice(0, -2) : formatted;
+}
+
+/**
+ * Format a balance for display, with thousands separators and a limited number of decimals
+ * The digits are handled as strings, so no precision is lost on large balances.
+ * 
+ * @param {Object|null} balance - Balance ({ value, decimals })
+ * @param {number} maxFractionDigits - Decimals to show at most (the rest is truncated)
+ * @returns {string} Formatted amount (e.g., "1,234,567.891")
+ */
+export function formatTokenAmount(balance, maxFractionDigits = 6) {
+  if (!balance) return '0';
+  
+  const [whole, fraction = ''] = formatTokenAmountExact(balance).split('.');
+  const shownFraction = fraction.slice(0, maxFractionDigits).replace(/0+$/, '');
+  const groupedWhole = BigInt(whole).toLocaleString('en-US');
+  return shownFraction ? `${groupedWhole}.${shownFraction}` : groupedWhole;
+}
+
 /**
  * Fetch token balance for the current chain
  * 
@@ -28,12 +92,14 @@ export async function fetchTokenBalance(contract, address, chainId, setBalances,
   setIsLoadingBalances(prev => ({ ...prev, [chainId]: true }));
   
   try {
-    const balance = await contract.balanceOf(address);
-    const formattedBalance = ethers.formatEther(balance);
-    setBalances(prev => ({ ...prev, [chainId]: formattedBalance }));
+    const [value, decimals] = await Promise.all([
+      contract.balanceOf(address),
+      getTokenDecimals(contract, chainId)
+    ]);
+    setBalances(prev => ({ ...prev, [chainId]: { value, decimals } }));
   } catch (error) {
-    // Set to '0' instead of 'Error' to avoid displaying "Error MYERC20"
-    setBalances(prev => ({ ...prev, [chainId]: '0' }));
+    // Clear the balance instead of storing 'Error' to avoid displaying "Error MYERC20"
+    setBalances(prev => ({ ...prev, [chainId]: null }));
   } finally {
     setIsLoadingBalances(prev => ({ ...prev, [chainId]: false }));
   }
@@ -85,6 +151,21 @@ export async function fetchBalanceForChain(
   
   setIsLoadingBalances(prev => ({ ...prev, [targetChainId]: true }));
   
+  // Read from the indexer when one is configured, falling back to the chain's RPC
+  if (indexerEnabled()) {
+    try {
+      const indexed = await fetchIndexedBalance(address, targetChainId);
+      if (indexed) {
+        setBalances(prev => ({ ...prev, [targetChainId]: indexed }));
+        setLastFetchTime(prev => ({ ...prev, [targetChainId]: now }));
+        setIsLoadingBalances(prev => ({ ...prev, [targetChainId]: false }));
+        return;
+      }
+    } catch (error) {
+      console.warn(`Indexer unavailable (${error.message}), reading chain ${targetChainId} instead`);
+    }
+  }
+  
   try {
     // Create or reuse provider for target chain
     let provider;
@@ -108,15 +189,17 @@ export async function fetchBalanceForChain(
     const contract = getTokenContract(deployment.address, provider);
     
     // Get balance
-    const balance = await contract.balanceOf(address);
-    const formattedBalance = ethers.formatEther(balance);
-    setBalances(prev => ({ ...prev, [targetChainId]: formattedBalance }));
+    const [value, decimals] = await Promise.all([
+      contract.balanceOf(address),
+      getTokenDecimals(contract, targetChainId)
+    ]);
+    setBalances(prev => ({ ...prev, [targetChainId]: { value, decimals } }));
     
     // Update last fetch time
     setLastFetchTime(prev => ({ ...prev, [targetChainId]: now }));
   } catch (error) {
-    // Set to '0' instead of 'Error' to avoid displaying "Error MYERC20"
-    setBalances(prev => ({ ...prev, [targetChainId]: '0' }));
+    // Clear the balance instead of storing 'Error' to avoid displaying "Error MYERC20"
+    setBalances(prev => ({ ...prev, [targetChainId]: null }));
   } finally {
     setIsLoadingBalances(prev => ({ ...prev, [targetChainId]: false }));
   }
@@ -151,6 +234,10 @@ export function refreshBalances(
 }
 
 const balanceUtils = {
+  getTokenDecimals,
+  parseTokenAmount,
+  formatTokenAmountExact,
+  formatTokenAmount,
   fetchTokenBalance,
   fetchBalanceForChain,
   refreshBalances
@@ -7,6 +7,7 @@
  * - Network switching
  * - Contract interaction
  * - Token operations (balance, bridging)
+ * - Pause switches of each route
  * 
  * It dynamically loads network configurations from the deployments.json file,
  * ensuring that the frontend automatically detects new networks when they're added.
@@ -55,10 +56,15 @@ const tokenABI = [
   // Cross-chain bridging function
   "function bridge(uint destChainId, address recipient, uint amount) returns ()",
   
+  // Pause switches
+  "function paused() view returns (bool)",
+  "function receivingPaused() view returns (bool)",
+  "function chainPaused(uint chainId) view returns (bool)",
+  
   // Events
   "event Transfer(address indexed from, address indexed to, uint amount)",
-  "event TokensBridged(address indexed sender, uint indexed destChainId, address indexed recipient, uint amount)",
-  "event TokensReceived(uint indexed sourceChainId, address indexed recipient, uint amount)"
+  "event TokensBridged(address indexed sender, uint indexed destChainId, address indexed recipient, uint amount, uint txId)",
+  "event TokensReceived(uint indexed sourceChainId, address indexed recipient, uint amount, uint indexed txId)"
 ];
 
 /**
@@ -200,12 +206,12 @@ export function getTokenContract(contractAddress, signer) {
  * 
  * @param {Object} contract - Token contract instance
  * @param {string} address - Wallet address
- * @returns {Promise<string>} Formatted balance in ETH units (e.g., "10.5")
+ * @returns {Promise<string>} Formatted balance in whole tokens (e.g., "10.5")
  */
 export async function getTokenBalance(contract, address) {
   try {
-    const balance = await contract.balanceOf(address);
-    return ethers.formatEther(balance);
+    const [balance, decimals] = await Promise.all([contract.balanceOf(address), contract.decimals()]);
+    return ethers.formatUnits(balance, decimals);
   } catch (error) {
     console.error('Error getting token balance:', error);
     throw new Error(`Failed to get token balance: ${error.message}`);
@@ -215,20 +221,20 @@ export async function getTokenBalance(contract, address) {
 /**
  * Bridge tokens from the current chain to another chain
  * This function:
- * 1. Converts the amount to wei
+ * 1. Converts the amount to the token's smallest unit, using its decimals
  * 2. Calls the bridge function on the contract
  * 3. Waits for the transaction to be confirmed
  * 
  * @param {Object} contract - Token contract instance
  * @param {number} destChainId - Destination chain ID
  * @param {string} recipient - Recipient address
- * @param {string} amount - Amount to bridge (in ETH units, e.g., "10.5")
+ * @param {string} amount - Amount to bridge (in whole tokens, e.g., "10.5")
  * @returns {Promise<Object>} Transaction receipt
  */
 export async function bridgeTokens(contract, destChainId, recipient, amount) {
   try {
-    // Convert amount to wei
-    const amountWei = ethers.parseEther(amount);
+    // Convert amount to the token's smallest unit
+    const amountWei = ethers.parseUnits(amount, await contract.decimals());
     
     console.log(`Bridging ${amount} tokens to chain ID ${destChainId}, recipient: ${recipient || 'self'}`);
     
@@ -259,6 +265,66 @@ export async function bridgeTokens(contract, destChainId, recipient, amount) {
   }
 }
 
+// Read-only providers for checking the pause switches, keyed by chain ID
+const pauseProviders = {};
+
+/**
+ * Read the pause switches of the deployment on a chain
+ * 
+ * @param {number} chainId - Chain ID
+ * @param {number} peerChainId - Chain ID of the other end of the route
+ * @returns {Promise<Object>} Switches ({ paused, receivingPaused, routePaused })
+ */
+async function readPauseSwitches(chainId, peerChainId) {
+  const network = getNetworkByChainId(chainId);
+  if (!pauseProviders[chainId]) {
+    pauseProviders[chainId] = new ethers.JsonRpcProvider(network.rpcUrl);
+  }
+  
+  const contract = getTokenContract(deploymentsJson[chainId].address, pauseProviders[chainId]);
+  const [paused, receivingPaused, routePaused] = await Promise.all([
+    contract.paused(),
+    contract.receivingPaused(),
+    contract.chainPaused(peerChainId)
+  ]);
+  return { paused, receivingPaused, routePaused };
+}
+
+/**
+ * Check whether the owner has paused a route
+ * Both ends are checked: the source contract for bridging out, and the
+ * destination contract for whether it still accepts tokens from the source.
+ * 
+ * @param {number} sourceChainId - Source chain ID
+ * @param {number} destChainId - Destination chain ID
+ * @returns {Promise<string|null>} Why the route is paused, or null if it isn't
+ */
+export async function getRoutePauseReason(sourceChainId, destChainId) {
+  const sourceName = getNetworkByChainId(sourceChainId)?.name || `chain ${sourceChainId}`;
+  const destName = getNetworkByChainId(destChainId)?.name || `chain ${destChainId}`;
+  
+  try {
+    const [source, dest] = await Promise.all([
+      readPauseSwitches(sourceChainId, destChainId),
+      readPauseSwitches(destChainId, sourceChainId)
+    ]);
+    
+    if (source.paused) {
+      return `Bridging out of ${sourceName} is paused by the token owner.`;
+    }
+    if (source.routePaused) {
+      return `Bridging from ${sourceName} to ${destName} is paused by the token owner.`;
+    }
+    if (dest.receivingPaused && (dest.paused || dest.routePaused)) {
+      return `${destName} is not accepting tokens from ${sourceName} while bridging is paused.`;
+    }
+  } catch (error) {
+    // Deployments from before the pause switches can't be paused
+    console.warn(`Could not check whether bridging from ${sourceName} to ${destName} is paused:`, error.message);
+  }
+  return null;
+}
+
 // Create a lookup map for faster network retrieval by chainId
 const networksByChainId = {};
 
@@ -0,0 +1,45 @@
+/**
+ * Indexer Utility Functions
+ * =========================
+ *
+ * This module reads balances from the bridge indexer (node scripts/indexer.js)
+ * instead of each chain's RPC. It is only used when VITE_INDEXER_URL is set in
+ * frontend/.env, e.g. VITE_INDEXER_URL=http://localhost:3001
+ */
+
+const INDEXER_URL = (import.meta.env.VITE_INDEXER_URL || '').replace(/\/+$/, '');
+
+/**
+ * Check if an indexer is configured
+ *
+ * @returns {boolean} True if VITE_INDEXER_URL is set
+ */
+export function indexerEnabled() {
+  return INDEXER_URL !== '';
+}
+
+/**
+ * Fetch an address's token balance on a chain from the indexer
+ *
+ * @param {string} address - Wallet address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object|null>} Balance ({ value, decimals }), or null if the chain isn't indexed
+ * @throws {Error} If the indexer can't be reached or returns an error
+ */
+export async function fetchIndexedBalance(address, chainId) {
+  const response = await fetch(`${INDEXER_URL}/balances/${address}`);
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error || `Indexer returned HTTP ${response.status}`);
+  }
+
+  const entry = body.balances.find(candidate => candidate.chainId === Number(chainId));
+  return entry ? { value: BigInt(entry.token.balance), decimals: entry.token.decimals } : null;
+}
+
+const indexerUtils = {
+  indexerEnabled,
+  fetchIndexedBalance
+};
+
+export default indexerUtils;
@@ -0,0 +1,127 @@
+/**
+ * Token Balances
+ * ==============
+ *
+ * Reads an address's token and native balances on every network that has a
+ * MyERC20 deployment in deployments/<network>/MyERC20.json, or its token
+ * balances from a running indexer (see indexerApi.js).
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkConfig } = require('../network.config');
+const { createWallet, resolveProvider } = require('./chains');
+const { readDeploymentFile } = require('./deployments');
+const { getIndexedBalances } = require('./indexerClient');
+const { createReporter } = require('./progress');
+
+/**
+ * Resolve the address whose balances should be shown
+ * Falls back to the wallet configured for the first network.
+ *
+ * @param {string|undefined} address - Address given on the command line
+ * @param {Object} network - Network configuration used to build the fallback wallet
+ * @returns {string} Checksummed address
+ * @throws {Error} If no address was given and no wallet is configured
+ */
+function resolveAddress(address, network) {
+  if (address) {
+    return ethers.getAddress(address);
+  }
+  try {
+    return createWallet(network, null).address;
+  } catch (error) {
+    throw new Error('No address given and no wallet configured. Pass an address or set PRIVATE_KEY in your .env file.');
+  }
+}
+
+/**
+ * Read the token and native balances of an address on one network
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} deploymentInfo - Saved deployment for the network
+ * @param {string} address - Address to check
+ * @param {Object} provider - Provider connected to the network
+ * @returns {Promise<Object>} Balances on the network (raw values as strings)
+ */
+async function getNetworkBalances(network, deploymentInfo, address, provider) {
+  const contract = new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, provider);
+
+  const [tokenBalance, nativeBalance, decimals, symbol] = await Promise.all([
+    contract.balanceOf(address),
+    provider.getBalance(address),
+    contract.decimals(),
+    contract.symbol()
+  ]);
+  const nativeCurrency = network.nativeCurrency || { symbol: 'ETH', decimals: 18 };
+
+  return {
+    network: network.name,
+    chainId: network.chainId,
+    token: {
+      address: deploymentInfo.address,
+      symbol,
+      decimals: Number(decimals),
+      balance: tokenBalance.toString(),
+      formatted: ethers.formatUnits(tokenBalance, decimals)
+    },
+    native: {
+      symbol: nativeCurrency.symbol,
+      decimals: nativeCurrency.decimals,
+      balance: nativeBalance.toString(),
+      formatted: ethers.formatUnits(nativeBalance, nativeCurrency.decimals)
+    }
+  };
+}
+
+/**
+ * Read an address's balances on every deployed network in a list
+ * Networks that can't be reached are reported with an error instead of failing the whole run.
+ * With an `indexer` URL, the token balances come from the indexer (`native` is then
+ * null, and `block` is the last block indexed); the chains are read if it can't be reached.
+ *
+ * @param {Array<string>} networkNames - Network names to check
+ * @param {string} address - Address to check
+ * @param {Object} options - Connection options
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @param {string} options.indexer - Base URL of a running indexer to read from
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Array<Object>>} One entry per deployed network
+ */
+async function getBalances(networkNames, address, { provider, indexer, events } = {}) {
+  if (indexer) {
+    try {
+      return await getIndexedBalances(indexer, networkNames, address);
+    } catch (error) {
+      createReporter(events).warning('indexer', `Could not reach the indexer at ${indexer} (${error.message}). Reading the chains instead.`);
+    }
+  }
+
+  const results = [];
+
+  for (const networkName of networkNames) {
+    const network = getNetworkConfig(networkName);
+    const deploymentInfo = readDeploymentFile(networkName);
+    if (!deploymentInfo) {
+      continue;
+    }
+
+    try {
+      const connected = resolveProvider(network, { provider });
+      results.push(await getNetworkBalances(network, deploymentInfo, address, connected));
+    } catch (error) {
+      results.push({
+        network: network.name,
+        chainId: network.chainId,
+        error: error.shortMessage || error.message
+      });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  resolveAddress,
+  getNetworkBalances,
+  getBalances
+};
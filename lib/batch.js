@@ -0,0 +1,514 @@
+/**
+ * Batch Bridging
+ * ==============
+ *
+ * Bridges tokens to many recipients from one source network. Rows come from a
+ * CSV or JSON file and are all validated before anything is sent. The bridge
+ * transactions are then broadcast back to back with consecutive nonces, and
+ * every row's outcome is written to a report file.
+ *
+ * The report can be fed back in as the input: confirmed rows are kept, and only
+ * the rows that failed (or were never sent) are tried again. Transactions a
+ * crashed run left unfinished are resumed from the journal first (see journal.js).
+ * Every transfer sent is also recorded in the bridge ledger, so its delivery can
+ * be followed with track.js.
+ *
+ * CSV files need a header row naming the destination, recipient and amount
+ * columns (in any order); the destination is a network name or chain ID. Fields
+ * can be quoted ("...", with "" for a quote), but can't span lines:
+ *
+ *   destination,recipient,amount
+ *   base-testnet,0x70997970C51812dc3A010C7d01b50e0d17dc79C8,25
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { getNetworkConfig, getNetworkByChainId, isRouteAllowed } = require('../network.config');
+const { getGasOverrides } = require('./chains');
+const { readJournal, broadcastJournaled, waitForJournaled, resumeJournal, followReplacements } = require('./journal');
+const { readFrontendDeployments } = require('./deployments');
+const { getContract, checkBridgeRoute, recordBridgeSent } = require('./bridge');
+const { estimateTransaction } = require('./plan');
+const { recordBridge, updateBridge } = require('./ledger');
+const { createReporter } = require('./progress');
+
+const CSV_COLUMNS = ['destination', 'recipient', 'amount'];
+
+/**
+ * Split a CSV line into its fields
+ * Fields can be quoted as history.js writes them ("..." with "" for a quote),
+ * but can't span lines.
+ *
+ * @param {string} line - CSV line
+ * @param {number} number - Line number, for error messages
+ * @returns {Array<string>} Fields, trimmed
+ * @throws {Error} If a quoted field isn't closed on the same line, or is followed by anything but a comma
+ */
+function splitCsvLine(line, number) {
+  const fields = [];
+  let index = 0;
+  for (;;) {
+    while (line[index] === ' ' || line[index] === '\t') {
+      index++;
+    }
+
+    if (line[index] !== '"') {
+      const end = line.indexOf(',', index);
+      fields.push(line.slice(index, end === -1 ? line.length : end).trim());
+      if (end === -1) {
+        return fields;
+      }
+      index = end + 1;
+      continue;
+    }
+
+    let field = '';
+    index++;
+    for (;;) {
+      const quote = line.indexOf('"', index);
+      if (quote === -1) {
+        throw new Error(`CSV line ${number}: quoted field is not closed (fields can't span lines)`);
+      }
+      field += line.slice(index, quote);
+      index = quote + 1;
+      if (line[index] !== '"') {
+        break;
+      }
+      field += '"';
+      index++;
+    }
+    fields.push(field.trim());
+
+    const rest = line.slice(index).match(/^\s*(,|$)/);
+    if (!rest) {
+      throw new Error(`CSV line ${number}: unexpected text after a quoted field`);
+    }
+    if (rest[1] === '') {
+      return fields;
+    }
+    index += rest[0].length;
+  }
+}
+
+/**
+ * Parse the rows of a CSV batch file
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Rows ({ row, destination, recipient, amount }), numbered by line
+ * @throws {Error} If the header is missing a column or a line can't be parsed
+ */
+function parseCsvRows(text) {
+  const lines = text.split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line && !line.startsWith('#'));
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = splitCsvLine(lines[0].line, lines[0].number).map(column => column.toLowerCase());
+  const missing = CSV_COLUMNS.filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`CSV header is missing column(s): ${missing.join(', ')} (expected ${CSV_COLUMNS.join(',')})`);
+  }
+
+  return lines.slice(1).map(({ line, number }) => {
+    const cells = splitCsvLine(line, number);
+    return {
+      row: number,
+      destination: cells[header.indexOf('destination')] || '',
+      recipient: cells[header.indexOf('recipient')] || '',
+      amount: cells[header.indexOf('amount')] || ''
+    };
+  });
+}
+
+/**
+ * Read a batch file: a CSV file, a JSON array of rows, or a report from an earlier run
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Rows to process, and the source network if the file is a report ({ sourceNetwork, rows, isReport })
+ * @throws {Error} If the file can't be read or parsed
+ */
+function readBatchFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+
+  if (path.extname(filePath).toLowerCase() !== '.json') {
+    return { sourceNetwork: null, rows: parseCsvRows(text).map(row => ({ ...row, status: 'pending' })), isReport: false };
+  }
+
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) {
+    const rows = data.map((entry, index) => ({
+      row: index + 1,
+      destination: String(entry.destination ?? ''),
+      recipient: String(entry.recipient ?? ''),
+      amount: String(entry.amount ?? ''),
+      status: 'pending'
+    }));
+    return { sourceNetwork: null, rows, isReport: false };
+  }
+
+  if (!Array.isArray(data.rows)) {
+    throw new Error('JSON batch file must be an array of rows or a report from an earlier run');
+  }
+  return { sourceNetwork: data.sourceNetwork, rows: data.rows, isReport: true };
+}
+
+/**
+ * Default report path for a batch file (a report is updated in place)
+ *
+ * @param {string} filePath - Path to the batch file
+ * @param {boolean} isReport - Whether the file is already a report
+ * @returns {string} Report path
+ */
+function getReportPath(filePath, isReport) {
+  if (isReport) {
+    return filePath;
+  }
+  const { dir, name } = path.parse(filePath);
+  return path.join(dir, `${name}.report.json`);
+}
+
+/**
+ * Write a batch report
+ * Written to a temporary file and renamed, so a crash never leaves a half-written report.
+ *
+ * @param {string} reportPath - Report path
+ * @param {Object} report - Report to write
+ */
+function writeBatchReport(reportPath, report) {
+  const tempPath = `${reportPath}.tmp`;
+  const replacer = (key, value) => typeof value === 'bigint' ? value.toString() : value;
+  fs.writeFileSync(tempPath, JSON.stringify({ ...report, updatedAt: new Date().toISOString() }, replacer, 2));
+  fs.renameSync(tempPath, reportPath);
+}
+
+/**
+ * Check a single row, filling in the destination chain and amount in wei
+ *
+ * @param {Object} sourceConfig - Source network configuration
+ * @param {Object} row - Batch row
+ * @param {Object} deployments - Frontend deployments keyed by chain ID
+ * @param {number} decimals - Source token decimals
+ * @returns {string|null} What is wrong with the row, or null if it can be sent
+ */
+function checkRow(sourceConfig, row, deployments, decimals) {
+  row.amountWei = null;
+  const destConfig = getNetworkConfig(row.destination) || getNetworkByChainId(Number(row.destination));
+  if (!destConfig) {
+    return `Unknown destination network: ${row.destination || '(empty)'}`;
+  }
+  if (destConfig.chainId === sourceConfig.chainId) {
+    return 'Destination is the source network';
+  }
+  if (!isRouteAllowed(sourceConfig, destConfig)) {
+    return `Bridging into ${destConfig.name} is disabled (security.bridgeDestination in network.config.js)`;
+  }
+  if (!deployments[destConfig.chainId]) {
+    return `No deployment found on ${destConfig.name}`;
+  }
+  row.destNetwork = destConfig.name;
+  row.destChainId = destConfig.chainId;
+
+  // A mixed-case address must carry a valid checksum
+  try {
+    row.recipient = ethers.getAddress(row.recipient);
+  } catch (error) {
+    return `Invalid recipient address: ${row.recipient || '(empty)'}`;
+  }
+
+  try {
+    row.amountWei = ethers.parseUnits(row.amount.trim(), decimals);
+  } catch (error) {
+    return `Invalid amount: ${row.amount || '(empty)'} (the token has ${decimals} decimals)`;
+  }
+  if (row.amountWei <= 0n) {
+    return `Amount must be positive: ${row.amount}`;
+  }
+  return null;
+}
+
+/**
+ * Validate every row to be sent, and the total against the sender's balance
+ * Each destination's route is checked on-chain, and the gas for the whole batch
+ * is estimated from its first row. Invalid rows are marked with status 'invalid'
+ * and an error.
+ *
+ * @param {Object} source - Source contract ({ contract, network }) from getContract()
+ * @param {Array<Object>} rows - Rows to be sent
+ * @param {Object} options - Validation options
+ * @param {Object|Function} options.provider - Provider for the destination chains, or (network) => Provider
+ * @returns {Promise<Object>} Validation outcome ({ ok, problems, total, balance, nativeBalance, gasCost })
+ */
+async function validateBatch(source, rows, { provider } = {}) {
+  const problems = [];
+  const deployments = readFrontendDeployments();
+
+  if (!source.network.security.bridgeSource) {
+    problems.push(`Bridging out of ${source.network.name} is disabled (security.bridgeSource in network.config.js)`);
+  }
+
+  for (const row of rows) {
+    const error = checkRow(source.network, row, deployments, source.decimals);
+    if (error) {
+      Object.assign(row, { status: 'invalid', error });
+      problems.push(`Row ${row.row}: ${error}`);
+    }
+  }
+
+  // A route that isn't configured both ways would burn the tokens without minting them
+  const destinations = [...new Set(rows.filter(row => row.status !== 'invalid').map(row => row.destNetwork))];
+  for (const destNetwork of destinations) {
+    let routeProblems;
+    try {
+      const dest = await getContract(destNetwork, { provider, readOnly: true });
+      routeProblems = await checkBridgeRoute(source, dest);
+    } catch (error) {
+      routeProblems = [error.shortMessage || error.message];
+    }
+    if (routeProblems.length > 0) {
+      for (const row of rows.filter(candidate => candidate.destNetwork === destNetwork)) {
+        Object.assign(row, { status: 'invalid', error: routeProblems.join(' ') });
+      }
+      problems.push(...routeProblems.map(problem => `${destNetwork}: ${problem}`));
+    }
+  }
+
+  const wallet = source.contract.runner;
+  const sender = await wallet.getAddress();
+  const total = rows.reduce((sum, row) => sum + (row.amountWei || 0n), 0n);
+  const balance = await source.contract.balanceOf(sender);
+  if (total > balance) {
+    problems.push(`Total of ${ethers.formatUnits(total, source.decimals)} tokens exceeds the balance of ${ethers.formatUnits(balance, source.decimals)} tokens`);
+  }
+
+  // Every row costs about the same gas, so one estimate covers the batch
+  const nativeBalance = await wallet.provider.getBalance(sender);
+  let gasCost = null;
+  const sample = rows.find(row => row.status !== 'invalid');
+  if (problems.length === 0 && sample) {
+    const txRequest = await source.contract.bridge.populateTransaction(sample.destChainId, sample.recipient, sample.amountWei);
+    const estimate = await estimateTransaction(wallet, txRequest);
+    if (estimate.error) {
+      problems.push(`The bridge call would revert: ${estimate.error}`);
+    } else {
+      gasCost = BigInt(estimate.gas) * BigInt(estimate.gasPrice) * BigInt(rows.length);
+      if (nativeBalance < gasCost) {
+        const symbol = source.network.nativeCurrency?.symbol || 'ETH';
+        problems.push(`Not enough ${symbol} for gas: the batch needs ~${ethers.formatEther(gasCost)} ${symbol}, but you have ${ethers.formatEther(nativeBalance)} ${symbol}`);
+      }
+    }
+  }
+
+  return { ok: problems.length === 0, problems, total, balance, nativeBalance, gasCost };
+}
+
+/**
+ * Settle rows sent by an earlier run, so only rows that need it are sent again
+ * Unfinished transactions are resumed from the journal first.
+ *
+ * @param {Object} source - Source contract ({ contract, network }) from getContract()
+ * @param {Array<Object>} rows - Rows from a report
+ * @param {Object} options - Options ({ onStuck, events })
+ */
+async function settlePreviousRun(source, rows, { onStuck, events }) {
+  const reporter = createReporter(events);
+  const wallet = source.contract.runner;
+  await resumeJournal(source.network, wallet, 'bridge', { onStuck, events });
+
+  for (const row of rows.filter(candidate => candidate.status === 'sent' && candidate.txHash)) {
+    // The transaction may have been sped up or cancelled before the run stopped
+    const currentHash = followReplacements(source.network, row.txHash);
+    if (readJournal(source.network).find(entry => entry.hash === currentHash)?.action === 'cancel') {
+      Object.assign(row, { status: 'failed', error: `Transaction cancelled by ${currentHash}` });
+      reporter.progress('batch', `Row ${row.row}: earlier transaction ${row.txHash} was cancelled`, {
+        network: source.network.name,
+        txHash: row.txHash,
+        row: row.row
+      });
+      continue;
+    }
+    row.txHash = currentHash;
+    let receipt = await wallet.provider.getTransactionReceipt(row.txHash);
+    if (!receipt && await wallet.provider.getTransaction(row.txHash)) {
+      // Still pending and not in this machine's journal - never send the row twice
+      receipt = await wallet.provider.waitForTransaction(row.txHash);
+    }
+    if (receipt?.status === 1) {
+      const { messageId } = await recordBridgeSent(source.contract, source.network.chainId, receipt);
+      Object.assign(row, { status: 'confirmed', blockNumber: receipt.blockNumber, messageId, error: null });
+    } else {
+      Object.assign(row, { status: 'failed', error: receipt ? 'Transaction reverted' : 'Transaction was dropped' });
+    }
+    reporter.progress('batch', `Row ${row.row}: earlier transaction ${row.txHash} ${row.status}`, {
+      network: source.network.name,
+      txHash: row.txHash,
+      row: row.row
+    });
+  }
+}
+
+/**
+ * Bridge tokens to every row of a batch
+ * Nothing is sent unless every row is valid and the total fits the balance.
+ * Rows already confirmed by an earlier run are skipped.
+ *
+ * @param {string} sourceNetwork - Source network name
+ * @param {Array<Object>} rows - Rows from readBatchFile()
+ * @param {Object} options - Batch options
+ * @param {string} options.reportPath - Where to write the report (updated after every row)
+ * @param {Object|Function} options.signer - Source signer, or (network) => Signer (defaults to the .env wallet)
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @param {string|Function} options.onStuck - What to do with a transaction pending too long (see journal.js)
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Object>} Report ({ sourceNetwork, sender, decimals, validation, rows })
+ * @throws {Error} If the source network or its deployment is unknown
+ */
+async function bridgeBatch(sourceNetwork, rows, { reportPath, signer, provider, onStuck, events } = {}) {
+  const reporter = createReporter(events);
+  reporter.progress('batch', `Batch bridging ${rows.length} row(s) from ${sourceNetwork}`, { heading: true });
+
+  const source = await getContract(sourceNetwork, { signer, provider });
+  const wallet = source.contract.runner;
+  const network = source.network;
+  const report = {
+    sourceNetwork: network.name,
+    sourceChainId: network.chainId,
+    sender: await wallet.getAddress(),
+    decimals: source.decimals,
+    validation: null,
+    rows
+  };
+  const save = () => reportPath && writeBatchReport(reportPath, report);
+
+  await settlePreviousRun(source, rows, { onStuck, events });
+
+  const toSend = rows.filter(row => row.status !== 'confirmed');
+  for (const row of toSend) {
+    Object.assign(row, { status: 'pending', error: null, txHash: null });
+  }
+
+  report.validation = await validateBatch(source, toSend, { provider });
+  reporter.progress('batch', `${toSend.length} row(s) to send, ${rows.length - toSend.length} already done. Total: ${ethers.formatUnits(report.validation.total, source.decimals)} tokens, balance: ${ethers.formatUnits(report.validation.balance, source.decimals)} tokens`, {
+    network: network.name
+  });
+  if (!report.validation.ok) {
+    for (const problem of report.validation.problems) {
+      reporter.warning('batch', problem, { network: network.name });
+    }
+    reporter.warning('batch', 'Validation failed - nothing was sent.', { network: network.name });
+    save();
+    return report;
+  }
+  save();
+
+  // Deliveries are searched for from the destination blocks before anything is sent
+  const destStartBlocks = new Map();
+  for (const destNetwork of new Set(toSend.map(row => row.destNetwork))) {
+    const dest = await getContract(destNetwork, { provider, readOnly: true });
+    destStartBlocks.set(destNetwork, await dest.contract.runner.getBlockNumber());
+  }
+
+  // Broadcast every row back to back, numbering the nonces ourselves
+  const overrides = await getGasOverrides(network, wallet.provider);
+  let nonce = await wallet.provider.getTransactionCount(report.sender, 'pending');
+  const broadcast = [];
+
+  for (const row of toSend) {
+    const details = { network: network.name, row: row.row, destination: row.destNetwork, recipient: row.recipient };
+    reporter.progress('batch', `Row ${row.row}: ${row.amount} tokens to ${row.recipient} on ${row.destNetwork}`, { ...details, spaced: true });
+
+    try {
+      const txRequest = await source.contract.bridge.populateTransaction(row.destChainId, row.recipient, row.amountWei, { ...overrides, nonce });
+      const entry = await broadcastJournaled(wallet, txRequest, {
+        network,
+        intent: 'bridge',
+        meta: { row: row.row, destChainId: row.destChainId, recipient: row.recipient, amount: row.amount },
+        events
+      });
+      Object.assign(row, { status: 'sent', txHash: entry.hash, nonce: entry.nonce });
+      recordBridge({
+        txHash: entry.hash,
+        sourceNetwork: network.name,
+        sourceChainId: network.chainId,
+        destNetwork: row.destNetwork,
+        destChainId: row.destChainId,
+        sender: report.sender,
+        recipient: row.recipient,
+        amount: row.amount,
+        amountWei: row.amountWei.toString(),
+        decimals: source.decimals,
+        destFromBlock: destStartBlocks.get(row.destNetwork)
+      });
+      broadcast.push({ row, entry });
+      nonce++;
+    } catch (error) {
+      Object.assign(row, { status: 'failed', error: error.shortMessage || error.message });
+      reporter.warning('batch', `Row ${row.row} failed: ${row.error}`, details);
+
+      // A rejected transaction doesn't use its nonce, but re-read it in case the node saw it anyway
+      nonce = await wallet.provider.getTransactionCount(report.sender, 'pending');
+    }
+    save();
+  }
+
+  // Then wait for them, in nonce order
+  const confirmations = network.security.confirmations;
+  if (broadcast.length > 0) {
+    reporter.progress('batch', `Waiting for ${broadcast.length} transaction(s) to reach ${confirmations} confirmation(s)...`, { network: network.name, spaced: true });
+  }
+  for (const { row, entry } of broadcast) {
+    const details = { network: network.name, txHash: row.txHash, row: row.row };
+    let mined;
+    try {
+      mined = await waitForJournaled(wallet, network, entry, { confirmations, onStuck, events });
+    } catch (error) {
+      Object.assign(row, { status: 'failed', error: error.shortMessage || error.message });
+      updateBridge(network.chainId, row.txHash, { status: 'unknown', reason: row.error });
+      reporter.warning('batch', `Row ${row.row}: ${row.error}`, details);
+      save();
+      continue;
+    }
+
+    const { entry: updated, receipt } = mined;
+    if (updated.status === 'cancelled') {
+      Object.assign(row, { status: 'failed', error: `Transaction cancelled by ${updated.hash}` });
+      updateBridge(network.chainId, row.txHash, { status: 'failed', reason: `Source transaction cancelled by ${updated.hash}` });
+      reporter.warning('batch', `Row ${row.row}: transaction ${row.txHash} was cancelled`, details);
+      save();
+      continue;
+    }
+
+    // A speed-up replaces the transaction, so the row and ledger follow the new hash
+    if (updated.hash !== row.txHash) {
+      updateBridge(network.chainId, row.txHash, { txHash: updated.hash, replaces: row.txHash });
+      row.txHash = updated.hash;
+    }
+
+    if (updated.status === 'confirmed') {
+      const { messageId } = await recordBridgeSent(source.contract, network.chainId, receipt);
+      Object.assign(row, { status: 'confirmed', blockNumber: receipt.blockNumber, messageId });
+    } else {
+      Object.assign(row, { status: 'failed', error: 'Transaction reverted' });
+      updateBridge(network.chainId, row.txHash, { status: 'failed', reason: 'Source transaction reverted' });
+      reporter.warning('batch', `Row ${row.row}: transaction ${row.txHash} reverted`, { ...details, txHash: row.txHash });
+    }
+    save();
+  }
+
+  const failed = rows.filter(row => row.status !== 'confirmed').length;
+  reporter.progress('batch', `${rows.length - failed} of ${rows.length} row(s) confirmed${reportPath ? `. Report written to ${reportPath}` : ''}`, {
+    network: network.name,
+    spaced: true
+  });
+  return report;
+}
+
+module.exports = {
+  readBatchFile,
+  getReportPath,
+  writeBatchReport,
+  validateBatch,
+  bridgeBatch
+};
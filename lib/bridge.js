@@ -0,0 +1,867 @@
+/**
+ * Token Bridging
+ * ==============
+ *
+ * Bridges tokens between networks through the MyERC20 contracts recorded in
+ * the frontend deployment config, and waits for them to arrive.
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkConfig, getNetworkByChainId, isRouteAllowed } = require('../network.config');
+const { LOG_QUERY_RANGE, resolveSigner, resolveProvider, getGasOverrides, findBlockByTimestamp } = require('./chains');
+const { readFrontendDeployments } = require('./deployments');
+const { broadcastJournaled, waitForJournaled } = require('./journal');
+const { readLedger, recordBridge, updateBridge, recordDelivery } = require('./ledger');
+const { readPeerConfiguration } = require('./configure');
+const { readPauseState, getRoutePauseReason } = require('./pause');
+const { estimateTransaction } = require('./plan');
+const { getIndexedBridge } = require('./indexerClient');
+const { createReporter } = require('./progress');
+
+// VIA Labs scanner page for a source transaction
+const VIA_SCAN_URL = 'https://scan.vialabs.io/transaction';
+
+// Reported when a delivery could only be matched on the recipient and amount
+const AMBIGUOUS_DELIVERY_REASON = 'Several identical transfers were delivered; this deployment predates message IDs, so the delivery could be another one\'s. Redeploy to match deliveries exactly.';
+
+/**
+ * Get contract instance for a specific network
+ * This function reads deployment information from the frontend config
+ *
+ * @param {string} networkName - Network name from network.config.js
+ * @param {Object} options - Connection options
+ * @param {Object|Function} options.signer - Signer, or (network) => Signer (defaults to the .env wallet)
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @param {boolean} options.readOnly - Connect the contract to the provider instead of a signer
+ * @returns {Promise<Object>} Contract instance and related information ({ contract, chainId, network, decimals })
+ * @throws {Error} If the network or its deployment is unknown, or the connection is on the wrong chain
+ */
+async function getContract(networkName, { signer, provider, readOnly = false } = {}) {
+  const network = getNetworkConfig(networkName);
+  if (!network) {
+    throw new Error(`Network ${networkName} not found`);
+  }
+
+  const runner = readOnly
+    ? resolveProvider(network, { provider, signer })
+    : resolveSigner(network, { signer, provider });
+  const connectedProvider = readOnly ? runner : runner.provider;
+
+  const chainId = Number((await connectedProvider.getNetwork()).chainId);
+  if (chainId !== network.chainId) {
+    throw new Error(`Connection for ${network.name} is on chain ${chainId}, expected ${network.chainId}`);
+  }
+
+  const deployments = readFrontendDeployments();
+  if (!deployments[chainId]) {
+    throw new Error(`No deployment found for chain ID ${chainId}. Please deploy the contract first.`);
+  }
+
+  const deploymentInfo = deployments[chainId];
+
+  // Create contract instance
+  const contract = new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, runner);
+  return {
+    contract,
+    chainId: deploymentInfo.chainId,
+    network: network,
+    // Token amounts are parsed and formatted with the deployed token's own decimals
+    decimals: Number(await contract.decimals())
+  };
+}
+
+/**
+ * Parse a token amount given in whole tokens
+ *
+ * @param {string} amount - Amount of tokens (e.g., "10.5")
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Amount in the token's smallest unit
+ * @throws {Error} If the amount isn't a number or has more fraction digits than the token allows
+ */
+function parseTokenAmount(amount, decimals) {
+  try {
+    return ethers.parseUnits(String(amount).trim(), decimals);
+  } catch (error) {
+    throw new Error(`Invalid amount: ${amount} (the token has ${decimals} decimals)`);
+  }
+}
+
+/**
+ * Find the TokensReceived log of a bridge transfer in a range of destination blocks
+ * The log is matched on the source chain and the message ID (the txId the message
+ * layer assigned on the source chain), so identical transfers sent at the same time
+ * can't be mistaken for each other. Deployments from before the events carried the
+ * message ID are matched on the source chain, recipient and amount instead, skipping
+ * the logs in `claimed`; such a match is reported as ambiguous when more than one
+ * unclaimed log fits.
+ *
+ * @param {Object} destContract - Destination contract instance
+ * @param {number} sourceChainId - Source chain ID
+ * @param {string} recipientAddress - Recipient address
+ * @param {bigint} amountWei - Amount of tokens bridged, in the token's smallest unit
+ * @param {number} fromBlock - First destination block to search
+ * @param {number} toBlock - Last destination block to search
+ * @param {Object} [match] - How to tell the transfer apart
+ * @param {bigint|string} [match.messageId] - Message ID from the TokensBridged event (null for older deployments)
+ * @param {Set<string>} [match.claimed] - Destination transaction hashes already matched to other transfers
+ * @returns {Promise<Object|null>} Matching log (with `ambiguous` set when it was a guess among several), or null if there is none yet
+ */
+async function findTokensReceivedLog(destContract, sourceChainId, recipientAddress, amountWei, fromBlock, toBlock, { messageId = null, claimed = new Set() } = {}) {
+  if (messageId !== null && messageId !== undefined && hasMessageIds(destContract)) {
+    const filter = destContract.filters.TokensReceived(sourceChainId, null, null, messageId);
+    const logs = await destContract.queryFilter(filter, fromBlock, toBlock);
+    return logs.find(log => log.args.recipient.toLowerCase() === recipientAddress.toLowerCase() && log.args.amount === amountWei) || null;
+  }
+
+  const filter = destContract.filters.TokensReceived(sourceChainId, recipientAddress);
+  const logs = (await destContract.queryFilter(filter, fromBlock, toBlock))
+    .filter(log => log.args.amount === amountWei && !claimed.has(log.transactionHash.toLowerCase()));
+  if (logs.length === 0) {
+    return null;
+  }
+  logs[0].ambiguous = logs.length > 1;
+  return logs[0];
+}
+
+/**
+ * Whether a deployment's TokensReceived event carries the message ID
+ * @param {Object} contract - MyERC20 contract instance
+ * @returns {boolean} True if deliveries can be matched on the message ID
+ */
+function hasMessageIds(contract) {
+  return contract.interface.getEvent('TokensReceived').inputs.some(input => input.name === 'txId');
+}
+
+/**
+ * Read the message ID of a bridge transfer from its source receipt
+ *
+ * @param {Object} contract - Source contract instance
+ * @param {Object} receipt - Receipt of the bridge transaction
+ * @returns {Promise<string|null>} Message ID, or null if the deployment's TokensBridged event doesn't carry one
+ */
+async function readMessageId(contract, receipt) {
+  const address = (await contract.getAddress()).toLowerCase();
+  const bridged = receipt.logs
+    .filter(log => log.address.toLowerCase() === address)
+    .map(log => contract.interface.parseLog(log))
+    .find(event => event?.name === 'TokensBridged');
+  return bridged?.args.txId === undefined ? null : bridged.args.txId.toString();
+}
+
+/**
+ * Record a confirmed bridge transaction in the ledger: its block, when it was
+ * mined and its message ID
+ *
+ * @param {Object} contract - Source contract instance
+ * @param {number} sourceChainId - Source chain ID
+ * @param {Object} receipt - Receipt of the bridge transaction (after any speed-up)
+ * @returns {Promise<Object>} Fields recorded ({ sourceBlockNumber, sentAt, messageId })
+ */
+async function recordBridgeSent(contract, sourceChainId, receipt) {
+  const sourceBlock = await receipt.getBlock();
+  const sent = {
+    sourceBlockNumber: receipt.blockNumber,
+    sentAt: new Date(sourceBlock.timestamp * 1000).toISOString(),
+    messageId: await readMessageId(contract, receipt)
+  };
+  updateBridge(Number(sourceChainId), receipt.hash, sent);
+  return sent;
+}
+
+/**
+ * Destination transaction hashes the ledger already matched to other transfers
+ * Older deployments can only be matched on the recipient and amount, so a delivery
+ * claimed by one transfer must not be handed to an identical one.
+ *
+ * @param {number} sourceChainId - Source chain ID
+ * @param {string} txHash - Source transaction hash of the transfer being looked up
+ * @returns {Set<string>} Lowercase destination transaction hashes
+ */
+function readClaimedDeliveries(sourceChainId, txHash) {
+  return new Set(readLedger()
+    .filter(entry => entry.destTxHash && !(Number(entry.sourceChainId) === Number(sourceChainId) && entry.txHash.toLowerCase() === txHash.toLowerCase()))
+    .map(entry => entry.destTxHash.toLowerCase()));
+}
+
+/**
+ * Describe the delivery recorded by a TokensReceived log
+ *
+ * @param {Object} log - TokensReceived log
+ * @param {number} [sentAt] - Source block timestamp in seconds
+ * @returns {Promise<Object>} Delivery ({ recipient, amount, destTxHash, destBlockNumber, receivedAt, latencySeconds, ambiguous })
+ */
+async function describeDelivery(log, sentAt) {
+  const block = await log.getBlock();
+  return {
+    recipient: log.args.recipient,
+    amount: log.args.amount,
+    destTxHash: log.transactionHash,
+    destBlockNumber: log.blockNumber,
+    receivedAt: new Date(block.timestamp * 1000).toISOString(),
+    latencySeconds: sentAt ? block.timestamp - sentAt : null,
+    ambiguous: Boolean(log.ambiguous)
+  };
+}
+
+/**
+ * Wait for the bridged tokens to be received on the destination chain
+ * Polls the destination contract for the TokensReceived log with this transfer's
+ * message ID, so other transfers to the same recipient don't affect the result.
+ *
+ * @param {Object} destContract - Destination contract instance
+ * @param {string} sourceChainId - Source chain ID
+ * @param {string} recipientAddress - Recipient address
+ * @param {bigint} amountWei - Amount of tokens bridged, in the token's smallest unit
+ * @param {Object} destNetwork - Destination network information
+ * @param {string} txHash - Source transaction hash
+ * @param {Object} options - Wait options
+ * @param {number} options.fromBlock - Destination block to start searching from (default: the current block)
+ * @param {number} options.sentAt - Source block timestamp in seconds, used to work out the latency
+ * @param {string} options.messageId - Message ID from the TokensBridged event (see findTokensReceivedLog())
+ * @param {number} options.timeout - Timeout in milliseconds (default: 5 minutes)
+ * @param {number} options.pollInterval - Polling interval in milliseconds (default: 10 seconds)
+ * @param {AbortSignal} options.signal - Stops waiting early when aborted
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Object|null>} Delivery ({ recipient, amount, destTxHash, destBlockNumber, receivedAt, latencySeconds, ambiguous }) or null on timeout or abort
+ */
+async function waitForTokensReceived(destContract, sourceChainId, recipientAddress, amountWei, destNetwork, txHash, {
+  fromBlock,
+  sentAt,
+  messageId = null,
+  timeout = 5 * 60 * 1000,
+  pollInterval = 10000,
+  signal,
+  events
+} = {}) {
+  const reporter = createReporter(events);
+  const details = { network: destNetwork.name, chainId: destNetwork.chainId, txHash };
+  reporter.progress('bridge', 'Waiting for tokens to be received on the destination chain...', { ...details, spaced: true });
+  reporter.progress('bridge', `This may take a few minutes. Timeout set to ${timeout / 1000} seconds.`, details);
+
+  const provider = destContract.runner.provider || destContract.runner;
+  const decimals = await destContract.decimals();
+
+  // Blocks before this one have already been searched
+  let nextBlock = fromBlock ?? await provider.getBlockNumber();
+
+  return new Promise((resolve) => {
+    const startTime = Date.now();
+    let intervalId;
+    let timeoutId;
+    let checking = false;
+    let done = false;
+
+    const finish = (result) => {
+      done = true;
+      clearInterval(intervalId);
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+      resolve(result);
+    };
+
+    const onTimeout = () => {
+      reporter.warning('bridge', 'Timeout reached. Tokens may still be received later.', details);
+      reporter.progress('bridge', '   You can check your balance on the destination chain manually.', details);
+      finish(null);
+    };
+
+    const onAbort = () => {
+      reporter.warning('bridge', 'Monitoring cancelled. Tokens may still be received later.', details);
+      reporter.progress('bridge', '   You can check your balance on the destination chain manually.', details);
+      finish(null);
+    };
+
+    // Polling function to look for the delivery in the blocks mined since the last check
+    const checkReceived = async () => {
+      if (checking || done) return;
+      checking = true;
+      try {
+        const latestBlock = await provider.getBlockNumber();
+        if (latestBlock < nextBlock) return;
+
+        const log = await findTokensReceivedLog(destContract, Number(sourceChainId), recipientAddress, amountWei, nextBlock, latestBlock, {
+          messageId,
+          claimed: readClaimedDeliveries(Number(sourceChainId), txHash)
+        });
+        nextBlock = latestBlock + 1;
+        if (!log || done) return;
+
+        const received = await describeDelivery(log, sentAt);
+        const receivedDetails = { ...details, destTxHash: received.destTxHash, blockNumber: received.destBlockNumber };
+
+        reporter.progress('bridge', '✅ Tokens received on destination chain!', { ...receivedDetails, spaced: true });
+        reporter.progress('bridge', `   Recipient: ${recipientAddress}`, receivedDetails);
+        reporter.progress('bridge', `   Amount: ${ethers.formatUnits(received.amount, decimals)} tokens`, receivedDetails);
+        reporter.progress('bridge', `   Destination transaction: ${received.destTxHash} (block ${received.destBlockNumber})`, receivedDetails);
+        if (received.latencySeconds !== null) {
+          reporter.progress('bridge', `   Delivered ${received.latencySeconds} seconds after the source transaction was mined`, receivedDetails);
+        }
+        if (received.ambiguous) {
+          reporter.warning('bridge', `   ${AMBIGUOUS_DELIVERY_REASON}`, receivedDetails);
+        }
+
+        // Provide links to explorers
+        if (destNetwork.blockExplorer) {
+          reporter.progress('bridge', 'View the delivery on the destination chain explorer:', { ...receivedDetails, spaced: true });
+          reporter.progress('bridge', `${destNetwork.blockExplorer}/tx/${received.destTxHash}`, receivedDetails);
+        }
+
+        // Show VIA Labs scanner links
+        reporter.progress('bridge', 'View on VIA Labs scanner:', { ...receivedDetails, spaced: true });
+        reporter.progress('bridge', `Transaction: ${VIA_SCAN_URL}/${txHash}`, receivedDetails);
+
+        finish(received);
+      } catch (error) {
+        reporter.warning('bridge', `Error checking for the delivery: ${error.shortMessage || error.message}`, details);
+      } finally {
+        checking = false;
+        // Check if we've reached the timeout
+        if (!done && Date.now() - startTime > timeout) {
+          onTimeout();
+        }
+      }
+    };
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort);
+
+    // Start polling
+    intervalId = setInterval(checkReceived, pollInterval);
+
+    // Initial check
+    checkReceived();
+
+    // Set timeout
+    timeoutId = setTimeout(onTimeout, timeout);
+  });
+}
+
+/**
+ * Check that a route is wired up in both directions
+ * The source contract must have the destination chain active (its onlyActiveChain
+ * modifier), and the destination contract must exist and accept messages from
+ * the source contract, or the tokens are burned but never minted. Neither end
+ * may have the route paused.
+ *
+ * @param {Object} source - Source contract ({ contract, chainId, network }) from getContract()
+ * @param {Object} dest - Destination contract ({ contract, chainId, network }) from getContract()
+ * @returns {Promise<Array<string>>} Problems found (empty if the route is usable)
+ */
+async function checkBridgeRoute(source, dest) {
+  const problems = [];
+  const sourceAddress = await source.contract.getAddress();
+  const destAddress = await dest.contract.getAddress();
+  const sourceChainId = Number(source.chainId);
+  const destChainId = Number(dest.chainId);
+
+  const outgoing = (await readPeerConfiguration(source.contract, [destChainId])).peers[destChainId];
+  if (outgoing.endpoint === ethers.ZeroAddress) {
+    problems.push(`Chain ${destChainId} (${dest.network.name}) is not active on the ${source.network.name} contract. Run the configure command for ${source.network.name}.`);
+  } else if (outgoing.endpoint.toLowerCase() !== destAddress.toLowerCase()) {
+    problems.push(`The ${source.network.name} contract sends to ${outgoing.endpoint} on ${dest.network.name}, but the deployment there is ${destAddress}. Run the configure command for ${source.network.name}.`);
+  } else if (outgoing.sendingDisabled) {
+    problems.push(`The ${source.network.name} contract only receives from ${dest.network.name}; bridging to it is blocked.`);
+  }
+
+  const destProvider = dest.contract.runner.provider || dest.contract.runner;
+  if (await destProvider.getCode(destAddress) === '0x') {
+    problems.push(`No contract found at ${destAddress} on ${dest.network.name}. The deployment file is stale - redeploy it.`);
+    return problems;
+  }
+
+  const incoming = (await readPeerConfiguration(dest.contract, [sourceChainId])).peers[sourceChainId];
+  if (incoming.endpoint === ethers.ZeroAddress) {
+    problems.push(`The ${dest.network.name} contract is not configured to accept messages from ${source.network.name}. Run the configure command for ${dest.network.name}.`);
+  } else if (incoming.endpoint.toLowerCase() !== sourceAddress.toLowerCase()) {
+    problems.push(`The ${dest.network.name} contract only accepts messages from ${incoming.endpoint} on ${source.network.name}, not ${sourceAddress}. Run the configure command for ${dest.network.name}.`);
+  }
+
+  // Deployments from before the pause switches can't be paused
+  if (source.contract.interface.getFunction('isRoutePaused') && dest.contract.interface.getFunction('isRoutePaused')) {
+    const reason = getRoutePauseReason(
+      { network: source.network, state: await readPauseState(source.contract, [destChainId]) },
+      { network: dest.network, state: await readPauseState(dest.contract, [sourceChainId]) }
+    );
+    if (reason) {
+      problems.push(`${reason} Ask the contract owner to run the unpause command.`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Run every pre-flight check for a bridge transaction
+ *
+ * @param {Object} source - Source contract, connected to the sender, from getContract()
+ * @param {Object} dest - Destination contract from getContract()
+ * @param {string} recipient - Recipient address
+ * @param {bigint} amountWei - Amount to bridge, in the token's smallest unit
+ * @param {Object} overrides - Fee overrides for the transaction
+ * @returns {Promise<Object>} Outcome ({ ok, problems, balance, nativeBalance, estimate })
+ */
+async function runPreflightChecks(source, dest, recipient, amountWei, overrides) {
+  const wallet = source.contract.runner;
+  const sender = await wallet.getAddress();
+  const problems = await checkBridgeRoute(source, dest);
+
+  const balance = await source.contract.balanceOf(sender);
+  if (balance < amountWei) {
+    problems.push(`Insufficient balance. You have ${ethers.formatUnits(balance, source.decimals)} tokens, but trying to bridge ${ethers.formatUnits(amountWei, source.decimals)} tokens.`);
+  }
+
+  const nativeBalance = await wallet.provider.getBalance(sender);
+  let estimate = null;
+
+  // The call can only be simulated once the route and balance are known to be fine
+  if (problems.length === 0) {
+    const args = [dest.chainId, recipient, amountWei];
+    try {
+      await source.contract.bridge.staticCall(...args, overrides);
+
+      estimate = await estimateTransaction(wallet, await source.contract.bridge.populateTransaction(...args, overrides));
+      if (estimate.error) {
+        problems.push(`Could not estimate gas: ${estimate.error}`);
+      } else if (nativeBalance < BigInt(estimate.gas) * BigInt(estimate.gasPrice)) {
+        const symbol = source.network.nativeCurrency?.symbol || 'ETH';
+        problems.push(`Not enough ${symbol} for gas on ${source.network.name}: the transaction needs ~${estimate.cost} ${symbol}, but you have ${ethers.formatEther(nativeBalance)} ${symbol}.`);
+      }
+    } catch (error) {
+      problems.push(`The bridge call would revert: ${error.reason || error.shortMessage || error.message}`);
+    }
+  }
+
+  return { ok: problems.length === 0, problems, balance, nativeBalance, estimate };
+}
+
+/**
+ * Check whether a bridge would go through, without sending anything
+ *
+ * @param {string} sourceNetwork - Source network name
+ * @param {string} destNetwork - Destination network name
+ * @param {string} amount - Amount of tokens to bridge, in whole tokens (e.g., "10.5")
+ * @param {Object} options - Check options
+ * @param {string} options.recipient - Recipient address (defaults to the sender)
+ * @param {Object|Function} options.signer - Source signer, or (network) => Signer (defaults to the .env wallet)
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @returns {Promise<Object>} Outcome ({ ok, problems, balance, nativeBalance, estimate })
+ * @throws {Error} If either network or its deployment is unknown, or the amount is invalid
+ */
+async function preflightBridge(sourceNetwork, destNetwork, amount, { recipient, signer, provider } = {}) {
+  const source = await getContract(sourceNetwork, { signer, provider });
+  const dest = await getContract(destNetwork, { signer, provider, readOnly: true });
+  const overrides = await getGasOverrides(source.network, source.contract.runner.provider);
+  const recipientAddress = recipient || await source.contract.runner.getAddress();
+
+  return runPreflightChecks(source, dest, recipientAddress, parseTokenAmount(amount, source.decimals), overrides);
+}
+
+/**
+ * Bridge tokens from source network to destination network
+ *
+ * @param {string} sourceNetwork - Source network name
+ * @param {string} destNetwork - Destination network name
+ * @param {string} amount - Amount of tokens to bridge, in whole tokens (e.g., "10.5")
+ * @param {Object} options - Bridge options
+ * @param {string} options.recipient - Recipient address (defaults to the sender)
+ * @param {boolean} options.wait - Whether to wait for the tokens to be received on the destination chain
+ * @param {Object|Function} options.signer - Source signer, or (network) => Signer (defaults to the .env wallet)
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider (used for the destination chain)
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @param {number} options.timeout - How long to wait for the tokens, in milliseconds
+ * @param {AbortSignal} options.signal - Stops waiting early when aborted
+ * @param {string|Function} options.onStuck - What to do with the transaction if it stays pending too long (see journal.js)
+ * @returns {Promise<Object>} Bridge outcome ({ txHash, blockNumber, sourceChainId, destChainId, recipient, amount, amountWei, decimals, received })
+ * @throws {Error} If a network is unknown, the route is disabled, the amount is invalid, a pre-flight check fails or the transaction fails or is cancelled
+ */
+async function bridge(sourceNetwork, destNetwork, amount, {
+  recipient,
+  wait = true,
+  signer,
+  provider,
+  events,
+  timeout,
+  signal,
+  onStuck
+} = {}) {
+  const reporter = createReporter(events);
+  reporter.progress('bridge', `Bridging ${amount} tokens from ${sourceNetwork} to ${destNetwork}`, { heading: true });
+
+  // Check the route against the security settings in network.config.js
+  const sourceConfig = getNetworkConfig(sourceNetwork);
+  const destConfig = getNetworkConfig(destNetwork);
+  for (const [networkName, config] of [[sourceNetwork, sourceConfig], [destNetwork, destConfig]]) {
+    if (!config) {
+      throw new Error(`Network ${networkName} not found`);
+    }
+  }
+  if (!sourceConfig.security.bridgeSource) {
+    throw new Error(`Bridging out of ${sourceNetwork} is disabled (security.bridgeSource in network.config.js).`);
+  }
+  if (!isRouteAllowed(sourceConfig, destConfig)) {
+    throw new Error(`Bridging into ${destNetwork} is disabled (security.bridgeDestination in network.config.js).`);
+  }
+
+  // Get source contract
+  const source = await getContract(sourceNetwork, { signer, provider });
+  reporter.progress('bridge', `Source contract address: ${await source.contract.getAddress()}`, { network: sourceNetwork });
+
+  // Get destination contract
+  const dest = await getContract(destNetwork, { signer, provider, readOnly: true });
+  reporter.progress('bridge', `Destination contract address: ${await dest.contract.getAddress()}`, { network: destNetwork });
+
+  // Check balance
+  const sender = await source.contract.runner.getAddress();
+  const balance = await source.contract.balanceOf(sender);
+  reporter.progress('bridge', `Current balance on ${sourceNetwork}: ${ethers.formatUnits(balance, source.decimals)} tokens`, { network: sourceNetwork });
+
+  // Convert amount to the token's smallest unit
+  const amountWei = parseTokenAmount(amount, source.decimals);
+
+  // Use the recipient address or default to the sender's address
+  const recipientAddress = recipient || sender;
+  reporter.progress('bridge', `Recipient address: ${recipientAddress}`);
+
+  // Check everything that would make the transaction fail or the tokens get stuck
+  reporter.progress('bridge', 'Running pre-flight checks...', { network: sourceNetwork });
+  const overrides = await getGasOverrides(source.network, source.contract.runner.provider);
+  const preflight = await runPreflightChecks(source, dest, recipientAddress, amountWei, overrides);
+  if (!preflight.ok) {
+    throw new Error(`Pre-flight checks failed:\n  - ${preflight.problems.join('\n  - ')}`);
+  }
+  const symbol = source.network.nativeCurrency?.symbol || 'ETH';
+  reporter.progress('bridge', `Pre-flight checks passed (estimated gas ${Number(preflight.estimate.gas).toLocaleString()}, ~${preflight.estimate.cost} ${symbol})`, { network: sourceNetwork });
+
+  // Deliveries can only show up on the destination chain after this block
+  const destStartBlock = await dest.contract.runner.getBlockNumber();
+
+  // Bridge tokens, journaled so a stuck transaction can be sped up or cancelled
+  reporter.progress('bridge', `Bridging ${amount} tokens to chain ID ${dest.chainId}...`);
+  const wallet = source.contract.runner;
+  const entry = await broadcastJournaled(
+    wallet,
+    await source.contract.bridge.populateTransaction(dest.chainId, recipientAddress, amountWei, overrides),
+    {
+      network: source.network,
+      intent: 'bridge',
+      meta: { destChainId: Number(dest.chainId), recipient: recipientAddress, amount },
+      events
+    }
+  );
+  let txHash = entry.hash;
+  const details = { network: sourceNetwork, chainId: Number(source.chainId), txHash };
+
+  // Keep a record of the transfer, so it can still be tracked if we stop waiting
+  recordBridge({
+    txHash,
+    sourceNetwork: source.network.name,
+    sourceChainId: Number(source.chainId),
+    destNetwork: dest.network.name,
+    destChainId: Number(dest.chainId),
+    destFromBlock: destStartBlock,
+    sender,
+    recipient: recipientAddress,
+    amount,
+    amountWei: amountWei.toString(),
+    decimals: source.decimals
+  });
+
+  // Generate source chain explorer link
+  if (source.network.blockExplorer) {
+    const sourceExplorerUrl = `${source.network.blockExplorer}/tx/${txHash}`;
+    reporter.progress('bridge', `Source chain explorer: ${sourceExplorerUrl}`, details);
+  }
+
+  // The VIA network won't relay the message before this many confirmations anyway
+  const confirmations = source.network.security.confirmations;
+  reporter.progress('bridge', `Waiting for ${confirmations} confirmation(s)...`, details);
+
+  const { entry: mined, receipt } = await waitForJournaled(wallet, source.network, entry, { confirmations, onStuck, events });
+  if (mined.status === 'cancelled') {
+    updateBridge(Number(source.chainId), txHash, { status: 'failed', reason: `Source transaction cancelled by ${mined.hash}` });
+    throw new Error(`Bridge transaction ${txHash} was cancelled by ${mined.hash}`);
+  }
+
+  // A speed-up replaces the transaction, so the ledger follows the new hash
+  if (mined.hash !== txHash) {
+    updateBridge(Number(source.chainId), txHash, { txHash: mined.hash, replaces: txHash });
+    txHash = mined.hash;
+    details.txHash = txHash;
+  }
+  if (mined.status === 'failed') {
+    updateBridge(Number(source.chainId), txHash, { status: 'failed', reason: 'Source transaction reverted' });
+    throw new Error(`Bridge transaction ${txHash} reverted`);
+  }
+
+  const { sentAt, messageId } = await recordBridgeSent(source.contract, source.chainId, receipt);
+  reporter.progress('bridge', 'Bridge transaction confirmed!', { ...details, blockNumber: receipt.blockNumber });
+
+  reporter.progress('bridge', `Tokens are being bridged from ${sourceNetwork} to ${destNetwork}.`, { ...details, spaced: true });
+  reporter.progress('bridge', 'The cross-chain message will take a few minutes to be processed.', details);
+
+  const result = {
+    sourceNetwork,
+    destNetwork,
+    sourceChainId: Number(source.chainId),
+    destChainId: Number(dest.chainId),
+    txHash,
+    messageId,
+    blockNumber: receipt.blockNumber,
+    recipient: recipientAddress,
+    amount,
+    amountWei,
+    decimals: source.decimals,
+    received: null
+  };
+
+  // Wait for tokens to be received on the destination chain if requested
+  if (wait) {
+    result.received = await waitForTokensReceived(
+      dest.contract,
+      source.chainId,
+      recipientAddress,
+      amountWei,
+      dest.network,
+      txHash,
+      { fromBlock: destStartBlock, sentAt: Date.parse(sentAt) / 1000, messageId, timeout, signal, events }
+    );
+    if (result.received) {
+      recordDelivery(result.sourceChainId, txHash, result.received);
+    }
+  } else {
+    reporter.progress('bridge', `Check your balance on ${destNetwork} after a few minutes.`, details);
+  }
+
+  return result;
+}
+
+/**
+ * Describe a transfer found by the indexer the way getBridgeStatus() does
+ *
+ * @param {Object} sourceConfig - Source network configuration
+ * @param {Object} transfer - Transfer from the indexer (see GET /bridges/:txHash)
+ * @returns {Object} Transfer status
+ */
+function toIndexedBridgeStatus(sourceConfig, transfer) {
+  const destConfig = getNetworkByChainId(transfer.destChainId);
+  const delivered = transfer.status === 'delivered';
+  const required = sourceConfig.security.confirmations;
+
+  const status = {
+    sourceNetwork: sourceConfig.name,
+    sourceChainId: sourceConfig.chainId,
+    txHash: transfer.sourceTxHash,
+    messageId: transfer.messageId,
+    status: delivered ? 'delivered' : 'pending',
+    reason: null,
+    sourceBlockNumber: transfer.sourceBlockNumber,
+    confirmations: transfer.confirmations,
+    sentAt: transfer.sentAt,
+    sender: transfer.sender,
+    destNetwork: destConfig.name,
+    destChainId: transfer.destChainId,
+    recipient: transfer.recipient,
+    amount: BigInt(transfer.amountWei),
+    decimals: transfer.decimals,
+    received: null,
+    links: {
+      source: sourceConfig.blockExplorer ? `${sourceConfig.blockExplorer}/tx/${transfer.sourceTxHash}` : null,
+      destination: null,
+      scanner: `${VIA_SCAN_URL}/${transfer.sourceTxHash}`
+    }
+  };
+
+  if (!delivered) {
+    status.reason = transfer.confirmations < required
+      ? `Waiting for confirmations on ${sourceConfig.name} (${transfer.confirmations}/${required})`
+      : `Waiting for the message to be delivered to ${destConfig.name}`;
+    return status;
+  }
+
+  status.received = {
+    recipient: transfer.recipient,
+    amount: status.amount,
+    destTxHash: transfer.destTxHash,
+    destBlockNumber: transfer.destBlockNumber,
+    receivedAt: transfer.receivedAt,
+    latencySeconds: (Date.parse(transfer.receivedAt) - Date.parse(transfer.sentAt)) / 1000,
+    ambiguous: Boolean(transfer.ambiguous)
+  };
+  if (status.received.ambiguous) {
+    status.reason = AMBIGUOUS_DELIVERY_REASON;
+  }
+  if (destConfig.blockExplorer) {
+    status.links.destination = `${destConfig.blockExplorer}/tx/${transfer.destTxHash}`;
+  }
+  return status;
+}
+
+/**
+ * Look up what happened to a bridge transaction
+ * The source receipt's TokensBridged event gives the destination chain, recipient,
+ * amount and message ID; the destination contract is then searched for the
+ * TokensReceived log with the same message ID, starting at the first block mined
+ * after the source transaction.
+ *
+ * Status is 'delivered' once the tokens arrived, 'pending' while the source
+ * transaction or the message is still on its way, and 'unknown' when the
+ * transaction can't be found or isn't a bridge transfer of this token (see `reason`).
+ * A delivery to a deployment from before the events carried the message ID is
+ * flagged `received.ambiguous` when other identical transfers could have been it.
+ *
+ * With an `indexer` URL, transfers the indexer has seen are answered from it
+ * (see indexerApi.js); the chains are only searched for the others.
+ *
+ * @param {string} sourceNetwork - Source network name
+ * @param {string} txHash - Source transaction hash
+ * @param {Object} options - Lookup options
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @param {number} options.fromBlock - Destination block to search from, if known (skips the search by timestamp)
+ * @param {string} options.indexer - Base URL of a running indexer to ask first
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Object>} Transfer status ({ status, reason, messageId, destNetwork, recipient, amount, decimals, received, links, ... })
+ * @throws {Error} If the source network or its deployment is unknown
+ */
+async function getBridgeStatus(sourceNetwork, txHash, { provider, fromBlock: knownFromBlock, indexer, events } = {}) {
+  if (indexer) {
+    const sourceConfig = getNetworkConfig(sourceNetwork);
+    try {
+      const transfer = await getIndexedBridge(indexer, txHash);
+      const found = transfer?.sourceChainId === sourceConfig?.chainId && transfer.sourceTxHash.toLowerCase() === txHash.toLowerCase();
+      if (found && getNetworkByChainId(transfer.destChainId)) {
+        return toIndexedBridgeStatus(sourceConfig, transfer);
+      }
+    } catch (error) {
+      createReporter(events).warning('indexer', `Could not reach the indexer at ${indexer} (${error.message}). Searching the chains instead.`, { network: sourceNetwork, txHash });
+    }
+  }
+
+  const source = await getContract(sourceNetwork, { provider, readOnly: true });
+  const sourceProvider = source.contract.runner;
+  const sourceAddress = await source.contract.getAddress();
+
+  const result = {
+    sourceNetwork: source.network.name,
+    sourceChainId: source.network.chainId,
+    txHash,
+    messageId: null,
+    status: 'unknown',
+    reason: null,
+    sourceBlockNumber: null,
+    confirmations: 0,
+    sentAt: null,
+    sender: null,
+    destNetwork: null,
+    destChainId: null,
+    recipient: null,
+    amount: null,
+    decimals: source.decimals,
+    received: null,
+    links: {
+      source: source.network.blockExplorer ? `${source.network.blockExplorer}/tx/${txHash}` : null,
+      destination: null,
+      scanner: `${VIA_SCAN_URL}/${txHash}`
+    }
+  };
+
+  const tx = await sourceProvider.getTransaction(txHash);
+  if (!tx) {
+    result.reason = `Transaction not found on ${source.network.name}`;
+    return result;
+  }
+  if (!tx.to || tx.to.toLowerCase() !== sourceAddress.toLowerCase()) {
+    result.reason = `Transaction was not sent to the MyERC20 contract at ${sourceAddress}`;
+    return result;
+  }
+  result.sender = tx.from;
+
+  // Until the receipt exists, the transfer details come from the calldata
+  const receipt = await sourceProvider.getTransactionReceipt(txHash);
+  let transfer;
+  if (receipt) {
+    if (receipt.status !== 1) {
+      result.reason = 'Source transaction reverted';
+      return result;
+    }
+    transfer = receipt.logs
+      .filter(log => log.address.toLowerCase() === sourceAddress.toLowerCase())
+      .map(log => source.contract.interface.parseLog(log))
+      .find(event => event?.name === 'TokensBridged')?.args;
+    result.messageId = transfer?.txId === undefined ? null : transfer.txId.toString();
+  } else {
+    const call = source.contract.interface.parseTransaction(tx);
+    transfer = call?.name === 'bridge' ? { destChainId: call.args[0], recipient: call.args[1], amount: call.args[2] } : null;
+  }
+
+  if (!transfer) {
+    result.reason = 'Transaction did not bridge MyERC20 tokens';
+    return result;
+  }
+
+  result.destChainId = Number(transfer.destChainId);
+  result.recipient = transfer.recipient;
+  result.amount = transfer.amount;
+
+  const destConfig = getNetworkByChainId(result.destChainId);
+  if (!destConfig) {
+    result.reason = `Destination chain ${result.destChainId} is not in network.config.js`;
+    return result;
+  }
+  result.destNetwork = destConfig.name;
+
+  if (!receipt) {
+    result.status = 'pending';
+    result.reason = 'Source transaction not mined yet';
+    return result;
+  }
+
+  result.sourceBlockNumber = receipt.blockNumber;
+  result.confirmations = await receipt.confirmations();
+  const sourceBlock = await receipt.getBlock();
+  result.sentAt = new Date(sourceBlock.timestamp * 1000).toISOString();
+
+  const dest = await getContract(destConfig.name, { provider, readOnly: true });
+  const destProvider = dest.contract.runner;
+
+  // Search from the first destination block mined after the source transaction
+  const latestBlock = await destProvider.getBlockNumber();
+  let fromBlock = knownFromBlock ?? await findBlockByTimestamp(destProvider, sourceBlock.timestamp);
+  const match = { messageId: result.messageId, claimed: readClaimedDeliveries(result.sourceChainId, txHash) };
+  let log = null;
+  while (!log && fromBlock <= latestBlock) {
+    const toBlock = Math.min(fromBlock + LOG_QUERY_RANGE - 1, latestBlock);
+    log = await findTokensReceivedLog(dest.contract, result.sourceChainId, result.recipient, result.amount, fromBlock, toBlock, match);
+    fromBlock = toBlock + 1;
+  }
+
+  if (log) {
+    result.status = 'delivered';
+    result.received = await describeDelivery(log, sourceBlock.timestamp);
+    result.reason = result.received.ambiguous ? AMBIGUOUS_DELIVERY_REASON : null;
+    if (destConfig.blockExplorer) {
+      result.links.destination = `${destConfig.blockExplorer}/tx/${result.received.destTxHash}`;
+    }
+    return result;
+  }
+
+  result.status = 'pending';
+  const required = source.network.security.confirmations;
+  result.reason = result.confirmations < required
+    ? `Waiting for confirmations on ${source.network.name} (${result.confirmations}/${required})`
+    : `Waiting for the message to be delivered to ${destConfig.name}`;
+  return result;
+}
+
+module.exports = {
+  getContract,
+  checkBridgeRoute,
+  preflightBridge,
+  findTokensReceivedLog,
+  waitForTokensReceived,
+  getBridgeStatus,
+  recordBridgeSent,
+  bridge
+};
@@ -0,0 +1,257 @@
+/**
+ * Chain Helpers
+ * =============
+ *
+ * Shared helpers for connecting to a network from network.config.js.
+ * Public networks resolve their VIA message contract through
+ * @vialabs-io/npm-registry; local devnet networks resolve it from the
+ * running devnet (see scripts/devnet.js).
+ */
+
+const { ethers } = require('ethers');
+const { getChainConfig } = require('@vialabs-io/npm-registry');
+const { getNetworkByChainId } = require('../network.config');
+const { DEVNET_PRIVATE_KEY, getDevnetChainConfig } = require('./devnet');
+require('dotenv').config();
+
+// Largest block range searched in a single eth_getLogs call (public RPCs cap it)
+const LOG_QUERY_RANGE = 2000;
+
+/**
+ * Resolve the chain config (message contract, explorer, ...) for a chain ID
+ * Chains of local networks (`local: true` in network.config.js) come from the
+ * running devnet, every other chain from the VIA registry.
+ *
+ * @param {number|bigint} chainId - Chain ID
+ * @returns {Object|null} Chain config or null if the chain is unknown
+ */
+function resolveChainConfig(chainId) {
+  return getNetworkByChainId(chainId)?.local
+    ? getDevnetChainConfig(chainId)
+    : getChainConfig(chainId) || null;
+}
+
+/**
+ * Create a wallet for a network
+ * Local networks fall back to the well-known devnet key so they work without a .env file.
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} provider - Ethers provider connected to the network
+ * @returns {Object} Ethers wallet
+ */
+function createWallet(network, provider) {
+  const privateKey = network.local
+    ? process.env.LOCAL_PRIVATE_KEY || DEVNET_PRIVATE_KEY
+    : process.env.PRIVATE_KEY || '';
+  return new ethers.Wallet(privateKey, provider);
+}
+
+/**
+ * Resolve the provider to use for a network
+ * An injected provider (or a function returning one per network) wins, then the
+ * injected signer's provider, then a JSON-RPC provider for the configured RPC URL.
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} options - Injected connections
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @param {Object|Function} options.signer - Signer, or (network) => Signer
+ * @returns {Object} Ethers provider
+ */
+function resolveProvider(network, { provider, signer } = {}) {
+  const injected = typeof provider === 'function' ? provider(network) : provider;
+  if (injected) {
+    return injected;
+  }
+
+  const injectedSigner = typeof signer === 'function' ? signer(network) : signer;
+  return injectedSigner?.provider || new ethers.JsonRpcProvider(network.rpcUrl);
+}
+
+/**
+ * Resolve the signer to use for a network
+ * Without an injected signer, a wallet is created from the keys in .env (see createWallet()).
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} options - Injected connections
+ * @param {Object|Function} options.signer - Signer, or (network) => Signer
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider (used for the default wallet)
+ * @returns {Object} Ethers signer connected to a provider
+ * @throws {Error} If the signer has no provider
+ */
+function resolveSigner(network, { signer, provider } = {}) {
+  const injected = typeof signer === 'function' ? signer(network) : signer;
+  const resolved = injected || createWallet(network, resolveProvider(network, { provider }));
+
+  if (!resolved.provider) {
+    throw new Error(`Signer for ${network.name} is not connected to a provider`);
+  }
+  return resolved;
+}
+
+/**
+ * Convert a gwei setting from network.config.js to wei
+ * @param {number|null} gwei - Amount in gwei
+ * @returns {bigint|null} Amount in wei, or null if not set
+ */
+function gweiToWei(gwei) {
+  return gwei === null || gwei === undefined ? null : ethers.parseUnits(String(gwei), 'gwei');
+}
+
+/**
+ * Scale a fee by a multiplier such as 1.2, without leaving bigint arithmetic
+ * @param {bigint} fee - Fee in wei
+ * @param {number} multiplier - Factor to apply
+ * @returns {bigint} Scaled fee in wei
+ */
+function scaleFee(fee, multiplier) {
+  return fee * BigInt(Math.round(multiplier * 1000)) / 1000n;
+}
+
+/**
+ * Return the smaller of two bigints
+ * @param {bigint} a - First value
+ * @param {bigint} b - Second value
+ * @returns {bigint} The smaller value
+ */
+function minFee(a, b) {
+  return a < b ? a : b;
+}
+
+/**
+ * Build fee overrides for a transaction from the network's fee settings
+ * (gas in network.config.js), never above its gas price cap (security.maxGasPriceGwei)
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} provider - Ethers provider connected to the network
+ * @returns {Promise<Object>} Transaction overrides ({ maxFeePerGas, maxPriorityFeePerGas } or { gasPrice })
+ * @throws {Error} If the current gas price is above the cap
+ */
+async function getGasOverrides(network, provider) {
+  const gas = network.gas || {};
+  const multiplier = gas.multiplier ?? 1;
+  const cap = network.security?.maxGasPriceGwei;
+  const capWei = gweiToWei(cap);
+  const feeData = await provider.getFeeData();
+  const currentPrice = feeData.gasPrice ?? feeData.maxFeePerGas;
+
+  if (capWei && currentPrice && currentPrice > capWei) {
+    throw new Error(`Gas price on ${network.name} is ${ethers.formatUnits(currentPrice, 'gwei')} gwei, above the ${cap} gwei cap in network.config.js`);
+  }
+
+  // EIP-1559 chains: fixed fees win over the node's suggestion, and the max fee never exceeds the cap
+  if (feeData.maxFeePerGas) {
+    let maxFeePerGas = gweiToWei(gas.maxFeePerGasGwei) ?? scaleFee(feeData.maxFeePerGas, multiplier);
+    let maxPriorityFeePerGas = gweiToWei(gas.maxPriorityFeePerGasGwei) ?? scaleFee(feeData.maxPriorityFeePerGas ?? 0n, multiplier);
+    if (capWei) {
+      maxFeePerGas = minFee(maxFeePerGas, capWei);
+    }
+    maxPriorityFeePerGas = minFee(maxPriorityFeePerGas, maxFeePerGas);
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  let gasPrice = gweiToWei(gas.maxFeePerGasGwei) ?? scaleFee(currentPrice, multiplier);
+  if (capWei) {
+    gasPrice = minFee(gasPrice, capWei);
+  }
+  return { gasPrice };
+}
+
+/**
+ * Work out the fees for a transaction replacing a pending one with the same nonce
+ * Each fee is raised by gas.replacementBumpPercent over the pending transaction
+ * (nodes reject replacements that don't raise them by at least 10%), or to what
+ * the network currently asks for if that is higher.
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} provider - Ethers provider connected to the network
+ * @param {Object} pending - The pending transaction (its fee fields are read)
+ * @returns {Promise<Object>} Transaction overrides ({ maxFeePerGas, maxPriorityFeePerGas } or { gasPrice })
+ * @throws {Error} If the raised fees would be above the network's gas price cap
+ */
+async function getReplacementFees(network, provider, pending) {
+  const bumpPercent = BigInt(network.gas?.replacementBumpPercent ?? 20);
+  const bump = fee => fee * (100n + bumpPercent) / 100n;
+  const maxOf = (a, b) => (a > b ? a : b);
+  const cap = network.security?.maxGasPriceGwei;
+  const capWei = gweiToWei(cap);
+  const feeData = await provider.getFeeData();
+
+  const checkCap = (fee) => {
+    if (capWei && fee > capWei) {
+      throw new Error(`Replacing the transaction needs ${ethers.formatUnits(fee, 'gwei')} gwei, above the ${cap} gwei cap in network.config.js`);
+    }
+  };
+
+  if (pending.maxFeePerGas !== null && pending.maxFeePerGas !== undefined) {
+    const maxFeePerGas = maxOf(bump(pending.maxFeePerGas), feeData.maxFeePerGas ?? 0n);
+    checkCap(maxFeePerGas);
+    const maxPriorityFeePerGas = minFee(maxOf(bump(pending.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas ?? 0n), maxFeePerGas);
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  const gasPrice = maxOf(bump(pending.gasPrice), feeData.gasPrice ?? 0n);
+  checkCap(gasPrice);
+  return { gasPrice };
+}
+
+/**
+ * Find the first block mined at or after a timestamp (binary search over block headers)
+ *
+ * @param {Object} provider - Ethers provider connected to the network
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {Promise<number>} Block number (the latest block if none is that recent)
+ */
+async function findBlockByTimestamp(provider, timestamp) {
+  let low = 0;
+  let high = await provider.getBlockNumber();
+
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const block = await provider.getBlock(middle);
+    if (block.timestamp < timestamp) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Find the block a contract was deployed in (binary search over its code)
+ * Needs a node that serves historical state, which not every public RPC does.
+ *
+ * @param {Object} provider - Ethers provider connected to the network
+ * @param {string} address - Contract address
+ * @returns {Promise<number>} First block with code at the address
+ * @throws {Error} If there is no code at the address, or the node can't look it up at older blocks
+ */
+async function findDeploymentBlock(provider, address) {
+  let low = 0;
+  let high = await provider.getBlockNumber();
+  if (await provider.getCode(address, high) === '0x') {
+    throw new Error(`No contract code at ${address}`);
+  }
+
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (await provider.getCode(address, middle) === '0x') {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+module.exports = {
+  LOG_QUERY_RANGE,
+  resolveChainConfig,
+  createWallet,
+  resolveProvider,
+  resolveSigner,
+  getGasOverrides,
+  getReplacementFees,
+  findBlockByTimestamp,
+  findDeploymentBlock
+};
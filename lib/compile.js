@@ -0,0 +1,260 @@
+/**
+ * Solidity Compilation
+ * ====================
+ *
+ * Compiles contracts in-process through the solc JS API using standard-JSON input.
+ *
+ * - Every imported source is resolved up front (relative imports, then node_modules)
+ *   and embedded in the input, so the input is self-contained and can be submitted
+ *   as-is for source verification.
+ * - Results are cached by a hash of the sources, compiler version and settings:
+ *   unchanged contracts are never recompiled.
+ * - One artifact per contract is written to build/<ContractName>.json with the ABI,
+ *   bytecode, deployed bytecode, metadata and compiler settings. The full
+ *   standard-JSON input is written to build/build-info/<hash>.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+const { createReporter } = require('./progress');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const BUILD_DIR = path.join(ROOT_DIR, 'build');
+const BUILD_INFO_DIR = path.join(BUILD_DIR, 'build-info');
+
+// Same defaults as the solcjs CLI used previously (optimizer off)
+const COMPILER_SETTINGS = {
+  optimizer: { enabled: false, runs: 200 },
+  outputSelection: {
+    '*': {
+      '*': ['abi', 'evm.bytecode.object', 'evm.deployedBytecode.object', 'metadata']
+    }
+  }
+};
+
+// Matches `import "x";`, `import "x" as y;` and `import {a} from "x";`
+const IMPORT_PATTERN = /import\s+(?:[^'";]*?\s+from\s+)?["']([^"']+)["']/g;
+
+/**
+ * Get the compiler version in the form block explorers expect (e.g. v0.8.17+commit.8df45f5f)
+ * @returns {string} Compiler version
+ */
+function getCompilerVersion() {
+  return 'v' + solc.version().replace('.Emscripten.clang', '');
+}
+
+/**
+ * Read a source unit by its import name
+ * Project files are looked up first, then node_modules.
+ *
+ * @param {string} unitName - Source unit name (e.g. 'contracts/MyERC20.sol' or '@openzeppelin/...')
+ * @returns {string} Source code
+ * @throws {Error} If the source can't be found
+ */
+function readSource(unitName) {
+  const candidates = [
+    path.join(ROOT_DIR, unitName),
+    path.join(ROOT_DIR, 'node_modules', unitName)
+  ];
+
+  const found = candidates.find(candidate => fs.existsSync(candidate));
+  if (!found) {
+    throw new Error(`Source not found: ${unitName} (have you run npm install?)`);
+  }
+  return fs.readFileSync(found, 'utf8');
+}
+
+/**
+ * Collect an entry source and everything it imports, recursively
+ *
+ * @param {string} entry - Entry source unit name (relative to the project root)
+ * @returns {Object} Sources keyed by unit name, in standard-JSON form ({ content })
+ */
+function collectSources(entry) {
+  const sources = {};
+  const queue = [entry];
+
+  while (queue.length > 0) {
+    const unitName = queue.shift();
+    if (sources[unitName]) continue;
+
+    const content = readSource(unitName);
+    sources[unitName] = { content };
+
+    for (const match of content.matchAll(IMPORT_PATTERN)) {
+      const importPath = match[1];
+      const resolved = importPath.startsWith('.')
+        ? path.posix.normalize(path.posix.join(path.posix.dirname(unitName), importPath))
+        : importPath;
+      queue.push(resolved);
+    }
+  }
+
+  // Sort so the hash doesn't depend on discovery order
+  return Object.fromEntries(Object.entries(sources).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Hash everything that affects the compiler output
+ *
+ * @param {Object} input - Standard-JSON input
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashInput(input) {
+  return crypto
+    .createHash('sha256')
+    .update(getCompilerVersion())
+    .update(JSON.stringify(input))
+    .digest('hex');
+}
+
+/**
+ * Get the path of a contract's artifact
+ * @param {string} contractName - Contract name
+ * @returns {string} Artifact path
+ */
+function getArtifactPath(contractName) {
+  return path.join(BUILD_DIR, `${contractName}.json`);
+}
+
+/**
+ * Check whether the artifacts for an entry source are up to date
+ *
+ * @param {string} entry - Entry source unit name
+ * @param {string} sourceHash - Hash of the current input
+ * @returns {boolean} True if every contract in the entry has a matching artifact
+ */
+function isCached(entry, sourceHash) {
+  const cacheFile = path.join(BUILD_DIR, 'cache.json');
+  if (!fs.existsSync(cacheFile)) {
+    return false;
+  }
+
+  const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+  const cached = cache[entry];
+  return !!cached &&
+    cached.sourceHash === sourceHash &&
+    cached.contracts.every(name => fs.existsSync(getArtifactPath(name)));
+}
+
+/**
+ * Record the artifacts produced for an entry source in build/cache.json
+ *
+ * @param {string} entry - Entry source unit name
+ * @param {string} sourceHash - Hash of the compiled input
+ * @param {string[]} contracts - Contract names written for the entry
+ */
+function updateCache(entry, sourceHash, contracts) {
+  const cacheFile = path.join(BUILD_DIR, 'cache.json');
+  const cache = fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, 'utf8')) : {};
+  cache[entry] = { sourceHash, contracts, compiledAt: new Date().toISOString() };
+  fs.writeFileSync(cacheFile, JSON.stringify(cache, null, 2));
+}
+
+/**
+ * Compile a single entry source, unless its cached artifacts are still valid
+ *
+ * @param {string} entry - Entry source unit name (e.g. 'contracts/MyERC20.sol')
+ * @param {Object} options - Compilation options
+ * @param {boolean} options.force - Recompile even if the cache is valid
+ * @param {Function} options.log - Progress logger
+ * @returns {string[]} Names of the contracts defined in the entry source
+ */
+function compileEntry(entry, { force, log }) {
+  const input = {
+    language: 'Solidity',
+    sources: collectSources(entry),
+    settings: COMPILER_SETTINGS
+  };
+  const sourceHash = hashInput(input);
+
+  if (!force && isCached(entry, sourceHash)) {
+    log(`${entry} is unchanged - using cached artifacts`);
+    return JSON.parse(fs.readFileSync(path.join(BUILD_DIR, 'cache.json'), 'utf8'))[entry].contracts;
+  }
+
+  log(`Compiling ${entry} with solc ${getCompilerVersion()}...`);
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+
+  const problems = output.errors || [];
+  const errors = problems.filter(problem => problem.severity === 'error');
+  for (const warning of problems.filter(problem => problem.severity !== 'error')) {
+    log(warning.formattedMessage);
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+  }
+
+  fs.mkdirSync(BUILD_INFO_DIR, { recursive: true });
+  const buildInfoFile = path.join(BUILD_INFO_DIR, `${sourceHash}.json`);
+  fs.writeFileSync(buildInfoFile, JSON.stringify({
+    compilerVersion: getCompilerVersion(),
+    input,
+    sourceHash
+  }, null, 2));
+
+  // Only the contracts declared in the entry file get an artifact
+  const contracts = output.contracts[entry] || {};
+  for (const [contractName, contract] of Object.entries(contracts)) {
+    const artifact = {
+      contractName,
+      sourceName: entry,
+      abi: contract.abi,
+      bytecode: '0x' + contract.evm.bytecode.object,
+      deployedBytecode: '0x' + contract.evm.deployedBytecode.object,
+      metadata: contract.metadata,
+      compiler: {
+        version: getCompilerVersion(),
+        settings: COMPILER_SETTINGS
+      },
+      sourceHash,
+      buildInfo: path.relative(BUILD_DIR, buildInfoFile)
+    };
+    fs.writeFileSync(getArtifactPath(contractName), JSON.stringify(artifact, null, 2));
+  }
+
+  updateCache(entry, sourceHash, Object.keys(contracts));
+  log(`Wrote artifacts for ${Object.keys(contracts).join(', ')}`);
+  return Object.keys(contracts);
+}
+
+/**
+ * Compile one or more contract sources
+ *
+ * @param {string[]} entries - Entry source unit names, relative to the project root
+ * @param {Object} options - Compilation options
+ * @param {boolean} options.force - Recompile even if the cache is valid
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {string[]} Names of all contracts with an up-to-date artifact
+ * @throws {Error} If compilation fails
+ */
+function compileContracts(entries, { force = false, events } = {}) {
+  const reporter = createReporter(events);
+  const log = (message) => reporter.progress('compile', message);
+  fs.mkdirSync(BUILD_DIR, { recursive: true });
+
+  return entries.flatMap(entry => compileEntry(entry, { force, log }));
+}
+
+/**
+ * Load a compiled contract artifact
+ *
+ * @param {string} contractName - Contract name (e.g. 'MyERC20')
+ * @returns {Object|null} Artifact or null if the contract hasn't been compiled
+ */
+function loadArtifact(contractName) {
+  const artifactPath = getArtifactPath(contractName);
+  if (!fs.existsSync(artifactPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+}
+
+module.exports = {
+  COMPILER_SETTINGS,
+  getCompilerVersion,
+  compileContracts,
+  loadArtifact
+};
@@ -0,0 +1,341 @@
+/**
+ * Cross-Chain Configuration
+ * =========================
+ *
+ * Points each MyERC20 deployment at the VIA message contract and at its peers
+ * on the other chains (configureClient). The current configuration is read
+ * first, so only peers that actually changed are sent. Peers of routes that are
+ * no longer allowed are unset, and bridging back over a one-way route is
+ * blocked with setSendingDisabled.
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkByChainId, isRouteAllowed } = require('../network.config');
+const { resolveChainConfig, getGasOverrides } = require('./chains');
+const { sendJournaled, resumeJournal } = require('./journal');
+const { createReporter } = require('./progress');
+
+/**
+ * Build the desired peer configuration for one deployment
+ *
+ * Another deployment becomes a peer when tokens may be bridged to it or received
+ * from it (bridgeSource / bridgeDestination in network.config.js). Receiving needs
+ * the peer too, because MessageClient only accepts messages from configured peers,
+ * so a peer only received from is marked `sendingDisabled`. A deployment that is
+ * neither gets the zero address, which unsets a peer configured earlier.
+ * Confirmations come from the current network's security settings, since they
+ * apply to messages sent from this chain.
+ *
+ * @param {Object} current - Deployment being configured ({ chainId, address })
+ * @param {Array<Object>} deployments - All deployments ({ chainId, address })
+ * @returns {Array<Object>} Desired peers ({ chainId, address, confirmations, sendingDisabled })
+ */
+function getDesiredPeers(current, deployments) {
+  const currentNetwork = getNetworkByChainId(current.chainId);
+
+  return deployments
+    .filter(other => other !== current && Number(other.chainId) !== Number(current.chainId))
+    .map((other) => {
+      const otherNetwork = getNetworkByChainId(other.chainId);
+      const known = Boolean(currentNetwork && otherNetwork);
+      const sending = !known || isRouteAllowed(currentNetwork, otherNetwork);
+      const receiving = !known || isRouteAllowed(otherNetwork, currentNetwork);
+
+      if (!sending && !receiving) {
+        return { chainId: Number(other.chainId), address: ethers.ZeroAddress, confirmations: 0, sendingDisabled: false };
+      }
+      return {
+        chainId: Number(other.chainId),
+        address: other.address,
+        confirmations: currentNetwork ? currentNetwork.security.confirmations : 1,
+        sendingDisabled: !sending
+      };
+    });
+}
+
+/**
+ * Read the cross-chain configuration currently stored in a contract
+ *
+ * @param {Object} contract - MyERC20 contract instance
+ * @param {number[]} chainIds - Peer chain IDs to read
+ * @returns {Promise<Object>} Message contract and peers keyed by chain ID ({ endpoint, confirmations, sendingDisabled }),
+ *   where sendingDisabled is null for deployments from before one-way routes could be enforced
+ */
+async function readPeerConfiguration(contract, chainIds) {
+  const messageContract = await contract.MESSAGEv3();
+  const oneWaySupported = Boolean(contract.interface.getFunction('sendingDisabled'));
+  const peers = {};
+
+  for (const chainId of chainIds) {
+    const chainData = await contract.CHAINS(chainId);
+    peers[chainId] = {
+      endpoint: chainData.endpoint ?? chainData[0],
+      confirmations: Number(chainData.confirmations ?? chainData[1]),
+      sendingDisabled: oneWaySupported ? await contract.sendingDisabled(chainId) : null
+    };
+  }
+
+  return { messageContract, peers };
+}
+
+/**
+ * Compare the on-chain configuration against the desired one
+ * Peers of routes that are no longer allowed are listed with `unset` so they are
+ * cleared; whether bridging to a peer is blocked is compared for the peers that stay.
+ *
+ * @param {Object} onChain - Result of readPeerConfiguration()
+ * @param {string} messageContract - Desired message contract address
+ * @param {Array<Object>} desiredPeers - Result of getDesiredPeers()
+ * @returns {Object} Peers that need updating ({ changes }), receive-only flags that need switching
+ *   ({ sendingChanges }), whether the message contract changed, and any drift found
+ */
+function diffPeerConfiguration(onChain, messageContract, desiredPeers) {
+  const changes = [];
+  const sendingChanges = [];
+  const drift = [];
+  const messageChanged = onChain.messageContract.toLowerCase() !== messageContract.toLowerCase();
+
+  if (messageChanged && onChain.messageContract !== ethers.ZeroAddress) {
+    drift.push(`Message contract on-chain is ${onChain.messageContract}, expected ${messageContract}`);
+  }
+
+  for (const peer of desiredPeers) {
+    const current = onChain.peers[peer.chainId];
+    const previous = { previousAddress: current.endpoint, previousConfirmations: current.confirmations };
+
+    if (peer.address === ethers.ZeroAddress) {
+      if (current.endpoint !== ethers.ZeroAddress) {
+        changes.push({ ...peer, ...previous, unset: true });
+      }
+      continue;
+    }
+
+    const endpointMatches = current.endpoint.toLowerCase() === peer.address.toLowerCase();
+    if (current.endpoint !== ethers.ZeroAddress && !endpointMatches) {
+      drift.push(`Peer for chain ${peer.chainId} on-chain is ${current.endpoint}, but the deployment file says ${peer.address}`);
+    }
+    if (!endpointMatches || current.confirmations !== peer.confirmations) {
+      changes.push({ ...peer, ...previous });
+    }
+
+    if (current.sendingDisabled === null) {
+      if (peer.sendingDisabled) {
+        drift.push(`Chain ${peer.chainId} may only send to this chain, but this deployment predates one-way routes and can still bridge to it. Redeploy it to block that direction.`);
+      }
+    } else if (current.sendingDisabled !== peer.sendingDisabled) {
+      sendingChanges.push({ chainId: peer.chainId, sendingDisabled: peer.sendingDisabled });
+    }
+  }
+
+  return { changes, sendingChanges, messageChanged, drift };
+}
+
+/**
+ * Describe a peer update for the progress log and the deployment plan
+ * @param {Object} change - Entry of diffPeerConfiguration().changes
+ * @returns {string} Description
+ */
+function describePeerChange(change) {
+  const target = change.unset
+    ? 'unset (the route is no longer allowed by network.config.js)'
+    : `${change.address} (${change.confirmations} conf)`;
+  return `Chain ${change.chainId}: ${change.previousAddress} (${change.previousConfirmations} conf) → ${target}`;
+}
+
+/**
+ * Describe a receive-only switch for the progress log and the deployment plan
+ * @param {Object} change - Entry of diffPeerConfiguration().sendingChanges
+ * @returns {string} Description
+ */
+function describeSendingChange(change) {
+  return change.sendingDisabled
+    ? `Chain ${change.chainId}: block bridging to it (the route only runs the other way)`
+    : `Chain ${change.chainId}: allow bridging to it again`;
+}
+
+/**
+ * Send one configuration transaction, journaled when the network is known
+ *
+ * @param {Object} contract - MyERC20 contract connected to the owner signer
+ * @param {string} method - Contract method ('configureClient' or 'setSendingDisabled')
+ * @param {Array} args - Method arguments
+ * @param {Object} meta - Journal meta describing the call
+ * @param {Object} options - Send options ({ network, wallet, overrides, onStuck, events, reporter, details })
+ * @returns {Promise<string>} Transaction hash
+ */
+async function sendConfiguration(contract, method, args, meta, { network, wallet, overrides, onStuck, events, reporter, details }) {
+  if (network) {
+    const txRequest = await contract[method].populateTransaction(...args, overrides);
+    const { entry } = await sendJournaled(wallet, txRequest, {
+      network,
+      intent: 'configure',
+      meta,
+      onStuck,
+      events
+    });
+    return entry.hash;
+  }
+
+  const tx = await contract[method](...args, overrides);
+  reporter.progress('configure', `Configuration transaction hash: ${tx.hash}`, { ...details, txHash: tx.hash });
+  reporter.progress('configure', 'Waiting for confirmation...', details);
+  await tx.wait();
+  return tx.hash;
+}
+
+/**
+ * Configure cross-chain messaging between all deployed contracts
+ * This is a critical step that enables tokens to be bridged between networks
+ *
+ * The current configuration is read from each contract first, and configureClient
+ * is only sent for peers whose address or confirmations actually changed, or that
+ * must be unset because their route is no longer allowed. setSendingDisabled
+ * follows for one-way routes whose direction changed. Peers that point somewhere
+ * other than the deployment files are reported as drift. Transactions are sent by
+ * the signer each deployment's contract is connected to.
+ *
+ * @param {Array<Object>} deployments - Deployment objects ({ chainId, address, contract })
+ * @param {Object} [options] - Configuration options
+ * @param {Array<number>} [options.only] - Chain IDs to configure; the other deployments are only used as peers
+ * @param {string|Function} [options.onStuck] - What to do with a transaction pending too long (see journal.js)
+ * @param {EventEmitter} [options.events] - Progress event emitter (see progress.js)
+ * @returns {Promise<Array<Object>>} Outcome for each configured deployment ({ chainId, status, changes, sendingChanges, drift, txHash, sendingTxHash })
+ */
+async function configureContracts(deployments, { only = null, onStuck, events } = {}) {
+  const reporter = createReporter(events);
+  reporter.progress('configure', 'Configuring Cross-Chain Messaging', { heading: true });
+
+  if (deployments.length < 2) {
+    reporter.warning('configure', 'Need at least 2 deployments to configure cross-chain messaging');
+    return [];
+  }
+
+  const results = [];
+  const targets = only
+    ? deployments.filter(deployment => only.includes(Number(deployment.chainId)))
+    : deployments;
+
+  // For each deployment, configure it to work with all other deployments
+  for (const currentDeployment of targets) {
+    const result = { chainId: currentDeployment.chainId, status: 'failed', changes: [], sendingChanges: [], drift: [] };
+    const details = { chainId: Number(currentDeployment.chainId) };
+    results.push(result);
+
+    reporter.progress('configure', `Checking contract on chain ${currentDeployment.chainId}...`, { ...details, spaced: true });
+
+    // Get chain config
+    const chainConfig = resolveChainConfig(currentDeployment.chainId);
+    if (!chainConfig || !chainConfig.message) {
+      result.error = `Message contract address not found for chainId: ${currentDeployment.chainId}`;
+      reporter.warning('configure', result.error, details);
+      continue;
+    }
+
+    reporter.progress('configure', `Using message contract: ${chainConfig.message}`, details);
+
+    const desiredPeers = getDesiredPeers(currentDeployment, deployments);
+    const network = getNetworkByChainId(currentDeployment.chainId);
+    const wallet = currentDeployment.contract.runner;
+
+    // Wait for anything a previous, interrupted run already sent before reading state
+    if (network) {
+      try {
+        await resumeJournal(network, wallet, 'configure', { onStuck, events });
+      } catch (error) {
+        reporter.warning('configure', `Could not resume earlier configuration transactions: ${error.shortMessage || error.message}`, details);
+      }
+    }
+
+    // Work out what actually needs to change
+    let peersToSend = desiredPeers;
+    let sendingToSend = desiredPeers
+      .filter(peer => peer.address !== ethers.ZeroAddress)
+      .map(peer => ({ chainId: peer.chainId, sendingDisabled: peer.sendingDisabled }));
+    let messageChanged = true;
+    try {
+      const onChain = await readPeerConfiguration(
+        currentDeployment.contract,
+        desiredPeers.map(peer => peer.chainId)
+      );
+      const diff = diffPeerConfiguration(onChain, chainConfig.message, desiredPeers);
+
+      result.drift = diff.drift;
+      for (const message of diff.drift) {
+        reporter.warning('configure', `Drift: ${message}`, details);
+      }
+
+      if (diff.changes.length === 0 && diff.sendingChanges.length === 0 && !diff.messageChanged) {
+        reporter.progress('configure', 'Already up to date - no transaction needed.', details);
+        result.status = 'up-to-date';
+        continue;
+      }
+
+      peersToSend = diff.changes;
+      sendingToSend = diff.sendingChanges;
+      messageChanged = diff.messageChanged;
+      for (const change of diff.changes) {
+        reporter.progress('configure', describePeerChange(change), details);
+      }
+      for (const change of diff.sendingChanges) {
+        reporter.progress('configure', describeSendingChange(change), details);
+      }
+    } catch (error) {
+      reporter.warning('configure', `Could not read current configuration (${error.shortMessage || error.message}). Configuring all peers.`, details);
+    }
+
+    // Deployments from before one-way routes can't block a direction (reported as drift)
+    if (!currentDeployment.contract.interface.getFunction('setSendingDisabled')) {
+      sendingToSend = [];
+    }
+    result.changes = peersToSend;
+    result.sendingChanges = sendingToSend;
+
+    try {
+      const overrides = network ? await getGasOverrides(network, wallet.provider) : {};
+      const send = { network, wallet, overrides, onStuck, events, reporter, details };
+
+      if (peersToSend.length > 0 || messageChanged) {
+        reporter.progress('configure', `Configuring ${peersToSend.length} chain(s): ${peersToSend.map(peer => peer.chainId).join(', ') || 'message contract only'}`, details);
+        const args = [
+          chainConfig.message,
+          peersToSend.map(peer => peer.chainId),
+          peersToSend.map(peer => peer.address),
+          peersToSend.map(peer => peer.confirmations)
+        ];
+        result.txHash = await sendConfiguration(currentDeployment.contract, 'configureClient', args,
+          { chainIds: args[1], peers: args[2], confirmations: args[3] }, send);
+      }
+
+      if (sendingToSend.length > 0) {
+        reporter.progress('configure', `Switching receive-only routes for ${sendingToSend.length} chain(s): ${sendingToSend.map(change => change.chainId).join(', ')}`, details);
+        const args = [sendingToSend.map(change => change.chainId), sendingToSend.map(change => change.sendingDisabled)];
+        result.sendingTxHash = await sendConfiguration(currentDeployment.contract, 'setSendingDisabled', args,
+          { chainIds: args[0], sendingDisabled: args[1] }, send);
+      }
+
+      reporter.progress('configure', 'Configuration completed successfully!', { ...details, txHash: result.sendingTxHash ?? result.txHash });
+      result.status = 'configured';
+    } catch (error) {
+      result.error = error.shortMessage || error.message;
+      reporter.warning('configure', `Error configuring contract on chain ${currentDeployment.chainId}: ${result.error}`, details);
+    }
+  }
+
+  // Summary
+  reporter.progress('configure', 'Configuration summary:', { spaced: true });
+  for (const result of results) {
+    const driftNote = result.drift.length > 0 ? ` (${result.drift.length} drift warning(s))` : '';
+    reporter.progress('configure', `  Chain ${result.chainId}: ${result.status}${driftNote}`, { chainId: Number(result.chainId), status: result.status });
+  }
+
+  return results;
+}
+
+module.exports = {
+  getDesiredPeers,
+  readPeerConfiguration,
+  diffPeerConfiguration,
+  describePeerChange,
+  describeSendingChange,
+  configureContracts
+};
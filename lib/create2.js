@@ -0,0 +1,85 @@
+/**
+ * CREATE2 Deployment Helpers
+ * ==========================
+ *
+ * Deterministic deployments go through the widely used CREATE2 deployment proxy
+ * (https://github.com/Arachnid/deterministic-deployment-proxy). It lives at the
+ * same address on nearly every EVM chain, so the same salt and init code give the
+ * same contract address everywhere.
+ *
+ * Calling the proxy with `salt ++ initCode` deploys the contract with CREATE2.
+ */
+
+const { ethers } = require('ethers');
+
+const CREATE2_FACTORY_ADDRESS = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+
+// Runtime code of the proxy, installed directly on local devnet chains
+const CREATE2_FACTORY_RUNTIME_CODE = '0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3';
+
+/**
+ * Turn a configured salt into the 32-byte value passed to CREATE2
+ * A 32-byte hex string is used as-is; anything else is hashed.
+ *
+ * @param {string} salt - Salt from deploy.config.js or --salt
+ * @returns {string} 32-byte hex salt
+ */
+function normalizeSalt(salt) {
+  if (ethers.isHexString(salt, 32)) {
+    return salt;
+  }
+  return ethers.id(String(salt));
+}
+
+/**
+ * Predict the address a deterministic deployment will end up at
+ *
+ * @param {string} initCode - Contract bytecode with encoded constructor arguments
+ * @param {string} salt - Salt from deploy.config.js or --salt
+ * @returns {string} Predicted contract address
+ */
+function predictDeterministicAddress(initCode, salt) {
+  return ethers.getCreate2Address(CREATE2_FACTORY_ADDRESS, normalizeSalt(salt), ethers.keccak256(initCode));
+}
+
+/**
+ * Check the factory and target address on a chain before deploying
+ *
+ * @param {Object} provider - Ethers provider connected to the chain
+ * @param {string} predictedAddress - Result of predictDeterministicAddress()
+ * @returns {Promise<Object>} Whether the factory exists and whether the address is already occupied
+ */
+async function inspectDeterministicTarget(provider, predictedAddress) {
+  const [factoryCode, targetCode] = await Promise.all([
+    provider.getCode(CREATE2_FACTORY_ADDRESS),
+    provider.getCode(predictedAddress)
+  ]);
+
+  return {
+    factoryDeployed: factoryCode !== '0x',
+    occupied: targetCode !== '0x'
+  };
+}
+
+/**
+ * Build the transaction that deploys a contract through the CREATE2 factory
+ *
+ * @param {string} initCode - Contract bytecode with encoded constructor arguments
+ * @param {string} salt - Salt from deploy.config.js or --salt
+ * @returns {Object} Transaction request
+ */
+function buildDeterministicDeployTransaction(initCode, salt) {
+  return {
+    to: CREATE2_FACTORY_ADDRESS,
+    data: ethers.concat([normalizeSalt(salt), initCode])
+  };
+}
+
+module.exports = {
+  CREATE2_FACTORY_ADDRESS,
+  CREATE2_FACTORY_RUNTIME_CODE,
+  normalizeSalt,
+  predictDeterministicAddress,
+  inspectDeterministicTarget,
+  buildDeterministicDeployTransaction
+};
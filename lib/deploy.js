@@ -0,0 +1,373 @@
+/**
+ * Token Deployment
+ * ================
+ *
+ * Deploys MyERC20 to a network, unless a deployment already exists, and wires
+ * all deployments together for cross-chain messaging.
+ *
+ * Every transaction is journaled before it is broadcast (see journal.js), so a
+ * run that crashes part-way resumes where it left off instead of deploying twice.
+ */
+
+const { ethers } = require('ethers');
+const path = require('path');
+const { getNetworkConfig } = require('../network.config');
+const { getDeployConfig } = require('../deploy.config');
+const { resolveChainConfig, resolveSigner, getGasOverrides } = require('./chains');
+const { compileContracts, loadArtifact } = require('./compile');
+const { sendJournaled, resumeJournal, settleEntry } = require('./journal');
+const { checkExistingDeployment, saveDeployment } = require('./deployments');
+const { configureContracts } = require('./configure');
+const { createReporter } = require('./progress');
+const {
+  CREATE2_FACTORY_ADDRESS,
+  predictDeterministicAddress,
+  inspectDeterministicTarget,
+  buildDeterministicDeployTransaction
+} = require('./create2');
+
+/**
+ * Compile the MyERC20 contract through the solc JS API
+ * Unchanged sources are not recompiled (see compile.js).
+ *
+ * @param {Object} options - Compilation options
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<string[]>} Names of the compiled contracts
+ * @throws {Error} If compilation fails
+ */
+async function compileContract({ events } = {}) {
+  const reporter = createReporter(events);
+  reporter.progress('compile', 'Compiling Contract', { heading: true });
+  const contracts = compileContracts(['contracts/MyERC20.sol'], { events });
+  reporter.progress('compile', 'Compilation successful!');
+  return contracts;
+}
+
+/**
+ * Load the compiled MyERC20 artifact from the build directory
+ * @returns {Object|null} Artifact (abi, bytecode, compiler, ...), or null if the contract hasn't been compiled
+ */
+function loadCompiledContract() {
+  return loadArtifact('MyERC20');
+}
+
+/**
+ * Build the MyERC20 constructor arguments from the token settings in deploy.config.js
+ *
+ * @param {Object} network - Network configuration being deployed to
+ * @param {string} owner - Address that owns the token and receives the genesis mint
+ * @returns {Object} Token parameters to record ({ name, symbol, ... }) and the ordered constructor arguments
+ */
+function getTokenParameters(network, owner) {
+  const { token } = getDeployConfig();
+  const genesisNetworkName = network.local ? token.localGenesisNetwork : token.genesisNetwork;
+  const genesisNetwork = genesisNetworkName ? getNetworkConfig(genesisNetworkName) : null;
+
+  const params = {
+    name: token.name,
+    symbol: token.symbol,
+    decimals: token.decimals,
+    initialSupply: token.initialSupply,
+    genesisNetwork: genesisNetwork ? genesisNetwork.name : null,
+    genesisChainId: genesisNetwork ? genesisNetwork.chainId : 0
+  };
+
+  return {
+    params,
+    args: [
+      params.name,
+      params.symbol,
+      params.decimals,
+      ethers.parseUnits(params.initialSupply, params.decimals),
+      params.genesisChainId,
+      owner
+    ]
+  };
+}
+
+/**
+ * Settings a deployment is recorded with, in the journal and the deployment file
+ *
+ * @param {Object} token - Result of getTokenParameters()
+ * @param {Object|null} deterministic - CREATE2 settings ({ salt }), or null
+ * @returns {Object} Deployment settings ({ token, constructorArgs, deterministic })
+ */
+function getDeploymentSettings(token, deterministic) {
+  return {
+    token: token.params,
+    constructorArgs: token.args.map(arg => arg.toString()),
+    deterministic: deterministic ? { factory: CREATE2_FACTORY_ADDRESS, salt: deterministic.salt } : null
+  };
+}
+
+/**
+ * Whether a journaled deployment was made with the settings of the one about to be made
+ *
+ * @param {Object} meta - Journal entry meta ({ token, constructorArgs, deterministic })
+ * @param {Object} deployment - Deployment about to be made, in the same shape
+ * @returns {boolean} True if the constructor arguments and CREATE2 settings are the same
+ */
+function isSameDeployment(meta, deployment) {
+  return JSON.stringify(meta?.constructorArgs) === JSON.stringify(deployment.constructorArgs)
+    && JSON.stringify(meta?.deterministic ?? null) === JSON.stringify(deployment.deterministic);
+}
+
+/**
+ * Deploy MyERC20 through the CREATE2 factory
+ * If the predicted address already holds code, it can only be MyERC20 deployed
+ * with the same bytecode, owner and salt, so it is adopted instead of redeployed.
+ *
+ * @param {Object} factory - MyERC20 contract factory connected to the deployer signer
+ * @param {Array} constructorArgs - MyERC20 constructor arguments
+ * @param {string} salt - CREATE2 salt
+ * @param {Object} overrides - Transaction overrides
+ * @param {Object} journal - Journal details for sendJournaled() ({ network, meta, onStuck, events })
+ * @returns {Promise<Object>} Deployed contract and transaction hash (null when adopted)
+ * @throws {Error} If the factory is missing or the contract didn't land at the predicted address
+ */
+async function deployDeterministic(factory, constructorArgs, salt, overrides, journal) {
+  const reporter = createReporter(journal.events);
+  const details = { network: journal.network.name, chainId: journal.network.chainId };
+  const wallet = factory.runner;
+  const initCode = (await factory.getDeployTransaction(...constructorArgs)).data;
+  const predictedAddress = predictDeterministicAddress(initCode, salt);
+  reporter.progress('deploy', `Deterministic address: ${predictedAddress} (salt "${salt}")`, { ...details, address: predictedAddress });
+
+  const target = await inspectDeterministicTarget(wallet.provider, predictedAddress);
+  if (!target.factoryDeployed) {
+    throw new Error(`CREATE2 factory ${CREATE2_FACTORY_ADDRESS} is not deployed on ${journal.network.name}.`);
+  }
+
+  if (target.occupied) {
+    reporter.progress('deploy', `Address ${predictedAddress} is already occupied by MyERC20 deployed with this salt - reusing it.`, details);
+    reporter.progress('deploy', 'Use a different salt to deploy a fresh token.', details);
+    return { contract: new ethers.Contract(predictedAddress, factory.interface, wallet), txHash: null };
+  }
+
+  const { entry } = await sendJournaled(
+    wallet,
+    { ...buildDeterministicDeployTransaction(initCode, salt), ...overrides },
+    { ...journal, intent: 'deploy', expectedAddress: predictedAddress }
+  );
+
+  // Verify the contract really landed where we predicted
+  if (await wallet.provider.getCode(predictedAddress) === '0x') {
+    throw new Error(`Deployment transaction succeeded but no contract was found at ${predictedAddress}.`);
+  }
+
+  return { contract: new ethers.Contract(predictedAddress, factory.interface, wallet), txHash: entry.hash };
+}
+
+/**
+ * Deploy the contract to a specific network if it doesn't already exist
+ * This function handles:
+ * 1. Checking for existing deployments
+ * 2. Resuming a deployment a previous run broadcast but never saved
+ * 3. Deploying the contract if needed (optionally through CREATE2)
+ * 4. Saving deployment information for both backend and frontend
+ *
+ * @param {string} networkName - Network name from network.config.js
+ * @param {Object} options - Deployment options
+ * @param {Object|null} options.deterministic - CREATE2 settings ({ salt }), or null for a regular deployment
+ * @param {Object|Function} options.signer - Deployer signer, or (network) => Signer (defaults to the .env wallet)
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider (used for the default wallet)
+ * @param {string|Function} options.onStuck - What to do with a transaction pending too long: 'wait', 'speed-up', 'cancel' or a function choosing one (see journal.js)
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Object>} Deployment ({ network, chainId, address, contract, isExisting, txHash })
+ * @throws {Error} If the deployment fails
+ */
+async function deployToNetwork(networkName, { deterministic = null, signer, provider, onStuck, events } = {}) {
+  const reporter = createReporter(events);
+  const network = getNetworkConfig(networkName);
+  const details = { network: network.name, chainId: network.chainId };
+  reporter.progress('deploy', `Processing ${network.name}`, { ...details, heading: true });
+
+  // Check if deployment already exists
+  const existingDeployment = await checkExistingDeployment(networkName, { signer, provider, events });
+  if (existingDeployment) {
+    reporter.progress('deploy', `Using existing deployment at ${existingDeployment.address}`, {
+      ...details,
+      address: existingDeployment.address
+    });
+    return { ...existingDeployment, txHash: null };
+  }
+
+  reporter.progress('deploy', `No existing deployment found. Deploying to ${network.name}...`, details);
+
+  const wallet = resolveSigner(network, { signer, provider });
+  const deployer = await wallet.getAddress();
+  reporter.progress('deploy', `Using wallet address: ${deployer}`, { ...details, deployer });
+
+  // Get chain ID, and make sure an injected signer is on the right chain
+  const chainId = (await wallet.provider.getNetwork()).chainId;
+  if (Number(chainId) !== network.chainId) {
+    throw new Error(`Signer for ${network.name} is connected to chain ${chainId}, expected ${network.chainId}`);
+  }
+  reporter.progress('deploy', `Chain ID: ${chainId}`, details);
+
+  // Get chain config (VIA registry, or the running devnet for local networks)
+  const chainConfig = resolveChainConfig(chainId);
+  if (!chainConfig) {
+    throw new Error(`Chain configuration not found for chainId: ${chainId}`);
+  }
+
+  reporter.progress('deploy', `Deploying to ${chainConfig.name} (${chainConfig.network})...`, details);
+
+  // Read contract files
+  const compiled = loadCompiledContract();
+  if (!compiled) {
+    throw new Error('ABI or bytecode files not found. Compile the contract first.');
+  }
+
+  const { abi, bytecode } = compiled;
+
+  const token = getTokenParameters(network, deployer);
+  let deployment = getDeploymentSettings(token, deterministic);
+  let contractAddress;
+  let txHash = null;
+
+  // A previous run may have broadcast a deployment and crashed before saving it.
+  // Only a deployment that was never saved, with the current token settings, is recovered.
+  const journaled = await resumeJournal(network, wallet, 'deploy', { onStuck, events });
+  const unsaved = journaled.filter(entry => entry.status === 'confirmed' && !entry.saved && !entry.discarded);
+  for (const entry of unsaved.filter(candidate => !isSameDeployment(candidate.meta, deployment))) {
+    reporter.warning('deploy', `Not recovering deployment ${entry.contractAddress} from the journal (transaction ${entry.hash}): it was deployed with different token settings`, {
+      ...details,
+      txHash: entry.hash
+    });
+    settleEntry(network, entry.hash, 'discarded');
+  }
+  const orphaned = unsaved.filter(entry => isSameDeployment(entry.meta, deployment)).pop();
+
+  if (orphaned) {
+    reporter.progress('deploy', `Recovered deployment from journal (transaction ${orphaned.hash}) - not redeploying`, {
+      ...details,
+      txHash: orphaned.hash
+    });
+    contractAddress = orphaned.contractAddress;
+    deployment = orphaned.meta;
+    txHash = orphaned.hash;
+  } else {
+    reporter.progress('deploy', `Token: ${token.params.name} (${token.params.symbol}), ${token.params.decimals} decimals`, details);
+    if (Number(chainId) === token.params.genesisChainId) {
+      reporter.progress('deploy', `This is the genesis network: ${token.params.initialSupply} ${token.params.symbol} will be minted to the deployer`, details);
+    }
+
+    // Deploy contract
+    reporter.progress('deploy', 'Deploying MyERC20 contract...', details);
+    const factory = new ethers.ContractFactory(abi, bytecode, wallet);
+    const overrides = await getGasOverrides(network, wallet.provider);
+
+    if (deterministic) {
+      const result = await deployDeterministic(factory, token.args, deterministic.salt, overrides, {
+        network,
+        meta: deployment,
+        onStuck,
+        events
+      });
+      contractAddress = await result.contract.getAddress();
+      txHash = result.txHash;
+    } else {
+      const txRequest = { ...(await factory.getDeployTransaction(...token.args)), ...overrides };
+      const { entry, receipt } = await sendJournaled(wallet, txRequest, {
+        network,
+        intent: 'deploy',
+        meta: deployment,
+        onStuck,
+        events
+      });
+      contractAddress = receipt.contractAddress;
+      txHash = entry.hash;
+    }
+  }
+
+  const contract = new ethers.Contract(contractAddress, abi, wallet);
+  reporter.progress('deploy', `Contract deployed to: ${contractAddress}`, { ...details, address: contractAddress, txHash });
+
+  // The deployment block is where event scans start (null when an existing CREATE2 contract was reused)
+  const deployReceipt = txHash ? await wallet.provider.getTransactionReceipt(txHash) : null;
+
+  saveDeployment(network, {
+    address: contractAddress,
+    abi: abi,
+    network: network.name,
+    chainId: Number(chainId),
+    deployedAt: new Date().toISOString(),
+    txHash,
+    blockNumber: deployReceipt?.blockNumber ?? null,
+    token: deployment.token,
+    constructorArgs: deployment.constructorArgs,
+    // Everything needed to verify the source on a block explorer
+    compiler: compiled.compiler,
+    buildInfo: path.join('build', compiled.buildInfo),
+    ...(deployment.deterministic ? { deterministic: deployment.deterministic } : {})
+  }, chainConfig, { events });
+
+  return {
+    network: network.name,
+    address: contractAddress,
+    chainId: Number(chainId),
+    contract: contract,
+    isExisting: false,
+    txHash
+  };
+}
+
+/**
+ * Deploy to a set of networks, then configure cross-chain messaging
+ * Networks in peerNetworkNames are not deployed to, but their existing
+ * deployments are wired up with the new ones. A network that fails to deploy
+ * doesn't stop the others.
+ *
+ * @param {Array<string>} networkNames - Networks to deploy to
+ * @param {Object} options - Deployment options
+ * @param {Object|null} options.deterministic - CREATE2 settings ({ salt }) or null
+ * @param {Array<string>} options.peerNetworkNames - Other networks whose existing deployments should be configured too
+ * @param {Object|Function} options.signer - Signer, or (network) => Signer (defaults to the .env wallet)
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @param {string|Function} options.onStuck - What to do with a transaction pending too long (see deployToNetwork())
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Object>} Deployments, failures ({ network, error }) and configuration results
+ */
+async function deployAndConfigure(networkNames, { deterministic = null, peerNetworkNames = [], signer, provider, onStuck, events } = {}) {
+  const reporter = createReporter(events);
+  const deployments = [];
+  const failed = [];
+
+  for (const networkName of networkNames) {
+    try {
+      deployments.push(await deployToNetwork(networkName, { deterministic, signer, provider, onStuck, events }));
+    } catch (error) {
+      const message = error.shortMessage || error.message;
+      reporter.warning('deploy', `Deployment to ${networkName} failed: ${message}`, { network: networkName });
+      failed.push({ network: networkName, error: message });
+    }
+  }
+
+  for (const networkName of peerNetworkNames.filter(name => !networkNames.includes(name))) {
+    const deployment = await checkExistingDeployment(networkName, { signer, provider, events });
+    if (deployment) {
+      deployments.push(deployment);
+    }
+  }
+
+  let configuration = [];
+  if (deployments.length >= 2) {
+    // Configure cross-chain messaging
+    configuration = await configureContracts(deployments, { onStuck, events });
+  } else {
+    reporter.warning('configure', 'Failed to deploy to at least two networks. Configuration skipped.');
+  }
+
+  return { deployments, failed, configuration };
+}
+
+module.exports = {
+  compileContract,
+  loadCompiledContract,
+  getTokenParameters,
+  getDeploymentSettings,
+  isSameDeployment,
+  deployToNetwork,
+  deployAndConfigure
+};
@@ -0,0 +1,177 @@
+/**
+ * Deployment Records
+ * ==================
+ *
+ * Reads and writes the record of each MyERC20 deployment:
+ *
+ * - deployments/<network>/MyERC20.json - address, ABI, token parameters and compiler
+ *   details, used by the scripts and for source verification
+ * - frontend/src/config/deployments.json - one entry per chain ID, used by the frontend
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { getNetworkConfig } = require('../network.config');
+const { resolveSigner } = require('./chains');
+const { settleEntry } = require('./journal');
+const { createReporter } = require('./progress');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+const FRONTEND_CONFIG_PATH = path.join(__dirname, '../frontend/src/config/deployments.json');
+
+/**
+ * Read the saved deployment file for a network
+ *
+ * @param {string} networkName - Network name
+ * @returns {Object|null} Contents of deployments/<network>/MyERC20.json or null if not found
+ * @throws {Error} If the file exists but can't be parsed
+ */
+function readDeploymentFile(networkName) {
+  const network = getNetworkConfig(networkName);
+  const deploymentFile = path.join(DEPLOYMENTS_DIR, network.name, 'MyERC20.json');
+
+  if (!fs.existsSync(deploymentFile)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(deploymentFile, 'utf8'));
+}
+
+/**
+ * Read the frontend deployment config
+ * @returns {Object} Deployments keyed by chain ID (empty if the file doesn't exist)
+ */
+function readFrontendDeployments() {
+  if (!fs.existsSync(FRONTEND_CONFIG_PATH)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(FRONTEND_CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * Save a new deployment for both the scripts and the frontend
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} deploymentInfo - Contents for deployments/<network>/MyERC20.json
+ * @param {Object|null} chainConfig - Chain config from resolveChainConfig() (for the explorer URL)
+ * @param {Object} options - Save options
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Object} Paths written ({ deploymentFile, frontendConfigPath })
+ */
+function saveDeployment(network, deploymentInfo, chainConfig, { events } = {}) {
+  const reporter = createReporter(events);
+
+  const deploymentDir = path.join(DEPLOYMENTS_DIR, network.name);
+  if (!fs.existsSync(deploymentDir)) {
+    fs.mkdirSync(deploymentDir, { recursive: true });
+  }
+
+  const deploymentFile = path.join(deploymentDir, 'MyERC20.json');
+  fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
+  fs.writeFileSync(path.join(deploymentDir, '.chainId'), deploymentInfo.chainId.toString());
+
+  // Also save to a frontend-accessible location
+  fs.mkdirSync(path.dirname(FRONTEND_CONFIG_PATH), { recursive: true });
+
+  let frontendDeployments = {};
+  try {
+    frontendDeployments = readFrontendDeployments();
+  } catch (error) {
+    reporter.warning('deploy', `Error reading existing frontend deployments: ${error.message}`, { network: network.name });
+  }
+
+  frontendDeployments[deploymentInfo.chainId] = {
+    address: deploymentInfo.address,
+    network: network.name,
+    chainId: deploymentInfo.chainId,
+    deployedAt: deploymentInfo.deployedAt,
+    abi: deploymentInfo.abi, // Include ABI for the frontend and scripts
+    token: deploymentInfo.token, // Token parameters the contract was deployed with
+    rpcUrl: network.rpcUrl, // Include RPC URL for the frontend
+    blockExplorer: chainConfig?.explorer || '' // Get block explorer from chain config
+  };
+
+  fs.writeFileSync(FRONTEND_CONFIG_PATH, JSON.stringify(frontendDeployments, null, 2));
+
+  // The journaled deployment is no longer an orphan to recover
+  if (deploymentInfo.txHash) {
+    settleEntry(network, deploymentInfo.txHash, 'saved');
+  }
+
+  reporter.progress('deploy', `Deployment information saved to ${deploymentFile}`, { network: network.name, path: deploymentFile });
+  reporter.progress('deploy', `Frontend deployment config updated at ${FRONTEND_CONFIG_PATH}`, { network: network.name, path: FRONTEND_CONFIG_PATH });
+
+  return { deploymentFile, frontendConfigPath: FRONTEND_CONFIG_PATH };
+}
+
+/**
+ * Check if a deployment already exists for a network
+ * This prevents redeploying to networks that already have contracts.
+ *
+ * @param {string} networkName - Network name
+ * @param {Object} options - Connection options
+ * @param {Object|Function} options.signer - Signer, or (network) => Signer (defaults to the .env wallet)
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Object|null>} Existing deployment ({ network, chainId, address, contract, isExisting }) or null if not found
+ */
+async function checkExistingDeployment(networkName, { signer, provider, events } = {}) {
+  const reporter = createReporter(events);
+  const network = getNetworkConfig(networkName);
+
+  let deploymentInfo;
+  try {
+    deploymentInfo = readDeploymentFile(networkName);
+  } catch (error) {
+    reporter.warning('deploy', `Error reading existing deployment for ${network.name}: ${error.message}`, { network: network.name });
+    return null;
+  }
+  if (!deploymentInfo) {
+    return null;
+  }
+
+  reporter.progress('deploy', `Existing deployment found for ${network.name}`, {
+    network: network.name,
+    address: deploymentInfo.address
+  });
+
+  const wallet = resolveSigner(network, { signer, provider });
+  return {
+    network: network.name,
+    address: deploymentInfo.address,
+    chainId: deploymentInfo.chainId,
+    contract: new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, wallet),
+    isExisting: true
+  };
+}
+
+/**
+ * Load every saved deployment for a group of networks
+ *
+ * @param {Array<string>} networkNames - Network names to look up
+ * @param {Object} options - Connection options, as for checkExistingDeployment()
+ * @returns {Promise<Array<Object>>} Deployment objects for the networks that have one
+ */
+async function loadDeployments(networkNames, options = {}) {
+  const reporter = createReporter(options.events);
+  const deployments = [];
+
+  for (const networkName of networkNames) {
+    const deployment = await checkExistingDeployment(networkName, options);
+    if (deployment) {
+      deployments.push(deployment);
+    } else {
+      reporter.progress('deploy', `No deployment found for ${networkName} - skipping`, { network: networkName });
+    }
+  }
+
+  return deployments;
+}
+
+module.exports = {
+  readDeploymentFile,
+  readFrontendDeployments,
+  saveDeployment,
+  checkExistingDeployment,
+  loadDeployments
+};
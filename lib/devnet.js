@@ -0,0 +1,78 @@
+/**
+ * Devnet State Helpers
+ * ====================
+ *
+ * scripts/devnet.js writes the addresses of the stand-in VIA message contracts
+ * it deploys to deployments/devnet.json. The library reads that file instead of
+ * the @vialabs-io/npm-registry lookup when targeting a local chain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Anvil/Hardhat account #0 - a publicly known key, only ever funded on local chains
+const DEVNET_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+// Anvil/Hardhat account #1 - used by scripts/relayer.js so deliveries never race the deployer's nonces
+const DEVNET_RELAYER_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const DEVNET_STATE_FILE = path.join(__dirname, '../deployments/devnet.json');
+
+/**
+ * Read the state file written by a running devnet
+ * @returns {Object|null} Devnet state or null if no devnet is running
+ */
+function readDevnetState() {
+  if (!fs.existsSync(DEVNET_STATE_FILE)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(DEVNET_STATE_FILE, 'utf8'));
+  } catch (error) {
+    // A half-written or corrupt state file means the devnet isn't usable
+    return null;
+  }
+}
+
+/**
+ * Write the devnet state file
+ * @param {Object} state - Devnet state ({ startedAt, chains: { [chainId]: {...} } })
+ */
+function writeDevnetState(state) {
+  fs.mkdirSync(path.dirname(DEVNET_STATE_FILE), { recursive: true });
+  fs.writeFileSync(DEVNET_STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Remove the devnet state file (called when the devnet shuts down)
+ */
+function clearDevnetState() {
+  if (fs.existsSync(DEVNET_STATE_FILE)) {
+    fs.unlinkSync(DEVNET_STATE_FILE);
+  }
+}
+
+/**
+ * Get the devnet chain config for a chain ID, in the same shape as
+ * getChainConfig() from @vialabs-io/npm-registry
+ * @param {number|bigint} chainId - Chain ID
+ * @returns {Object|null} Chain config ({ name, network, message, explorer }) or null
+ */
+function getDevnetChainConfig(chainId) {
+  const state = readDevnetState();
+  if (!state || !state.chains) {
+    return null;
+  }
+  return state.chains[Number(chainId)] || null;
+}
+
+module.exports = {
+  DEVNET_PRIVATE_KEY,
+  DEVNET_RELAYER_KEY,
+  DEVNET_STATE_FILE,
+  readDevnetState,
+  writeDevnetState,
+  clearDevnetState,
+  getDevnetChainConfig
+};
@@ -0,0 +1,509 @@
+/**
+ * Bridge Event History
+ * ====================
+ *
+ * Collects every TokensBridged and TokensReceived event emitted by the MyERC20
+ * deployments, for accounting, along with tokens burned directly with burn() or
+ * burnFrom() (recorded as 'Burned' events, see reconcile.js). Logs are scanned from each deployment's block
+ * onward in chunks small enough for public RPCs, and only up to blocks that
+ * have the network's security.confirmations, so a reorg can't change what was
+ * already collected.
+ *
+ * The events and the last block scanned on each network are kept in
+ * deployments/history.json, so every scan picks up where the previous one
+ * stopped. A redeployed token starts a new scan from its own deployment block;
+ * the events of the old contract are kept. Networks scanned by an older version
+ * of this file are scanned again from the start.
+ *
+ * pairTransfers() matches each outbound TokensBridged event to the inbound
+ * TokensReceived event on the destination chain with the same message ID,
+ * giving one row per transfer. Events of deployments from before the events
+ * carried the message ID are matched on the source chain, recipient and amount
+ * instead (received after it was sent), and flagged ambiguous when identical
+ * transfers were in flight at the same time.
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { getNetworkConfig, getNetworkByChainId } = require('../network.config');
+const { LOG_QUERY_RANGE, resolveProvider, findBlockByTimestamp, findDeploymentBlock } = require('./chains');
+const { readDeploymentFile } = require('./deployments');
+const { createReporter } = require('./progress');
+
+const HISTORY_PATH = path.join(__dirname, '../deployments/history.json');
+
+// Columns of a CSV export, in order
+const TRANSFER_COLUMNS = [
+  'status',
+  'sourceNetwork',
+  'sourceChainId',
+  'destNetwork',
+  'destChainId',
+  'sender',
+  'recipient',
+  'amount',
+  'amountWei',
+  'messageId',
+  'sourceTxHash',
+  'sourceBlockNumber',
+  'sentAt',
+  'destTxHash',
+  'destBlockNumber',
+  'receivedAt'
+];
+
+// Bumped when scans start collecting more events, so older scans are redone
+const HISTORY_VERSION = 2;
+
+// Chunks scanned between saves when no events turn up
+const SAVE_INTERVAL = 25;
+
+// Errors RPC providers return when an eth_getLogs range or result set is too large
+const RANGE_ERROR_PATTERN = /range|limit|too many|too large|exceed|query returned more than/i;
+
+/**
+ * Read the collected history
+ * @returns {Object} History ({ networks, events }), empty if nothing was scanned yet
+ */
+function readHistory() {
+  if (!fs.existsSync(HISTORY_PATH)) {
+    return { networks: {}, events: [] };
+  }
+  const history = JSON.parse(fs.readFileSync(HISTORY_PATH, 'utf8'));
+  return { networks: history.networks || {}, events: history.events || [] };
+}
+
+/**
+ * Write the collected history
+ * Written to a temporary file and renamed, so a crash never leaves a half-written file.
+ *
+ * @param {Object} history - History ({ networks, events })
+ */
+function writeHistory(history) {
+  fs.mkdirSync(path.dirname(HISTORY_PATH), { recursive: true });
+
+  const tempPath = `${HISTORY_PATH}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(history, null, 2));
+  fs.renameSync(tempPath, HISTORY_PATH);
+}
+
+/**
+ * Identify an event across chains
+ * @param {Object} event - History event
+ * @returns {string} Key unique to the log
+ */
+function eventKey(event) {
+  return `${event.chainId}:${event.txHash}:${event.logIndex}`;
+}
+
+/**
+ * Work out the block a deployment's scan starts from
+ * Uses the block saved by the deploy script, then a search for the contract's
+ * code, then (on nodes without historical state) the block of its deployedAt time.
+ *
+ * @param {Object} provider - Provider connected to the network
+ * @param {Object} deploymentInfo - Saved deployment for the network
+ * @param {Object} reporter - Progress reporter
+ * @param {Object} details - Event details for the network
+ * @returns {Promise<number>} First block to scan
+ */
+async function getStartBlock(provider, deploymentInfo, reporter, details) {
+  if (Number.isInteger(deploymentInfo.blockNumber)) {
+    return deploymentInfo.blockNumber;
+  }
+
+  try {
+    return await findDeploymentBlock(provider, deploymentInfo.address);
+  } catch (error) {
+    reporter.warning('history', `Could not find the deployment block of ${deploymentInfo.address} (${error.shortMessage || error.message}). Scanning from ${deploymentInfo.deployedAt} instead; earlier events are missed.`, details);
+    return findBlockByTimestamp(provider, Math.floor(new Date(deploymentInfo.deployedAt).getTime() / 1000));
+  }
+}
+
+/**
+ * Fetch the token's logs in a block range, splitting the range when the RPC refuses it
+ *
+ * @param {Object} provider - Provider connected to the network
+ * @param {Object} filter - Log filter without a block range ({ address, topics })
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @returns {Promise<Array<Object>>} Logs in the range
+ * @throws {Error} If the RPC fails for any other reason, or refuses even a single block
+ */
+async function getLogsInRange(provider, filter, fromBlock, toBlock) {
+  try {
+    return await provider.getLogs({ ...filter, fromBlock, toBlock });
+  } catch (error) {
+    if (fromBlock === toBlock || !RANGE_ERROR_PATTERN.test(error.shortMessage || error.message)) {
+      throw error;
+    }
+    const middle = Math.floor((fromBlock + toBlock) / 2);
+    return [
+      ...await getLogsInRange(provider, filter, fromBlock, middle),
+      ...await getLogsInRange(provider, filter, middle + 1, toBlock)
+    ];
+  }
+}
+
+/**
+ * Turn a TokensBridged, TokensReceived or burn Transfer log into a history event
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} parsed - Log parsed with the token interface
+ * @param {Object} log - Raw log
+ * @param {number} timestamp - Block timestamp in seconds
+ * @returns {Object} History event
+ */
+function toHistoryEvent(network, parsed, log, timestamp) {
+  const event = {
+    event: parsed.name,
+    network: network.name,
+    chainId: network.chainId,
+    address: log.address,
+    blockNumber: log.blockNumber,
+    timestamp: new Date(timestamp * 1000).toISOString(),
+    txHash: log.transactionHash,
+    logIndex: log.index
+  };
+
+  if (parsed.name === 'Transfer') {
+    return {
+      ...event,
+      event: 'Burned',
+      holder: parsed.args.from,
+      amountWei: parsed.args.value.toString()
+    };
+  }
+  if (parsed.name === 'TokensBridged') {
+    return {
+      ...event,
+      sender: parsed.args.sender,
+      recipient: parsed.args.recipient,
+      amountWei: parsed.args.amount.toString(),
+      destChainId: Number(parsed.args.destChainId),
+      messageId: parsed.args.txId?.toString() ?? null
+    };
+  }
+  return {
+    ...event,
+    recipient: parsed.args.recipient,
+    amountWei: parsed.args.amount.toString(),
+    sourceChainId: Number(parsed.args.sourceChainId),
+    messageId: parsed.args.txId?.toString() ?? null
+  };
+}
+
+/**
+ * Scan one network's deployment for new bridge events
+ * The history is saved as the scan goes, so an interrupted scan resumes close to where it stopped.
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} deploymentInfo - Saved deployment for the network
+ * @param {Object} options - Scan options ({ provider, logRange, reporter })
+ * @returns {Promise<Object>} Scan result ({ network, chainId, fromBlock, toBlock, found })
+ */
+async function scanNetwork(network, deploymentInfo, { provider, logRange, reporter }) {
+  const details = { network: network.name, chainId: network.chainId, address: deploymentInfo.address };
+  const resolved = resolveProvider(network, { provider });
+  const contract = new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, resolved);
+
+  const history = readHistory();
+  const saved = history.networks[network.name];
+  const sameAddress = saved?.address.toLowerCase() === deploymentInfo.address.toLowerCase();
+  const sameDeployment = sameAddress && saved.deployedAt === deploymentInfo.deployedAt;
+
+  const resume = sameDeployment && saved.version === HISTORY_VERSION;
+
+  // The same address deployed again means the chain was reset (a restarted devnet),
+  // and an older scan may be missing events. Either way the network starts over.
+  if (sameAddress && !resume) {
+    history.events = history.events.filter(event => event.network !== network.name);
+  }
+  const seen = new Set(history.events.map(eventKey));
+  const decimals = resume ? saved.decimals : Number(await contract.decimals());
+  const fromBlock = resume
+    ? saved.lastScannedBlock + 1
+    : await getStartBlock(resolved, deploymentInfo, reporter, details);
+
+  // Stay behind the chain head by the network's confirmations
+  const toBlock = await resolved.getBlockNumber() - (network.security.confirmations - 1);
+  if (fromBlock > toBlock) {
+    reporter.progress('history', `${network.name}: up to date (block ${fromBlock - 1})`, details);
+    return { network: network.name, chainId: network.chainId, fromBlock, toBlock: fromBlock - 1, found: 0 };
+  }
+  reporter.progress('history', `${network.name}: scanning blocks ${fromBlock} to ${toBlock}...`, details);
+
+  const filter = {
+    address: deploymentInfo.address,
+    topics: [[contract.interface.getEvent('TokensBridged').topicHash, contract.interface.getEvent('TokensReceived').topicHash]]
+  };
+  const burnFilter = {
+    address: deploymentInfo.address,
+    topics: [contract.interface.getEvent('Transfer').topicHash, null, ethers.zeroPadValue(ethers.ZeroAddress, 32)]
+  };
+  let found = 0;
+  let chunks = 0;
+
+  for (let start = fromBlock; start <= toBlock; start += logRange) {
+    const end = Math.min(start + logRange - 1, toBlock);
+    const logs = await getLogsInRange(resolved, filter, start, end);
+    const burnLogs = await getLogsInRange(resolved, burnFilter, start, end);
+
+    // Every bridge burns its amount in the same transaction; only the other burns are kept
+    const bridgeBurns = logs
+      .map(log => ({ log, parsed: contract.interface.parseLog(log) }))
+      .filter(({ parsed }) => parsed.name === 'TokensBridged');
+    const directBurns = burnLogs.filter((log) => {
+      const { args } = contract.interface.parseLog(log);
+      const index = bridgeBurns.findIndex(({ log: bridgeLog, parsed }) =>
+        bridgeLog.transactionHash === log.transactionHash && parsed.args.sender === args.from && parsed.args.amount === args.value
+      );
+      if (index === -1) {
+        return true;
+      }
+      bridgeBurns.splice(index, 1);
+      return false;
+    });
+
+    const timestamps = new Map();
+    const newEvents = [];
+    for (const log of [...logs, ...directBurns].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)) {
+      if (!timestamps.has(log.blockNumber)) {
+        timestamps.set(log.blockNumber, (await resolved.getBlock(log.blockNumber)).timestamp);
+      }
+      newEvents.push(toHistoryEvent(network, contract.interface.parseLog(log), log, timestamps.get(log.blockNumber)));
+    }
+
+    // Re-scanning a range (after a crash between saves) never duplicates events
+    const added = newEvents.filter(event => !seen.has(eventKey(event)));
+    added.forEach(event => seen.add(eventKey(event)));
+    history.events.push(...added);
+    history.networks[network.name] = {
+      chainId: network.chainId,
+      address: deploymentInfo.address,
+      deployedAt: deploymentInfo.deployedAt,
+      version: HISTORY_VERSION,
+      decimals,
+      lastScannedBlock: end,
+      scannedAt: new Date().toISOString()
+    };
+    chunks += 1;
+    if (added.length > 0 || end === toBlock || chunks % SAVE_INTERVAL === 0) {
+      writeHistory(history);
+    }
+    found += added.length;
+  }
+
+  reporter.progress('history', `${network.name}: found ${found} new event(s)`, details);
+  return { network: network.name, chainId: network.chainId, fromBlock, toBlock, found };
+}
+
+/**
+ * Scan every deployed network in a list for new bridge events
+ * Networks that can't be reached are reported with an error instead of failing the whole run.
+ *
+ * @param {Array<string>} networkNames - Network names to scan
+ * @param {Object} options - Scan options
+ * @param {number} options.logRange - Blocks per eth_getLogs call (default: 2000, halved automatically when the RPC refuses it)
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Array<Object>>} One scan result per deployed network ({ network, chainId, fromBlock, toBlock, found } or { network, chainId, error })
+ */
+async function scanHistory(networkNames, { logRange = LOG_QUERY_RANGE, provider, events } = {}) {
+  const reporter = createReporter(events);
+  reporter.progress('history', 'Scanning bridge events', { heading: true });
+
+  const results = [];
+  for (const networkName of networkNames) {
+    const network = getNetworkConfig(networkName);
+    const deploymentInfo = readDeploymentFile(networkName);
+    if (!deploymentInfo) {
+      continue;
+    }
+
+    try {
+      results.push(await scanNetwork(network, deploymentInfo, { provider, logRange, reporter }));
+    } catch (error) {
+      const message = error.shortMessage || error.message;
+      reporter.warning('history', `${network.name}: scan failed (${message}). The next scan resumes from the last block saved.`, {
+        network: network.name,
+        chainId: network.chainId
+      });
+      results.push({ network: network.name, chainId: network.chainId, error: message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Order history events by time, then chain, block and position
+ * @param {Object} a - History event
+ * @param {Object} b - History event
+ * @returns {number} Sort order
+ */
+function compareEvents(a, b) {
+  return a.timestamp.localeCompare(b.timestamp) || a.chainId - b.chainId || a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * Pair outbound TokensBridged events with their inbound TokensReceived events
+ * Transfers are paired on their route and message ID. Events without one (older
+ * deployments) are paired on the route, recipient and amount in the order they
+ * were sent, and marked `ambiguous` when more than one delivery could have been
+ * theirs. An outbound event without a match is 'pending'; an inbound event
+ * without one (its source chain wasn't scanned) is 'unmatched'.
+ *
+ * @param {Array<Object>} historyEvents - Events from readHistory()
+ * @param {Object} decimalsByChainId - Token decimals keyed by chain ID, to format amounts
+ * @returns {Array<Object>} One row per transfer, oldest first
+ */
+function pairTransfers(historyEvents, decimalsByChainId = {}) {
+  const sorted = [...historyEvents].sort(compareEvents);
+  const hasMessageId = event => event.messageId !== null && event.messageId !== undefined;
+  const keyOf = (sourceChainId, destChainId, recipient, amountWei) =>
+    `${sourceChainId}:${destChainId}:${recipient.toLowerCase()}:${amountWei}`;
+  const messageKeyOf = (sourceChainId, destChainId, messageId) => `${sourceChainId}:${destChainId}:${messageId}`;
+
+  const inbound = new Map();
+  const inboundByMessage = new Map();
+  for (const event of sorted.filter(candidate => candidate.event === 'TokensReceived')) {
+    if (hasMessageId(event)) {
+      inboundByMessage.set(messageKeyOf(event.sourceChainId, event.chainId, event.messageId), event);
+      continue;
+    }
+    const key = keyOf(event.sourceChainId, event.chainId, event.recipient, event.amountWei);
+    inbound.set(key, [...(inbound.get(key) || []), event]);
+  }
+
+  const networkName = chainId => getNetworkByChainId(chainId)?.name ?? null;
+  const formatAmount = (amountWei, chainId) => decimalsByChainId[chainId] === undefined
+    ? null
+    : ethers.formatUnits(amountWei, decimalsByChainId[chainId]);
+  const used = new Set();
+  const transfers = [];
+
+  for (const sent of sorted.filter(candidate => candidate.event === 'TokensBridged')) {
+    let received = null;
+    let ambiguous = false;
+    if (hasMessageId(sent)) {
+      received = inboundByMessage.get(messageKeyOf(sent.chainId, sent.destChainId, sent.messageId)) || null;
+    } else {
+      const candidates = (inbound.get(keyOf(sent.chainId, sent.destChainId, sent.recipient, sent.amountWei)) || [])
+        .filter(candidate => !used.has(candidate) && candidate.timestamp >= sent.timestamp);
+      received = candidates[0] || null;
+      ambiguous = candidates.length > 1;
+    }
+    if (received) {
+      used.add(received);
+    }
+
+    transfers.push({
+      status: received ? 'delivered' : 'pending',
+      sourceNetwork: sent.network,
+      sourceChainId: sent.chainId,
+      destNetwork: networkName(sent.destChainId),
+      destChainId: sent.destChainId,
+      sender: sent.sender,
+      recipient: sent.recipient,
+      amount: formatAmount(sent.amountWei, sent.chainId),
+      amountWei: sent.amountWei,
+      messageId: sent.messageId ?? null,
+      sourceTxHash: sent.txHash,
+      sourceBlockNumber: sent.blockNumber,
+      sentAt: sent.timestamp,
+      destTxHash: received?.txHash ?? null,
+      destBlockNumber: received?.blockNumber ?? null,
+      receivedAt: received?.timestamp ?? null,
+      ambiguous: Boolean(received) && ambiguous
+    });
+  }
+
+  for (const received of sorted.filter(candidate => candidate.event === 'TokensReceived' && !used.has(candidate))) {
+    transfers.push({
+      status: 'unmatched',
+      sourceNetwork: networkName(received.sourceChainId),
+      sourceChainId: received.sourceChainId,
+      destNetwork: received.network,
+      destChainId: received.chainId,
+      sender: null,
+      recipient: received.recipient,
+      amount: formatAmount(received.amountWei, received.chainId),
+      amountWei: received.amountWei,
+      messageId: received.messageId ?? null,
+      sourceTxHash: null,
+      sourceBlockNumber: null,
+      sentAt: null,
+      destTxHash: received.txHash,
+      destBlockNumber: received.blockNumber,
+      receivedAt: received.timestamp,
+      ambiguous: false
+    });
+  }
+
+  return transfers.sort((a, b) => (a.sentAt || a.receivedAt).localeCompare(b.sentAt || b.receivedAt));
+}
+
+/**
+ * Scan for new events and return the full transfer history
+ *
+ * @param {Array<string>} networkNames - Networks to scan; transfers from or to them are returned
+ * @param {Object} options - Scan options (see scanHistory())
+ * @returns {Promise<Object>} Export ({ scans, transfers })
+ */
+async function exportHistory(networkNames, options = {}) {
+  const scans = await scanHistory(networkNames, options);
+
+  const history = readHistory();
+  const decimalsByChainId = Object.fromEntries(
+    Object.values(history.networks).map(scanned => [scanned.chainId, scanned.decimals])
+  );
+  const chainIds = networkNames.map(networkName => getNetworkConfig(networkName).chainId);
+  const transfers = pairTransfers(history.events, decimalsByChainId)
+    .filter(transfer => chainIds.includes(transfer.sourceChainId) || chainIds.includes(transfer.destChainId));
+
+  return { scans, transfers };
+}
+
+/**
+ * Quote a CSV field when it needs it
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write transfers to a CSV file, or JSON when the path ends in .json
+ *
+ * @param {Array<Object>} transfers - Rows from pairTransfers()
+ * @param {string} outputPath - File to write
+ * @returns {string} Format written ('csv' or 'json')
+ */
+function writeTransfers(transfers, outputPath) {
+  fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+
+  if (path.extname(outputPath).toLowerCase() === '.json') {
+    fs.writeFileSync(outputPath, JSON.stringify(transfers, null, 2));
+    return 'json';
+  }
+
+  const lines = [
+    TRANSFER_COLUMNS.join(','),
+    ...transfers.map(transfer => TRANSFER_COLUMNS.map(column => toCsvField(transfer[column])).join(','))
+  ];
+  fs.writeFileSync(outputPath, `${lines.join('\n')}\n`);
+  return 'csv';
+}
+
+module.exports = {
+  getStartBlock,
+  getLogsInRange,
+  readHistory,
+  scanHistory,
+  pairTransfers,
+  exportHistory,
+  writeTransfers
+};
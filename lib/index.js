@@ -0,0 +1,149 @@
+/**
+ * Cross-Chain Token SDK
+ * =====================
+ *
+ * Promise-returning building blocks behind the CLI scripts, for use from other
+ * Node services:
+ *
+ *   const { bridge, logToConsole } = require('quickstart-token');
+ *   const result = await bridge('avalanche-testnet', 'base-testnet', '5', {
+ *     signer: (network) => signers[network.name],
+ *     events: logToConsole()
+ *   });
+ *
+ * Connections are injected through `signer` and `provider` options. Each takes
+ * an ethers Signer / Provider, or a function (network) => Signer / Provider for
+ * operations that span several networks. Without them, a wallet is built from
+ * the keys in .env and the RPC URLs in network.config.js.
+ *
+ * Nothing is written to the console: progress is reported as events on the
+ * optional `events` EventEmitter (see progress.js), and results are returned
+ * as plain objects. Failures reject the returned promise.
+ */
+
+const { networks, localNetworks, getNetworkConfig, getNetworkByChainId, isRouteAllowed } = require('../network.config');
+const { getDeployConfig } = require('../deploy.config');
+const { resolveChainConfig, createWallet, getGasOverrides, getReplacementFees } = require('./chains');
+const { compileContracts, loadArtifact } = require('./compile');
+const { readJournal, resumeJournal, replaceJournaled, followReplacements } = require('./journal');
+const { readDeploymentFile, checkExistingDeployment, loadDeployments } = require('./deployments');
+const { compileContract, loadCompiledContract, deployToNetwork, deployAndConfigure } = require('./deploy');
+const { getDesiredPeers, readPeerConfiguration, diffPeerConfiguration, configureContracts } = require('./configure');
+const { buildDeploymentPlan, verifyDeterministicPlan } = require('./plan');
+const {
+  getContract,
+  checkBridgeRoute,
+  preflightBridge,
+  findTokensReceivedLog,
+  waitForTokensReceived,
+  getBridgeStatus,
+  bridge
+} = require('./bridge');
+const { readBatchFile, getReportPath, writeBatchReport, validateBatch, bridgeBatch } = require('./batch');
+const { readLedger, recordBridge, updateBridge } = require('./ledger');
+const { trackBridges } = require('./track');
+const { watchBridges } = require('./watch');
+const { postWebhook } = require('./webhooks');
+const { readHistory, scanHistory, pairTransfers, exportHistory, writeTransfers } = require('./history');
+const { reconcileSupply } = require('./reconcile');
+const { openIndex, readIndexedChains } = require('./indexStore');
+const { syncIndex } = require('./indexer');
+const { createIndexerServer } = require('./indexerApi');
+const { fetchIndexer, getIndexedBalances, getIndexedBridge } = require('./indexerClient');
+const { createMetricsCollector, createMetricsServer } = require('./metrics');
+const { getPauseStatus, setPaused } = require('./pause');
+const { getDeploymentStatus } = require('./status');
+const { resolveAddress, getBalances } = require('./balances');
+const { createReporter, logToConsole, askOnStuck } = require('./progress');
+
+module.exports = {
+  // Configuration
+  networks,
+  localNetworks,
+  getNetworkConfig,
+  getNetworkByChainId,
+  isRouteAllowed,
+  getDeployConfig,
+  resolveChainConfig,
+
+  // Connections
+  createWallet,
+  getGasOverrides,
+  getReplacementFees,
+
+  // Compilation
+  compileContracts,
+  compileContract,
+  loadArtifact,
+  loadCompiledContract,
+
+  // Deployment
+  readDeploymentFile,
+  checkExistingDeployment,
+  loadDeployments,
+  deployToNetwork,
+  deployAndConfigure,
+  buildDeploymentPlan,
+  verifyDeterministicPlan,
+  readJournal,
+  resumeJournal,
+  replaceJournaled,
+  followReplacements,
+
+  // Cross-chain configuration
+  getDesiredPeers,
+  readPeerConfiguration,
+  diffPeerConfiguration,
+  configureContracts,
+
+  // Bridging
+  getContract,
+  checkBridgeRoute,
+  preflightBridge,
+  findTokensReceivedLog,
+  waitForTokensReceived,
+  bridge,
+  getBridgeStatus,
+  readBatchFile,
+  getReportPath,
+  writeBatchReport,
+  validateBatch,
+  bridgeBatch,
+  readLedger,
+  recordBridge,
+  updateBridge,
+  trackBridges,
+  watchBridges,
+  postWebhook,
+  getPauseStatus,
+  setPaused,
+
+  // History
+  readHistory,
+  scanHistory,
+  pairTransfers,
+  exportHistory,
+  writeTransfers,
+
+  // Indexer
+  openIndex,
+  readIndexedChains,
+  syncIndex,
+  createIndexerServer,
+  fetchIndexer,
+  getIndexedBalances,
+  getIndexedBridge,
+
+  // Monitoring
+  getDeploymentStatus,
+  reconcileSupply,
+  resolveAddress,
+  getBalances,
+  createMetricsCollector,
+  createMetricsServer,
+
+  // Progress events
+  createReporter,
+  logToConsole,
+  askOnStuck
+};
@@ -0,0 +1,369 @@
+/**
+ * Bridge Index Storage
+ * ====================
+ *
+ * The SQLite database behind the indexer (see indexer.js and indexerApi.js).
+ * For every indexed deployment it holds:
+ *
+ * - chains         - the deployment, the last block indexed and the total supply
+ * - blocks         - hashes of the most recent blocks, to detect reorgs
+ * - transfers      - every Transfer event (mints and burns included)
+ * - bridge_events  - every TokensBridged and TokensReceived event
+ * - balances       - each holder's balance, kept up to date with the transfers
+ *
+ * Amounts are uint256 values, larger than SQLite integers, so they are stored
+ * as decimal strings and added up as bigints. Each batch of blocks is written
+ * in one transaction, so the balances and supply always match the events.
+ */
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const INDEX_DB_PATH = path.join(__dirname, '../deployments/indexer.db');
+
+// Bumped when the tables change; an older database is indexed again from scratch
+const SCHEMA_VERSION = 2;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS chains (
+    chain_id INTEGER PRIMARY KEY,
+    network TEXT NOT NULL,
+    address TEXT NOT NULL,
+    deployed_at TEXT,
+    symbol TEXT NOT NULL,
+    decimals INTEGER NOT NULL,
+    start_block INTEGER NOT NULL,
+    last_block INTEGER NOT NULL,
+    total_supply TEXT NOT NULL,
+    synced_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    chain_id INTEGER NOT NULL,
+    number INTEGER NOT NULL,
+    hash TEXT NOT NULL,
+    PRIMARY KEY (chain_id, number)
+  );
+  CREATE TABLE IF NOT EXISTS transfers (
+    chain_id INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    from_address TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    PRIMARY KEY (chain_id, tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS transfers_by_block ON transfers (chain_id, block_number);
+  CREATE TABLE IF NOT EXISTS bridge_events (
+    chain_id INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    timestamp TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    sender TEXT,
+    recipient TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    source_chain_id INTEGER,
+    dest_chain_id INTEGER,
+    message_id TEXT,
+    PRIMARY KEY (chain_id, tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS bridge_events_by_block ON bridge_events (chain_id, block_number);
+  CREATE TABLE IF NOT EXISTS balances (
+    chain_id INTEGER NOT NULL,
+    holder TEXT NOT NULL,
+    balance TEXT NOT NULL,
+    PRIMARY KEY (chain_id, holder)
+  );
+`;
+
+const DATA_TABLES = ['chains', 'blocks', 'transfers', 'bridge_events', 'balances'];
+
+/**
+ * Open (and create if needed) the index database
+ *
+ * @param {string} [dbPath] - Database file (default: deployments/indexer.db)
+ * @returns {Object} better-sqlite3 database
+ */
+function openIndex(dbPath = INDEX_DB_PATH) {
+  fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+
+  // Tables of an older schema are dropped, since CREATE TABLE IF NOT EXISTS won't add new columns
+  db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+  const version = db.prepare('SELECT value FROM meta WHERE key = ?').get('schemaVersion');
+  db.transaction(() => {
+    if (Number(version?.value) !== SCHEMA_VERSION) {
+      DATA_TABLES.forEach(table => db.prepare(`DROP TABLE IF EXISTS ${table}`).run());
+      db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('schemaVersion', String(SCHEMA_VERSION));
+    }
+    db.exec(SCHEMA);
+  })();
+  return db;
+}
+
+/**
+ * Turn a chains row into an indexed chain
+ * @param {Object} row - Row of the chains table
+ * @returns {Object} Indexed chain
+ */
+function toIndexedChain(row) {
+  return {
+    network: row.network,
+    chainId: row.chain_id,
+    address: row.address,
+    deployedAt: row.deployed_at,
+    symbol: row.symbol,
+    decimals: row.decimals,
+    startBlock: row.start_block,
+    lastBlock: row.last_block,
+    totalSupply: BigInt(row.total_supply),
+    syncedAt: row.synced_at
+  };
+}
+
+/**
+ * Read every indexed chain
+ * @param {Object} db - Index database
+ * @returns {Array<Object>} Indexed chains ({ network, chainId, address, decimals, lastBlock, totalSupply, ... }), by chain ID
+ */
+function readIndexedChains(db) {
+  return db.prepare('SELECT * FROM chains ORDER BY chain_id').all().map(toIndexedChain);
+}
+
+/**
+ * Read one indexed chain
+ * @param {Object} db - Index database
+ * @param {number} chainId - Chain ID
+ * @returns {Object|null} Indexed chain, or null if the chain isn't indexed
+ */
+function readIndexedChain(db, chainId) {
+  const row = db.prepare('SELECT * FROM chains WHERE chain_id = ?').get(chainId);
+  return row ? toIndexedChain(row) : null;
+}
+
+/**
+ * Start indexing a deployment from scratch, dropping whatever was indexed for its chain
+ *
+ * @param {Object} db - Index database
+ * @param {Object} chain - Deployment ({ network, chainId, address, deployedAt, symbol, decimals, startBlock })
+ */
+function resetChain(db, chain) {
+  db.transaction(() => {
+    DATA_TABLES.forEach(table => db.prepare(`DELETE FROM ${table} WHERE chain_id = ?`).run(chain.chainId));
+    db.prepare(`
+      INSERT INTO chains (chain_id, network, address, deployed_at, symbol, decimals, start_block, last_block, total_supply)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, '0')
+    `).run(chain.chainId, chain.network, chain.address, chain.deployedAt ?? null, chain.symbol, chain.decimals, chain.startBlock, chain.startBlock - 1);
+  })();
+}
+
+/**
+ * Stop indexing a chain and drop its data
+ * @param {Object} db - Index database
+ * @param {number} chainId - Chain ID
+ */
+function removeChain(db, chainId) {
+  db.transaction(() => {
+    DATA_TABLES.forEach(table => db.prepare(`DELETE FROM ${table} WHERE chain_id = ?`).run(chainId));
+  })();
+}
+
+/**
+ * Apply transfers to the stored balances and total supply
+ * Called with direction -1 to undo transfers from orphaned blocks.
+ *
+ * @param {Object} db - Index database
+ * @param {number} chainId - Chain ID
+ * @param {Array<Object>} transfers - Transfers ({ from, to, amount })
+ * @param {number} direction - 1 to apply, -1 to undo
+ */
+function applyToBalances(db, chainId, transfers, direction) {
+  const changes = new Map();
+  let supplyChange = 0n;
+  const change = (holder, amount) => changes.set(holder, (changes.get(holder) || 0n) + amount);
+
+  for (const transfer of transfers) {
+    const amount = BigInt(transfer.amount) * BigInt(direction);
+    if (transfer.from === ethers.ZeroAddress) {
+      supplyChange += amount;
+    } else {
+      change(transfer.from, -amount);
+    }
+    if (transfer.to === ethers.ZeroAddress) {
+      supplyChange -= amount;
+    } else {
+      change(transfer.to, amount);
+    }
+  }
+
+  const select = db.prepare('SELECT balance FROM balances WHERE chain_id = ? AND holder = ?');
+  const upsert = db.prepare('INSERT OR REPLACE INTO balances (chain_id, holder, balance) VALUES (?, ?, ?)');
+  const remove = db.prepare('DELETE FROM balances WHERE chain_id = ? AND holder = ?');
+  for (const [holder, amount] of changes) {
+    const balance = BigInt(select.get(chainId, holder)?.balance ?? '0') + amount;
+    if (balance === 0n) {
+      remove.run(chainId, holder);
+    } else {
+      upsert.run(chainId, holder, balance.toString());
+    }
+  }
+
+  if (supplyChange !== 0n) {
+    const { total_supply: totalSupply } = db.prepare('SELECT total_supply FROM chains WHERE chain_id = ?').get(chainId);
+    db.prepare('UPDATE chains SET total_supply = ? WHERE chain_id = ?').run((BigInt(totalSupply) + supplyChange).toString(), chainId);
+  }
+}
+
+/**
+ * Store a batch of indexed blocks
+ * Only the hashes of the last `keepBlocks` blocks are kept, which bounds how deep a reorg can be undone.
+ *
+ * @param {Object} db - Index database
+ * @param {number} chainId - Chain ID
+ * @param {Object} batch - Indexed blocks
+ * @param {number} batch.toBlock - Last block of the batch
+ * @param {Array<Object>} batch.blocks - Block hashes to remember ({ number, hash })
+ * @param {Array<Object>} batch.transfers - Transfer events ({ blockNumber, txHash, logIndex, from, to, amount })
+ * @param {Array<Object>} batch.bridgeEvents - TokensBridged and TokensReceived events (see indexer.js)
+ * @param {number} keepBlocks - Number of recent block hashes to keep
+ */
+function storeBlocks(db, chainId, { toBlock, blocks, transfers, bridgeEvents }, keepBlocks) {
+  db.transaction(() => {
+    const insertBlock = db.prepare('INSERT OR REPLACE INTO blocks (chain_id, number, hash) VALUES (?, ?, ?)');
+    blocks.forEach(block => insertBlock.run(chainId, block.number, block.hash));
+    db.prepare('DELETE FROM blocks WHERE chain_id = ? AND number <= ?').run(chainId, toBlock - keepBlocks);
+
+    const insertTransfer = db.prepare(`
+      INSERT OR IGNORE INTO transfers (chain_id, block_number, tx_hash, log_index, from_address, to_address, amount)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const added = transfers.filter(transfer =>
+      insertTransfer.run(chainId, transfer.blockNumber, transfer.txHash, transfer.logIndex, transfer.from, transfer.to, transfer.amount).changes > 0
+    );
+    applyToBalances(db, chainId, added, 1);
+
+    const insertBridgeEvent = db.prepare(`
+      INSERT OR IGNORE INTO bridge_events (chain_id, block_number, timestamp, tx_hash, log_index, event, sender, recipient, amount, source_chain_id, dest_chain_id, message_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const event of bridgeEvents) {
+      insertBridgeEvent.run(
+        chainId, event.blockNumber, event.timestamp, event.txHash, event.logIndex, event.event,
+        event.sender ?? null, event.recipient, event.amountWei, event.sourceChainId ?? null, event.destChainId ?? null, event.messageId
+      );
+    }
+
+    db.prepare('UPDATE chains SET last_block = ?, synced_at = ? WHERE chain_id = ?').run(toBlock, new Date().toISOString(), chainId);
+  })();
+}
+
+/**
+ * Read the stored hashes of a chain's recent blocks
+ * @param {Object} db - Index database
+ * @param {number} chainId - Chain ID
+ * @returns {Array<Object>} Blocks ({ number, hash }), newest first
+ */
+function readRecentBlocks(db, chainId) {
+  return db.prepare('SELECT number, hash FROM blocks WHERE chain_id = ? ORDER BY number DESC').all(chainId);
+}
+
+/**
+ * Undo everything indexed after a block, after a reorg replaced the blocks that followed it
+ *
+ * @param {Object} db - Index database
+ * @param {number} chainId - Chain ID
+ * @param {number} forkBlock - Last block still on the canonical chain
+ * @returns {Object} What was removed ({ transfers, bridgeEvents })
+ */
+function rollbackChain(db, chainId, forkBlock) {
+  return db.transaction(() => {
+    const orphaned = db.prepare(`
+      SELECT from_address AS "from", to_address AS "to", amount FROM transfers WHERE chain_id = ? AND block_number > ?
+    `).all(chainId, forkBlock);
+    applyToBalances(db, chainId, orphaned, -1);
+
+    db.prepare('DELETE FROM transfers WHERE chain_id = ? AND block_number > ?').run(chainId, forkBlock);
+    const bridgeEvents = db.prepare('DELETE FROM bridge_events WHERE chain_id = ? AND block_number > ?').run(chainId, forkBlock).changes;
+    db.prepare('DELETE FROM blocks WHERE chain_id = ? AND number > ?').run(chainId, forkBlock);
+    db.prepare('UPDATE chains SET last_block = ? WHERE chain_id = ?').run(forkBlock, chainId);
+    return { transfers: orphaned.length, bridgeEvents };
+  })();
+}
+
+/**
+ * Read every indexed TokensBridged and TokensReceived event
+ * The events have the same shape as history.js events, so pairTransfers() can pair them.
+ *
+ * @param {Object} db - Index database
+ * @returns {Array<Object>} Bridge events
+ */
+function readBridgeEvents(db) {
+  return db.prepare(`
+    SELECT e.*, c.network, c.address FROM bridge_events e JOIN chains c ON c.chain_id = e.chain_id
+  `).all().map(row => ({
+    event: row.event,
+    network: row.network,
+    chainId: row.chain_id,
+    address: row.address,
+    blockNumber: row.block_number,
+    timestamp: row.timestamp,
+    txHash: row.tx_hash,
+    logIndex: row.log_index,
+    messageId: row.message_id,
+    ...(row.event === 'TokensBridged'
+      ? { sender: row.sender, recipient: row.recipient, amountWei: row.amount, destChainId: row.dest_chain_id }
+      : { recipient: row.recipient, amountWei: row.amount, sourceChainId: row.source_chain_id })
+  }));
+}
+
+/**
+ * Read a holder's balance on every indexed chain
+ * @param {Object} db - Index database
+ * @param {string} holder - Checksummed address
+ * @returns {Array<Object>} One entry per chain ({ chain, balance }), 0 where the address holds nothing
+ */
+function readBalancesOf(db, holder) {
+  const select = db.prepare('SELECT balance FROM balances WHERE chain_id = ? AND holder = ?');
+  return readIndexedChains(db).map(chain => ({
+    chain,
+    balance: BigInt(select.get(chain.chainId, holder)?.balance ?? '0')
+  }));
+}
+
+/**
+ * Read the largest holders on a chain
+ * @param {Object} db - Index database
+ * @param {number} chainId - Chain ID
+ * @param {number} limit - Number of holders to return
+ * @returns {Array<Object>} Holders ({ address, balance }), largest first
+ */
+function readHolders(db, chainId, limit) {
+  return db.prepare('SELECT holder, balance FROM balances WHERE chain_id = ?').all(chainId)
+    .map(row => ({ address: row.holder, balance: BigInt(row.balance) }))
+    .sort((a, b) => (a.balance < b.balance ? 1 : a.balance > b.balance ? -1 : 0))
+    .slice(0, limit);
+}
+
+module.exports = {
+  INDEX_DB_PATH,
+  openIndex,
+  readIndexedChains,
+  readIndexedChain,
+  resetChain,
+  removeChain,
+  storeBlocks,
+  readRecentBlocks,
+  rollbackChain,
+  readBridgeEvents,
+  readBalancesOf,
+  readHolders
+};
@@ -0,0 +1,255 @@
+/**
+ * Bridge Indexer
+ * ==============
+ *
+ * Follows every deployment listed in frontend/src/config/deployments.json and
+ * stores its Transfer, TokensBridged and TokensReceived events in the SQLite
+ * index (see indexStore.js), so balances, supply and bridge history can be
+ * served without scanning the chains (see indexerApi.js).
+ *
+ * Unlike history.js, the indexer follows the chain head, so it has to handle
+ * reorgs: it remembers the hashes of the last REORG_DEPTH blocks, and on every
+ * sync checks the newest one against the chain. When it no longer matches, the
+ * indexer walks back to the last block both agree on, removes everything
+ * indexed after it (undoing its effect on balances and supply) and indexes the
+ * new blocks instead.
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkConfig, getNetworkByChainId } = require('../network.config');
+const { LOG_QUERY_RANGE, resolveProvider } = require('./chains');
+const { readDeploymentFile, readFrontendDeployments } = require('./deployments');
+const { getStartBlock, getLogsInRange } = require('./history');
+const {
+  readIndexedChains,
+  readIndexedChain,
+  resetChain,
+  removeChain,
+  storeBlocks,
+  readRecentBlocks,
+  rollbackChain
+} = require('./indexStore');
+const { createReporter } = require('./progress');
+
+// Number of recent block hashes kept, and so the deepest reorg that can be undone
+const REORG_DEPTH = 64;
+
+/**
+ * List the deployments to index from the frontend deployment config
+ * Networks missing from network.config.js are reached through the RPC URL saved with the deployment.
+ *
+ * @returns {Array<Object>} Deployments ({ network, deployment }), by chain ID
+ */
+function getIndexTargets() {
+  return Object.values(readFrontendDeployments()).map((deployment) => {
+    const network = getNetworkByChainId(deployment.chainId)
+      || { name: deployment.network, chainId: Number(deployment.chainId), rpcUrl: deployment.rpcUrl };
+    return { network, deployment };
+  });
+}
+
+/**
+ * Find where a reorg replaced the indexed blocks
+ *
+ * @param {Object} db - Index database
+ * @param {Object} provider - Provider connected to the network
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<number|null>} Last indexed block still on the chain, or null if there was no reorg
+ */
+async function findForkBlock(db, provider, chainId) {
+  const recent = readRecentBlocks(db, chainId);
+
+  for (const [index, stored] of recent.entries()) {
+    const block = await provider.getBlock(stored.number);
+    if (block?.hash === stored.hash) {
+      return index === 0 ? null : stored.number;
+    }
+  }
+  // Deeper than the hashes kept: start over from before the oldest one
+  return recent.length === 0 ? null : recent[recent.length - 1].number - 1;
+}
+
+/**
+ * Start indexing a deployment, from the block it was deployed in
+ *
+ * @param {Object} db - Index database
+ * @param {Object} network - Network configuration
+ * @param {Object} deployment - Entry of the frontend deployment config
+ * @param {Object} contract - Token contract connected to the network
+ * @param {Object} reporter - Progress reporter
+ * @param {Object} details - Event details for the network
+ * @returns {Promise<Object>} Indexed chain
+ */
+async function startChain(db, network, deployment, contract, reporter, details) {
+  // The deploy script's own record knows the deployment block
+  const saved = getNetworkConfig(network.name) ? readDeploymentFile(network.name) : null;
+  const deploymentInfo = saved?.address === deployment.address ? saved : deployment;
+
+  const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+  const startBlock = await getStartBlock(contract.runner, deploymentInfo, reporter, details);
+  resetChain(db, {
+    network: network.name,
+    chainId: network.chainId,
+    address: deployment.address,
+    deployedAt: deployment.deployedAt,
+    symbol,
+    decimals: Number(decimals),
+    startBlock
+  });
+  reporter.progress('indexer', `${network.name}: indexing ${deployment.address} from block ${startBlock}`, details);
+  return readIndexedChain(db, network.chainId);
+}
+
+/**
+ * Turn a token log into a transfer or bridge event for the index
+ *
+ * @param {Object} parsed - Log parsed with the token interface
+ * @param {Object} log - Raw log
+ * @param {Object} block - Block the log is in
+ * @returns {Object} Transfer ({ type: 'transfer', ... }) or bridge event ({ type: 'bridge', ... })
+ */
+function toIndexedEvent(parsed, log, block) {
+  const position = { blockNumber: log.blockNumber, txHash: log.transactionHash, logIndex: log.index };
+
+  if (parsed.name === 'Transfer') {
+    return { type: 'transfer', ...position, from: parsed.args.from, to: parsed.args.to, amount: parsed.args.value.toString() };
+  }
+  const event = {
+    type: 'bridge',
+    event: parsed.name,
+    ...position,
+    timestamp: new Date(block.timestamp * 1000).toISOString(),
+    recipient: parsed.args.recipient,
+    amountWei: parsed.args.amount.toString(),
+    messageId: parsed.args.txId?.toString() ?? null
+  };
+  return parsed.name === 'TokensBridged'
+    ? { ...event, sender: parsed.args.sender, destChainId: Number(parsed.args.destChainId) }
+    : { ...event, sourceChainId: Number(parsed.args.sourceChainId) };
+}
+
+/**
+ * Bring one deployment's index up to the chain head
+ *
+ * @param {Object} db - Index database
+ * @param {Object} target - Deployment to index ({ network, deployment })
+ * @param {Object} options - Sync options ({ provider, logRange, reporter })
+ * @returns {Promise<Object>} Sync result ({ network, chainId, fromBlock, toBlock, transfers, bridgeEvents, reorg })
+ * @throws {Error} If the RPC fails, or the chain reorganized while it was being read
+ */
+async function syncChain(db, { network, deployment }, { provider, logRange, reporter }) {
+  const details = { network: network.name, chainId: network.chainId, address: deployment.address };
+  const resolved = resolveProvider(network, { provider });
+  const contract = new ethers.Contract(deployment.address, deployment.abi, resolved);
+
+  let chain = readIndexedChain(db, network.chainId);
+  if (!chain || chain.address !== deployment.address || chain.deployedAt !== (deployment.deployedAt ?? null)) {
+    chain = await startChain(db, network, deployment, contract, reporter, details);
+  }
+
+  let reorg = null;
+  const forkBlock = await findForkBlock(db, resolved, network.chainId);
+  if (forkBlock !== null) {
+    reorg = { forkBlock, ...rollbackChain(db, network.chainId, forkBlock) };
+    reporter.warning('indexer', `${network.name}: reorg after block ${forkBlock}, removed ${reorg.transfers} transfer(s) and ${reorg.bridgeEvents} bridge event(s)`, { ...details, ...reorg });
+    chain.lastBlock = forkBlock;
+  }
+
+  const fromBlock = chain.lastBlock + 1;
+  const head = await resolved.getBlockNumber();
+  const result = { network: network.name, chainId: network.chainId, fromBlock, toBlock: Math.max(head, chain.lastBlock), transfers: 0, bridgeEvents: 0, reorg };
+  if (fromBlock > head) {
+    return result;
+  }
+
+  const filter = {
+    address: deployment.address,
+    topics: [['Transfer', 'TokensBridged', 'TokensReceived'].map(name => contract.interface.getEvent(name).topicHash)]
+  };
+  const lastHash = readRecentBlocks(db, network.chainId)[0];
+
+  for (let start = fromBlock; start <= head; start += logRange) {
+    const end = Math.min(start + logRange - 1, head);
+    const logs = await getLogsInRange(resolved, filter, start, end);
+
+    // Blocks with events (for their timestamps) and the recent blocks (for their hashes)
+    const numbers = new Set(logs.map(log => log.blockNumber));
+    for (let number = Math.max(start, head - REORG_DEPTH + 1); number <= end; number++) {
+      numbers.add(number);
+    }
+    const blocks = new Map();
+    for (const number of [...numbers].sort((a, b) => a - b)) {
+      blocks.set(number, await resolved.getBlock(number));
+    }
+
+    const moved = [...blocks.values()].some(block => !block)
+      || logs.some(log => log.blockHash !== blocks.get(log.blockNumber).hash)
+      || (lastHash?.number === start - 1 && blocks.has(start) && blocks.get(start).parentHash !== lastHash.hash);
+    if (moved) {
+      throw new Error(`the chain reorganized while blocks ${start} to ${end} were read. Retrying on the next sync.`);
+    }
+
+    const indexed = logs
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+      .map(log => toIndexedEvent(contract.interface.parseLog(log), log, blocks.get(log.blockNumber)));
+    const batch = {
+      toBlock: end,
+      blocks: [...blocks.values()].filter(block => block.number > head - REORG_DEPTH).map(block => ({ number: block.number, hash: block.hash })),
+      transfers: indexed.filter(event => event.type === 'transfer'),
+      bridgeEvents: indexed.filter(event => event.type === 'bridge')
+    };
+    storeBlocks(db, network.chainId, batch, REORG_DEPTH);
+
+    result.transfers += batch.transfers.length;
+    result.bridgeEvents += batch.bridgeEvents.length;
+  }
+
+  if (result.transfers > 0 || result.bridgeEvents > 0) {
+    reporter.progress('indexer', `${network.name}: indexed blocks ${fromBlock} to ${head} (${result.transfers} transfer(s), ${result.bridgeEvents} bridge event(s))`, details);
+  }
+  return result;
+}
+
+/**
+ * Bring the index of every deployment up to date
+ * Deployments no longer in the frontend config are dropped from the index. Networks
+ * that can't be reached are reported with an error instead of failing the whole sync.
+ *
+ * @param {Object} db - Index database (see openIndex())
+ * @param {Object} options - Sync options
+ * @param {number} options.logRange - Blocks per eth_getLogs call (default: 2000, halved automatically when the RPC refuses it)
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Array<Object>>} One sync result per deployment ({ network, chainId, fromBlock, toBlock, transfers, bridgeEvents, reorg } or { network, chainId, error })
+ */
+async function syncIndex(db, { logRange = LOG_QUERY_RANGE, provider, events } = {}) {
+  const reporter = createReporter(events);
+  const targets = getIndexTargets();
+
+  const listed = new Set(targets.map(target => target.network.chainId));
+  for (const chain of readIndexedChains(db).filter(indexed => !listed.has(indexed.chainId))) {
+    removeChain(db, chain.chainId);
+    reporter.progress('indexer', `${chain.network}: no longer deployed, removed from the index`, { network: chain.network, chainId: chain.chainId });
+  }
+
+  const results = [];
+  for (const target of targets) {
+    try {
+      results.push(await syncChain(db, target, { provider, logRange, reporter }));
+    } catch (error) {
+      const message = error.shortMessage || error.message;
+      reporter.warning('indexer', `${target.network.name}: sync failed (${message})`, {
+        network: target.network.name,
+        chainId: target.network.chainId
+      });
+      results.push({ network: target.network.name, chainId: target.network.chainId, error: message });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  REORG_DEPTH,
+  getIndexTargets,
+  syncIndex
+};
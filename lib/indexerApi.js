@@ -0,0 +1,286 @@
+/**
+ * Bridge Indexer API
+ * ==================
+ *
+ * A small read-only REST API over the SQLite index (see indexStore.js), so
+ * the frontend and scripts can look up balances, supply and bridges without
+ * scanning the chains themselves. Every response is JSON; amounts are decimal
+ * strings in the token's smallest unit, with a `formatted` copy in tokens.
+ *
+ *   GET /health                     Indexed chains and the last block indexed on each
+ *   GET /supply                     Total supply per chain and across all chains
+ *   GET /balances/:address          An address's balance on every chain
+ *   GET /holders?chainId=&limit=    Largest holders on a chain (default limit: 100)
+ *   GET /bridges?address=&status=&limit=
+ *                                   Bridge transfers sent or received by an address, newest first
+ *   GET /bridges/:txHash            The bridge transfer with this source or destination transaction
+ *
+ * Bridge transfers are rows from history.js's pairTransfers(), plus the
+ * token's `decimals`. Errors are returned as { error } with a 4xx status.
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+const { pairTransfers } = require('./history');
+const { readIndexedChains, readIndexedChain, readBridgeEvents, readBalancesOf, readHolders } = require('./indexStore');
+
+const DEFAULT_INDEXER_PORT = 3001;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Create an error that is returned to the client with an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error carrying the status
+ */
+function apiError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Parse the limit query parameter
+ * @param {URLSearchParams} query - Query parameters
+ * @returns {number} Number of rows to return
+ * @throws {Error} If the limit isn't a positive integer
+ */
+function parseLimit(query) {
+  if (!query.has('limit')) {
+    return DEFAULT_LIMIT;
+  }
+  const limit = Number(query.get('limit'));
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw apiError(400, `Invalid limit: ${query.get('limit')}`);
+  }
+  return Math.min(limit, MAX_LIMIT);
+}
+
+/**
+ * Parse an address in the path or query
+ * @param {string} value - Address as given
+ * @returns {string} Checksummed address
+ * @throws {Error} If the value isn't an address
+ */
+function parseAddress(value) {
+  if (!ethers.isAddress(value)) {
+    throw apiError(400, `Invalid address: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+/**
+ * Pair every indexed bridge event into transfers
+ * @param {Object} db - Index database
+ * @returns {Array<Object>} Transfers from pairTransfers() with the token's decimals, oldest first
+ */
+function readTransfers(db) {
+  const decimalsByChainId = Object.fromEntries(readIndexedChains(db).map(chain => [chain.chainId, chain.decimals]));
+  return pairTransfers(readBridgeEvents(db), decimalsByChainId).map(transfer => ({
+    ...transfer,
+    decimals: decimalsByChainId[transfer.sourceChainId] ?? decimalsByChainId[transfer.destChainId]
+  }));
+}
+
+// ======================================================================
+// SECTION 1: ROUTES
+// ======================================================================
+
+/**
+ * GET /health
+ * @param {Object} db - Index database
+ * @param {Object} context - Request context ({ syncResults })
+ * @returns {Object} Indexed chains and their last sync
+ */
+function getHealth(db, { syncResults }) {
+  const errors = new Map(syncResults.filter(result => result.error).map(result => [result.chainId, result.error]));
+  const chains = readIndexedChains(db).map(chain => ({
+    network: chain.network,
+    chainId: chain.chainId,
+    address: chain.address,
+    lastBlock: chain.lastBlock,
+    syncedAt: chain.syncedAt,
+    error: errors.get(chain.chainId) ?? null
+  }));
+  return { ok: errors.size === 0, chains };
+}
+
+/**
+ * GET /supply
+ * @param {Object} db - Index database
+ * @returns {Object} Total supply per chain and across all chains
+ */
+function getSupply(db) {
+  const chains = readIndexedChains(db);
+  const totalSupply = chains.reduce((total, chain) => total + chain.totalSupply, 0n);
+  const decimals = chains[0]?.decimals ?? 18;
+
+  return {
+    chains: chains.map(chain => ({
+      network: chain.network,
+      chainId: chain.chainId,
+      address: chain.address,
+      symbol: chain.symbol,
+      decimals: chain.decimals,
+      block: chain.lastBlock,
+      totalSupply: chain.totalSupply,
+      formatted: ethers.formatUnits(chain.totalSupply, chain.decimals)
+    })),
+    totalSupply,
+    formatted: ethers.formatUnits(totalSupply, decimals)
+  };
+}
+
+/**
+ * GET /balances/:address
+ * @param {Object} db - Index database
+ * @param {Object} context - Request context ({ params })
+ * @returns {Object} The address's balance on every chain
+ */
+function getBalances(db, { params }) {
+  const address = parseAddress(params[0]);
+  const balances = readBalancesOf(db, address).map(({ chain, balance }) => ({
+    network: chain.network,
+    chainId: chain.chainId,
+    block: chain.lastBlock,
+    token: {
+      address: chain.address,
+      symbol: chain.symbol,
+      decimals: chain.decimals,
+      balance,
+      formatted: ethers.formatUnits(balance, chain.decimals)
+    }
+  }));
+  return { address, balances };
+}
+
+/**
+ * GET /holders?chainId=&limit=
+ * @param {Object} db - Index database
+ * @param {Object} context - Request context ({ query })
+ * @returns {Object} Largest holders on the chain
+ */
+function getHolders(db, { query }) {
+  const chainId = Number(query.get('chainId'));
+  if (!Number.isInteger(chainId) || chainId < 1) {
+    throw apiError(400, 'chainId is required');
+  }
+  const chain = readIndexedChain(db, chainId);
+  if (!chain) {
+    throw apiError(404, `Chain ${chainId} is not indexed`);
+  }
+
+  const holders = readHolders(db, chainId, parseLimit(query)).map(holder => ({
+    ...holder,
+    formatted: ethers.formatUnits(holder.balance, chain.decimals)
+  }));
+  return { network: chain.network, chainId, block: chain.lastBlock, decimals: chain.decimals, holders };
+}
+
+/**
+ * GET /bridges?address=&status=&limit=
+ * @param {Object} db - Index database
+ * @param {Object} context - Request context ({ query })
+ * @returns {Object} Matching transfers, newest first
+ */
+function getBridges(db, { query }) {
+  const address = query.has('address') ? parseAddress(query.get('address')) : null;
+  const status = query.get('status');
+  const limit = parseLimit(query);
+
+  const transfers = readTransfers(db)
+    .filter(transfer => !address || transfer.sender === address || transfer.recipient === address)
+    .filter(transfer => !status || transfer.status === status)
+    .reverse()
+    .slice(0, limit);
+  return { transfers };
+}
+
+/**
+ * GET /bridges/:txHash
+ * @param {Object} db - Index database
+ * @param {Object} context - Request context ({ params })
+ * @returns {Object} Transfer, with the number of blocks indexed on top of the source transaction
+ */
+function getBridge(db, { params }) {
+  const txHash = params[0].toLowerCase();
+  if (!ethers.isHexString(txHash, 32)) {
+    throw apiError(400, `Invalid transaction hash: ${params[0]}`);
+  }
+
+  const transfer = readTransfers(db).find(candidate =>
+    candidate.sourceTxHash?.toLowerCase() === txHash || candidate.destTxHash?.toLowerCase() === txHash
+  );
+  if (!transfer) {
+    throw apiError(404, `No bridge transfer found for ${params[0]}`);
+  }
+  const source = transfer.sourceTxHash ? readIndexedChain(db, transfer.sourceChainId) : null;
+  return { ...transfer, confirmations: source ? source.lastBlock - transfer.sourceBlockNumber + 1 : null };
+}
+
+const ROUTES = [
+  { pattern: /^\/health$/, handler: getHealth },
+  { pattern: /^\/supply$/, handler: getSupply },
+  { pattern: /^\/balances\/([^/]+)$/, handler: getBalances },
+  { pattern: /^\/holders$/, handler: getHolders },
+  { pattern: /^\/bridges$/, handler: getBridges },
+  { pattern: /^\/bridges\/([^/]+)$/, handler: getBridge }
+];
+
+// ======================================================================
+// SECTION 2: SERVER
+// ======================================================================
+
+/**
+ * Write a JSON response (bigints as decimal strings)
+ * @param {Object} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    // The frontend is served from another port
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body, (key, value) => typeof value === 'bigint' ? value.toString() : value));
+}
+
+/**
+ * Create the API server (call listen() on it to start serving)
+ *
+ * @param {Object} db - Index database (see openIndex())
+ * @param {Object} options - Server options
+ * @param {Function} options.getSyncResults - Returns the results of the last syncIndex(), reported by /health
+ * @returns {Object} http.Server
+ */
+function createIndexerServer(db, { getSyncResults = () => [] } = {}) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+      return;
+    }
+
+    for (const { pattern, handler } of ROUTES) {
+      const match = url.pathname.match(pattern);
+      if (!match) {
+        continue;
+      }
+      try {
+        const params = match.slice(1).map(decodeURIComponent);
+        sendJson(res, 200, handler(db, { params, query: url.searchParams, syncResults: getSyncResults() }));
+      } catch (error) {
+        sendJson(res, error.status || 500, { error: error.message });
+      }
+      return;
+    }
+    sendJson(res, 404, { error: `Not found: ${url.pathname}` });
+  });
+}
+
+module.exports = {
+  DEFAULT_INDEXER_PORT,
+  createIndexerServer
+};
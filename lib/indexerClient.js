@@ -0,0 +1,73 @@
+/**
+ * Bridge Indexer Client
+ * =====================
+ *
+ * Reads from a running indexer's REST API (see indexerApi.js and
+ * scripts/indexer.js) instead of the chains. getBalances() and
+ * getBridgeStatus() use it when given an `indexer` URL, and fall back to the
+ * chains when the indexer can't be reached.
+ */
+
+const { getNetworkConfig } = require('../network.config');
+
+/**
+ * Fetch a path from the indexer API
+ *
+ * @param {string} indexerUrl - Base URL of the indexer (e.g. http://localhost:3001)
+ * @param {string} route - Path and query (e.g. /supply)
+ * @returns {Promise<Object|null>} Response body, or null if the indexer has nothing there (404)
+ * @throws {Error} If the indexer can't be reached or returns an error
+ */
+async function fetchIndexer(indexerUrl, route) {
+  let response;
+  try {
+    response = await fetch(`${indexerUrl.replace(/\/+$/, '')}${route}`);
+  } catch (error) {
+    // fetch() only says "fetch failed"; the cause says why (e.g. ECONNREFUSED)
+    throw new Error(error.cause?.message || error.message);
+  }
+  if (response.status === 404) {
+    return null;
+  }
+
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error || `Indexer returned HTTP ${response.status}`);
+  }
+  return body;
+}
+
+/**
+ * Read an address's token balances from the indexer
+ * Native balances aren't indexed, so `native` is null on every entry.
+ *
+ * @param {string} indexerUrl - Base URL of the indexer
+ * @param {Array<string>} networkNames - Networks to include
+ * @param {string} address - Address to check
+ * @returns {Promise<Array<Object>>} One entry per indexed network, like getBalances() in balances.js
+ */
+async function getIndexedBalances(indexerUrl, networkNames, address) {
+  const chainIds = networkNames.map(networkName => getNetworkConfig(networkName).chainId);
+  const { balances } = await fetchIndexer(indexerUrl, `/balances/${address}`);
+
+  return balances
+    .filter(entry => chainIds.includes(entry.chainId))
+    .map(entry => ({ ...entry, native: null }));
+}
+
+/**
+ * Look up a bridge transfer in the indexer by its source or destination transaction
+ *
+ * @param {string} indexerUrl - Base URL of the indexer
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<Object|null>} Transfer (see GET /bridges/:txHash), or null if the indexer hasn't seen it
+ */
+async function getIndexedBridge(indexerUrl, txHash) {
+  return fetchIndexer(indexerUrl, `/bridges/${txHash}`);
+}
+
+module.exports = {
+  fetchIndexer,
+  getIndexedBalances,
+  getIndexedBridge
+};
@@ -0,0 +1,467 @@
+/**
+ * Deployment Journal
+ * ==================
+ *
+ * Records every deployment, configuration and batch bridge transaction in
+ * deployments/<network>/journal.json before it is broadcast, so a crash between broadcasting and saving the result
+ * never orphans a contract or causes a duplicate deployment.
+ *
+ * Each transaction is signed first, written to the journal (hash, nonce, intent,
+ * raw signed transaction), then broadcast. On the next run, resumeJournal() looks
+ * up the receipt of anything left unfinished - waiting for it, rebroadcasting it
+ * if the node never saw it, or marking it dropped if its nonce was used elsewhere.
+ *
+ * A transaction that stays pending longer than the network's gas.stuckTimeoutSeconds
+ * can be replaced through the `onStuck` option: sped up (sent again with higher
+ * fees) or cancelled (a zero-value transfer to the sender with the same nonce).
+ * Replacements are journaled like any other transaction, with `replaces` pointing
+ * at the entry they replace, which is marked 'replaced'.
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { getReplacementFees } = require('./chains');
+const { createReporter } = require('./progress');
+
+// How often a pending transaction (and any replacement) is checked, in milliseconds
+const POLL_INTERVAL = 4000;
+
+// How many polls a used nonce is re-checked against the receipts before it counts as used elsewhere
+const NONCE_USED_CHECKS = 3;
+
+/**
+ * Get the journal path for a network
+ * @param {Object} network - Network configuration from network.config.js
+ * @returns {string} Journal file path
+ */
+function getJournalPath(network) {
+  return path.join(__dirname, '../deployments', network.name, 'journal.json');
+}
+
+/**
+ * Read all journal entries for a network
+ * @param {Object} network - Network configuration from network.config.js
+ * @returns {Array<Object>} Journal entries, oldest first
+ */
+function readJournal(network) {
+  const journalPath = getJournalPath(network);
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(journalPath, 'utf8')).entries || [];
+}
+
+/**
+ * Write all journal entries for a network
+ * Written to a temporary file and renamed, so a crash never leaves a half-written journal.
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Array<Object>} entries - Journal entries
+ */
+function writeJournal(network, entries) {
+  const journalPath = getJournalPath(network);
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+
+  const tempPath = `${journalPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ entries }, null, 2));
+  fs.renameSync(tempPath, journalPath);
+}
+
+/**
+ * Update a single journal entry by transaction hash
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {string} hash - Transaction hash
+ * @param {Object} changes - Fields to update
+ * @returns {Object} Updated entry
+ */
+function updateEntry(network, hash, changes) {
+  const entries = readJournal(network);
+  const entry = entries.find(candidate => candidate.hash === hash);
+  Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+  writeJournal(network, entries);
+  return entry;
+}
+
+/**
+ * Record the outcome of a mined transaction
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} entry - Journal entry
+ * @param {Object} receipt - Transaction receipt
+ * @returns {Object} Updated entry
+ */
+function recordReceipt(network, entry, receipt) {
+  const cancelled = entry.action === 'cancel';
+  let status = receipt.status === 1 ? 'confirmed' : 'failed';
+  if (cancelled && status === 'confirmed') {
+    status = 'cancelled';
+  }
+
+  return updateEntry(network, entry.hash, {
+    status,
+    blockNumber: receipt.blockNumber,
+    contractAddress: cancelled ? null : receipt.contractAddress || entry.expectedAddress || null
+  });
+}
+
+/**
+ * Flag a confirmed entry so later runs don't recover it again
+ * A deployment is flagged `saved` once its deployment file is written, and
+ * `discarded` when it no longer matches the token settings, so a deployment file
+ * deleted to redeploy doesn't bring the old contract back.
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {string} hash - Transaction hash
+ * @param {string} flag - 'saved' or 'discarded'
+ * @returns {Object|null} Updated entry, or null if the transaction isn't journaled
+ */
+function settleEntry(network, hash, flag) {
+  if (!readJournal(network).some(candidate => candidate.hash === hash)) {
+    return null;
+  }
+  return updateEntry(network, hash, { [flag]: true });
+}
+
+/**
+ * Wait before the next check
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sign, journal and broadcast a transaction without waiting for it to be mined
+ *
+ * @param {Object} wallet - Signer sending the transaction
+ * @param {Object} txRequest - Transaction request (including any fee overrides and nonce)
+ * @param {Object} options - Journal details
+ * @param {Object} options.network - Network configuration from network.config.js
+ * @param {string} options.intent - What the transaction does ('deploy', 'configure', 'bridge', ...)
+ * @param {string} options.expectedAddress - Address the transaction creates, if known up front
+ * @param {Object} options.meta - Extra details needed to finish the job on resume
+ * @param {Object} options.replaces - Entry this transaction replaces, and how ({ hash, action: 'speed-up' | 'cancel' })
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Object>} Journal entry
+ * @throws {Error} If the transaction is rejected
+ */
+async function broadcastJournaled(wallet, txRequest, { network, intent, expectedAddress = null, meta = {}, replaces = null, events }) {
+  const reporter = createReporter(events);
+  const from = await wallet.getAddress();
+  const populated = await wallet.populateTransaction(txRequest);
+  const rawTransaction = await wallet.signTransaction(populated);
+  const { hash, nonce } = ethers.Transaction.from(rawTransaction);
+
+  const entry = {
+    hash,
+    nonce,
+    from,
+    network: network.name,
+    chainId: network.chainId,
+    intent,
+    expectedAddress: expectedAddress || (populated.to ? null : ethers.getCreateAddress({ from, nonce })),
+    meta,
+    ...(replaces ? { replaces: replaces.hash, action: replaces.action } : {}),
+    status: 'signed',
+    rawTransaction,
+    createdAt: new Date().toISOString()
+  };
+  writeJournal(network, [...readJournal(network), entry]);
+
+  try {
+    await wallet.provider.broadcastTransaction(rawTransaction);
+  } catch (error) {
+    // The node may already have it from an earlier attempt
+    if (!/already known/i.test(error.message)) {
+      updateEntry(network, hash, { status: 'rejected', error: error.shortMessage || error.message });
+      throw error;
+    }
+  }
+
+  const details = { network: network.name, chainId: network.chainId, intent, txHash: hash, nonce };
+  reporter.progress('journal', `Transaction hash: ${hash} (nonce ${nonce}, recorded in journal)`, details);
+  return updateEntry(network, hash, { status: 'broadcast' });
+}
+
+/**
+ * Replace a pending journaled transaction with one using the same nonce and higher fees
+ * A speed-up sends the same transaction again; a cancel sends nothing to the
+ * sender instead, so the nonce is used up without doing anything.
+ *
+ * @param {Object} wallet - Signer that sent the pending transaction
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} entry - Journal entry of the pending transaction
+ * @param {string} action - 'speed-up' or 'cancel'
+ * @param {Object} options - Replacement options
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Object>} Journal entry of the replacement
+ * @throws {Error} If the fees can't be raised under the gas price cap, or the node rejects the replacement
+ */
+async function replaceJournaled(wallet, network, entry, action, { events } = {}) {
+  const reporter = createReporter(events);
+  const pending = ethers.Transaction.from(entry.rawTransaction);
+  const fees = await getReplacementFees(network, wallet.provider, pending);
+
+  const txRequest = action === 'cancel'
+    ? { to: entry.from, value: 0n, data: '0x', gasLimit: 21000n, nonce: entry.nonce, ...fees }
+    : { to: pending.to, value: pending.value, data: pending.data, gasLimit: pending.gasLimit, nonce: entry.nonce, ...fees };
+
+  const replacement = await broadcastJournaled(wallet, txRequest, {
+    network,
+    intent: entry.intent,
+    expectedAddress: action === 'cancel' ? null : entry.expectedAddress,
+    meta: entry.meta,
+    replaces: { hash: entry.hash, action },
+    events
+  });
+  updateEntry(network, entry.hash, { status: 'replaced', replacedBy: replacement.hash });
+
+  const fee = fees.maxFeePerGas ?? fees.gasPrice;
+  reporter.progress('journal', `${action === 'cancel' ? 'Cancelled' : 'Sped up'} ${entry.hash} with ${replacement.hash} (nonce ${entry.nonce}, ${ethers.formatUnits(fee, 'gwei')} gwei)`, {
+    network: network.name,
+    chainId: network.chainId,
+    intent: entry.intent,
+    txHash: replacement.hash,
+    replaces: entry.hash,
+    action,
+    nonce: entry.nonce
+  });
+  return replacement;
+}
+
+/**
+ * Follow a transaction's replacements to the one that took its place
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {string} hash - Transaction hash
+ * @returns {string} Hash of the latest replacement, or the same hash if it was never replaced
+ */
+function followReplacements(network, hash) {
+  const entries = readJournal(network);
+  let current = entries.find(entry => entry.hash.toLowerCase() === hash.toLowerCase());
+  while (current?.status === 'replaced' && current.replacedBy) {
+    hash = current.replacedBy;
+    current = entries.find(entry => entry.hash === hash);
+  }
+  return hash;
+}
+
+/**
+ * Wait for a journaled transaction to be mined and record the outcome
+ * Any replacement sent for the same nonce is watched too, and whichever is mined
+ * wins; the others are marked dropped, apart from the ones it replaced. A nonce
+ * used by something else only counts once none of the receipts has turned up
+ * over a few more polls. Once the transaction has been pending for
+ * gas.stuckTimeoutSeconds, onStuck decides what to do: 'wait' (the default),
+ * 'speed-up' or 'cancel', or a function returning one of those.
+ *
+ * @param {Object} wallet - Signer that sent the transaction (or just a provider, which can't replace it)
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} entry - Journal entry returned by broadcastJournaled()
+ * @param {Object} options - Wait options
+ * @param {number} options.confirmations - Confirmations to wait for (default: 1)
+ * @param {string|Function} options.onStuck - Action for a stuck transaction, or ({ network, hash, nonce, intent, pendingSeconds, replacements }) => action
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Object>} The mined journal entry (status 'confirmed', 'failed' or 'cancelled') and its receipt
+ * @throws {Error} If the nonce was used by a transaction that isn't in the journal
+ */
+async function waitForJournaled(wallet, network, entry, { confirmations = 1, onStuck = 'wait', events } = {}) {
+  const reporter = createReporter(events);
+  const provider = wallet.provider || wallet;
+  const stuckTimeout = (network.gas?.stuckTimeoutSeconds ?? 180) * 1000;
+  const sentAt = Date.now();
+  let waitingSince = sentAt;
+  let nonceUsedChecks = 0;
+
+  // Every transaction journaled for this nonce that could still be mined
+  const candidates = () => readJournal(network).filter(candidate =>
+    candidate.from === entry.from &&
+    candidate.nonce === entry.nonce &&
+    ['signed', 'broadcast', 'replaced'].includes(candidate.status)
+  );
+
+  for (;;) {
+    const nonceUsed = await provider.getTransactionCount(entry.from, 'latest') > entry.nonce;
+    const sent = candidates();
+
+    for (const candidate of sent) {
+      if (!await provider.getTransactionReceipt(candidate.hash)) continue;
+
+      // The entries it replaced stay 'replaced', so followReplacements() still leads to it
+      const replaced = new Set();
+      for (let hash = candidate.replaces; hash && !replaced.has(hash); hash = sent.find(other => other.hash === hash)?.replaces) {
+        replaced.add(hash);
+      }
+      for (const other of sent.filter(other => other.hash !== candidate.hash && !replaced.has(other.hash))) {
+        updateEntry(network, other.hash, { status: 'dropped' });
+      }
+      const receipt = await provider.waitForTransaction(candidate.hash, confirmations);
+      return { entry: recordReceipt(network, candidate, receipt), receipt };
+    }
+
+    if (nonceUsed) {
+      // A lagging node can count the nonce as used before it serves the receipt,
+      // so the receipts are looked up again on the next polls before giving up
+      nonceUsedChecks += 1;
+      if (nonceUsedChecks < NONCE_USED_CHECKS) {
+        await sleep(POLL_INTERVAL);
+        continue;
+      }
+
+      for (const candidate of sent) {
+        updateEntry(network, candidate.hash, { status: 'dropped' });
+      }
+      throw new Error(`Nonce ${entry.nonce} on ${network.name} was used by a transaction that isn't in the journal`);
+    }
+
+    const latest = sent.find(candidate => candidate.status !== 'replaced') || entry;
+    if (Date.now() - waitingSince >= stuckTimeout) {
+      const details = { network: network.name, chainId: network.chainId, intent: entry.intent, txHash: latest.hash, nonce: entry.nonce };
+      const pendingSeconds = Math.round((Date.now() - sentAt) / 1000);
+      const action = typeof onStuck === 'function'
+        ? await onStuck({ network, hash: latest.hash, nonce: entry.nonce, intent: entry.intent, pendingSeconds, replacements: sent.length - 1 })
+        : onStuck;
+
+      if (action === 'speed-up' || action === 'cancel') {
+        try {
+          await replaceJournaled(wallet, network, latest, action, { events });
+        } catch (error) {
+          reporter.warning('journal', `Could not replace ${latest.hash}: ${error.shortMessage || error.message}`, details);
+        }
+      } else {
+        reporter.warning('journal', `Transaction ${latest.hash} still pending after ${pendingSeconds} seconds - waiting longer.`, details);
+      }
+      waitingSince = Date.now();
+    }
+
+    await sleep(POLL_INTERVAL);
+  }
+}
+
+/**
+ * Sign, journal, broadcast and wait for a transaction
+ *
+ * @param {Object} wallet - Signer sending the transaction
+ * @param {Object} txRequest - Transaction request (including any fee overrides)
+ * @param {Object} options - Journal details (see broadcastJournaled()), plus onStuck (see waitForJournaled())
+ * @returns {Promise<Object>} Journal entry and receipt
+ * @throws {Error} If the transaction is rejected, reverts or is cancelled
+ */
+async function sendJournaled(wallet, txRequest, options) {
+  const reporter = createReporter(options.events);
+  const entry = await broadcastJournaled(wallet, txRequest, options);
+
+  const { network, intent } = options;
+  reporter.progress('journal', 'Waiting for confirmation...', {
+    network: network.name,
+    chainId: network.chainId,
+    intent,
+    txHash: entry.hash,
+    nonce: entry.nonce
+  });
+
+  const { entry: updated, receipt } = await waitForJournaled(wallet, network, entry, {
+    onStuck: options.onStuck,
+    events: options.events
+  });
+  if (updated.status === 'failed') {
+    throw new Error(`Transaction ${updated.hash} reverted`);
+  }
+  if (updated.status === 'cancelled') {
+    throw new Error(`Transaction ${entry.hash} was cancelled by ${updated.hash}`);
+  }
+
+  return { entry: updated, receipt };
+}
+
+/**
+ * Finish any transactions a previous run left unfinished
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} wallet - Signer that sent the transactions
+ * @param {string} intent - Only resume transactions with this intent
+ * @param {Object} options - Resume options
+ * @param {string|Function} options.onStuck - What to do if a resumed transaction is stuck (see waitForJournaled())
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Array<Object>>} All journal entries with this intent, after resuming
+ */
+async function resumeJournal(network, wallet, intent, { onStuck, events } = {}) {
+  const reporter = createReporter(events);
+  const provider = wallet.provider;
+  const unfinished = readJournal(network)
+    .filter(entry => entry.intent === intent && ['signed', 'broadcast'].includes(entry.status));
+
+  for (const entry of unfinished) {
+    // Settled while waiting for an earlier entry with the same nonce
+    if (!['signed', 'broadcast'].includes(readJournal(network).find(current => current.hash === entry.hash).status)) {
+      continue;
+    }
+
+    const details = { network: network.name, chainId: network.chainId, intent, txHash: entry.hash, nonce: entry.nonce };
+    reporter.progress('journal', `Resuming ${intent} transaction ${entry.hash} (nonce ${entry.nonce}) from a previous run...`, details);
+
+    const receipt = await provider.getTransactionReceipt(entry.hash);
+    if (!receipt) {
+      const known = await provider.getTransaction(entry.hash);
+
+      if (!known) {
+        // Never reached the node, or was dropped. Rebroadcast unless its nonce is already used.
+        const currentNonce = await provider.getTransactionCount(entry.from, 'latest');
+        if (currentNonce > entry.nonce) {
+          // The transaction this one replaced may be the one that was mined
+          const replaced = readJournal(network).find(candidate => candidate.hash === entry.replaces);
+          const replacedReceipt = replaced && await provider.getTransactionReceipt(replaced.hash);
+          if (replacedReceipt) {
+            recordReceipt(network, replaced, replacedReceipt);
+            updateEntry(network, entry.hash, { status: 'dropped' });
+            reporter.progress('journal', `Transaction ${replaced.hash} was mined before its replacement ${entry.hash}`, details);
+            continue;
+          }
+
+          reporter.warning('journal', `Nonce ${entry.nonce} was used by another transaction - marking ${entry.hash} as dropped.`, details);
+          updateEntry(network, entry.hash, { status: 'dropped' });
+          continue;
+        }
+
+        reporter.progress('journal', 'Transaction not found on the node - rebroadcasting it...', details);
+        try {
+          await provider.broadcastTransaction(entry.rawTransaction);
+        } catch (error) {
+          reporter.warning('journal', `Rebroadcast failed (${error.shortMessage || error.message}) - marking ${entry.hash} as dropped.`, details);
+          updateEntry(network, entry.hash, { status: 'dropped', error: error.shortMessage || error.message });
+          continue;
+        }
+        updateEntry(network, entry.hash, { status: 'broadcast' });
+      }
+
+      reporter.progress('journal', 'Waiting for confirmation...', details);
+    }
+
+    const { entry: updated, receipt: mined } = receipt
+      ? { entry: recordReceipt(network, entry, receipt), receipt }
+      : await waitForJournaled(wallet, network, entry, { onStuck, events });
+    reporter.progress('journal', `Transaction ${updated.hash} ${updated.status} in block ${mined.blockNumber}`, {
+      ...details,
+      txHash: updated.hash,
+      status: updated.status,
+      blockNumber: mined.blockNumber
+    });
+  }
+
+  return readJournal(network).filter(entry => entry.intent === intent);
+}
+
+module.exports = {
+  getJournalPath,
+  readJournal,
+  broadcastJournaled,
+  replaceJournaled,
+  followReplacements,
+  settleEntry,
+  waitForJournaled,
+  sendJournaled,
+  resumeJournal
+};
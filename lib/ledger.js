@@ -0,0 +1,140 @@
+/**
+ * Bridge Ledger
+ * =============
+ *
+ * Records every bridge transaction this machine submits in deployments/bridges.json,
+ * so a transfer isn't forgotten when the script that sent it stops waiting
+ * (Ctrl+C, nowait, a timeout or a crash). track.js picks up the entries that
+ * haven't been delivered yet.
+ *
+ * Each entry holds the source and destination chains, transaction hash, sender,
+ * recipient, amount (as typed, and as amountWei with the token's decimals), the
+ * message ID once the source transaction is mined, timestamps and a status:
+ *
+ * - 'pending'   - submitted, not delivered yet (or not checked since)
+ * - 'delivered' - the TokensReceived event was found on the destination chain
+ * - 'failed'    - the source transaction reverted
+ * - 'unknown'   - the source transaction can no longer be found (see `reason`)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEDGER_PATH = path.join(__dirname, '../deployments/bridges.json');
+
+/**
+ * Read all ledger entries
+ * @returns {Array<Object>} Ledger entries, oldest first
+ */
+function readLedger() {
+  if (!fs.existsSync(LEDGER_PATH)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(LEDGER_PATH, 'utf8')).bridges || [];
+}
+
+/**
+ * Write all ledger entries
+ * Written to a temporary file and renamed, so a crash never leaves a half-written ledger.
+ *
+ * @param {Array<Object>} entries - Ledger entries
+ */
+function writeLedger(entries) {
+  fs.mkdirSync(path.dirname(LEDGER_PATH), { recursive: true });
+
+  const tempPath = `${LEDGER_PATH}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ bridges: entries }, null, 2));
+  fs.renameSync(tempPath, LEDGER_PATH);
+}
+
+/**
+ * Add a newly submitted bridge transaction to the ledger
+ *
+ * @param {Object} bridge - Bridge details ({ txHash, sourceNetwork, sourceChainId, destNetwork, destChainId, sender, recipient, amount, ... })
+ * @returns {Object} Ledger entry
+ */
+function recordBridge(bridge) {
+  const now = new Date().toISOString();
+  const entry = { ...bridge, status: 'pending', createdAt: now, updatedAt: now };
+  writeLedger([
+    ...readLedger().filter(existing => !isSameBridge(existing, entry)),
+    entry
+  ]);
+  return entry;
+}
+
+/**
+ * Update a ledger entry
+ *
+ * @param {number} sourceChainId - Source chain ID
+ * @param {string} txHash - Source transaction hash
+ * @param {Object} changes - Fields to update
+ * @returns {Object|null} Updated entry, or null if the bridge isn't in the ledger
+ */
+function updateBridge(sourceChainId, txHash, changes) {
+  const entries = readLedger();
+  const entry = entries.find(candidate => isSameBridge(candidate, { sourceChainId, txHash }));
+  if (!entry) {
+    return null;
+  }
+
+  Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+  writeLedger(entries);
+  return entry;
+}
+
+/**
+ * Mark a ledger entry as delivered
+ *
+ * @param {number} sourceChainId - Source chain ID
+ * @param {string} txHash - Source transaction hash
+ * @param {Object} received - Delivery from waitForTokensReceived() or getBridgeStatus()
+ * @returns {Object|null} Updated entry, or null if the bridge isn't in the ledger
+ */
+function recordDelivery(sourceChainId, txHash, received) {
+  return updateBridge(sourceChainId, txHash, {
+    status: 'delivered',
+    reason: null,
+    destTxHash: received.destTxHash,
+    destBlockNumber: received.destBlockNumber,
+    deliveredAt: received.receivedAt,
+    latencySeconds: received.latencySeconds,
+    ambiguous: Boolean(received.ambiguous)
+  });
+}
+
+/**
+ * Remove every entry whose source or destination is one of the given chains
+ * Used by the devnet, whose chains are wiped on every restart.
+ *
+ * @param {Array<number>} chainIds - Chain IDs to forget
+ * @returns {number} Number of entries removed
+ */
+function forgetChains(chainIds) {
+  const entries = readLedger();
+  const kept = entries.filter(entry => !chainIds.includes(entry.sourceChainId) && !chainIds.includes(entry.destChainId));
+  if (kept.length !== entries.length) {
+    writeLedger(kept);
+  }
+  return entries.length - kept.length;
+}
+
+/**
+ * Whether two entries describe the same source transaction
+ *
+ * @param {Object} a - Ledger entry
+ * @param {Object} b - Ledger entry
+ * @returns {boolean} True if both have the same source chain and transaction hash
+ */
+function isSameBridge(a, b) {
+  return Number(a.sourceChainId) === Number(b.sourceChainId) && a.txHash.toLowerCase() === b.txHash.toLowerCase();
+}
+
+module.exports = {
+  LEDGER_PATH,
+  readLedger,
+  recordBridge,
+  updateBridge,
+  recordDelivery,
+  forgetChains
+};
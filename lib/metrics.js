@@ -0,0 +1,276 @@
+/**
+ * Bridge Health Metrics
+ * =====================
+ *
+ * Collects bridge health metrics for every network in network.config.js and
+ * renders them in the Prometheus text exposition format:
+ *
+ * - bridge_latency_seconds (histogram)        - from the source transaction reaching the network's
+ *                                                `confirmations` to the destination TokensReceived, per route
+ * - bridge_transfers (gauge)                  - pending and delivered bridges per route
+ * - bridge_token_total_supply (gauge)         - totalSupply() of each deployment, in tokens
+ * - bridge_chain_last_block (gauge)           - last block seen on each network, and its timestamp
+ * - bridge_rpc_requests_total, bridge_rpc_errors_total (counters) - JSON-RPC calls made by the exporter
+ * - bridge_network_up (gauge)                 - whether the network's RPC answered on the last refresh
+ *
+ * Transfers come from the event history (see history.js), so the exporter
+ * picks up where the export and reconcile commands left off, and keeps
+ * deployments/history.json up to date for them.
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+const { getNetworkConfig } = require('../network.config');
+const { readDeploymentFile } = require('./deployments');
+const { readHistory, scanHistory, pairTransfers } = require('./history');
+const { createReporter } = require('./progress');
+
+// Upper bounds of the latency histogram buckets, in seconds
+const LATENCY_BUCKETS = [5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+
+const DEFAULT_METRICS_PORT = 9464;
+
+/**
+ * Escape a Prometheus label value
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format one sample line
+ * @param {string} name - Metric name
+ * @param {Object} labels - Label names and values
+ * @param {number} value - Sample value
+ * @returns {string} Sample line
+ */
+function formatSample(name, labels, value) {
+  const pairs = Object.entries(labels).map(([label, labelValue]) => `${label}="${escapeLabel(labelValue)}"`);
+  return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${value}`;
+}
+
+/**
+ * Create a JSON-RPC provider that counts its requests and errors
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} counts - Counters to update ({ requests, errors })
+ * @returns {Object} Ethers provider
+ */
+function createCountingProvider(network, counts) {
+  // A static network stops ethers from retrying forever when the RPC is down
+  const provider = new ethers.JsonRpcProvider(network.rpcUrl, undefined, { staticNetwork: ethers.Network.from(network.chainId) });
+  const send = provider.send.bind(provider);
+
+  provider.send = async (method, params) => {
+    counts.requests += 1;
+    try {
+      return await send(method, params);
+    } catch (error) {
+      counts.errors += 1;
+      throw error;
+    }
+  };
+  return provider;
+}
+
+/**
+ * Name a route's end for labels
+ * @param {string|null} networkName - Network name, if the chain is in network.config.js
+ * @param {number} chainId - Chain ID
+ * @returns {string} Label value
+ */
+function routeLabel(networkName, chainId) {
+  return networkName ?? `chain-${chainId}`;
+}
+
+/**
+ * Create a metrics collector for a group of networks
+ * Call refresh() to collect, and render() for the text served at /metrics.
+ *
+ * @param {Array<string>} networkNames - Networks to report on (public or local)
+ * @param {Object} options - Collector options
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Object} Collector ({ refresh, render })
+ */
+function createMetricsCollector(networkNames, { events } = {}) {
+  const reporter = createReporter(events);
+  const networks = networkNames.map(networkName => getNetworkConfig(networkName));
+  const rpcCounts = Object.fromEntries(networks.map(network => [network.name, { requests: 0, errors: 0 }]));
+  const providers = Object.fromEntries(networks.map(network => [network.name, createCountingProvider(network, rpcCounts[network.name])]));
+  const providerFor = network => providers[network.name];
+
+  // Confirmation times never change once seen, so they are only looked up once
+  const confirmedAt = new Map();
+  const heads = {};
+  let snapshot = null;
+
+  /**
+   * Work out when a delivered transfer's source transaction had enough confirmations
+   * @param {Object} transfer - Delivered transfer from pairTransfers()
+   * @returns {Promise<number>} Unix timestamp in seconds
+   */
+  const getConfirmedAt = async (transfer) => {
+    if (!confirmedAt.has(transfer.sourceTxHash)) {
+      const source = getNetworkConfig(transfer.sourceNetwork);
+      const confirmationBlock = transfer.sourceBlockNumber + source.security.confirmations - 1;
+      const timestamp = confirmationBlock === transfer.sourceBlockNumber
+        ? Date.parse(transfer.sentAt) / 1000
+        : (await providers[source.name].getBlock(confirmationBlock)).timestamp;
+      confirmedAt.set(transfer.sourceTxHash, timestamp);
+    }
+    return confirmedAt.get(transfer.sourceTxHash);
+  };
+
+  /**
+   * Collect fresh metrics from every network
+   * A network that can't be reached is reported as down; the rest are still collected.
+   *
+   * @returns {Promise<Object>} Snapshot of the collected values
+   */
+  const refresh = async () => {
+    const started = Date.now();
+    const up = {};
+    const supplies = [];
+    const deployments = {};
+
+    for (const network of networks) {
+      const details = { network: network.name, chainId: network.chainId };
+      const deploymentInfo = readDeploymentFile(network.name);
+      if (deploymentInfo) {
+        deployments[network.name] = deploymentInfo;
+      }
+      try {
+        const block = await providers[network.name].getBlock('latest');
+        heads[network.name] = { number: block.number, timestamp: block.timestamp };
+        up[network.name] = 1;
+      } catch (error) {
+        up[network.name] = 0;
+        reporter.warning('metrics', `${network.name}: RPC unavailable (${error.shortMessage || error.message})`, details);
+        continue;
+      }
+
+      if (!deploymentInfo) {
+        continue;
+      }
+      try {
+        const contract = new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, providers[network.name]);
+        const [totalSupply, decimals] = await Promise.all([contract.totalSupply(), contract.decimals()]);
+        supplies.push({ network, address: deploymentInfo.address, totalSupply: Number(ethers.formatUnits(totalSupply, decimals)) });
+      } catch (error) {
+        reporter.warning('metrics', `${network.name}: could not read the total supply (${error.shortMessage || error.message})`, details);
+      }
+    }
+
+    // Bring the history up to date on the networks that answered
+    const reachable = Object.keys(deployments).filter(networkName => up[networkName]);
+    const scans = await scanHistory(reachable, { provider: providerFor });
+    for (const scan of scans.filter(result => result.error)) {
+      reporter.warning('metrics', `${scan.network}: could not scan for bridge events (${scan.error})`, { network: scan.network, chainId: scan.chainId });
+    }
+    const history = readHistory();
+    const current = history.events.filter(event =>
+      deployments[event.network] && event.address.toLowerCase() === deployments[event.network].address.toLowerCase()
+    );
+    const decimalsByChainId = Object.fromEntries(
+      Object.values(history.networks).map(scanned => [scanned.chainId, scanned.decimals])
+    );
+
+    const routes = new Map();
+    for (const transfer of pairTransfers(current, decimalsByChainId).filter(candidate => candidate.status !== 'unmatched')) {
+      const source = routeLabel(transfer.sourceNetwork, transfer.sourceChainId);
+      const destination = routeLabel(transfer.destNetwork, transfer.destChainId);
+      const key = `${source}\n${destination}`;
+      if (!routes.has(key)) {
+        routes.set(key, { source, destination, pending: 0, delivered: 0, latencies: [] });
+      }
+      const route = routes.get(key);
+      route[transfer.status] += 1;
+
+      if (transfer.status === 'delivered' && (up[transfer.sourceNetwork] || confirmedAt.has(transfer.sourceTxHash))) {
+        try {
+          route.latencies.push(Math.max(0, Date.parse(transfer.receivedAt) / 1000 - await getConfirmedAt(transfer)));
+        } catch (error) {
+          reporter.warning('metrics', `${transfer.sourceTxHash}: could not work out the bridge latency (${error.shortMessage || error.message})`, { txHash: transfer.sourceTxHash });
+        }
+      }
+    }
+
+    snapshot = { up, supplies, routes: [...routes.values()], refreshedAt: Date.now(), durationSeconds: (Date.now() - started) / 1000 };
+    return snapshot;
+  };
+
+  /**
+   * Render the latest snapshot in the Prometheus text format
+   * @returns {string} Metrics text
+   */
+  const render = () => {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples);
+    };
+
+    metric('bridge_network_up', 'gauge', 'Whether the network\'s RPC answered on the last refresh',
+      networks.map(network => formatSample('bridge_network_up', { network: network.name, chain_id: network.chainId }, snapshot?.up[network.name] ?? 0)));
+    metric('bridge_chain_last_block', 'gauge', 'Last block seen on the network',
+      networks.filter(network => heads[network.name]).map(network =>
+        formatSample('bridge_chain_last_block', { network: network.name, chain_id: network.chainId }, heads[network.name].number)));
+    metric('bridge_chain_last_block_timestamp_seconds', 'gauge', 'Timestamp of the last block seen on the network',
+      networks.filter(network => heads[network.name]).map(network =>
+        formatSample('bridge_chain_last_block_timestamp_seconds', { network: network.name, chain_id: network.chainId }, heads[network.name].timestamp)));
+    metric('bridge_rpc_requests_total', 'counter', 'JSON-RPC requests made by the exporter',
+      networks.map(network => formatSample('bridge_rpc_requests_total', { network: network.name }, rpcCounts[network.name].requests)));
+    metric('bridge_rpc_errors_total', 'counter', 'JSON-RPC requests made by the exporter that failed',
+      networks.map(network => formatSample('bridge_rpc_errors_total', { network: network.name }, rpcCounts[network.name].errors)));
+
+    if (snapshot) {
+      metric('bridge_token_total_supply', 'gauge', 'Total supply of the token deployment, in tokens',
+        snapshot.supplies.map(({ network, address, totalSupply }) =>
+          formatSample('bridge_token_total_supply', { network: network.name, chain_id: network.chainId, address }, totalSupply)));
+      metric('bridge_transfers', 'gauge', 'Bridge transfers per route and status',
+        snapshot.routes.flatMap(({ source, destination, pending, delivered }) => [
+          formatSample('bridge_transfers', { source, destination, status: 'pending' }, pending),
+          formatSample('bridge_transfers', { source, destination, status: 'delivered' }, delivered)
+        ]));
+      metric('bridge_latency_seconds', 'histogram', 'Time from source confirmation to the destination TokensReceived event',
+        snapshot.routes.flatMap(({ source, destination, latencies }) => [
+          ...[...LATENCY_BUCKETS, '+Inf'].map(bucket => formatSample('bridge_latency_seconds_bucket', { source, destination, le: bucket },
+            latencies.filter(latency => bucket === '+Inf' || latency <= bucket).length)),
+          formatSample('bridge_latency_seconds_sum', { source, destination }, latencies.reduce((total, latency) => total + latency, 0)),
+          formatSample('bridge_latency_seconds_count', { source, destination }, latencies.length)
+        ]));
+      metric('bridge_metrics_last_refresh_timestamp_seconds', 'gauge', 'When the metrics were last collected',
+        [formatSample('bridge_metrics_last_refresh_timestamp_seconds', {}, Math.floor(snapshot.refreshedAt / 1000))]);
+      metric('bridge_metrics_refresh_duration_seconds', 'gauge', 'How long the last collection took',
+        [formatSample('bridge_metrics_refresh_duration_seconds', {}, snapshot.durationSeconds)]);
+    }
+    return `${lines.join('\n')}\n`;
+  };
+
+  return { refresh, render };
+}
+
+/**
+ * Create the metrics server (call listen() on it to start serving)
+ * GET /metrics returns the collector's latest metrics; any other path is a 404.
+ *
+ * @param {Object} collector - Collector from createMetricsCollector()
+ * @returns {Object} http.Server
+ */
+function createMetricsServer(collector) {
+  return http.createServer((req, res) => {
+    if (req.method !== 'GET' || new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found. Metrics are served at /metrics\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }).end(collector.render());
+  });
+}
+
+module.exports = {
+  DEFAULT_METRICS_PORT,
+  LATENCY_BUCKETS,
+  createMetricsCollector,
+  createMetricsServer
+};
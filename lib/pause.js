@@ -0,0 +1,233 @@
+/**
+ * Bridge Pause Switches
+ * =====================
+ *
+ * Reads and sets the owner-controlled pause switches of the MyERC20
+ * deployments. Bridging can be paused globally or towards single destination
+ * chains, and `receivingPaused` additionally rejects messages arriving from a
+ * paused route, for when a peer chain or the message layer is compromised.
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkConfig, getNetworkByChainId } = require('../network.config');
+const { resolveSigner, resolveProvider, getGasOverrides } = require('./chains');
+const { readDeploymentFile } = require('./deployments');
+const { sendJournaled, resumeJournal } = require('./journal');
+const { createReporter } = require('./progress');
+
+/**
+ * Make sure a deployment's ABI has the pause switches
+ *
+ * @param {Object} contract - MyERC20 contract instance
+ * @param {string} networkName - Network the contract is deployed on
+ * @throws {Error} If the deployment predates them
+ */
+function requirePauseSupport(contract, networkName) {
+  if (!contract.interface.getFunction('isRoutePaused')) {
+    throw new Error(`The ${networkName} deployment has no pause switches. Redeploy it to be able to pause bridging.`);
+  }
+}
+
+/**
+ * Read the pause switches of one contract
+ *
+ * @param {Object} contract - MyERC20 contract instance
+ * @param {number[]} chainIds - Peer chain IDs to check for a per-chain pause
+ * @returns {Promise<Object>} Switches ({ paused, receivingPaused, pausedChainIds })
+ */
+async function readPauseState(contract, chainIds) {
+  const [paused, receivingPaused] = await Promise.all([contract.paused(), contract.receivingPaused()]);
+  const pausedChainIds = [];
+  for (const chainId of chainIds) {
+    if (await contract.chainPaused(chainId)) {
+      pausedChainIds.push(chainId);
+    }
+  }
+  return { paused, receivingPaused, pausedChainIds };
+}
+
+/**
+ * Work out why a route can't be used, from the switches on both ends
+ *
+ * @param {Object} source - Source network and its switches ({ network, state })
+ * @param {Object} dest - Destination network and its switches ({ network, state })
+ * @returns {string|null} Reason, or null if the route isn't paused
+ */
+function getRoutePauseReason(source, dest) {
+  if (source.state.paused) {
+    return `Bridging out of ${source.network.name} is paused.`;
+  }
+  if (source.state.pausedChainIds.includes(dest.network.chainId)) {
+    return `Bridging from ${source.network.name} to ${dest.network.name} is paused.`;
+  }
+  if (dest.state.receivingPaused && (dest.state.paused || dest.state.pausedChainIds.includes(source.network.chainId))) {
+    return `${dest.network.name} is not accepting tokens from ${source.network.name} while bridging is paused.`;
+  }
+  return null;
+}
+
+/**
+ * Collect the pause switches of every network in a list
+ * Networks that can't be reached are reported with an error instead of failing the whole run.
+ *
+ * @param {Array<string>} networkNames - Network names to check
+ * @param {Array<string>} groupNetworkNames - Every network in the same group (their chain IDs are checked for a per-chain pause)
+ * @param {Object} options - Connection options
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @returns {Promise<Array<Object>>} One entry per network ({ network, chainId, deployed, address, paused, receivingPaused, pausedChains, error })
+ */
+async function getPauseStatus(networkNames, groupNetworkNames = networkNames, { provider } = {}) {
+  const results = [];
+
+  for (const networkName of networkNames) {
+    const network = getNetworkConfig(networkName);
+    const deploymentInfo = readDeploymentFile(networkName);
+    const status = {
+      network: network.name,
+      chainId: network.chainId,
+      deployed: Boolean(deploymentInfo),
+      address: deploymentInfo ? deploymentInfo.address : null
+    };
+    results.push(status);
+
+    if (!deploymentInfo) {
+      continue;
+    }
+
+    try {
+      const contract = new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, resolveProvider(network, { provider }));
+      requirePauseSupport(contract, network.name);
+
+      const peerChainIds = groupNetworkNames
+        .map(name => getNetworkConfig(name).chainId)
+        .filter(chainId => chainId !== network.chainId);
+      const state = await readPauseState(contract, peerChainIds);
+      Object.assign(status, {
+        paused: state.paused,
+        receivingPaused: state.receivingPaused,
+        pausedChains: state.pausedChainIds.map(chainId => ({ chainId, network: getNetworkByChainId(chainId)?.name ?? null }))
+      });
+    } catch (error) {
+      status.error = error.shortMessage || error.message;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Pause or unpause bridging on a set of networks
+ *
+ * Without chainIds the global switch is set: pausing stops every bridge out of
+ * the network, and unpausing resumes them and accepts messages again (clearing
+ * receivingPaused). With chainIds only the routes to those chains are switched.
+ * `receiving` additionally sets receivingPaused when pausing, so messages from
+ * the paused routes are rejected too. The current switches are read first and
+ * only the ones that need to change are sent, by the contract owner.
+ *
+ * @param {Array<string>} networkNames - Networks whose contracts are switched
+ * @param {Object} options - Pause options
+ * @param {boolean} options.paused - Whether to pause (true) or unpause (false)
+ * @param {number[]} options.chainIds - Destination chain IDs to switch (default: all of them, globally)
+ * @param {boolean} options.receiving - Also reject messages from the paused routes
+ * @param {Object|Function} options.signer - Owner signer, or (network) => Signer (defaults to the .env wallet)
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @param {string|Function} options.onStuck - What to do with a transaction pending too long (see journal.js)
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Array<Object>>} Outcome for each network ({ network, chainId, status, txHashes, error })
+ */
+async function setPaused(networkNames, {
+  paused,
+  chainIds = [],
+  receiving = false,
+  signer,
+  provider,
+  onStuck,
+  events
+} = {}) {
+  const reporter = createReporter(events);
+  reporter.progress('pause', paused ? 'Pausing Bridging' : 'Unpausing Bridging', { heading: true });
+
+  const results = [];
+  for (const networkName of networkNames) {
+    const network = getNetworkConfig(networkName);
+    const details = { network: network.name, chainId: network.chainId };
+    const result = { network: network.name, chainId: network.chainId, status: 'failed', txHashes: [] };
+    results.push(result);
+    reporter.progress('pause', `Checking ${network.name}...`, { ...details, spaced: true });
+
+    try {
+      const deploymentInfo = readDeploymentFile(networkName);
+      if (!deploymentInfo) {
+        throw new Error(`No deployment found for ${network.name}. Run the deploy command first.`);
+      }
+      const wallet = resolveSigner(network, { signer, provider });
+      const contract = new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, wallet);
+      requirePauseSupport(contract, network.name);
+
+      const owner = await contract.MESSAGE_OWNER();
+      const sender = await wallet.getAddress();
+      if (owner.toLowerCase() !== sender.toLowerCase()) {
+        throw new Error(`Only the contract owner ${owner} can switch the pause, not ${sender}`);
+      }
+
+      // Wait for anything a previous, interrupted run already sent before reading state
+      await resumeJournal(network, wallet, 'pause', { onStuck, events });
+
+      const routes = chainIds.filter(chainId => chainId !== network.chainId);
+      const state = await readPauseState(contract, routes);
+      const calls = [];
+
+      if (chainIds.length === 0) {
+        const receivingPaused = paused && (receiving || state.receivingPaused);
+        if (state.paused !== paused || state.receivingPaused !== receivingPaused) {
+          calls.push({ method: 'setPaused', args: [paused, receivingPaused] });
+        }
+      } else {
+        for (const chainId of routes) {
+          if (state.pausedChainIds.includes(chainId) !== paused) {
+            calls.push({ method: 'setChainPaused', args: [chainId, paused] });
+          }
+        }
+        if (paused && receiving && !state.receivingPaused) {
+          calls.push({ method: 'setPaused', args: [state.paused, true] });
+        }
+      }
+
+      if (calls.length === 0) {
+        reporter.progress('pause', 'Already up to date - no transaction needed.', details);
+        result.status = 'up-to-date';
+        continue;
+      }
+
+      const overrides = await getGasOverrides(network, wallet.provider);
+      for (const { method, args } of calls) {
+        reporter.progress('pause', `Calling ${method}(${args.join(', ')})`, details);
+        const txRequest = await contract[method].populateTransaction(...args, overrides);
+        const { entry } = await sendJournaled(wallet, txRequest, {
+          network,
+          intent: 'pause',
+          meta: { method, args },
+          onStuck,
+          events
+        });
+        result.txHashes.push(entry.hash);
+      }
+
+      reporter.progress('pause', paused ? 'Bridging paused.' : 'Bridging unpaused.', { ...details, txHash: result.txHashes[result.txHashes.length - 1] });
+      result.status = 'updated';
+    } catch (error) {
+      result.error = error.shortMessage || error.message;
+      reporter.warning('pause', `Could not switch the pause on ${network.name}: ${result.error}`, details);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  readPauseState,
+  getRoutePauseReason,
+  getPauseStatus,
+  setPaused
+};
@@ -0,0 +1,371 @@
+/**
+ * Deployment Planning
+ * ===================
+ *
+ * Works out what a deployment run would do - which networks get a fresh
+ * contract, which reuse or resume one, and which configureClient calls follow -
+ * with gas estimates, without sending any transactions.
+ */
+
+const { ethers } = require('ethers');
+const path = require('path');
+const { getNetworkConfig } = require('../network.config');
+const { resolveChainConfig, resolveSigner } = require('./chains');
+const { readJournal } = require('./journal');
+const { readDeploymentFile } = require('./deployments');
+const { loadCompiledContract, getTokenParameters, getDeploymentSettings, isSameDeployment } = require('./deploy');
+const { getDesiredPeers, readPeerConfiguration, diffPeerConfiguration } = require('./configure');
+const { createReporter } = require('./progress');
+const {
+  CREATE2_FACTORY_ADDRESS,
+  predictDeterministicAddress,
+  inspectDeterministicTarget,
+  buildDeterministicDeployTransaction
+} = require('./create2');
+
+/**
+ * Estimate gas and cost for a transaction without sending it
+ *
+ * @param {Object} wallet - Signer that would send the transaction
+ * @param {Object} txRequest - Transaction request to estimate
+ * @returns {Promise<Object>} Gas estimate, or the reason estimation failed
+ */
+async function estimateTransaction(wallet, txRequest) {
+  try {
+    const gas = await wallet.estimateGas(txRequest);
+    const feeData = await wallet.provider.getFeeData();
+    const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || 0n;
+    return {
+      gas: gas.toString(),
+      gasPrice: gasPrice.toString(),
+      cost: ethers.formatEther(gas * gasPrice)
+    };
+  } catch (error) {
+    return { error: error.shortMessage || error.message };
+  }
+}
+
+/**
+ * Add up the estimates of the transactions a step would send
+ *
+ * @param {Object|null} total - Estimate so far (null before the first transaction)
+ * @param {Object} estimate - Estimate of the next transaction
+ * @returns {Object} Combined estimate, or the first reason estimation failed
+ */
+function addEstimates(total, estimate) {
+  if (!total || total.error) {
+    return total || estimate;
+  }
+  if (estimate.error) {
+    return estimate;
+  }
+  const gas = BigInt(total.gas) + BigInt(estimate.gas);
+  return {
+    gas: gas.toString(),
+    gasPrice: estimate.gasPrice,
+    cost: ethers.formatEther(gas * BigInt(estimate.gasPrice))
+  };
+}
+
+/**
+ * Work out what a deployment run would do on a single network
+ * Fresh deployments get a predicted address from the deployer's next nonce,
+ * or from the CREATE2 salt in deterministic mode.
+ *
+ * @param {string} networkName - Network name from network.config.js
+ * @param {Object} compiled - Compiled ABI and bytecode
+ * @param {Object|null} deterministic - CREATE2 settings ({ salt }), or null
+ * @param {Object} connection - Injected signer / provider (see resolveSigner())
+ * @returns {Promise<Object>} Network entry of the deployment plan
+ */
+async function planNetwork(networkName, compiled, deterministic, connection) {
+  const network = getNetworkConfig(networkName);
+  const entry = {
+    network: network.name,
+    chainId: network.chainId,
+    nativeSymbol: network.nativeCurrency?.symbol || 'ETH'
+  };
+
+  let existing;
+  try {
+    existing = readDeploymentFile(networkName);
+  } catch (error) {
+    // deployToNetwork treats an unreadable deployment file as missing
+    existing = null;
+  }
+
+  if (existing) {
+    return {
+      ...entry,
+      chainId: existing.chainId || entry.chainId,
+      action: 'reuse',
+      address: existing.address,
+      deploymentFile: path.join('deployments', network.name, 'MyERC20.json')
+    };
+  }
+
+  try {
+    const wallet = resolveSigner(network, connection);
+    const provider = wallet.provider;
+    const deployer = await wallet.getAddress();
+    const token = getTokenParameters(network, deployer);
+
+    // An interrupted earlier run will be resumed rather than redeployed. As in
+    // deployToNetwork(), a confirmed deployment is only recovered if it was never
+    // saved and was made with the current token settings.
+    const deployment = getDeploymentSettings(token, deterministic);
+    const journaled = readJournal(network)
+      .filter(journalEntry => journalEntry.intent === 'deploy' && (
+        ['signed', 'broadcast'].includes(journalEntry.status) ||
+        (journalEntry.status === 'confirmed' && !journalEntry.saved && !journalEntry.discarded && isSameDeployment(journalEntry.meta, deployment))
+      ))
+      .pop();
+    if (journaled) {
+      return {
+        ...entry,
+        action: 'resume',
+        address: journaled.contractAddress || journaled.expectedAddress,
+        journalTransaction: journaled.hash,
+        journalStatus: journaled.status
+      };
+    }
+
+    const chainId = Number((await provider.getNetwork()).chainId);
+    const chainConfig = resolveChainConfig(chainId);
+
+    const nonce = await provider.getTransactionCount(deployer);
+    const factory = new ethers.ContractFactory(compiled.abi, compiled.bytecode, wallet);
+    const deployTx = await factory.getDeployTransaction(...token.args);
+
+    if (deterministic) {
+      const address = predictDeterministicAddress(deployTx.data, deterministic.salt);
+      const target = await inspectDeterministicTarget(provider, address);
+      const error = !chainConfig
+        ? `Chain configuration not found for chainId: ${chainId}`
+        : !target.factoryDeployed ? `CREATE2 factory ${CREATE2_FACTORY_ADDRESS} is not deployed on this chain` : null;
+
+      return {
+        ...entry,
+        chainId,
+        action: target.occupied ? 'adopt' : 'deploy',
+        address,
+        addressIsPredicted: true,
+        deterministic: { factory: CREATE2_FACTORY_ADDRESS, salt: deterministic.salt, occupied: target.occupied },
+        deployer,
+        token: token.params,
+        messageContract: chainConfig?.message || null,
+        estimate: target.occupied || !target.factoryDeployed
+          ? null
+          : await estimateTransaction(wallet, buildDeterministicDeployTransaction(deployTx.data, deterministic.salt)),
+        ...(error ? { error } : {})
+      };
+    }
+
+    return {
+      ...entry,
+      chainId,
+      action: 'deploy',
+      address: ethers.getCreateAddress({ from: deployer, nonce }),
+      addressIsPredicted: true,
+      deployer,
+      nonce,
+      token: token.params,
+      messageContract: chainConfig?.message || null,
+      estimate: await estimateTransaction(wallet, deployTx),
+      ...(chainConfig ? {} : { error: `Chain configuration not found for chainId: ${chainId}` })
+    };
+  } catch (error) {
+    return { ...entry, action: 'deploy', error: error.shortMessage || error.message };
+  }
+}
+
+/**
+ * Work out the configureClient call configureContracts would send to one deployment
+ * Existing contracts are read so only peers that actually change are listed,
+ * including peers to unset (`unset`) and receive-only switches (`sendingChanges`).
+ *
+ * @param {Object} current - Planned network entry being configured
+ * @param {Array<Object>} planned - All planned network entries with an address
+ * @param {Object} compiled - Compiled ABI and bytecode
+ * @param {Object} connection - Injected signer / provider (see resolveSigner())
+ * @returns {Promise<Object>} Configuration entry of the deployment plan
+ */
+async function planConfiguration(current, planned, compiled, connection) {
+  const chainConfig = resolveChainConfig(current.chainId);
+  const desiredPeers = getDesiredPeers(current, planned);
+  // A new contract has no peers to unset
+  const activePeers = desiredPeers.filter(peer => peer.address !== ethers.ZeroAddress);
+  const call = {
+    network: current.network,
+    chainId: current.chainId,
+    contract: current.address,
+    messageContract: chainConfig?.message || null,
+    chainIds: activePeers.map(peer => peer.chainId),
+    peers: activePeers.map(peer => peer.address),
+    confirmations: activePeers.map(peer => peer.confirmations),
+    unset: [],
+    sendingChanges: activePeers
+      .filter(peer => peer.sendingDisabled)
+      .map(peer => ({ chainId: peer.chainId, sendingDisabled: true })),
+    drift: []
+  };
+
+  if (!call.messageContract) {
+    return { ...call, error: `Message contract address not found for chainId: ${current.chainId}` };
+  }
+
+  // A contract that doesn't exist yet can't be read or asked for a gas estimate
+  if (current.action === 'deploy') {
+    return { ...call, estimate: { error: 'Contract not deployed yet; estimated after deployment' } };
+  }
+
+  try {
+    const wallet = resolveSigner(getNetworkConfig(current.network), connection);
+    const contract = new ethers.Contract(current.address, compiled.abi, wallet);
+
+    try {
+      const onChain = await readPeerConfiguration(contract, call.chainIds);
+      const diff = diffPeerConfiguration(onChain, call.messageContract, desiredPeers);
+      call.drift = diff.drift;
+
+      call.sendingChanges = contract.interface.getFunction('setSendingDisabled') ? diff.sendingChanges : [];
+
+      if (diff.changes.length === 0 && call.sendingChanges.length === 0 && !diff.messageChanged) {
+        return { ...call, chainIds: [], peers: [], confirmations: [], upToDate: true };
+      }
+
+      call.chainIds = diff.changes.map(peer => peer.chainId);
+      call.peers = diff.changes.map(peer => peer.address);
+      call.confirmations = diff.changes.map(peer => peer.confirmations);
+      call.unset = diff.changes.filter(peer => peer.unset).map(peer => peer.chainId);
+      if (diff.changes.length === 0 && !diff.messageChanged) {
+        call.skipConfigureClient = true;
+      }
+    } catch (error) {
+      // Fall back to configuring every peer, as configureContracts does
+    }
+
+    let estimate = null;
+    if (!call.skipConfigureClient) {
+      const txRequest = await contract.configureClient.populateTransaction(
+        call.messageContract,
+        call.chainIds,
+        call.peers,
+        call.confirmations
+      );
+      estimate = await estimateTransaction(wallet, txRequest);
+    }
+    if (call.sendingChanges.length > 0) {
+      const txRequest = await contract.setSendingDisabled.populateTransaction(
+        call.sendingChanges.map(change => change.chainId),
+        call.sendingChanges.map(change => change.sendingDisabled)
+      );
+      estimate = addEstimates(estimate, await estimateTransaction(wallet, txRequest));
+    }
+    return { ...call, estimate };
+  } catch (error) {
+    return { ...call, error: error.shortMessage || error.message };
+  }
+}
+
+/**
+ * Build a plan of everything a deployment run would do, without sending any transactions
+ *
+ * @param {string[]} networkNames - Networks to plan for
+ * @param {Object} options - Planning options
+ * @param {Object|null} options.deterministic - CREATE2 settings ({ salt }), or null
+ * @param {Object|Function} options.signer - Signer, or (network) => Signer (defaults to the .env wallet)
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @returns {Promise<Object>} Machine-readable deployment plan
+ * @throws {Error} If the contract hasn't been compiled
+ */
+async function buildDeploymentPlan(networkNames, { deterministic = null, signer, provider } = {}) {
+  const compiled = loadCompiledContract();
+  if (!compiled) {
+    throw new Error('ABI or bytecode files not found. Compile the contract first.');
+  }
+  const connection = { signer, provider };
+
+  const plannedNetworks = [];
+  for (const networkName of networkNames) {
+    plannedNetworks.push(await planNetwork(networkName, compiled, deterministic, connection));
+  }
+
+  // Mirror deployAndConfigure(): only networks that would end up with a contract get configured
+  const deployable = plannedNetworks.filter(entry => entry.address && !entry.error);
+  const configuration = [];
+  if (deployable.length >= 2) {
+    for (const current of deployable) {
+      configuration.push(await planConfiguration(current, deployable, compiled, connection));
+    }
+  }
+
+  const estimatedGas = [...plannedNetworks, ...configuration]
+    .map(entry => entry.estimate?.gas)
+    .filter(Boolean)
+    .reduce((total, gas) => total + BigInt(gas), 0n);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    deterministic: deterministic ? { factory: CREATE2_FACTORY_ADDRESS, salt: deterministic.salt } : null,
+    networks: plannedNetworks,
+    configuration,
+    configurationSkipped: deployable.length < 2,
+    totalEstimatedGas: estimatedGas.toString()
+  };
+}
+
+/**
+ * Check a deterministic deployment plan before anything is sent
+ * Every network that needs a contract must be able to reach the factory, and
+ * all of them must agree on the predicted address.
+ *
+ * @param {Object} plan - Plan returned by buildDeploymentPlan() in deterministic mode
+ * @param {Object} options - Verification options
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Object} Whether it is safe to start deploying, and the problems found ({ ok, problems })
+ */
+function verifyDeterministicPlan(plan, { events } = {}) {
+  const reporter = createReporter(events);
+  reporter.progress('plan', 'Verifying Deterministic Address', { heading: true });
+  const problems = [];
+
+  const pending = plan.networks.filter(entry => entry.action !== 'reuse');
+  for (const entry of pending) {
+    const details = { network: entry.network, chainId: entry.chainId, address: entry.address };
+    if (entry.error) {
+      problems.push(`${entry.network}: ${entry.error}`);
+      reporter.warning('plan', `${entry.network}: ${entry.error}`, details);
+    } else if (entry.action === 'resume') {
+      reporter.progress('plan', `${entry.network}: will resume interrupted deployment to ${entry.address}`, details);
+    } else if (entry.deterministic.occupied) {
+      reporter.progress('plan', `${entry.network}: ${entry.address} is already occupied by this token and will be reused`, details);
+    } else {
+      reporter.progress('plan', `${entry.network}: will deploy to ${entry.address}`, details);
+    }
+  }
+
+  const addresses = new Set(pending.filter(entry => entry.address).map(entry => entry.address));
+  if (addresses.size > 1) {
+    const problem = 'Predicted addresses differ between networks. Use the same deployer key on every network.';
+    problems.push(problem);
+    reporter.warning('plan', problem);
+  }
+
+  for (const entry of plan.networks.filter(entry => entry.action === 'reuse')) {
+    if (addresses.size === 1 && !addresses.has(entry.address)) {
+      reporter.warning('plan', `${entry.network} keeps its existing deployment at ${entry.address}, which is not the deterministic address.`, {
+        network: entry.network,
+        address: entry.address
+      });
+    }
+  }
+
+  return { ok: problems.length === 0, problems };
+}
+
+module.exports = {
+  estimateTransaction,
+  buildDeploymentPlan,
+  verifyDeterministicPlan
+};
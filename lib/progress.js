@@ -0,0 +1,101 @@
+/**
+ * Progress Events
+ * ===============
+ *
+ * Library functions never write to the console. They report what they are
+ * doing through an optional EventEmitter passed as `events`:
+ *
+ * - 'progress' ({ stage, message, ...details }) - a step started or finished
+ * - 'warning'  ({ stage, message, ...details }) - something went wrong but the operation carried on
+ *
+ * `stage` names the part of the flow ('compile', 'deploy', 'journal',
+ * 'configure', 'plan', 'bridge', 'batch', 'track', 'watch', 'history', 'reconcile', 'indexer', 'metrics', 'pause'). Details such as network, chainId, txHash or
+ * address are included where they apply. Events with `heading: true` start a
+ * new section of work and `spaced: true` a new block within one; the CLI
+ * scripts attach logToConsole() to print them.
+ *
+ * The same goes for questions: when a transaction is stuck, library functions
+ * call an optional `onStuck` callback, and the scripts use askOnStuck() to put
+ * the question to whoever is at the terminal.
+ */
+
+const { EventEmitter } = require('events');
+const readline = require('readline/promises');
+
+/**
+ * Create a reporter that emits progress events (or does nothing without an emitter)
+ *
+ * @param {EventEmitter} [events] - Emitter to report to
+ * @returns {Object} Reporter with progress(stage, message, details) and warning(stage, message, details)
+ */
+function createReporter(events) {
+  const emit = (eventName, stage, message, details = {}) => {
+    if (events) {
+      events.emit(eventName, { stage, message, ...details });
+    }
+  };
+
+  return {
+    progress: (stage, message, details) => emit('progress', stage, message, details),
+    warning: (stage, message, details) => emit('warning', stage, message, details)
+  };
+}
+
+/**
+ * Print progress events to the console, the way the CLI scripts show them
+ *
+ * @param {EventEmitter} [events] - Emitter to listen to (a new one is created if omitted)
+ * @param {Object} [options] - Output options
+ * @param {boolean} [options.stderr] - Print progress to stderr (keeps stdout free for --json output)
+ * @returns {EventEmitter} The emitter, ready to pass to library functions
+ */
+function logToConsole(events = new EventEmitter(), { stderr = false } = {}) {
+  const log = stderr ? console.error : console.log;
+
+  events.on('progress', ({ message, heading, spaced }) => {
+    if (heading) {
+      log(`\n=== ${message} ===`);
+    } else {
+      log(spaced ? `\n${message}` : message);
+    }
+  });
+  events.on('warning', ({ message }) => {
+    console.warn(`⚠️ ${message}`);
+  });
+  return events;
+}
+
+/**
+ * Ask at the terminal what to do about a stuck transaction (see waitForJournaled() in journal.js)
+ * Without a terminal to ask (piped input, CI), the transaction is left to wait.
+ *
+ * @returns {string|Function} onStuck option for library functions
+ */
+function askOnStuck() {
+  if (!process.stdin.isTTY) {
+    return 'wait';
+  }
+
+  return async ({ network, hash, nonce, pendingSeconds }) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    // Ctrl+C while the question is open still stops the script
+    rl.on('SIGINT', () => {
+      rl.close();
+      process.kill(process.pid, 'SIGINT');
+    });
+
+    try {
+      console.error(`\n⚠️ Transaction ${hash} (nonce ${nonce}) on ${network.name} has been pending for ${pendingSeconds} seconds.`);
+      const answer = (await rl.question('   [s]peed it up with higher fees, [c]ancel it, or [w]ait longer? (w) ')).trim().toLowerCase();
+      return { s: 'speed-up', c: 'cancel' }[answer[0]] || 'wait';
+    } finally {
+      rl.close();
+    }
+  };
+}
+
+module.exports = {
+  createReporter,
+  logToConsole,
+  askOnStuck
+};
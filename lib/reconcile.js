@@ -0,0 +1,203 @@
+/**
+ * Supply Reconciliation
+ * =====================
+ *
+ * MyERC20 burns tokens on the source chain when they are bridged and mints them
+ * on the destination chain when the message arrives, so across every chain:
+ *
+ *   sum of totalSupply() = genesis supply - tokens burned directly - tokens in flight
+ *
+ * reconcileSupply() brings the event history up to date (see history.js), reads
+ * totalSupply() from every deployment and checks that the numbers balance. The
+ * chains are compared at the same moment: the latest time every scan covers (a
+ * scanned block holds until the next block is mined, or until now on an idle
+ * chain). Supplies are read at each chain's last block before that time, and
+ * only events up to that block are counted, so a message delivered while the
+ * chains were being read is never counted twice.
+ *
+ * Issues (any of them makes the report fail):
+ * - 'supply-mismatch' - the total supply differs from what the events account for
+ * - 'double-delivery' - tokens were received with no matching bridge on the source chain
+ * - 'lost'            - a bridge is still undelivered after maxPendingMinutes
+ * - 'scan-failed'     - a deployment couldn't be scanned or read
+ *
+ * Transfers to or from a chain without a deployment are counted as leaving or
+ * entering the reconciled chains, and reported as warnings.
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkConfig } = require('../network.config');
+const { resolveProvider, findBlockByTimestamp } = require('./chains');
+const { readDeploymentFile } = require('./deployments');
+const { readHistory, scanHistory, pairTransfers } = require('./history');
+const { createReporter } = require('./progress');
+
+/**
+ * Read a deployment's total supply as of a block
+ *
+ * @param {Object} provider - Provider connected to the network
+ * @param {Object} deploymentInfo - Saved deployment for the network
+ * @param {number} blockNumber - Block to read at
+ * @returns {Promise<bigint>} Total supply (0 if the contract didn't exist yet)
+ */
+async function getSupplyAt(provider, deploymentInfo, blockNumber) {
+  if (await provider.getCode(deploymentInfo.address, blockNumber) === '0x') {
+    return 0n;
+  }
+  const contract = new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, provider);
+  return contract.totalSupply({ blockTag: blockNumber });
+}
+
+/**
+ * Reconcile the token supply across every deployment in a group of networks
+ *
+ * @param {Array<string>} networkNames - Every network in the group (public or local)
+ * @param {Object} options - Reconciliation options
+ * @param {number} options.maxPendingMinutes - Report bridges undelivered for longer than this as lost (default: 60)
+ * @param {number} options.logRange - Blocks per eth_getLogs call (see scanHistory())
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Object>} Report ({ ok, cutoff, decimals, chains, genesisSupply, totalSupply, expectedSupply, difference, issues, warnings, ... }), amounts as bigints
+ */
+async function reconcileSupply(networkNames, { maxPendingMinutes = 60, logRange, provider, events } = {}) {
+  const reporter = createReporter(events);
+  const issues = [];
+  const warnings = [];
+  const flag = (list, type, message, details = {}) => {
+    list.push({ type, message, ...details });
+    reporter.warning('reconcile', message, details);
+  };
+
+  const scans = await scanHistory(networkNames, { logRange, provider, events });
+  reporter.progress('reconcile', 'Reconciling total supply', { heading: true });
+  for (const scan of scans.filter(result => result.error)) {
+    flag(issues, 'scan-failed', `${scan.network}: could not be scanned (${scan.error})`, { network: scan.network });
+  }
+
+  // Where each chain's scan has reached, and until when that state holds
+  const chains = [];
+  for (const scan of scans.filter(result => !result.error)) {
+    const network = getNetworkConfig(scan.network);
+    const resolved = resolveProvider(network, { provider });
+    const head = await resolved.getBlock(scan.toBlock);
+    const next = await resolved.getBlock(scan.toBlock + 1);
+    chains.push({
+      network,
+      provider: resolved,
+      deploymentInfo: readDeploymentFile(scan.network),
+      headBlock: head.number,
+      headTime: head.timestamp,
+      validUntil: next ? next.timestamp - 1 : Math.floor(Date.now() / 1000)
+    });
+  }
+  if (chains.length === 0) {
+    throw new Error('No deployments could be scanned. Run the deploy command first.');
+  }
+
+  // Compare every chain at the same moment
+  const cutoffTime = Math.min(...chains.map(chain => chain.validUntil));
+  reporter.progress('reconcile', `Comparing all chains as of ${new Date(cutoffTime * 1000).toISOString()}`);
+  for (const chain of chains) {
+    const details = { network: chain.network.name, chainId: chain.network.chainId };
+    try {
+      chain.block = chain.headTime <= cutoffTime
+        ? chain.headBlock
+        : await findBlockByTimestamp(chain.provider, cutoffTime + 1) - 1;
+      chain.totalSupply = await getSupplyAt(chain.provider, chain.deploymentInfo, chain.block);
+      reporter.progress('reconcile', `${chain.network.name}: read the total supply at block ${chain.block}`, details);
+    } catch (error) {
+      flag(issues, 'scan-failed', `${chain.network.name}: could not read the total supply (${error.shortMessage || error.message}). An RPC with historical state may be needed.`, details);
+    }
+  }
+  const reconciled = chains.filter(chain => chain.totalSupply !== undefined);
+  const byChainId = new Map(reconciled.map(chain => [chain.network.chainId, chain]));
+
+  // The genesis supply, as minted by the genesis deployment
+  const tokens = reconciled.map(chain => chain.deploymentInfo.token).filter(Boolean);
+  const token = tokens.find(candidate => byChainId.has(candidate.genesisChainId)) || tokens[0];
+  if (!token) {
+    throw new Error('The deployment files have no token parameters. Redeploy with the current deploy script.');
+  }
+  const decimals = token.decimals;
+  const genesisDeployed = byChainId.has(token.genesisChainId);
+  const genesisSupply = genesisDeployed ? ethers.parseUnits(token.initialSupply, decimals) : 0n;
+  if (!genesisDeployed) {
+    flag(warnings, 'no-genesis', `The genesis network (chain ID ${token.genesisChainId}) has no deployment, so no supply was minted`);
+  }
+
+  // Only the current deployments' events, up to each chain's cutoff block
+  const counted = readHistory().events.filter((event) => {
+    const chain = byChainId.get(event.chainId);
+    return chain && event.address.toLowerCase() === chain.deploymentInfo.address.toLowerCase() && event.blockNumber <= chain.block;
+  });
+  const directlyBurned = counted
+    .filter(event => event.event === 'Burned')
+    .reduce((total, event) => total + BigInt(event.amountWei), 0n);
+
+  const transfers = pairTransfers(counted, Object.fromEntries(reconciled.map(chain => [chain.network.chainId, decimals])));
+  const lostBefore = new Date((cutoffTime - maxPendingMinutes * 60) * 1000).toISOString();
+  const inFlightTransfers = [];
+  let inFlight = 0n;
+  let sentOutside = 0n;
+  let receivedOutside = 0n;
+
+  for (const transfer of transfers) {
+    const amountWei = BigInt(transfer.amountWei);
+    const details = { sourceTxHash: transfer.sourceTxHash, destTxHash: transfer.destTxHash, amountWei };
+
+    if (transfer.status === 'pending' && !byChainId.has(transfer.destChainId)) {
+      sentOutside += amountWei;
+      flag(warnings, 'outside-route', `${transfer.sourceTxHash}: ${transfer.amount} tokens sent to chain ${transfer.destChainId}, which isn't reconciled`, details);
+    } else if (transfer.status === 'pending') {
+      inFlight += amountWei;
+      inFlightTransfers.push(transfer);
+      if (transfer.sentAt < lostBefore) {
+        flag(issues, 'lost', `${transfer.sourceTxHash}: ${transfer.amount} tokens sent from ${transfer.sourceNetwork} at ${transfer.sentAt} never arrived on ${transfer.destNetwork}`, details);
+      }
+    } else if (transfer.status === 'unmatched' && !byChainId.has(transfer.sourceChainId)) {
+      receivedOutside += amountWei;
+      flag(warnings, 'outside-route', `${transfer.destTxHash}: ${transfer.amount} tokens received from chain ${transfer.sourceChainId}, which isn't reconciled`, details);
+    } else if (transfer.status === 'unmatched') {
+      flag(issues, 'double-delivery', `${transfer.destTxHash}: ${transfer.amount} tokens received on ${transfer.destNetwork} from ${transfer.sourceNetwork} with no matching bridge (delivered twice?)`, details);
+    }
+  }
+
+  const totalSupply = reconciled.reduce((total, chain) => total + chain.totalSupply, 0n);
+  const expectedSupply = genesisSupply - directlyBurned - inFlight - sentOutside + receivedOutside;
+  const difference = totalSupply - expectedSupply;
+  if (difference !== 0n) {
+    const direction = difference > 0n ? 'more' : 'less';
+    flag(issues, 'supply-mismatch', `Total supply is ${ethers.formatUnits(difference < 0n ? -difference : difference, decimals)} tokens ${direction} than the bridge events account for`, { difference });
+  }
+
+  const report = {
+    ok: issues.length === 0,
+    cutoff: new Date(cutoffTime * 1000).toISOString(),
+    decimals,
+    chains: chains.map(chain => ({
+      network: chain.network.name,
+      chainId: chain.network.chainId,
+      address: chain.deploymentInfo.address,
+      block: chain.block ?? null,
+      totalSupply: chain.totalSupply ?? null
+    })),
+    genesisChainId: token.genesisChainId,
+    genesisSupply,
+    directlyBurned,
+    inFlight,
+    inFlightTransfers,
+    sentOutside,
+    receivedOutside,
+    expectedSupply,
+    totalSupply,
+    difference,
+    issues,
+    warnings
+  };
+  reporter.progress('reconcile', report.ok ? 'Supply reconciled' : `${issues.length} issue(s) found`, { ok: report.ok });
+  return report;
+}
+
+module.exports = {
+  reconcileSupply
+};
@@ -0,0 +1,106 @@
+/**
+ * Deployment Status
+ * =================
+ *
+ * Reports the state of every MyERC20 deployment without sending anything:
+ * whether the contract is saved and live on-chain, whether its cross-chain
+ * peers match the other deployment files, and whether the journal still holds
+ * unfinished transactions.
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkConfig } = require('../network.config');
+const { resolveChainConfig, resolveProvider } = require('./chains');
+const { readJournal } = require('./journal');
+const { readDeploymentFile } = require('./deployments');
+const { getDesiredPeers, readPeerConfiguration, diffPeerConfiguration } = require('./configure');
+
+/**
+ * Check one network's deployment against the chain
+ *
+ * @param {Object} network - Network configuration from network.config.js
+ * @param {Object} deploymentInfo - Saved deployment for the network
+ * @param {Array<Object>} deployments - Every saved deployment in the group ({ chainId, address })
+ * @param {Object} provider - Provider connected to the network
+ * @returns {Promise<Object>} On-chain checks ({ codePresent, peers, drift })
+ */
+async function checkDeploymentOnChain(network, deploymentInfo, deployments, provider) {
+  const code = await provider.getCode(deploymentInfo.address);
+  if (code === '0x') {
+    return { codePresent: false, peers: [], drift: [] };
+  }
+
+  const contract = new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, provider);
+  const current = deployments.find(deployment => deployment.chainId === network.chainId);
+  const desiredPeers = getDesiredPeers(current, deployments);
+  const onChain = await readPeerConfiguration(contract, desiredPeers.map(peer => peer.chainId));
+
+  const chainConfig = resolveChainConfig(network.chainId);
+  const diff = chainConfig?.message
+    ? diffPeerConfiguration(onChain, chainConfig.message, desiredPeers)
+    : { changes: [], drift: [] };
+
+  const peers = desiredPeers.map(peer => ({
+    chainId: peer.chainId,
+    expected: peer.address,
+    actual: onChain.peers[peer.chainId].endpoint,
+    confirmations: onChain.peers[peer.chainId].confirmations,
+    expectedConfirmations: peer.confirmations,
+    configured: !diff.changes.some(change => change.chainId === peer.chainId)
+  }));
+
+  return { codePresent: true, peers, drift: diff.drift };
+}
+
+/**
+ * Collect the status of every network in a list
+ * Networks that can't be reached are reported with an error instead of failing the whole run.
+ *
+ * @param {Array<string>} networkNames - Network names to check
+ * @param {Array<string>} groupNetworkNames - Every network in the same group (used to work out the expected peers)
+ * @param {Object} options - Connection options
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @returns {Promise<Array<Object>>} One status entry per network
+ */
+async function getDeploymentStatus(networkNames, groupNetworkNames = networkNames, { provider } = {}) {
+  const deployments = groupNetworkNames
+    .map(networkName => ({ network: getNetworkConfig(networkName), info: readDeploymentFile(networkName) }))
+    .filter(({ info }) => info)
+    .map(({ network, info }) => ({ chainId: network.chainId, address: info.address }));
+
+  const results = [];
+
+  for (const networkName of networkNames) {
+    const network = getNetworkConfig(networkName);
+    const deploymentInfo = readDeploymentFile(networkName);
+    const pending = readJournal(network).filter(entry => ['signed', 'broadcast'].includes(entry.status));
+
+    const status = {
+      network: network.name,
+      chainId: network.chainId,
+      deployed: Boolean(deploymentInfo),
+      address: deploymentInfo ? deploymentInfo.address : null,
+      deployedAt: deploymentInfo ? deploymentInfo.deployedAt : null,
+      deterministic: Boolean(deploymentInfo?.deterministic),
+      pendingTransactions: pending.map(entry => ({ hash: entry.hash, intent: entry.intent, status: entry.status }))
+    };
+    results.push(status);
+
+    if (!deploymentInfo) {
+      continue;
+    }
+
+    try {
+      const connected = resolveProvider(network, { provider });
+      Object.assign(status, await checkDeploymentOnChain(network, deploymentInfo, deployments, connected));
+    } catch (error) {
+      status.error = error.shortMessage || error.message;
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  getDeploymentStatus
+};
@@ -0,0 +1,166 @@
+/**
+ * Bridge Tracking
+ * ===============
+ *
+ * Follows the undelivered transfers in the bridge ledger (see ledger.js) until
+ * they arrive, updating each entry as its status changes. Any script or team
+ * member can resume tracking where another one stopped.
+ */
+
+const { getNetworkConfig } = require('../network.config');
+const { getBridgeStatus } = require('./bridge');
+const { readJournal, followReplacements } = require('./journal');
+const { readLedger, updateBridge, recordDelivery } = require('./ledger');
+const { createReporter } = require('./progress');
+
+/**
+ * Wait before the next check, returning early when aborted
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Stops waiting early when aborted
+ * @returns {Promise<void>} Resolves after the delay or on abort
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timeoutId = setTimeout(done, ms);
+    signal?.addEventListener('abort', done);
+  });
+}
+
+/**
+ * Check one ledger entry against the chains and record what changed
+ *
+ * @param {Object} entry - Ledger entry
+ * @param {Object} options - Check options ({ provider, reporter })
+ * @returns {Promise<Object>} Updated ledger entry
+ */
+async function checkEntry(entry, { provider, reporter }) {
+  const network = getNetworkConfig(entry.sourceNetwork);
+  if (!network) {
+    return updateBridge(entry.sourceChainId, entry.txHash, {
+      status: 'unknown',
+      reason: `Network ${entry.sourceNetwork} is no longer in network.config.js`
+    });
+  }
+
+  // The source transaction may have been sped up or cancelled since it was recorded
+  const latestHash = followReplacements(network, entry.txHash);
+  if (latestHash.toLowerCase() !== entry.txHash.toLowerCase()) {
+    const latest = readJournal(network).find(candidate => candidate.hash === latestHash);
+    if (latest.action === 'cancel') {
+      reporter.warning('track', `${entry.txHash}: cancelled by ${latestHash}`, { network: entry.sourceNetwork, txHash: entry.txHash, status: 'failed' });
+      return updateBridge(entry.sourceChainId, entry.txHash, { status: 'failed', reason: `Source transaction cancelled by ${latestHash}` });
+    }
+    reporter.progress('track', `${entry.txHash}: replaced by ${latestHash} with higher fees`, { network: entry.sourceNetwork, txHash: latestHash });
+    entry = updateBridge(entry.sourceChainId, entry.txHash, { txHash: latestHash, replaces: entry.txHash });
+  }
+  const details = { network: entry.sourceNetwork, chainId: entry.sourceChainId, txHash: entry.txHash };
+
+  const status = await getBridgeStatus(entry.sourceNetwork, entry.txHash, {
+    provider,
+    fromBlock: entry.destFromBlock ?? undefined
+  });
+  const checkedAt = new Date().toISOString();
+
+  if (status.status === 'delivered') {
+    reporter.progress('track', `✅ ${entry.txHash}: ${entry.amount} tokens delivered to ${entry.recipient} on ${entry.destNetwork} (${status.received.destTxHash})`, {
+      ...details,
+      destTxHash: status.received.destTxHash,
+      status: 'delivered'
+    });
+    if (status.received.ambiguous) {
+      reporter.warning('track', `${entry.txHash}: ${status.reason}`, details);
+    }
+    updateBridge(entry.sourceChainId, entry.txHash, { checkedAt, sourceBlockNumber: status.sourceBlockNumber, sentAt: status.sentAt, messageId: status.messageId });
+    return recordDelivery(entry.sourceChainId, entry.txHash, status.received);
+  }
+
+  if (status.status === 'unknown') {
+    const failed = status.reason === 'Source transaction reverted';
+    reporter.warning('track', `${entry.txHash}: ${status.reason}`, { ...details, status: failed ? 'failed' : 'unknown' });
+    return updateBridge(entry.sourceChainId, entry.txHash, { status: failed ? 'failed' : 'unknown', reason: status.reason, checkedAt });
+  }
+
+  reporter.progress('track', `⏳ ${entry.txHash}: ${status.reason}`, { ...details, status: 'pending' });
+  return updateBridge(entry.sourceChainId, entry.txHash, {
+    reason: status.reason,
+    checkedAt,
+    sourceBlockNumber: status.sourceBlockNumber,
+    sentAt: status.sentAt,
+    messageId: status.messageId
+  });
+}
+
+/**
+ * Resume monitoring every undelivered bridge in the ledger
+ * Entries are checked until they are all delivered (or failed), the timeout is
+ * reached or the signal is aborted, whichever comes first.
+ *
+ * @param {Object} options - Tracking options
+ * @param {boolean} options.once - Check each entry once instead of waiting for delivery
+ * @param {Array<string>} options.networks - Only track bridges from or to these networks
+ * @param {number} options.timeout - How long to keep checking, in milliseconds (default: 5 minutes)
+ * @param {number} options.pollInterval - Time between checks, in milliseconds (default: 10 seconds)
+ * @param {AbortSignal} options.signal - Stops tracking early when aborted
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Array<Object>>} The tracked ledger entries, with their latest status
+ */
+async function trackBridges({
+  once = false,
+  networks = null,
+  timeout = 5 * 60 * 1000,
+  pollInterval = 10000,
+  signal,
+  provider,
+  events
+} = {}) {
+  const reporter = createReporter(events);
+  const isTracked = entry => !networks || networks.includes(entry.sourceNetwork) || networks.includes(entry.destNetwork);
+  const tracked = readLedger().filter(entry => entry.status === 'pending' && isTracked(entry));
+  const hashes = new Set(tracked.map(entry => entry.txHash));
+  const current = () => readLedger().filter(entry => hashes.has(entry.txHash));
+
+  reporter.progress('track', `Tracking ${tracked.length} undelivered bridge(s)`, { heading: true });
+  const startTime = Date.now();
+
+  let pending = tracked;
+  while (pending.length > 0 && !signal?.aborted) {
+    for (const entry of pending) {
+      try {
+        // A sped-up bridge continues under its new hash
+        const checked = await checkEntry(entry, { provider, reporter });
+        hashes.add(checked.txHash);
+      } catch (error) {
+        reporter.warning('track', `${entry.txHash}: could not check status (${error.shortMessage || error.message})`, {
+          network: entry.sourceNetwork,
+          txHash: entry.txHash
+        });
+      }
+    }
+
+    pending = current().filter(entry => entry.status === 'pending');
+    if (once || pending.length === 0) {
+      break;
+    }
+    if (Date.now() - startTime > timeout) {
+      reporter.warning('track', `Timeout reached with ${pending.length} bridge(s) still undelivered. Run the tracker again later.`);
+      break;
+    }
+    await sleep(pollInterval, signal);
+  }
+
+  if (signal?.aborted) {
+    reporter.warning('track', 'Tracking cancelled. Undelivered bridges stay in the ledger.');
+  }
+  return current();
+}
+
+module.exports = {
+  trackBridges
+};
@@ -0,0 +1,320 @@
+/**
+ * Bridge Watch Daemon
+ * ===================
+ *
+ * Subscribes to TokensBridged and TokensReceived on every deployed network and
+ * POSTs a JSON notification to each webhook (see webhooks.js) when a bridge
+ * involving one of the watched addresses is:
+ *
+ * - 'bridge.sent'      - TokensBridged was emitted on the source chain
+ * - 'bridge.delivered' - the matching TokensReceived was emitted on the destination chain
+ * - 'bridge.stuck'     - still undelivered after stuckAfterMinutes (sent once per bridge)
+ *
+ * A bridge involves an address when it is the sender or the recipient. Every
+ * payload has the shape { type, timestamp, addresses, transfer }, where
+ * `transfer` has the fields of a history.js transfer row.
+ *
+ * Deliveries are matched to bridges seen since the watcher started (same
+ * route and message ID, or for deployments from before the events carried the
+ * message ID, same route, recipient and amount, oldest first), so a bridge sent
+ * before it started is reported when it is delivered, but can't be reported as stuck.
+ * A bridge reported as stuck is forgotten a day later; if it is delivered after
+ * that, the delivery is reported like one whose bridge was never seen.
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkByChainId } = require('../network.config');
+const { getContract } = require('./bridge');
+const { readDeploymentFile } = require('./deployments');
+const { postWebhook } = require('./webhooks');
+const { createReporter } = require('./progress');
+
+// How often undelivered bridges are checked against the stuck threshold
+const STUCK_CHECK_INTERVAL_MS = 30000;
+
+// How long a delivery waits for its bridge to be seen on the source chain
+const MATCH_GRACE_MS = 15000;
+
+// How long a bridge reported as stuck is still matched to a late delivery
+const PENDING_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// How many blocks behind a chain's latest event a log is still remembered as handled
+const SEEN_RETENTION_BLOCKS = 1000;
+
+/**
+ * Key that a bridge and its delivery have in common
+ *
+ * @param {number} sourceChainId - Source chain ID
+ * @param {number} destChainId - Destination chain ID
+ * @param {Object} args - Event arguments ({ recipient, amount, txId })
+ * @returns {string} Route key
+ */
+function routeKey(sourceChainId, destChainId, { recipient, amount, txId }) {
+  return txId === undefined
+    ? `${sourceChainId}:${destChainId}:${recipient.toLowerCase()}:${amount}`
+    : `${sourceChainId}:${destChainId}:#${txId}`;
+}
+
+/**
+ * Watch every deployed network for bridges involving a set of addresses
+ * Runs until the signal is aborted, then waits for webhook deliveries in progress.
+ *
+ * @param {Array<string>} networkNames - Networks to subscribe to
+ * @param {Object} options - Watch options
+ * @param {Array<string>} options.addresses - Addresses to watch (every bridge when empty)
+ * @param {Array<string>} options.webhooks - Webhook URLs to notify
+ * @param {number} options.stuckAfterMinutes - Report bridges undelivered for longer than this as stuck (default: 30)
+ * @param {Object} options.webhookOptions - Retry options for postWebhook() ({ maxAttempts, backoffMs })
+ * @param {AbortSignal} options.signal - Stops watching when aborted
+ * @param {Object|Function} options.provider - Provider, or (network) => Provider
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Object>} Summary ({ networks, sent, delivered, stuck, expired, pending, deliveries })
+ */
+async function watchBridges(networkNames, {
+  addresses = [],
+  webhooks = [],
+  stuckAfterMinutes = 30,
+  webhookOptions = {},
+  signal,
+  provider,
+  events
+} = {}) {
+  const reporter = createReporter(events);
+  const watched = new Set(addresses.map(address => ethers.getAddress(address)));
+  const involved = candidates => [...new Set(candidates.filter(Boolean))]
+    .filter(address => watched.size === 0 || watched.has(address));
+
+  const summary = { networks: [], sent: 0, delivered: 0, stuck: 0, expired: 0, pending: [], deliveries: { ok: 0, failed: 0 } };
+  // Handled logs, by key, with the block they came from; latest block seen per chain
+  const seen = new Map();
+  const latestBlocks = new Map();
+  const pending = [];
+  const inFlight = new Set();
+
+  /**
+   * Report a notification and POST it to every webhook
+   * @param {string} type - Notification type
+   * @param {Array<string>} matched - Watched addresses involved
+   * @param {Object} transfer - Transfer details
+   */
+  const notify = (type, matched, transfer) => {
+    const payload = { type, timestamp: new Date().toISOString(), addresses: matched, transfer };
+    const route = `${transfer.amount} tokens from ${transfer.sourceNetwork ?? `chain ${transfer.sourceChainId}`} to ${transfer.destNetwork ?? `chain ${transfer.destChainId}`}`;
+    reporter.progress('watch', `${type}: ${route} (${transfer.sourceTxHash ?? transfer.destTxHash})`, {
+      type,
+      txHash: transfer.sourceTxHash ?? transfer.destTxHash
+    });
+
+    for (const url of webhooks) {
+      const delivery = postWebhook(url, payload, { ...webhookOptions, signal, events }).then((result) => {
+        summary.deliveries[result.ok ? 'ok' : 'failed'] += 1;
+        inFlight.delete(delivery);
+      });
+      inFlight.add(delivery);
+    }
+  };
+
+  /**
+   * Handle a TokensBridged event
+   * @param {Object} source - Source contract ({ contract, network, decimals })
+   * @param {Object} log - Event log
+   */
+  const onBridged = async (source, log) => {
+    const { sender, destChainId, recipient, amount, txId } = log.args;
+    const matched = involved([sender, recipient]);
+    if (matched.length === 0) {
+      return;
+    }
+
+    const transfer = {
+      status: 'pending',
+      sourceNetwork: source.network.name,
+      sourceChainId: source.network.chainId,
+      destNetwork: getNetworkByChainId(destChainId)?.name ?? null,
+      destChainId: Number(destChainId),
+      sender,
+      recipient,
+      amount: ethers.formatUnits(amount, source.decimals),
+      amountWei: amount.toString(),
+      messageId: txId?.toString() ?? null,
+      sourceTxHash: log.transactionHash,
+      sourceBlockNumber: log.blockNumber,
+      sentAt: null,
+      destTxHash: null,
+      destBlockNumber: null,
+      receivedAt: null
+    };
+    // Listed before the block is fetched, so a delivery seen meanwhile still finds it
+    const entry = { key: routeKey(transfer.sourceChainId, transfer.destChainId, log.args), matched, transfer, stuck: false, listedAt: Date.now() };
+    pending.push(entry);
+    entry.ready = log.getBlock().then((block) => {
+      transfer.sentAt = new Date(block.timestamp * 1000).toISOString();
+      summary.sent += 1;
+      notify('bridge.sent', matched, transfer);
+    });
+    await entry.ready;
+  };
+
+  /**
+   * Take the oldest undelivered bridge with a route key off the pending list
+   * @param {string} key - Route key
+   * @returns {Object|null} Pending entry, or null if there is none
+   */
+  const takePending = (key) => {
+    const index = pending.findIndex(entry => entry.key === key);
+    return index === -1 ? null : pending.splice(index, 1)[0];
+  };
+
+  /**
+   * Handle a TokensReceived event
+   * @param {Object} dest - Destination contract ({ contract, network, decimals })
+   * @param {Object} log - Event log
+   */
+  const onReceived = async (dest, log) => {
+    const { sourceChainId, recipient, amount, txId } = log.args;
+    const key = routeKey(Number(sourceChainId), dest.network.chainId, log.args);
+
+    // Each chain is polled on its own, so the delivery can be seen before the bridge
+    let sent = takePending(key);
+    if (!sent) {
+      await new Promise(resolve => setTimeout(resolve, MATCH_GRACE_MS));
+      sent = takePending(key);
+    }
+    await sent?.ready;
+    const matched = sent ? sent.matched : involved([recipient]);
+    if (matched.length === 0) {
+      return;
+    }
+
+    const block = await log.getBlock();
+    const receivedAt = new Date(block.timestamp * 1000).toISOString();
+    const transfer = {
+      ...(sent?.transfer ?? {
+        sourceNetwork: getNetworkByChainId(sourceChainId)?.name ?? null,
+        sourceChainId: Number(sourceChainId),
+        destNetwork: dest.network.name,
+        destChainId: dest.network.chainId,
+        sender: null,
+        recipient,
+        amount: ethers.formatUnits(amount, dest.decimals),
+        amountWei: amount.toString(),
+        messageId: txId?.toString() ?? null,
+        sourceTxHash: null,
+        sourceBlockNumber: null,
+        sentAt: null
+      }),
+      status: 'delivered',
+      destTxHash: log.transactionHash,
+      destBlockNumber: log.blockNumber,
+      receivedAt,
+      latencySeconds: sent ? block.timestamp - Date.parse(sent.transfer.sentAt) / 1000 : null
+    };
+    summary.delivered += 1;
+    notify('bridge.delivered', matched, transfer);
+  };
+
+  /**
+   * Wrap an event handler so each log is handled once and failures are reported
+   * @param {Object} deployed - Contract the event came from ({ contract, network, decimals })
+   * @param {Function} handler - onBridged or onReceived
+   * @returns {Function} Contract event listener
+   */
+  const listener = (deployed, handler) => (...args) => {
+    const { log } = args[args.length - 1];
+    const { chainId } = deployed.network;
+    const key = `${chainId}:${log.transactionHash}:${log.index}`;
+    if (seen.has(key)) {
+      return;
+    }
+    seen.set(key, { chainId, blockNumber: log.blockNumber });
+    latestBlocks.set(chainId, Math.max(latestBlocks.get(chainId) ?? 0, log.blockNumber));
+    handler(deployed, log).catch((error) => {
+      reporter.warning('watch', `${deployed.network.name}: could not handle ${log.eventName} in ${log.transactionHash} (${error.shortMessage || error.message})`, {
+        network: deployed.network.name,
+        txHash: log.transactionHash
+      });
+    });
+  };
+
+  reporter.progress('watch', 'Watching bridges', { heading: true });
+  const contracts = [];
+  for (const networkName of networkNames) {
+    if (!readDeploymentFile(networkName)) {
+      continue;
+    }
+    try {
+      const deployed = await getContract(networkName, { provider, readOnly: true });
+      await deployed.contract.on('TokensBridged', listener(deployed, onBridged));
+      await deployed.contract.on('TokensReceived', listener(deployed, onReceived));
+      contracts.push(deployed);
+      summary.networks.push(deployed.network.name);
+      reporter.progress('watch', `${deployed.network.name}: subscribed to ${await deployed.contract.getAddress()}`, { network: deployed.network.name });
+    } catch (error) {
+      reporter.warning('watch', `${networkName}: could not subscribe (${error.shortMessage || error.message})`, { network: networkName });
+    }
+  }
+  if (contracts.length === 0) {
+    throw new Error('No deployments could be watched. Run the deploy command first.');
+  }
+  reporter.progress('watch', watched.size === 0
+    ? 'Watching every bridge (no addresses given)'
+    : `Watching bridges from or to ${[...watched].join(', ')}`);
+  if (webhooks.length === 0) {
+    reporter.warning('watch', 'No webhooks configured; notifications are only logged');
+  }
+
+  const checkStuck = () => {
+    const stuckBefore = Date.now() - stuckAfterMinutes * 60 * 1000;
+    for (const entry of pending.filter(candidate => !candidate.stuck && candidate.transfer.sentAt && Date.parse(candidate.transfer.sentAt) < stuckBefore)) {
+      entry.stuck = true;
+      entry.stuckAt = Date.now();
+      summary.stuck += 1;
+      notify('bridge.stuck', entry.matched, { ...entry.transfer, pendingMinutes: Math.floor((Date.now() - Date.parse(entry.transfer.sentAt)) / 60000) });
+    }
+  };
+
+  /**
+   * Forget bridges kept past the retention window, and logs too old to be emitted again
+   * A bridge whose block couldn't be fetched is never reported as stuck, so it is
+   * kept as long as if it had been reported when it was listed.
+   */
+  const prune = () => {
+    const expiredBefore = Date.now() - PENDING_RETENTION_MS;
+    for (let index = pending.length - 1; index >= 0; index--) {
+      const { stuckAt, listedAt } = pending[index];
+      if ((stuckAt ?? listedAt + stuckAfterMinutes * 60 * 1000) < expiredBefore) {
+        pending.splice(index, 1);
+        summary.expired += 1;
+      }
+    }
+
+    for (const [key, { chainId, blockNumber }] of seen) {
+      if (blockNumber < latestBlocks.get(chainId) - SEEN_RETENTION_BLOCKS) {
+        seen.delete(key);
+      }
+    }
+  };
+
+  const intervalId = setInterval(() => {
+    checkStuck();
+    prune();
+  }, Math.min(STUCK_CHECK_INTERVAL_MS, stuckAfterMinutes * 60 * 1000));
+
+  await new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve();
+    }
+    signal?.addEventListener('abort', resolve, { once: true });
+  });
+
+  clearInterval(intervalId);
+  await Promise.all(contracts.map(deployed => deployed.contract.removeAllListeners()));
+  await Promise.all(inFlight);
+  summary.pending = pending.map(entry => entry.transfer);
+  reporter.progress('watch', `Stopped watching: ${summary.sent} sent, ${summary.delivered} delivered, ${summary.stuck} stuck`);
+  return summary;
+}
+
+module.exports = {
+  watchBridges
+};
@@ -0,0 +1,88 @@
+/**
+ * Webhook Delivery
+ * ================
+ *
+ * POSTs JSON payloads to webhook URLs for the watch daemon (see watch.js).
+ * Failed deliveries are retried with exponential backoff: network errors,
+ * timeouts, HTTP 429 and 5xx responses are retried, other 4xx responses are
+ * not, since sending the same payload again won't change the answer.
+ */
+
+const { createReporter } = require('./progress');
+
+// Retry schedule: 1s, 2s, 4s, 8s between the 5 attempts
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 1000;
+
+// Give up on a single request after this long
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Check whether a failed response is worth retrying
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for rate limits and server errors
+ */
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * POST a JSON payload to a webhook, retrying with exponential backoff
+ * Never throws: the outcome is returned and reported as a progress or warning event.
+ *
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload (bigints are sent as decimal strings)
+ * @param {Object} options - Delivery options
+ * @param {number} options.maxAttempts - Attempts before giving up (default: 5)
+ * @param {number} options.backoffMs - Delay before the first retry, doubled for each one after (default: 1000)
+ * @param {AbortSignal} options.signal - Stops retrying early when aborted
+ * @param {EventEmitter} options.events - Progress event emitter (see progress.js)
+ * @returns {Promise<Object>} Delivery result ({ url, ok, attempts, status, error })
+ */
+async function postWebhook(url, payload, { maxAttempts = DEFAULT_MAX_ATTEMPTS, backoffMs = DEFAULT_BACKOFF_MS, signal, events } = {}) {
+  const reporter = createReporter(events);
+  const body = JSON.stringify(payload, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+  const details = { url, type: payload.type };
+  let result = { url, ok: false, attempts: 0, status: null, error: null };
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let retryable = true;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      result = { url, ok: response.ok, attempts: attempt, status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+      retryable = !response.ok && isRetryable(response.status);
+    } catch (error) {
+      result = { url, ok: false, attempts: attempt, status: null, error: error.cause?.message || error.message };
+    }
+
+    if (result.ok) {
+      reporter.progress('watch', `Webhook ${url}: delivered ${payload.type} (attempt ${attempt})`, { ...details, attempts: attempt });
+      return result;
+    }
+    if (!retryable || attempt === maxAttempts || signal?.aborted) {
+      break;
+    }
+
+    const delay = backoffMs * 2 ** (attempt - 1);
+    reporter.warning('watch', `Webhook ${url}: ${result.error}, retrying in ${delay / 1000}s (attempt ${attempt}/${maxAttempts})`, { ...details, attempts: attempt });
+    await new Promise((resolve) => {
+      const timeoutId = setTimeout(resolve, delay);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timeoutId);
+        resolve();
+      }, { once: true });
+    });
+  }
+
+  reporter.warning('watch', `Webhook ${url}: gave up on ${payload.type} after ${result.attempts} attempt(s) (${result.error})`, { ...details, attempts: result.attempts });
+  return result;
+}
+
+module.exports = {
+  postWebhook
+};
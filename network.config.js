@@ -1,5 +1,34 @@
 require('dotenv').config();
 
+// Security settings applied to any network that doesn't override them:
+// - confirmations: blocks the VIA network waits for on this chain before relaying
+//   a message sent from it. Use deeper values on chains with slow or probabilistic
+//   finality, 1 is fine on fast L2s and testnets.
+// - maxGasPriceGwei: refuse to send transactions while gas is above this cap (null = no cap)
+// - bridgeSource / bridgeDestination: whether tokens may be bridged out of / into this chain
+const DEFAULT_SECURITY = {
+  confirmations: 1,
+  maxGasPriceGwei: null,
+  bridgeSource: true,
+  bridgeDestination: true
+};
+
+// Fee settings applied to any network that doesn't override them. Fees never go
+// above security.maxGasPriceGwei, which is also the cap for replacements.
+// - maxFeePerGasGwei / maxPriorityFeePerGasGwei: fixed EIP-1559 fees (gas price on
+//   legacy chains) instead of the node's suggestion (null = use the suggestion)
+// - multiplier: scales the node's suggested fees, e.g. 1.2 pays 20% more to get in faster
+// - stuckTimeoutSeconds: how long a transaction may stay pending before the scripts
+//   offer to speed it up or cancel it
+// - replacementBumpPercent: how much each replacement raises the fees (nodes need at least 10)
+const DEFAULT_GAS = {
+  maxFeePerGasGwei: null,
+  maxPriorityFeePerGasGwei: null,
+  multiplier: 1,
+  stuckTimeoutSeconds: 180,
+  replacementBumpPercent: 20
+};
+
 // Network configurations - can be extended with more networks as needed
 const networks = {
   'avalanche-testnet': {
@@ -11,6 +40,16 @@ const networks = {
       name: 'AVAX',
       symbol: 'AVAX',
       decimals: 18
+    },
+    security: {
+      confirmations: 1,
+      maxGasPriceGwei: 100,
+      bridgeSource: true,
+      bridgeDestination: true
+    },
+    gas: {
+      multiplier: 1.1,
+      stuckTimeoutSeconds: 120
     }
   },
   'base-testnet': {
@@ -22,6 +61,15 @@ const networks = {
       name: 'ETH',
       symbol: 'ETH',
       decimals: 18
+    },
+    security: {
+      confirmations: 1,
+      maxGasPriceGwei: 10,
+      bridgeSource: true,
+      bridgeDestination: true
+    },
+    gas: {
+      maxPriorityFeePerGasGwei: 0.01
     }
   }
   // Add more networks here as needed
@@ -35,17 +83,165 @@ const networks = {
   //     name: 'MATIC',
   //     symbol: 'MATIC',
   //     decimals: 18
+  //   },
+  //   security: {
+  //     confirmations: 5,
+  //     maxGasPriceGwei: 500,
+  //     bridgeSource: true,
+  //     bridgeDestination: true
+  //   },
+  //   gas: {
+  //     multiplier: 1.25,
+  //     stuckTimeoutSeconds: 300
   //   }
   // }
 };
 
+// Local devnet chains started by scripts/devnet.js - used with `deploy.js --local`.
+// Each entry gets its own in-process chain and a stand-in VIA message contract.
+// Add another entry (with a unique chainId and port) to run more chains.
+const localNetworks = {
+  'local-a': {
+    name: 'local-a',
+    chainId: 31337,
+    rpcUrl: process.env.LOCAL_A_RPC || 'http://127.0.0.1:8545',
+    blockExplorer: '',
+    local: true,
+    nativeCurrency: {
+      name: 'ETH',
+      symbol: 'ETH',
+      decimals: 18
+    },
+    security: { ...DEFAULT_SECURITY },
+    gas: { ...DEFAULT_GAS }
+  },
+  'local-b': {
+    name: 'local-b',
+    chainId: 31338,
+    rpcUrl: process.env.LOCAL_B_RPC || 'http://127.0.0.1:8546',
+    blockExplorer: '',
+    local: true,
+    nativeCurrency: {
+      name: 'ETH',
+      symbol: 'ETH',
+      decimals: 18
+    },
+    security: { ...DEFAULT_SECURITY },
+    gas: { ...DEFAULT_GAS }
+  }
+};
+
+/**
+ * Validate and normalize the security and fee settings of a group of networks
+ * Missing settings are filled in from DEFAULT_SECURITY and DEFAULT_GAS. Runs when this file is
+ * loaded so a bad configuration fails before any transaction is sent.
+ * 
+ * @param {Object} group - Networks keyed by name
+ * @param {string} groupName - Name of the group, used in error messages
+ * @throws {Error} If a setting or combination of settings is invalid
+ */
+function validateNetworks(group, groupName) {
+  const chainIds = new Set();
+  
+  for (const [key, network] of Object.entries(group)) {
+    const security = { ...DEFAULT_SECURITY, ...network.security };
+    const fail = (message) => {
+      throw new Error(`Invalid configuration for network '${key}' in network.config.js: ${message}`);
+    };
+    
+    if (chainIds.has(network.chainId)) {
+      fail(`chainId ${network.chainId} is used by more than one ${groupName} network`);
+    }
+    chainIds.add(network.chainId);
+    
+    // Confirmations are stored as a uint16 by MessageClient.configureClient
+    if (!Number.isInteger(security.confirmations) || security.confirmations < 1 || security.confirmations > 65535) {
+      fail(`security.confirmations must be an integer between 1 and 65535 (got ${security.confirmations})`);
+    }
+    
+    if (security.maxGasPriceGwei !== null && !(typeof security.maxGasPriceGwei === 'number' && security.maxGasPriceGwei > 0)) {
+      fail(`security.maxGasPriceGwei must be a positive number or null (got ${security.maxGasPriceGwei})`);
+    }
+    
+    if (typeof security.bridgeSource !== 'boolean' || typeof security.bridgeDestination !== 'boolean') {
+      fail('security.bridgeSource and security.bridgeDestination must be true or false');
+    }
+    
+    if (!security.bridgeSource && !security.bridgeDestination) {
+      fail('the network can neither send nor receive bridges - remove it instead');
+    }
+    
+    const gas = { ...DEFAULT_GAS, ...network.gas };
+    for (const setting of ['maxFeePerGasGwei', 'maxPriorityFeePerGasGwei']) {
+      if (gas[setting] !== null && !(typeof gas[setting] === 'number' && gas[setting] > 0)) {
+        fail(`gas.${setting} must be a positive number or null (got ${gas[setting]})`);
+      }
+    }
+    if (gas.maxFeePerGasGwei !== null && gas.maxPriorityFeePerGasGwei !== null && gas.maxPriorityFeePerGasGwei > gas.maxFeePerGasGwei) {
+      fail('gas.maxPriorityFeePerGasGwei can\'t be above gas.maxFeePerGasGwei');
+    }
+    if (security.maxGasPriceGwei !== null && gas.maxFeePerGasGwei !== null && gas.maxFeePerGasGwei > security.maxGasPriceGwei) {
+      fail(`gas.maxFeePerGasGwei (${gas.maxFeePerGasGwei}) is above the security.maxGasPriceGwei cap (${security.maxGasPriceGwei})`);
+    }
+    if (typeof gas.multiplier !== 'number' || gas.multiplier < 1 || gas.multiplier > 10) {
+      fail(`gas.multiplier must be a number between 1 and 10 (got ${gas.multiplier})`);
+    }
+    if (!Number.isInteger(gas.stuckTimeoutSeconds) || gas.stuckTimeoutSeconds < 1) {
+      fail(`gas.stuckTimeoutSeconds must be a positive integer (got ${gas.stuckTimeoutSeconds})`);
+    }
+    if (!Number.isInteger(gas.replacementBumpPercent) || gas.replacementBumpPercent < 10) {
+      fail(`gas.replacementBumpPercent must be an integer of at least 10 (got ${gas.replacementBumpPercent})`);
+    }
+    
+    network.security = security;
+    network.gas = gas;
+  }
+  
+  // Every source needs somewhere to send to, and every destination something to receive from
+  const entries = Object.entries(group);
+  for (const [key, network] of entries) {
+    const others = entries.filter(([otherKey]) => otherKey !== key).map(([, other]) => other);
+    if (others.length === 0) continue;
+    
+    if (network.security.bridgeSource && !others.some(other => other.security.bridgeDestination)) {
+      throw new Error(`Invalid configuration for network '${key}' in network.config.js: it is a bridge source but no other ${groupName} network accepts bridges`);
+    }
+    if (network.security.bridgeDestination && !others.some(other => other.security.bridgeSource)) {
+      throw new Error(`Invalid configuration for network '${key}' in network.config.js: it is a bridge destination but no other ${groupName} network may send bridges`);
+    }
+  }
+}
+
+validateNetworks(networks, 'public');
+validateNetworks(localNetworks, 'local');
+
 /**
  * Get network configuration by name
- * @param {string} networkName - Network name (e.g., 'avalanche-testnet', 'base-testnet')
+ * @param {string} networkName - Network name (e.g., 'avalanche-testnet', 'base-testnet', 'local-a')
  * @returns {Object|null} Network configuration or null if not found
  */
 function getNetworkConfig(networkName) {
-  return networks[networkName] || null;
+  return networks[networkName] || localNetworks[networkName] || null;
+}
+
+/**
+ * Get network configuration by chain ID
+ * @param {number|bigint} chainId - Chain ID
+ * @returns {Object|null} Network configuration or null if not found
+ */
+function getNetworkByChainId(chainId) {
+  return Object.values({ ...networks, ...localNetworks })
+    .find(network => network.chainId === Number(chainId)) || null;
+}
+
+/**
+ * Check whether tokens may be bridged from one network to another
+ * @param {Object} sourceNetwork - Source network configuration
+ * @param {Object} destNetwork - Destination network configuration
+ * @returns {boolean} True if the route is allowed by both networks' security settings
+ */
+function isRouteAllowed(sourceNetwork, destNetwork) {
+  return sourceNetwork.security.bridgeSource && destNetwork.security.bridgeDestination;
 }
 
 /**
@@ -56,6 +252,14 @@ function getNetworkNames() {
   return Object.keys(networks);
 }
 
+/**
+ * Get all local devnet network names
+ * @returns {string[]} Array of local network names
+ */
+function getLocalNetworkNames() {
+  return Object.keys(localNetworks);
+}
+
 /**
  * Get all network configurations
  * @returns {Object} All network configurations
@@ -66,7 +270,12 @@ function getAllNetworks() {
 
 module.exports = {
   networks,
+  localNetworks,
   getNetworkConfig,
+  getNetworkByChainId,
+  isRouteAllowed,
   getNetworkNames,
-  getAllNetworks
+  getLocalNetworkNames,
+  getAllNetworks,
+  validateNetworks
 };
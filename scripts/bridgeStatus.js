@@ -0,0 +1,115 @@
+/**
+ * Bridge Status Script
+ * ====================
+ *
+ * This script looks up what happened to a bridge transaction, for example one
+ * sent with bridge.js and "nowait". It decodes the TokensBridged event from the
+ * source transaction and searches the destination MyERC20 for the matching
+ * TokensReceived event.
+ *
+ * Usage:
+ *   node scripts/bridgeStatus.js <source-network> <tx-hash> [--json]
+ *
+ * When INDEXER_URL is set in .env, transfers the indexer has seen (see
+ * scripts/indexer.js) are looked up there instead of searching the chains.
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkConfig } = require('../network.config');
+const { getBridgeStatus } = require('../lib/bridge');
+const { logToConsole } = require('../lib/progress');
+require('dotenv').config();
+
+/**
+ * Print a bridge transfer's status in a human-readable format
+ * @param {Object} status - Result of getBridgeStatus()
+ */
+function printBridgeStatus(status) {
+  console.log('=== Bridge Transaction Status ===');
+  console.log(`\nSource: ${status.sourceNetwork} (chain ID ${status.sourceChainId})`);
+  console.log(`Transaction: ${status.txHash}`);
+
+  if (status.recipient) {
+    const destination = status.destNetwork || `chain ID ${status.destChainId}`;
+    console.log(`Transfer: ${ethers.formatUnits(status.amount, status.decimals)} tokens to ${status.recipient} on ${destination}`);
+  }
+  if (status.sourceBlockNumber !== null) {
+    console.log(`Mined in block ${status.sourceBlockNumber} at ${status.sentAt} (${status.confirmations} confirmation(s))`);
+  }
+  if (status.messageId) {
+    console.log(`Message ID: ${status.messageId}`);
+  }
+
+  const labels = { delivered: '✅ Delivered', pending: '⏳ Pending', unknown: '❓ Unknown' };
+  console.log(`\nStatus: ${labels[status.status]}`);
+  if (status.reason) {
+    console.log(`  ${status.reason}`);
+  }
+  if (status.received) {
+    console.log(`  Destination transaction: ${status.received.destTxHash} (block ${status.received.destBlockNumber})`);
+    console.log(`  Received at ${status.received.receivedAt}, ${status.received.latencySeconds} seconds after the source transaction`);
+  }
+
+  console.log('\nLinks:');
+  if (status.links.source) {
+    console.log(`  Source chain explorer: ${status.links.source}`);
+  }
+  if (status.links.destination) {
+    console.log(`  Destination chain explorer: ${status.links.destination}`);
+  }
+  console.log(`  VIA Labs scanner: ${status.links.scanner}`);
+}
+
+/**
+ * Main execution function
+ * Parses command line arguments and reports the transfer's status
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const jsonOutput = args.includes('--json');
+  const [sourceNetwork, txHash] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!sourceNetwork || !txHash) {
+    console.error('Usage: node bridgeStatus.js <source-network> <tx-hash> [--json]');
+    console.error('Example: node bridgeStatus.js avalanche-testnet 0xabc...');
+    process.exit(1);
+  }
+
+  if (!getNetworkConfig(sourceNetwork)) {
+    console.error(`Source network ${sourceNetwork} not found`);
+    process.exit(1);
+  }
+
+  if (!ethers.isHexString(txHash, 32)) {
+    console.error(`Invalid transaction hash: ${txHash}`);
+    process.exit(1);
+  }
+
+  const status = await getBridgeStatus(sourceNetwork, txHash, {
+    indexer: process.env.INDEXER_URL,
+    events: logToConsole(undefined, { stderr: jsonOutput })
+  });
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(status, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2));
+  } else {
+    printBridgeStatus(status);
+  }
+
+  if (status.status === 'unknown') {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  printBridgeStatus
+};
@@ -0,0 +1,30 @@
+/**
+ * Contract Compilation Script
+ * ===========================
+ *
+ * Compiles every contract in the project and writes standard-JSON artifacts to build/.
+ * Unchanged contracts are skipped; pass --force to recompile everything.
+ *
+ * Usage:
+ *   node scripts/compile.js [--force]
+ */
+
+const { compileContracts } = require('../lib/compile');
+const { logToConsole } = require('../lib/progress');
+
+// Entry sources - everything they import is compiled along with them
+const CONTRACTS = [
+  'contracts/MyERC20.sol',
+  'contracts/mocks/MockMessageV3.sol'
+];
+
+try {
+  const contracts = compileContracts(CONTRACTS, {
+    force: process.argv.includes('--force'),
+    events: logToConsole()
+  });
+  console.log(`Artifacts ready for: ${contracts.join(', ')}`);
+} catch (error) {
+  console.error('Compilation failed:', error.message);
+  process.exit(1);
+}
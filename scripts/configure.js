@@ -0,0 +1,92 @@
+/**
+ * Cross-Chain Messaging Configuration Script
+ * ==========================================
+ *
+ * This script runs only the cross-chain wiring step of deploy.js. It loads the
+ * existing deployments from deployments/<network>/MyERC20.json and calls
+ * configureClient on the selected networks so they point at every other
+ * deployed network. Nothing is deployed.
+ *
+ * As with deploy.js, only peers whose address or confirmations changed are sent,
+ * so it's safe to run repeatedly (for example after editing the security
+ * settings in network.config.js).
+ *
+ * Usage:
+ *   node scripts/configure.js                      Configure every deployed public network
+ *   node scripts/configure.js avalanche-testnet    Configure only the named network(s)
+ *   node scripts/configure.js --local              Configure every deployed local devnet network
+ */
+
+const { networks, getNetworkConfig, getLocalNetworkNames } = require('../network.config');
+const { readDevnetState } = require('../lib/devnet');
+const { loadDeployments } = require('../lib/deployments');
+const { configureContracts } = require('../lib/configure');
+const { logToConsole, askOnStuck } = require('../lib/progress');
+require('dotenv').config();
+
+/**
+ * Main execution function
+ * Parses command line arguments and configures the selected networks
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const selected = args.filter(arg => !arg.startsWith('--'));
+
+  // Every selected network has to exist, and they all have to be in the same group
+  for (const networkName of selected) {
+    if (!getNetworkConfig(networkName)) {
+      console.error(`Network ${networkName} not found`);
+      process.exit(1);
+    }
+  }
+  const selectedLocal = selected.map(networkName => Boolean(getNetworkConfig(networkName).local));
+  if (selectedLocal.includes(true) && selectedLocal.includes(false)) {
+    console.error('Local devnet networks and public networks cannot be configured together');
+    process.exit(1);
+  }
+
+  const useLocal = args.includes('--local') || selectedLocal.includes(true);
+  if (useLocal && !readDevnetState()) {
+    console.error('Local devnet is not running. Start it first with: node scripts/devnet.js');
+    process.exit(1);
+  }
+
+  console.log('=== MyERC20 Cross-Chain Configuration ===');
+  const events = logToConsole();
+
+  // Peers are always the full set of deployments, even when only some networks are configured
+  const deployments = await loadDeployments(useLocal ? getLocalNetworkNames() : Object.keys(networks), { events });
+  if (deployments.length < 2) {
+    console.error('\nNeed at least 2 deployments to configure cross-chain messaging. Run the deploy script first.');
+    process.exit(1);
+  }
+
+  let only = null;
+  if (selected.length > 0) {
+    only = selected.map(networkName => getNetworkConfig(networkName).chainId);
+    const missing = selected.filter((networkName, index) =>
+      !deployments.some(deployment => Number(deployment.chainId) === only[index])
+    );
+    if (missing.length > 0) {
+      console.error(`\nNo deployment found for: ${missing.join(', ')}. Run the deploy script first.`);
+      process.exit(1);
+    }
+  }
+
+  const results = await configureContracts(deployments, { only, onStuck: askOnStuck(), events });
+
+  if (results.some(result => result.status === 'failed')) {
+    console.error('\nConfiguration failed on one or more networks.');
+    process.exit(1);
+  }
+  console.log('\n=== Configuration Completed Successfully! ===');
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -12,361 +12,195 @@
  * 
  * The script is safe to run multiple times - it will preserve existing deployments
  * and only deploy to new networks that have been added to the configuration.
+ * Every transaction is journaled before it is broadcast, so a run that crashes
+ * part-way resumes where it left off instead of deploying twice.
+ * 
+ * Usage:
+ *   node scripts/deploy.js           Deploy to the public networks in network.config.js
+ *   node scripts/deploy.js --local   Deploy to the local devnet (start it with scripts/devnet.js)
+ *   node scripts/deploy.js --plan    Preview what would be deployed and configured, without sending anything
+ *                                    (add --json for machine-readable output)
+ *   node scripts/deploy.js --deterministic [--salt <salt>]
+ *                                    Deploy through CREATE2 so the token has the same address on every chain
+ *                                    (defaults come from deploy.config.js)
  * 
  * INTEGRATION NOTES:
- * - This script uses ethers.js v6 for blockchain interactions
- * - The core logic can be adapted to work with any deployment framework
+ * - This script is a thin wrapper around the SDK in lib/ (deployToNetwork,
+ *   configureContracts, buildDeploymentPlan), which can be used directly
  * - Key components to preserve when integrating:
  *   - Checking for existing deployments
  *   - Configuring cross-chain messaging
  *   - Saving deployment information for the frontend
  */
 
-const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
-const { getChainConfig } = require('@vialabs-io/npm-registry');
-const { execSync } = require('child_process');
-const { networks, getNetworkNames } = require('../network.config');
+const { networks, getLocalNetworkNames } = require('../network.config');
+const { getDeployConfig } = require('../deploy.config');
+const { readDevnetState } = require('../lib/devnet');
+const { compileContract, deployAndConfigure } = require('../lib/deploy');
+const { buildDeploymentPlan, verifyDeterministicPlan } = require('../lib/plan');
+const { describeSendingChange } = require('../lib/configure');
+const { logToConsole, askOnStuck } = require('../lib/progress');
 require('dotenv').config();
 
-// ======================================================================
-// SECTION 1: CONTRACT COMPILATION
-// ======================================================================
-
-/**
- * Compiles the MyERC20.sol contract using solcjs
- * @returns {Promise<boolean>} True if compilation was successful, false otherwise
- */
-async function compileContract() {
-  console.log('=== Compiling Contract ===');
-  try {
-    // Create build directory if it doesn't exist
-    const buildDir = path.join(__dirname, '../build');
-    if (!fs.existsSync(buildDir)) {
-      fs.mkdirSync(buildDir, { recursive: true });
-    }
-    
-    // Compile the contract
-    console.log('Running solcjs compiler...');
-    execSync('npx solcjs --bin --abi --include-path node_modules/ --base-path . -o ./build contracts/MyERC20.sol', {
-      cwd: path.join(__dirname, '..'),
-      stdio: 'inherit'
-    });
-    
-    console.log('Compilation successful!');
-    return true;
-  } catch (error) {
-    console.error('Compilation failed:', error.message);
-    return false;
-  }
-}
-
-// ======================================================================
-// SECTION 2: DEPLOYMENT MANAGEMENT
-// ======================================================================
-
-/**
- * Check if a deployment already exists for a network
- * This prevents redeploying to networks that already have contracts.
- * 
- * @param {string} networkName - Network name
- * @returns {Promise<Object|null>} Existing deployment or null if not found
- */
-async function checkExistingDeployment(networkName) {
-  const network = networks[networkName];
-  const deploymentDir = path.join(__dirname, '../deployments', network.name);
-  const deploymentFile = path.join(deploymentDir, 'MyERC20.json');
-  
-  if (fs.existsSync(deploymentFile)) {
-    try {
-      const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, 'utf8'));
-      console.log(`Existing deployment found for ${network.name}`);
-      
-      // Setup provider to get contract instance
-      const provider = new ethers.JsonRpcProvider(network.rpcUrl);
-      const wallet = new ethers.Wallet(process.env.PRIVATE_KEY || '', provider);
-      
-      // Create contract instance
-      const contract = new ethers.Contract(
-        deploymentInfo.address,
-        deploymentInfo.abi,
-        wallet
-      );
-      
-      return {
-        address: deploymentInfo.address,
-        chainId: deploymentInfo.chainId,
-        contract: contract,
-        isExisting: true
-      };
-    } catch (error) {
-      console.warn(`Error reading existing deployment for ${network.name}:`, error.message);
-      return null;
-    }
-  }
-  
-  return null;
-}
-
 /**
- * Deploy the contract to a specific network if it doesn't already exist
- * This function handles:
- * 1. Checking for existing deployments
- * 2. Deploying the contract if needed
- * 3. Saving deployment information for both backend and frontend
+ * Print a deployment plan in human-readable form
  * 
- * @param {string} networkName - Network name from network.config.js
- * @returns {Promise<Object|null>} Deployment information or null if failed
+ * @param {Object} plan - Plan returned by buildDeploymentPlan()
  */
-async function deployToNetwork(networkName) {
-  const network = networks[networkName];
-  console.log(`\n=== Processing ${network.name} ===`);
-
-  // Check if deployment already exists
-  const existingDeployment = await checkExistingDeployment(networkName);
-  if (existingDeployment) {
-    console.log(`Using existing deployment at ${existingDeployment.address}`);
-    return existingDeployment;
-  }
-  
-  console.log(`No existing deployment found. Deploying to ${network.name}...`);
-
-  // Setup provider and wallet
-  const provider = new ethers.JsonRpcProvider(network.rpcUrl);
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY || '', provider);
-  
-  console.log(`Using wallet address: ${wallet.address}`);
-
-  // Get chain ID
-  const providerNetwork = await provider.getNetwork();
-  const chainId = providerNetwork.chainId;
-  console.log(`Chain ID: ${chainId}`);
-
-  // Get chain config
-  const chainConfig = getChainConfig(chainId);
-  if (!chainConfig) {
-    console.error(`Chain configuration not found for chainId: ${chainId}`);
-    return null;
-  }
-  
-  console.log(`Deploying to ${chainConfig.name} (${chainConfig.network})...`);
-
-  // Read contract files
-  const contractPath = path.join(__dirname, '../build');
-  
-  // Find ABI and bytecode files
-  const files = fs.readdirSync(contractPath);
-  const abiFile = files.find(file => file.includes('MyERC20.abi'));
-  const binFile = files.find(file => file.includes('MyERC20.bin'));
-  
-  if (!abiFile || !binFile) {
-    console.error('ABI or bytecode files not found after compilation.');
-    return null;
-  }
-  
-  const abi = JSON.parse(fs.readFileSync(path.join(contractPath, abiFile), 'utf8'));
-  const bytecode = '0x' + fs.readFileSync(path.join(contractPath, binFile), 'utf8');
-
-  // Deploy contract
-  console.log('Deploying MyERC20 contract...');
-  const factory = new ethers.ContractFactory(abi, bytecode, wallet);
-  const contract = await factory.deploy();
-  
-  console.log(`Transaction hash: ${contract.deploymentTransaction().hash}`);
-  console.log('Waiting for deployment...');
-  
-  await contract.waitForDeployment();
-  const contractAddress = await contract.getAddress();
-  
-  console.log(`Contract deployed to: ${contractAddress}`);
-
-  // Save deployment info
-  const deploymentDir = path.join(__dirname, '../deployments', network.name);
-  if (!fs.existsSync(deploymentDir)) {
-    fs.mkdirSync(deploymentDir, { recursive: true });
-  }
-  
-  const deploymentInfo = {
-    address: contractAddress,
-    abi: abi,
-    network: network.name,
-    chainId: Number(chainId),
-    deployedAt: new Date().toISOString()
+function printDeploymentPlan(plan) {
+  const formatEstimate = (estimate, symbol) => {
+    if (!estimate) return '';
+    if (estimate.error) return `(gas estimate unavailable: ${estimate.error})`;
+    return `~${Number(estimate.gas).toLocaleString()} gas (~${estimate.cost} ${symbol})`;
   };
-  
-  fs.writeFileSync(
-    path.join(deploymentDir, 'MyERC20.json'),
-    JSON.stringify(deploymentInfo, null, 2)
-  );
-  
-  fs.writeFileSync(
-    path.join(deploymentDir, '.chainId'),
-    chainId.toString()
-  );
-  
-  // Also save to a frontend-accessible location
-  const frontendConfigDir = path.join(__dirname, '../frontend/src/config');
-  if (!fs.existsSync(frontendConfigDir)) {
-    fs.mkdirSync(frontendConfigDir, { recursive: true });
-  }
-  
-  // Update or create the deployments.json file
-  const frontendConfigPath = path.join(frontendConfigDir, 'deployments.json');
-  let frontendDeployments = {};
-  
-  // Read existing deployments if file exists
-  if (fs.existsSync(frontendConfigPath)) {
-    try {
-      const existingConfig = fs.readFileSync(frontendConfigPath, 'utf8');
-      frontendDeployments = JSON.parse(existingConfig);
-    } catch (error) {
-      console.warn('Error reading existing frontend deployments:', error.message);
+  const symbolFor = (networkName) => plan.networks.find(entry => entry.network === networkName)?.nativeSymbol || 'ETH';
+  
+  console.log('\n=== Deployment Plan ===');
+  
+  console.log('\nNetworks:');
+  for (const entry of plan.networks) {
+    if (entry.action === 'reuse') {
+      console.log(`  ${entry.network} (${entry.chainId}): reuse existing deployment at ${entry.address}`);
+    } else if (entry.action === 'resume') {
+      console.log(`  ${entry.network} (${entry.chainId}): resume interrupted deployment ${entry.journalTransaction} (${entry.journalStatus}) → ${entry.address}`);
+    } else if (entry.deterministic) {
+      const action = entry.action === 'adopt' ? 'adopt contract already at' : 'deploy via CREATE2 to';
+      console.log(`  ${entry.network} (${entry.chainId}): ${action} ${entry.address || 'unknown address'}`);
+      if (entry.estimate) {
+        console.log(`    ${formatEstimate(entry.estimate, entry.nativeSymbol)}`);
+      }
+    } else {
+      console.log(`  ${entry.network} (${entry.chainId}): deploy new contract`);
+      if (entry.address) {
+        console.log(`    Predicted address: ${entry.address} (deployer ${entry.deployer}, nonce ${entry.nonce})`);
+        console.log(`    ${formatEstimate(entry.estimate, entry.nativeSymbol)}`);
+      }
+    }
+    if (entry.error) {
+      console.log(`    ⚠️ ${entry.error}`);
     }
   }
   
-  // Update with new deployment
-  // Use the existing chainConfig for additional information
-  const chainIdKey = Number(chainId);
-  frontendDeployments[chainIdKey] = {
-    address: contractAddress,
-    network: network.name,
-    chainId: chainIdKey,
-    deployedAt: new Date().toISOString(),
-    abi: abi, // Include ABI for the frontend and scripts
-    rpcUrl: network.rpcUrl, // Include RPC URL for the frontend
-    blockExplorer: chainConfig?.explorer || '' // Get block explorer from chain config
-  };
-  
-  // Write updated deployments
-  fs.writeFileSync(
-    frontendConfigPath,
-    JSON.stringify(frontendDeployments, null, 2)
-  );
-  
-  console.log(`Deployment information saved to ${deploymentDir}/MyERC20.json`);
-  console.log(`Frontend deployment config updated at ${frontendConfigPath}`);
-  
-  return {
-    address: contractAddress,
-    chainId: Number(chainId),
-    contract: contract,
-    isExisting: false
-  };
-}
-
-// ======================================================================
-// SECTION 3: CROSS-CHAIN CONFIGURATION
-// ======================================================================
-
-/**
- * Configure cross-chain messaging between all deployed contracts
- * This is a critical step that enables tokens to be bridged between networks
- * 
- * @param {Array<Object>} deployments - Array of deployment objects
- * @returns {Promise<void>}
- */
-async function configureContracts(deployments) {
-  console.log('\n=== Configuring Cross-Chain Messaging ===');
-  
-  if (deployments.length < 2) {
-    console.error('Need at least 2 deployments to configure cross-chain messaging');
-    return;
+  console.log('\nCross-chain configuration:');
+  if (plan.configurationSkipped) {
+    console.log('  Skipped - fewer than two networks would have a deployment.');
   }
-  
-  // For each deployment, configure it to work with all other deployments
-  for (let i = 0; i < deployments.length; i++) {
-    const currentDeployment = deployments[i];
-    
-    console.log(`\nConfiguring contract on chain ${currentDeployment.chainId}...`);
-    
-    // Get chain config
-    const chainConfig = getChainConfig(currentDeployment.chainId);
-    if (!chainConfig || !chainConfig.message) {
-      console.error(`Message contract address not found for chainId: ${currentDeployment.chainId}`);
+  for (const call of plan.configuration) {
+    for (const message of call.drift) {
+      console.log(`  ⚠️ Drift on ${call.network}: ${message}`);
+    }
+    if (call.upToDate) {
+      console.log(`  ${call.network} (${call.chainId}): already up to date, no transaction`);
       continue;
     }
-    
-    console.log(`Using message contract: ${chainConfig.message}`);
-    
-    // Prepare arrays for all other chains
-    const otherChainIds = [];
-    const otherAddresses = [];
-    const confirmations = [];
-    
-    // Collect information about all other deployments
-    for (let j = 0; j < deployments.length; j++) {
-      if (i !== j) {
-        otherChainIds.push(deployments[j].chainId);
-        otherAddresses.push(deployments[j].address);
-        confirmations.push(1); // Default confirmation blocks
+    if (!call.skipConfigureClient) {
+      console.log(`  ${call.network} (${call.chainId}): configureClient on ${call.contract}`);
+      console.log(`    Message contract: ${call.messageContract || 'unknown'}`);
+      call.chainIds.forEach((chainId, index) => {
+        console.log(call.unset.includes(chainId)
+          ? `    Chain ${chainId} → unset (the route is no longer allowed by network.config.js)`
+          : `    Chain ${chainId} → peer ${call.peers[index]}, ${call.confirmations[index]} confirmation(s)`);
+      });
+    }
+    if (call.sendingChanges.length > 0) {
+      console.log(`  ${call.network} (${call.chainId}): setSendingDisabled on ${call.contract}`);
+      for (const change of call.sendingChanges) {
+        console.log(`    ${describeSendingChange(change)}`);
       }
     }
-    
-    try {
-      // Configure client with all other chains
-      console.log(`Configuring with ${otherChainIds.length} other chains: ${otherChainIds.join(', ')}`);
-      
-      const tx = await currentDeployment.contract.configureClient(
-        chainConfig.message,
-        otherChainIds,
-        otherAddresses,
-        confirmations
-      );
-      
-      console.log(`Configuration transaction hash: ${tx.hash}`);
-      console.log('Waiting for confirmation...');
-      
-      await tx.wait();
-      console.log('Configuration completed successfully!');
-    } catch (error) {
-      console.error(`Error configuring contract on chain ${currentDeployment.chainId}:`, error.message);
+    if (call.error) {
+      console.log(`    ⚠️ ${call.error}`);
+    } else {
+      console.log(`    ${formatEstimate(call.estimate, symbolFor(call.network))}`);
     }
   }
+  
+  console.log(`\nTotal estimated gas (where available): ${Number(plan.totalEstimatedGas).toLocaleString()}`);
+  console.log('No transactions were sent. Run without --plan to execute.');
 }
 
-// ======================================================================
-// SECTION 4: MAIN EXECUTION
-// ======================================================================
-
 /**
  * Main execution function that orchestrates the entire deployment process
  * 1. Compiles the contract
  * 2. Deploys to all networks (preserving existing deployments)
  * 3. Configures cross-chain messaging between all deployments
+ * 
+ * With --local, the public networks are skipped and the local devnet
+ * networks are targeted instead. With --plan, nothing is sent: the plan
+ * is printed (as JSON with --json) and the script exits. With --deterministic,
+ * the token is deployed through CREATE2 and the shared address is verified on
+ * every network before anything is sent.
  */
 async function main() {
-  console.log('=== MyERC20 Deployment and Configuration ===');
+  const useLocal = process.argv.includes('--local');
+  const planOnly = process.argv.includes('--plan');
+  const jsonOutput = planOnly && process.argv.includes('--json');
+  const events = logToConsole(undefined, { stderr: jsonOutput });
+  
+  const deployConfig = getDeployConfig();
+  const saltIndex = process.argv.indexOf('--salt');
+  const deterministic = deployConfig.deterministic.enabled || process.argv.includes('--deterministic')
+    ? { salt: saltIndex !== -1 ? process.argv[saltIndex + 1] : deployConfig.deterministic.salt }
+    : null;
+  
+  if (!jsonOutput) {
+    console.log('=== MyERC20 Deployment and Configuration ===');
+  }
+  
+  if (useLocal && !readDevnetState()) {
+    console.error('Local devnet is not running. Start it first with: node scripts/devnet.js');
+    process.exit(1);
+  }
+  const networkNames = useLocal ? getLocalNetworkNames() : Object.keys(networks);
   
   // Compile the contract first
-  const compilationSuccess = await compileContract();
-  if (!compilationSuccess) {
-    console.error('Compilation failed. Aborting deployment.');
+  try {
+    await compileContract({ events });
+  } catch (error) {
+    console.error('Compilation failed:', error.message);
+    console.error('Aborting deployment.');
     process.exit(1);
   }
   
-  // Deploy to all networks
-  const deployments = [];
+  if (planOnly) {
+    const plan = await buildDeploymentPlan(networkNames, { deterministic });
+    if (jsonOutput) {
+      console.log(JSON.stringify(plan, null, 2));
+    } else {
+      printDeploymentPlan(plan);
+    }
+    return;
+  }
   
-  for (const networkName of Object.keys(networks)) {
-    const deployment = await deployToNetwork(networkName);
-    if (deployment) {
-      deployments.push(deployment);
+  if (deterministic) {
+    const plan = await buildDeploymentPlan(networkNames, { deterministic });
+    if (!verifyDeterministicPlan(plan, { events }).ok) {
+      console.error('Deterministic deployment checks failed. Nothing was sent.');
+      process.exit(1);
     }
   }
   
-  if (deployments.length >= 2) {
-    // Configure cross-chain messaging
-    await configureContracts(deployments);
+  const { deployments, failed, configuration } = await deployAndConfigure(networkNames, { deterministic, onStuck: askOnStuck(), events });
+  if (configuration.some(result => result.status === 'failed')) {
+    console.error('\nConfiguration failed on one or more networks. Run the configure script to retry.');
+    process.exit(1);
+  }
+  if (deployments.length >= 2 && failed.length === 0) {
     console.log('\n=== Deployment and Configuration Completed Successfully! ===');
   } else {
-    console.error('\nFailed to deploy to at least two networks. Configuration skipped.');
+    process.exit(1);
   }
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  printDeploymentPlan
+};
@@ -0,0 +1,222 @@
+/**
+ * Local Multi-Chain Devnet
+ * ========================
+ *
+ * This script starts one local EVM chain per entry in `localNetworks`
+ * (network.config.js) so the whole deploy → configure → bridge flow can be
+ * tried without testnet access or faucets. It:
+ *
+ * 1. Compiles the stand-in VIA message contract (contracts/mocks/MockMessageV3.sol)
+ * 2. Starts an in-process ganache chain for each local network
+ * 3. Deploys MockMessageV3 on every chain and authorizes the devnet relayer
+ * 4. Writes deployments/devnet.json so deploy.js, bridge.js and relayer.js can find them
+ *
+ * The chains live in memory and disappear when this script stops, so any
+ * previous local deployments are cleared on startup.
+ *
+ * Usage:
+ *   node scripts/devnet.js [--block-time <seconds>]
+ *
+ * Then, in other terminals:
+ *   node scripts/relayer.js
+ *   node scripts/deploy.js --local
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const ganache = require('ganache');
+const { localNetworks } = require('../network.config');
+const { createWallet } = require('../lib/chains');
+const { DEVNET_PRIVATE_KEY, DEVNET_RELAYER_KEY, writeDevnetState, clearDevnetState } = require('../lib/devnet');
+const { CREATE2_FACTORY_ADDRESS, CREATE2_FACTORY_RUNTIME_CODE } = require('../lib/create2');
+const { compileContracts, loadArtifact } = require('../lib/compile');
+const { forgetChains } = require('../lib/ledger');
+const { logToConsole } = require('../lib/progress');
+
+// 10,000 ETH for each devnet account on every chain
+const DEVNET_BALANCE = ethers.toBeHex(ethers.parseEther('10000'));
+
+// ======================================================================
+// SECTION 1: MOCK CONTRACT COMPILATION
+// ======================================================================
+
+/**
+ * Compiles the stand-in message contract and returns its ABI and bytecode
+ * @returns {Object} ABI and bytecode of MockMessageV3
+ */
+function compileMessageMock() {
+  console.log('=== Compiling Mock Message Contract ===');
+  compileContracts(['contracts/mocks/MockMessageV3.sol'], { events: logToConsole() });
+
+  const artifact = loadArtifact('MockMessageV3');
+  if (!artifact) {
+    throw new Error('MockMessageV3 artifact not found after compilation.');
+  }
+  return { abi: artifact.abi, bytecode: artifact.bytecode };
+}
+
+// ======================================================================
+// SECTION 2: CHAIN MANAGEMENT
+// ======================================================================
+
+/**
+ * Start an in-process chain for a local network
+ *
+ * @param {Object} network - Local network configuration
+ * @param {number} blockTime - Seconds between blocks (0 mines on every transaction)
+ * @returns {Promise<Object>} Running ganache server
+ */
+async function startChain(network, blockTime) {
+  const { hostname, port } = new URL(network.rpcUrl);
+
+  const server = ganache.server({
+    chain: { chainId: network.chainId },
+    wallet: {
+      accounts: [
+        { secretKey: process.env.LOCAL_PRIVATE_KEY || DEVNET_PRIVATE_KEY, balance: DEVNET_BALANCE },
+        { secretKey: DEVNET_RELAYER_KEY, balance: DEVNET_BALANCE }
+      ]
+    },
+    miner: { blockTime },
+    logging: { quiet: true }
+  });
+
+  await server.listen(Number(port), hostname);
+
+  // Install the CREATE2 deployment proxy at its usual address for deterministic deployments
+  await server.provider.request({
+    method: 'evm_setAccountCode',
+    params: [CREATE2_FACTORY_ADDRESS, CREATE2_FACTORY_RUNTIME_CODE]
+  });
+
+  console.log(`Started ${network.name} (chain ID ${network.chainId}) at ${network.rpcUrl}`);
+  return server;
+}
+
+/**
+ * Remove deployment files left over from a previous devnet run
+ * The old chains no longer exist, so reusing these addresses would break deploy.js.
+ */
+function clearLocalDeployments() {
+  for (const network of Object.values(localNetworks)) {
+    const deploymentDir = path.join(__dirname, '../deployments', network.name);
+    if (fs.existsSync(deploymentDir)) {
+      fs.rmSync(deploymentDir, { recursive: true, force: true });
+      console.log(`Cleared stale deployment for ${network.name}`);
+    }
+  }
+
+  const frontendConfigPath = path.join(__dirname, '../frontend/src/config/deployments.json');
+  if (fs.existsSync(frontendConfigPath)) {
+    try {
+      const frontendDeployments = JSON.parse(fs.readFileSync(frontendConfigPath, 'utf8'));
+      for (const network of Object.values(localNetworks)) {
+        delete frontendDeployments[network.chainId];
+      }
+      fs.writeFileSync(frontendConfigPath, JSON.stringify(frontendDeployments, null, 2));
+    } catch (error) {
+      console.warn('Error clearing local chains from frontend deployments:', error.message);
+    }
+  }
+
+  const forgotten = forgetChains(Object.values(localNetworks).map(network => network.chainId));
+  if (forgotten > 0) {
+    console.log(`Cleared ${forgotten} local bridge(s) from the bridge ledger`);
+  }
+}
+
+/**
+ * Deploy the stand-in message contract to a local chain
+ *
+ * @param {Object} network - Local network configuration
+ * @param {Object} mock - Compiled MockMessageV3 ABI and bytecode
+ * @returns {Promise<Object>} Chain config entry for deployments/devnet.json
+ */
+async function deployMessageMock(network, mock) {
+  const provider = new ethers.JsonRpcProvider(network.rpcUrl);
+  const wallet = createWallet(network, provider);
+
+  const factory = new ethers.ContractFactory(mock.abi, mock.bytecode, wallet);
+  const contract = await factory.deploy();
+  await contract.waitForDeployment();
+  const messageAddress = await contract.getAddress();
+
+  // Only the relayer may deliver messages into this chain
+  const relayerAddress = new ethers.Wallet(DEVNET_RELAYER_KEY).address;
+  await (await contract.setRelayer(relayerAddress)).wait();
+
+  console.log(`Mock message contract on ${network.name}: ${messageAddress}`);
+  provider.destroy();
+
+  // Same shape as getChainConfig() from @vialabs-io/npm-registry
+  return {
+    name: network.name,
+    network: 'devnet',
+    chainId: network.chainId,
+    rpcUrl: network.rpcUrl,
+    message: messageAddress,
+    explorer: ''
+  };
+}
+
+// ======================================================================
+// SECTION 3: MAIN EXECUTION
+// ======================================================================
+
+/**
+ * Main execution function
+ * Starts all local chains and keeps them running until interrupted
+ */
+async function main() {
+  console.log('=== Starting Local Devnet ===');
+
+  const blockTimeIndex = process.argv.indexOf('--block-time');
+  const blockTime = blockTimeIndex !== -1 ? Number(process.argv[blockTimeIndex + 1]) : 0;
+  if (!Number.isFinite(blockTime) || blockTime < 0) {
+    throw new Error('--block-time must be a non-negative number of seconds');
+  }
+
+  const localNetworkList = Object.values(localNetworks);
+  if (localNetworkList.length < 2) {
+    throw new Error('At least 2 local networks are required in network.config.js');
+  }
+
+  const mock = compileMessageMock();
+  clearLocalDeployments();
+
+  const servers = [];
+  const shutdown = async () => {
+    console.log('\nStopping devnet...');
+    clearDevnetState();
+    await Promise.all(servers.map(server => server.close()));
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  const chains = {};
+  for (const network of localNetworkList) {
+    servers.push(await startChain(network, blockTime));
+    chains[network.chainId] = await deployMessageMock(network, mock);
+  }
+
+  writeDevnetState({
+    startedAt: new Date().toISOString(),
+    blockTime,
+    chains
+  });
+
+  console.log('\n=== Devnet Ready ===');
+  console.log(`Deployer address: ${new ethers.Wallet(process.env.LOCAL_PRIVATE_KEY || DEVNET_PRIVATE_KEY).address}`);
+  console.log('In other terminals, start the relayer and deploy the token:');
+  console.log('  node scripts/relayer.js');
+  console.log('  node scripts/deploy.js --local');
+  console.log('\nPress Ctrl+C to stop the devnet.');
+}
+
+main().catch(async (error) => {
+  console.error(error);
+  clearDevnetState();
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+/**
+ * Bridge History Export Script
+ * ============================
+ *
+ * This script exports every cross-chain transfer of the token for accounting.
+ * It scans each deployment for new TokensBridged and TokensReceived events
+ * (resuming from the last block scanned, see lib/history.js), pairs every
+ * outbound transfer with its delivery and writes one row per transfer with
+ * timestamps, block numbers, transaction hashes, sender, recipient and amount.
+ *
+ * Usage:
+ *   node scripts/exportHistory.js [network...] [--local] [--out <file.csv|file.json>] [--json]
+ *
+ *   network   Only scan these networks (transfers from or to them are exported)
+ *   --out     File to write (default: bridge-history.csv, JSON if it ends in .json)
+ *   --json    Print the transfers as JSON on stdout instead of writing a file
+ */
+
+const { networks, getNetworkConfig, getLocalNetworkNames } = require('../network.config');
+const { exportHistory, writeTransfers } = require('../lib/history');
+const { logToConsole } = require('../lib/progress');
+require('dotenv').config();
+
+const DEFAULT_OUTPUT = 'bridge-history.csv';
+
+/**
+ * Print a summary of the exported transfers
+ * @param {Object} result - Result of exportHistory()
+ * @param {string|null} outputPath - File the transfers were written to
+ */
+function printHistorySummary({ scans, transfers }, outputPath) {
+  console.log('\n=== Bridge History ===');
+
+  for (const scan of scans) {
+    if (scan.error) {
+      console.log(`  ${scan.network}: ⚠️ scan failed (${scan.error})`);
+    } else {
+      console.log(`  ${scan.network}: scanned to block ${scan.toBlock}, ${scan.found} new event(s)`);
+    }
+  }
+
+  const counts = transfers.reduce((total, transfer) => ({ ...total, [transfer.status]: (total[transfer.status] || 0) + 1 }), {});
+  const summary = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+  console.log(`\n${transfers.length} transfer(s)${summary ? ` (${summary})` : ''}`);
+  if (outputPath) {
+    console.log(`Written to ${outputPath}`);
+  }
+}
+
+/**
+ * Main execution function
+ * Parses command line arguments, scans for new events and writes the export
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const jsonOutput = args.includes('--json');
+  const outIndex = args.indexOf('--out');
+  const outputPath = outIndex === -1 ? DEFAULT_OUTPUT : args[outIndex + 1];
+  const selected = args.filter((arg, index) => !arg.startsWith('--') && (outIndex === -1 || index !== outIndex + 1));
+
+  if (!outputPath || outputPath.startsWith('--')) {
+    console.error('--out needs a file path');
+    process.exit(1);
+  }
+  for (const networkName of selected) {
+    if (!getNetworkConfig(networkName)) {
+      console.error(`Network ${networkName} not found`);
+      process.exit(1);
+    }
+  }
+  const useLocal = args.includes('--local') || selected.some(networkName => getNetworkConfig(networkName).local);
+  const groupNetworkNames = useLocal ? getLocalNetworkNames() : Object.keys(networks);
+
+  const result = await exportHistory(selected.length > 0 ? selected : groupNetworkNames, {
+    events: logToConsole(undefined, { stderr: jsonOutput })
+  });
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(result.transfers, null, 2));
+  } else {
+    writeTransfers(result.transfers, outputPath);
+    printHistorySummary(result, outputPath);
+  }
+
+  if (result.scans.some(scan => scan.error)) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  printHistorySummary
+};
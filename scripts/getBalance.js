@@ -0,0 +1,103 @@
+/**
+ * Cross-Chain Token Balance Script
+ * ================================
+ *
+ * This script prints an address's token and native balances on every network
+ * that has a MyERC20 deployment in deployments/<network>/MyERC20.json.
+ *
+ * Usage:
+ *   node scripts/getBalance.js [address] [network...] [--local] [--json]
+ *
+ *   address   Address to check (defaults to the deployer wallet from .env)
+ *   network   Only check the named network(s)
+ *   --local   Check the local devnet networks instead of the public ones
+ *   --json    Print machine-readable output
+ *
+ * When INDEXER_URL is set in .env, the token balances are read from that
+ * indexer (see scripts/indexer.js) instead of the chains.
+ */
+
+const { ethers } = require('ethers');
+const { networks, getNetworkConfig, getLocalNetworkNames } = require('../network.config');
+const { resolveAddress, getBalances } = require('../lib/balances');
+const { logToConsole } = require('../lib/progress');
+require('dotenv').config();
+
+/**
+ * Print balances in a human-readable table-like format
+ *
+ * @param {string} address - Address that was checked
+ * @param {Array<Object>} balances - Result of getBalances()
+ */
+function printBalances(address, balances) {
+  console.log(`=== Balances for ${address} ===`);
+
+  for (const entry of balances) {
+    console.log(`\n${entry.network} (chain ID ${entry.chainId})`);
+    if (entry.error) {
+      console.log(`  ⚠️ Could not read balances: ${entry.error}`);
+      continue;
+    }
+    console.log(`  Token:  ${entry.token.formatted} ${entry.token.symbol} (${entry.token.address})`);
+    if (entry.native) {
+      console.log(`  Native: ${entry.native.formatted} ${entry.native.symbol}`);
+    } else {
+      console.log(`  (from the indexer, as of block ${entry.block})`);
+    }
+  }
+}
+
+/**
+ * Main execution function
+ * Parses command line arguments and prints the balances
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const useLocal = args.includes('--local');
+  const jsonOutput = args.includes('--json');
+  const positional = args.filter(arg => !arg.startsWith('--'));
+
+  const address = positional.find(arg => ethers.isAddress(arg));
+  const selected = positional.filter(arg => arg !== address);
+  for (const networkName of selected) {
+    if (!getNetworkConfig(networkName)) {
+      console.error(`Network ${networkName} not found`);
+      process.exit(1);
+    }
+  }
+
+  let networkNames = selected;
+  if (networkNames.length === 0) {
+    networkNames = useLocal ? getLocalNetworkNames() : Object.keys(networks);
+  }
+
+  const owner = resolveAddress(address, getNetworkConfig(networkNames[0]));
+  const balances = await getBalances(networkNames, owner, {
+    indexer: process.env.INDEXER_URL,
+    events: logToConsole(undefined, { stderr: jsonOutput })
+  });
+
+  if (balances.length === 0) {
+    console.error('No deployments found. Run the deploy script first.');
+    process.exit(1);
+  }
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({ address: owner, balances }, null, 2));
+  } else {
+    printBalances(owner, balances);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  printBalances
+};
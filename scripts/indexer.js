@@ -0,0 +1,147 @@
+/**
+ * Bridge Indexer Script
+ * =====================
+ *
+ * This script indexes every deployment listed in frontend/src/config/deployments.json
+ * into a local SQLite database and serves it over a small REST API (see
+ * lib/indexerApi.js for the endpoints). It keeps following the chains, undoing
+ * blocks replaced by a reorg, until it is stopped with Ctrl+C.
+ *
+ * Point the scripts at it with INDEXER_URL in .env, and the frontend with
+ * VITE_INDEXER_URL in frontend/.env.
+ *
+ * Usage:
+ *   node scripts/indexer.js [--port <port>] [--db <file>] [--interval <seconds>] [--once]
+ *
+ *   --port      Port the API listens on (default: 3001)
+ *   --db        Database file (default: deployments/indexer.db)
+ *   --interval  Seconds between syncs (default: 5)
+ *   --once      Bring the index up to date and exit, without serving the API
+ */
+
+const { INDEX_DB_PATH, openIndex } = require('../lib/indexStore');
+const { syncIndex } = require('../lib/indexer');
+const { DEFAULT_INDEXER_PORT, createIndexerServer } = require('../lib/indexerApi');
+const { logToConsole } = require('../lib/progress');
+require('dotenv').config();
+
+const DEFAULT_INTERVAL_SECONDS = 5;
+
+/**
+ * Read the value of a command line option
+ *
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} name - Option name, with the dashes
+ * @param {*} fallback - Value when the option isn't given
+ * @returns {*} Option value
+ */
+function getOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+/**
+ * Print the result of a sync
+ * @param {Array<Object>} results - Result of syncIndex()
+ */
+function printSyncResults(results) {
+  console.log('\n=== Index ===');
+  if (results.length === 0) {
+    console.log('  No deployments found in frontend/src/config/deployments.json. Run the deploy script first.');
+  }
+
+  for (const result of results) {
+    if (result.error) {
+      console.log(`  ${result.network}: ⚠️ sync failed (${result.error})`);
+    } else {
+      console.log(`  ${result.network}: indexed to block ${result.toBlock}`);
+    }
+  }
+}
+
+/**
+ * Main execution function
+ * Parses command line arguments, then syncs the index and serves the API until stopped
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const port = Number(getOption(args, '--port', DEFAULT_INDEXER_PORT));
+  const interval = Number(getOption(args, '--interval', DEFAULT_INTERVAL_SECONDS));
+  const dbPath = getOption(args, '--db', INDEX_DB_PATH);
+
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    console.error(`Invalid --port: ${getOption(args, '--port')}`);
+    process.exit(1);
+  }
+  if (!(interval > 0)) {
+    console.error(`Invalid --interval: ${getOption(args, '--interval')}`);
+    process.exit(1);
+  }
+  if (!dbPath || dbPath.startsWith('--')) {
+    console.error('--db needs a file path');
+    process.exit(1);
+  }
+
+  const db = openIndex(dbPath);
+  const events = logToConsole();
+
+  if (args.includes('--once')) {
+    const results = await syncIndex(db, { events });
+    db.close();
+    printSyncResults(results);
+    if (results.some(result => result.error)) {
+      process.exit(1);
+    }
+    return;
+  }
+
+  let syncResults = [];
+  const server = createIndexerServer(db, { getSyncResults: () => syncResults });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+  console.log(`Indexer API listening on http://localhost:${port} (database: ${dbPath})`);
+  console.log('Press Ctrl+C to stop.\n');
+
+  // Finish the sync in progress before closing the database
+  let stopped = false;
+  let wake = null;
+  const stop = () => {
+    stopped = true;
+    wake?.();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  while (!stopped) {
+    syncResults = await syncIndex(db, { events });
+    if (stopped) {
+      break;
+    }
+    await new Promise((resolve) => {
+      const timeoutId = setTimeout(resolve, interval * 1000);
+      wake = () => {
+        clearTimeout(timeoutId);
+        resolve();
+      };
+    });
+  }
+
+  console.log('\nStopping the indexer...');
+  server.close();
+  db.close();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  printSyncResults
+};
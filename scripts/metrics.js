@@ -0,0 +1,95 @@
+/**
+ * Bridge Metrics Exporter
+ * =======================
+ *
+ * This script serves bridge health metrics at /metrics in the Prometheus text
+ * format: bridge latency histograms, pending and delivered bridges per route,
+ * each deployment's totalSupply, RPC request and error counts and the last
+ * block seen on every network in network.config.js (see lib/metrics.js).
+ * The metrics are collected in the background, so scrapes are always fast.
+ *
+ * Usage:
+ *   node scripts/metrics.js [--local] [--port <port>] [--interval <seconds>]
+ *
+ *   --local     Report on the local devnet networks instead of the public ones
+ *   --port      Port to listen on (default: 9464)
+ *   --interval  Seconds between collections (default: 30)
+ */
+
+const { networks, getLocalNetworkNames } = require('../network.config');
+const { DEFAULT_METRICS_PORT, createMetricsCollector, createMetricsServer } = require('../lib/metrics');
+const { logToConsole } = require('../lib/progress');
+require('dotenv').config();
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+
+/**
+ * Main execution function
+ * Parses command line arguments, then collects and serves metrics until stopped
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const intervalIndex = args.indexOf('--interval');
+  const port = portIndex === -1 ? DEFAULT_METRICS_PORT : Number(args[portIndex + 1]);
+  const interval = intervalIndex === -1 ? DEFAULT_INTERVAL_SECONDS : Number(args[intervalIndex + 1]);
+
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    console.error(`Invalid --port: ${args[portIndex + 1]}`);
+    process.exit(1);
+  }
+  if (!(interval > 0)) {
+    console.error(`Invalid --interval: ${args[intervalIndex + 1]}`);
+    process.exit(1);
+  }
+  const networkNames = args.includes('--local') ? getLocalNetworkNames() : Object.keys(networks);
+
+  const collector = createMetricsCollector(networkNames, { events: logToConsole() });
+  const server = createMetricsServer(collector);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+  console.log(`Serving metrics for ${networkNames.join(', ')} at http://localhost:${port}/metrics`);
+  console.log('Press Ctrl+C to stop.\n');
+
+  // Finish the collection in progress before exiting
+  let stopped = false;
+  let wake = null;
+  const stop = () => {
+    stopped = true;
+    wake?.();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  while (!stopped) {
+    try {
+      await collector.refresh();
+    } catch (error) {
+      console.error(`Could not collect metrics: ${error.message}`);
+    }
+    if (stopped) {
+      break;
+    }
+    await new Promise((resolve) => {
+      const timeoutId = setTimeout(resolve, interval * 1000);
+      wake = () => {
+        clearTimeout(timeoutId);
+        resolve();
+      };
+    });
+  }
+
+  console.log('\nStopping the metrics exporter...');
+  server.close();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,141 @@
+/**
+ * Bridge Pause Script
+ * ===================
+ *
+ * This script pauses or unpauses bridging on the MyERC20 deployments, or shows
+ * the pause switches of each one. Bridging can be paused globally or only
+ * towards some destination chains (--chain). With --receiving, messages from
+ * the paused routes are rejected too, so nothing is minted from a compromised
+ * peer chain until the route is unpaused. Only the contract owner can switch
+ * the pause.
+ *
+ * Usage:
+ *   node scripts/pause.js status [network...] [--local] [--json]
+ *   node scripts/pause.js pause [network...] [--local] [--chain <network>] [--receiving]
+ *   node scripts/pause.js unpause [network...] [--local] [--chain <network>]
+ *
+ *   network      Only act on these networks (default: every deployed network)
+ *   --local      Use the local devnet networks instead of the public ones
+ *   --chain      Only switch the routes to this destination network, repeatable or comma-separated
+ *   --receiving  Also reject messages arriving from the paused routes
+ *   --json       Print the status as JSON
+ */
+
+const { networks, getNetworkConfig, getLocalNetworkNames } = require('../network.config');
+const { readDevnetState } = require('../lib/devnet');
+const { readDeploymentFile } = require('../lib/deployments');
+const { getPauseStatus, setPaused } = require('../lib/pause');
+const { logToConsole, askOnStuck } = require('../lib/progress');
+require('dotenv').config();
+
+const ACTIONS = ['status', 'pause', 'unpause'];
+
+/**
+ * Print the pause switches of every deployment
+ * @param {Array<Object>} statuses - Result of getPauseStatus()
+ */
+function printPauseStatus(statuses) {
+  console.log('=== MyERC20 Pause Status ===');
+
+  for (const status of statuses) {
+    console.log(`\n${status.network} (chain ID ${status.chainId})`);
+
+    if (!status.deployed) {
+      console.log('  Not deployed');
+    } else if (status.error) {
+      console.log(`  ⚠️ Could not read the pause switches: ${status.error}`);
+    } else {
+      if (status.paused) {
+        console.log('  ⏸ Bridging paused on every route');
+      } else if (status.pausedChains.length === 0) {
+        console.log('  ▶ Bridging active');
+      }
+      for (const chain of status.pausedChains) {
+        console.log(`  ⏸ Bridging to ${chain.network ?? `chain ${chain.chainId}`} paused`);
+      }
+      if (status.receivingPaused) {
+        console.log('  ⏸ Messages from paused routes are rejected');
+      }
+    }
+  }
+}
+
+/**
+ * Main execution function
+ * Parses command line arguments and shows or switches the pause
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const [action] = args;
+  if (!ACTIONS.includes(action)) {
+    console.error(`Usage: node scripts/pause.js <${ACTIONS.join('|')}> [network...] [--local] [--chain <network>] [--receiving] [--json]`);
+    process.exit(1);
+  }
+
+  const chainNames = args
+    .flatMap((arg, index) => (arg === '--chain' ? (args[index + 1] || '').split(',') : []))
+    .filter(Boolean);
+  const selected = args.slice(1).filter((arg, index) => !arg.startsWith('--') && args[index] !== '--chain');
+
+  for (const networkName of [...selected, ...chainNames]) {
+    if (!getNetworkConfig(networkName)) {
+      console.error(`Network ${networkName} not found`);
+      process.exit(1);
+    }
+  }
+  if (action !== 'pause' && args.includes('--receiving')) {
+    console.error('--receiving can only be used with pause');
+    process.exit(1);
+  }
+
+  const useLocal = args.includes('--local') || [...selected, ...chainNames].some(networkName => getNetworkConfig(networkName).local);
+  const groupNetworkNames = useLocal ? getLocalNetworkNames() : Object.keys(networks);
+
+  if (action === 'status') {
+    const statuses = await getPauseStatus(selected.length > 0 ? selected : groupNetworkNames, groupNetworkNames);
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(statuses, null, 2));
+    } else {
+      printPauseStatus(statuses);
+    }
+    return;
+  }
+
+  if (useLocal && !readDevnetState()) {
+    console.error('Local devnet is not running. Start it first with: node scripts/devnet.js');
+    process.exit(1);
+  }
+
+  const targets = selected.length > 0 ? selected : groupNetworkNames.filter(networkName => readDeploymentFile(networkName));
+  if (targets.length === 0) {
+    console.error('No deployments found. Run the deploy script first.');
+    process.exit(1);
+  }
+
+  const results = await setPaused(targets, {
+    paused: action === 'pause',
+    chainIds: chainNames.map(networkName => getNetworkConfig(networkName).chainId),
+    receiving: args.includes('--receiving'),
+    onStuck: askOnStuck(),
+    events: logToConsole()
+  });
+
+  if (results.some(result => result.status === 'failed')) {
+    console.error(`\nCould not ${action} bridging on one or more networks.`);
+    process.exit(1);
+  }
+  console.log(`\n=== Bridging ${action === 'pause' ? 'Paused' : 'Unpaused'} ===`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  printPauseStatus
+};
@@ -0,0 +1,110 @@
+/**
+ * Supply Reconciliation Script
+ * ============================
+ *
+ * This script checks that the token's total supply across every chain adds up:
+ * the genesis supply, minus tokens burned directly, minus tokens still in flight
+ * between chains. It flags double-delivered and lost messages, and exits with
+ * code 1 when the numbers don't balance, so it can run on a schedule.
+ *
+ * Usage:
+ *   node scripts/reconcile.js [--local] [--max-pending <minutes>] [--json]
+ *
+ *   --local        Reconcile the local devnet deployments
+ *   --max-pending  Report bridges undelivered for longer than this as lost (default: 60)
+ */
+
+const { ethers } = require('ethers');
+const { networks, getLocalNetworkNames } = require('../network.config');
+const { reconcileSupply } = require('../lib/reconcile');
+const { logToConsole } = require('../lib/progress');
+require('dotenv').config();
+
+/**
+ * Print a reconciliation report in a human-readable format
+ * @param {Object} report - Result of reconcileSupply()
+ */
+function printReconciliation(report) {
+  const format = value => ethers.formatUnits(value, report.decimals);
+  console.log('\n=== Supply Reconciliation ===');
+  console.log(`As of ${report.cutoff}\n`);
+
+  for (const chain of report.chains) {
+    const supply = chain.totalSupply === null ? 'could not be read' : format(chain.totalSupply);
+    console.log(`  ${chain.network} (block ${chain.block ?? '?'}): ${supply}`);
+  }
+
+  console.log(`\n  Genesis supply:          ${format(report.genesisSupply)}`);
+  console.log(`  Burned directly:       - ${format(report.directlyBurned)}`);
+  console.log(`  In flight:             - ${format(report.inFlight)} (${report.inFlightTransfers.length} bridge(s))`);
+  if (report.sentOutside > 0n || report.receivedOutside > 0n) {
+    console.log(`  Sent to other chains:  - ${format(report.sentOutside)}`);
+    console.log(`  From other chains:     + ${format(report.receivedOutside)}`);
+  }
+  console.log(`  Expected supply:         ${format(report.expectedSupply)}`);
+  console.log(`  Total supply:            ${format(report.totalSupply)}`);
+
+  if (report.ok) {
+    console.log('\n✅ The supply balances.');
+    return;
+  }
+  console.log(`\n❌ ${report.issues.length} issue(s):`);
+  for (const issue of report.issues) {
+    console.log(`  [${issue.type}] ${issue.message}`);
+  }
+}
+
+/**
+ * JSON.stringify replacer that writes bigints as decimal strings
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Value to serialize
+ */
+function jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Main execution function
+ * Parses command line arguments and reconciles the supply
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const jsonOutput = args.includes('--json');
+  const pendingIndex = args.indexOf('--max-pending');
+  const maxPendingMinutes = pendingIndex === -1 ? undefined : Number(args[pendingIndex + 1]);
+
+  if (maxPendingMinutes !== undefined && !(maxPendingMinutes > 0)) {
+    console.error(`Invalid --max-pending: ${args[pendingIndex + 1]}`);
+    process.exit(1);
+  }
+  const networkNames = args.includes('--local') ? getLocalNetworkNames() : Object.keys(networks);
+
+  const report = await reconcileSupply(networkNames, {
+    maxPendingMinutes,
+    events: logToConsole(undefined, { stderr: jsonOutput })
+  });
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(report, jsonReplacer, 2));
+  } else {
+    printReconciliation(report);
+  }
+
+  if (!report.ok) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  printReconciliation
+};
@@ -0,0 +1,241 @@
+/**
+ * Local Mock VIA Relayer
+ * ======================
+ *
+ * This script plays the part of the VIA relayer network on the local devnet
+ * started by scripts/devnet.js. It:
+ *
+ * 1. Watches every chain's MockMessageV3 for SendRequested events
+ * 2. Waits until each message has the number of confirmations the sending
+ *    contract was configured with (the `confirmations` passed to configureClient)
+ * 3. Delivers the payload to the destination MyERC20 through that chain's
+ *    MockMessageV3.process(), which calls messageProcess() on the token
+ *
+ * Messages are scanned from the first block, so bridges sent before the relayer
+ * started are still delivered. Already delivered messages are skipped, so the
+ * relayer can be stopped and restarted at any time. Messages rejected because
+ * the destination has the route paused (see scripts/pause.js) are held until
+ * it is unpaused.
+ *
+ * Usage:
+ *   node scripts/relayer.js [--interval <milliseconds>]
+ */
+
+const { ethers } = require('ethers');
+const { readDevnetState, DEVNET_RELAYER_KEY } = require('../lib/devnet');
+
+// Only the parts of MockMessageV3 the relayer needs
+const MESSAGE_ABI = [
+  'event SendRequested(uint indexed txId, address indexed sender, address indexed recipient, uint chain, bool express, bytes data, uint16 confirmations)',
+  'function process(uint txId, uint sourceChainId, address sender, address recipient, bytes data)',
+  'function processed(uint sourceChainId, uint txId) view returns (bool)'
+];
+
+// Give up on a message after this many failed delivery attempts
+const MAX_ATTEMPTS = 3;
+
+// ======================================================================
+// SECTION 1: MESSAGE DISCOVERY
+// ======================================================================
+
+/**
+ * Connect to every chain of the running devnet
+ *
+ * @param {Object} state - Devnet state from deployments/devnet.json
+ * @returns {Object} Chains keyed by chain ID
+ */
+function connectChains(state) {
+  const chains = {};
+
+  for (const chainConfig of Object.values(state.chains)) {
+    const provider = new ethers.JsonRpcProvider(chainConfig.rpcUrl);
+    const wallet = new ethers.Wallet(DEVNET_RELAYER_KEY, provider);
+
+    chains[chainConfig.chainId] = {
+      name: chainConfig.name,
+      chainId: chainConfig.chainId,
+      provider,
+      messageContract: new ethers.Contract(chainConfig.message, MESSAGE_ABI, wallet),
+      nextBlock: 0,
+      latestBlock: 0
+    };
+  }
+
+  return chains;
+}
+
+/**
+ * Collect new SendRequested events from a chain's message contract
+ *
+ * @param {Object} chain - Connected chain
+ * @param {Array<Object>} pending - Queue of messages waiting for delivery
+ * @returns {Promise<void>}
+ */
+async function scanChain(chain, pending) {
+  const latestBlock = await chain.provider.getBlockNumber();
+  chain.latestBlock = latestBlock;
+
+  if (latestBlock < chain.nextBlock) {
+    return;
+  }
+
+  const events = await chain.messageContract.queryFilter('SendRequested', chain.nextBlock, latestBlock);
+
+  for (const event of events) {
+    const { txId, sender, recipient, chain: destChainId, data, confirmations } = event.args;
+    const requiredConfirmations = Math.max(Number(confirmations), 1);
+
+    console.log(`Message #${txId} from ${chain.name} to chain ${destChainId} seen in block ${event.blockNumber} (needs ${requiredConfirmations} confirmations)`);
+
+    pending.push({
+      txId,
+      sourceChainId: chain.chainId,
+      destChainId: Number(destChainId),
+      sender,
+      recipient,
+      data,
+      blockNumber: event.blockNumber,
+      confirmations: requiredConfirmations,
+      attempts: 0
+    });
+  }
+
+  chain.nextBlock = latestBlock + 1;
+}
+
+// ======================================================================
+// SECTION 2: MESSAGE DELIVERY
+// ======================================================================
+
+/**
+ * Deliver a message to its destination chain
+ *
+ * @param {Object} message - Pending message
+ * @param {Object} dest - Connected destination chain
+ * @returns {Promise<void>}
+ */
+async function deliverMessage(message, dest) {
+  const alreadyProcessed = await dest.messageContract.processed(message.sourceChainId, message.txId);
+  if (alreadyProcessed) {
+    console.log(`Message #${message.txId} from chain ${message.sourceChainId} was already delivered`);
+    return;
+  }
+
+  const args = [message.txId, message.sourceChainId, message.sender, message.recipient, message.data];
+
+  // Simulate first, since a failed gas estimate doesn't carry the revert reason
+  await dest.messageContract.process.staticCall(...args);
+  const tx = await dest.messageContract.process(...args);
+  const receipt = await tx.wait();
+
+  console.log(`✅ Delivered message #${message.txId} from chain ${message.sourceChainId} to ${dest.name}`);
+  console.log(`   Destination transaction: ${receipt.hash} (block ${receipt.blockNumber})`);
+}
+
+/**
+ * Deliver every pending message that has enough source confirmations
+ * Messages that are not ready yet, or failed but may be retried, stay in the queue.
+ *
+ * @param {Object} chains - Connected chains keyed by chain ID
+ * @param {Array<Object>} pending - Queue of messages waiting for delivery
+ * @returns {Promise<Array<Object>>} Messages still waiting for delivery
+ */
+async function deliverReadyMessages(chains, pending) {
+  const remaining = [];
+
+  for (const message of pending) {
+    const source = chains[message.sourceChainId];
+    const dest = chains[message.destChainId];
+
+    if (!dest) {
+      console.error(`Message #${message.txId} targets chain ${message.destChainId}, which is not part of the devnet. Dropping it.`);
+      continue;
+    }
+
+    const confirmations = source.latestBlock - message.blockNumber + 1;
+    if (confirmations < message.confirmations) {
+      remaining.push(message);
+      continue;
+    }
+
+    try {
+      await deliverMessage(message, dest);
+    } catch (error) {
+      // A route paused with --receiving is meant to be retried once it is unpaused
+      if (error.reason === 'MyERC20: receiving paused') {
+        if (!message.held) {
+          console.log(`⏸ Holding message #${message.txId} from chain ${message.sourceChainId}: ${dest.name} is not accepting it while the route is paused`);
+          message.held = true;
+        }
+        remaining.push(message);
+        continue;
+      }
+
+      message.attempts++;
+      console.error(`Error delivering message #${message.txId} (attempt ${message.attempts}/${MAX_ATTEMPTS}):`, error.shortMessage || error.message);
+
+      if (message.attempts < MAX_ATTEMPTS) {
+        remaining.push(message);
+      } else {
+        console.error(`Giving up on message #${message.txId} from chain ${message.sourceChainId}`);
+      }
+    }
+  }
+
+  return remaining;
+}
+
+// ======================================================================
+// SECTION 3: MAIN EXECUTION
+// ======================================================================
+
+/**
+ * Main execution function
+ * Polls all devnet chains and relays messages until interrupted
+ */
+async function main() {
+  console.log('=== Starting Local Relayer ===');
+
+  const state = readDevnetState();
+  if (!state) {
+    console.error('Local devnet is not running. Start it first with: node scripts/devnet.js');
+    process.exit(1);
+  }
+
+  const intervalIndex = process.argv.indexOf('--interval');
+  const pollInterval = intervalIndex !== -1 ? Number(process.argv[intervalIndex + 1]) : 1000;
+  if (!Number.isFinite(pollInterval) || pollInterval <= 0) {
+    throw new Error('--interval must be a positive number of milliseconds');
+  }
+
+  const chains = connectChains(state);
+  for (const chain of Object.values(chains)) {
+    console.log(`Watching ${chain.name} (chain ID ${chain.chainId}) at ${chain.messageContract.target}`);
+  }
+
+  process.on('SIGINT', () => {
+    console.log('\nStopping relayer...');
+    process.exit(0);
+  });
+
+  let pending = [];
+
+  // Poll sequentially so a slow round never overlaps the next one
+  while (true) {
+    try {
+      for (const chain of Object.values(chains)) {
+        await scanChain(chain, pending);
+      }
+      pending = await deliverReadyMessages(chains, pending);
+    } catch (error) {
+      console.error('Error polling devnet:', error.shortMessage || error.message);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, pollInterval));
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,93 @@
+/**
+ * Deployment Status Script
+ * ========================
+ *
+ * This script reports the state of every MyERC20 deployment without sending
+ * anything: whether the contract is saved and live on-chain, whether its
+ * cross-chain peers match the other deployment files, and whether the
+ * journal still holds unfinished transactions.
+ *
+ * Usage:
+ *   node scripts/status.js [network...] [--local] [--json]
+ */
+
+const { networks, getNetworkConfig, getLocalNetworkNames } = require('../network.config');
+const { getDeploymentStatus } = require('../lib/status');
+require('dotenv').config();
+
+/**
+ * Print deployment status in a human-readable format
+ * @param {Array<Object>} statuses - Result of getDeploymentStatus()
+ */
+function printDeploymentStatus(statuses) {
+  console.log('=== MyERC20 Deployment Status ===');
+
+  for (const status of statuses) {
+    console.log(`\n${status.network} (chain ID ${status.chainId})`);
+
+    if (!status.deployed) {
+      console.log('  Not deployed');
+    } else {
+      const mode = status.deterministic ? ' (CREATE2)' : '';
+      console.log(`  Address: ${status.address}${mode}, deployed ${status.deployedAt}`);
+
+      if (status.error) {
+        console.log(`  ⚠️ Could not check on-chain state: ${status.error}`);
+      } else if (!status.codePresent) {
+        console.log('  ⚠️ No contract code at this address - the deployment file is stale');
+      } else {
+        for (const peer of status.peers) {
+          const mark = peer.configured ? '✓' : '✗';
+          console.log(`  ${mark} Peer ${peer.chainId}: ${peer.actual} (${peer.confirmations} conf)`);
+        }
+        for (const message of status.drift) {
+          console.log(`  ⚠️ Drift: ${message}`);
+        }
+      }
+    }
+
+    for (const entry of status.pendingTransactions) {
+      console.log(`  ⏳ Unfinished ${entry.intent} transaction ${entry.hash} (${entry.status})`);
+    }
+  }
+}
+
+/**
+ * Main execution function
+ * Parses command line arguments and prints the status
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const jsonOutput = args.includes('--json');
+  const selected = args.filter(arg => !arg.startsWith('--'));
+
+  for (const networkName of selected) {
+    if (!getNetworkConfig(networkName)) {
+      console.error(`Network ${networkName} not found`);
+      process.exit(1);
+    }
+  }
+  const useLocal = args.includes('--local') || selected.some(networkName => getNetworkConfig(networkName).local);
+
+  const groupNetworkNames = useLocal ? getLocalNetworkNames() : Object.keys(networks);
+  const statuses = await getDeploymentStatus(selected.length > 0 ? selected : groupNetworkNames, groupNetworkNames);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(statuses, null, 2));
+  } else {
+    printDeploymentStatus(statuses);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  printDeploymentStatus
+};
@@ -0,0 +1,104 @@
+/**
+ * Bridge Tracking Script
+ * ======================
+ *
+ * Every bridge sent by bridge.js (including batches) is recorded in the ledger
+ * at deployments/bridges.json. This script resumes monitoring the entries that
+ * haven't been delivered yet - for example after bridge.js was stopped with
+ * Ctrl+C or run with "nowait" - and updates their status as they arrive.
+ *
+ * Usage:
+ *   node scripts/track.js [network...] [--once] [--all] [--json]
+ *
+ *   network   Only track bridges from or to these networks
+ *   --once    Check each undelivered bridge once instead of waiting for delivery
+ *   --all     List every bridge in the ledger afterwards, not just the tracked ones
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkConfig } = require('../network.config');
+const { readLedger } = require('../lib/ledger');
+const { trackBridges } = require('../lib/track');
+const { logToConsole } = require('../lib/progress');
+require('dotenv').config();
+
+/**
+ * Print ledger entries in a human-readable format
+ * @param {Array<Object>} entries - Ledger entries
+ */
+function printLedger(entries) {
+  console.log('\n=== Bridge Ledger ===');
+  if (entries.length === 0) {
+    console.log('No bridges to show.');
+    return;
+  }
+
+  const labels = { delivered: '✅ delivered', pending: '⏳ pending', failed: '❌ failed', unknown: '❓ unknown' };
+  for (const entry of entries) {
+    // Entries recorded before decimals were stored only have the amount as typed
+    const amount = entry.amountWei && entry.decimals !== undefined ? ethers.formatUnits(entry.amountWei, entry.decimals) : entry.amount;
+    console.log(`\n${entry.txHash}`);
+    console.log(`  ${entry.sourceNetwork} → ${entry.destNetwork}: ${amount} tokens to ${entry.recipient}`);
+    console.log(`  Submitted ${entry.createdAt}, status: ${labels[entry.status] || entry.status}`);
+    if (entry.status === 'delivered') {
+      console.log(`  Delivered ${entry.deliveredAt} in ${entry.destTxHash} (block ${entry.destBlockNumber})`);
+    } else if (entry.reason) {
+      console.log(`  ${entry.reason}`);
+    }
+  }
+
+  const counts = entries.reduce((total, entry) => ({ ...total, [entry.status]: (total[entry.status] || 0) + 1 }), {});
+  console.log(`\n${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+}
+
+/**
+ * Main execution function
+ * Parses command line arguments and tracks the undelivered bridges
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const jsonOutput = args.includes('--json');
+  const selected = args.filter(arg => !arg.startsWith('--'));
+
+  for (const networkName of selected) {
+    if (!getNetworkConfig(networkName)) {
+      console.error(`Network ${networkName} not found`);
+      process.exit(1);
+    }
+  }
+
+  // Stop waiting on Ctrl+C - the ledger keeps whatever is still undelivered
+  const controller = new AbortController();
+  process.on('SIGINT', () => controller.abort());
+
+  const tracked = await trackBridges({
+    once: args.includes('--once'),
+    networks: selected.length > 0 ? selected : null,
+    signal: controller.signal,
+    events: logToConsole(undefined, { stderr: jsonOutput })
+  });
+  const entries = args.includes('--all') ? readLedger() : tracked;
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(entries, null, 2));
+  } else {
+    printLedger(entries);
+  }
+
+  if (tracked.some(entry => entry.status !== 'delivered')) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  printLedger
+};
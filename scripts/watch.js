@@ -0,0 +1,128 @@
+/**
+ * Bridge Watch Script
+ * ===================
+ *
+ * This script watches every deployed network for bridges sent from or to a set
+ * of addresses (e.g. treasury wallets) and POSTs a JSON notification to each
+ * webhook when one is sent, delivered, or still undelivered after a threshold
+ * (see lib/watch.js for the payloads). Failed webhook calls are retried with
+ * backoff. It runs until stopped with Ctrl+C.
+ *
+ * Usage:
+ *   node scripts/watch.js [network...] [--local] [--address <address>] [--webhook <url>] [--stuck-after <minutes>]
+ *
+ *   network        Only watch these networks
+ *   --local        Watch the local devnet networks instead of the public ones
+ *   --address      Address to watch, repeatable or comma-separated (default: WATCH_ADDRESSES from .env, or every bridge)
+ *   --webhook      URL to notify, repeatable or comma-separated (default: WATCH_WEBHOOKS from .env)
+ *   --stuck-after  Report bridges undelivered for longer than this as stuck (default: 30)
+ *
+ * To try it out, run scripts/webhookReceiver.js and pass --webhook http://localhost:4000
+ */
+
+const { ethers } = require('ethers');
+const { networks, getNetworkConfig, getLocalNetworkNames } = require('../network.config');
+const { watchBridges } = require('../lib/watch');
+const { logToConsole } = require('../lib/progress');
+require('dotenv').config();
+
+// Options that take a value
+const VALUE_OPTIONS = ['--address', '--webhook', '--stuck-after'];
+
+/**
+ * Collect every value of a repeatable, comma-separated option
+ *
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} name - Option name, with the dashes
+ * @param {string|undefined} fallback - Comma-separated values when the option isn't given
+ * @returns {Array<string>} Values
+ */
+function getListOption(args, name, fallback) {
+  const values = args.flatMap((arg, index) => (arg === name ? [args[index + 1] || ''] : []));
+  return (values.length > 0 ? values : [fallback || ''])
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Print a summary of what was seen while watching
+ * @param {Object} summary - Result of watchBridges()
+ */
+function printWatchSummary(summary) {
+  console.log('\n=== Watch Summary ===');
+  console.log(`Networks: ${summary.networks.join(', ')}`);
+  console.log(`Bridges: ${summary.sent} sent, ${summary.delivered} delivered, ${summary.stuck} stuck, ${summary.expired} no longer tracked`);
+  console.log(`Webhook deliveries: ${summary.deliveries.ok} delivered, ${summary.deliveries.failed} failed`);
+  for (const transfer of summary.pending) {
+    console.log(`  ⏳ ${transfer.sourceTxHash}: ${transfer.amount} tokens to ${transfer.recipient} still undelivered`);
+  }
+}
+
+/**
+ * Main execution function
+ * Parses command line arguments and watches until stopped
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const addresses = getListOption(args, '--address', process.env.WATCH_ADDRESSES);
+  const webhooks = getListOption(args, '--webhook', process.env.WATCH_WEBHOOKS);
+  const stuckIndex = args.indexOf('--stuck-after');
+  const stuckAfterMinutes = stuckIndex === -1 ? undefined : Number(args[stuckIndex + 1]);
+  const selected = args.filter((arg, index) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index - 1]));
+
+  for (const address of addresses) {
+    if (!ethers.isAddress(address)) {
+      console.error(`Invalid address: ${address}`);
+      process.exit(1);
+    }
+  }
+  for (const url of webhooks) {
+    if (!URL.canParse(url)) {
+      console.error(`Invalid webhook URL: ${url}`);
+      process.exit(1);
+    }
+  }
+  if (stuckAfterMinutes !== undefined && !(stuckAfterMinutes > 0)) {
+    console.error(`Invalid --stuck-after: ${args[stuckIndex + 1]}`);
+    process.exit(1);
+  }
+  for (const networkName of selected) {
+    if (!getNetworkConfig(networkName)) {
+      console.error(`Network ${networkName} not found`);
+      process.exit(1);
+    }
+  }
+
+  let networkNames = selected;
+  if (networkNames.length === 0) {
+    networkNames = args.includes('--local') ? getLocalNetworkNames() : Object.keys(networks);
+  }
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  process.once('SIGTERM', () => controller.abort());
+  console.log('Press Ctrl+C to stop.');
+
+  const summary = await watchBridges(networkNames, {
+    addresses,
+    webhooks,
+    stuckAfterMinutes,
+    signal: controller.signal,
+    events: logToConsole()
+  });
+  printWatchSummary(summary);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  printWatchSummary
+};
@@ -0,0 +1,84 @@
+/**
+ * Local Webhook Receiver
+ * ======================
+ *
+ * This script accepts webhook POSTs and prints their JSON payloads, to try out
+ * scripts/watch.js without a real alerting service. It can refuse the first
+ * requests with HTTP 500 to show the watcher's retries.
+ *
+ * Usage:
+ *   node scripts/webhookReceiver.js [--port <port>] [--fail <count>]
+ *
+ *   --port  Port to listen on (default: 4000)
+ *   --fail  Answer this many requests with HTTP 500 before accepting them (default: 0)
+ */
+
+const http = require('http');
+
+const DEFAULT_PORT = 4000;
+
+/**
+ * Main execution function
+ * Parses command line arguments and prints every payload received until stopped
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const failIndex = args.indexOf('--fail');
+  const port = portIndex === -1 ? DEFAULT_PORT : Number(args[portIndex + 1]);
+  let failuresLeft = failIndex === -1 ? 0 : Number(args[failIndex + 1]);
+
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    console.error(`Invalid --port: ${args[portIndex + 1]}`);
+    process.exit(1);
+  }
+  if (!Number.isInteger(failuresLeft) || failuresLeft < 0) {
+    console.error(`Invalid --fail: ${args[failIndex + 1]}`);
+    process.exit(1);
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        console.log(`\n${new Date().toISOString()} ${req.method} ${req.url} - refused with HTTP 500 (${failuresLeft} more to refuse)`);
+        res.writeHead(500).end();
+        return;
+      }
+
+      console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch (error) {
+        console.log(body);
+      }
+      res.writeHead(204).end();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+  console.log('Press Ctrl+C to stop.');
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  server.close();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
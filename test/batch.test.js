@@ -0,0 +1,72 @@
+/**
+ * Batch File Tests
+ * ================
+ *
+ * Reading batch bridge rows from CSV files.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readBatchFile } = require('../lib/batch');
+
+const RECIPIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+let tempDir;
+
+/**
+ * Write a CSV batch file and read it back
+ * @param {string} text - File contents
+ * @returns {Object} Result of readBatchFile()
+ */
+function readCsv(text) {
+  const filePath = path.join(tempDir, 'batch.csv');
+  fs.writeFileSync(filePath, text);
+  return readBatchFile(filePath);
+}
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'));
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('readBatchFile', () => {
+  it('reads the columns in any order, skipping blank lines and comments', () => {
+    const { rows, isReport } = readCsv(`amount, Recipient ,destination\n# treasury\n\n25,${RECIPIENT},local-b\n`);
+
+    assert.equal(isReport, false);
+    assert.deepEqual(rows, [
+      { row: 4, destination: 'local-b', recipient: RECIPIENT, amount: '25', status: 'pending' }
+    ]);
+  });
+
+  it('reads quoted fields the way history exports write them', () => {
+    const { rows } = readCsv(`"destination","recipient","amount"\n"local-b", "${RECIPIENT}" ,"1.5"\n`);
+
+    assert.deepEqual(rows.map(row => [row.destination, row.recipient, row.amount]), [['local-b', RECIPIENT, '1.5']]);
+  });
+
+  it('keeps commas and escaped quotes inside quoted fields', () => {
+    const { rows } = readCsv(`destination,recipient,amount\n"local,b","say ""hi""",1\n`);
+
+    assert.equal(rows[0].destination, 'local,b');
+    assert.equal(rows[0].recipient, 'say "hi"');
+  });
+
+  it('rejects a quoted field that is not closed on its line', () => {
+    assert.throws(() => readCsv(`destination,recipient,amount\nlocal-b,"${RECIPIENT}\n",1\n`), /CSV line 2: quoted field is not closed/);
+  });
+
+  it('rejects text after a closing quote', () => {
+    assert.throws(() => readCsv(`destination,recipient,amount\n"local"-b,${RECIPIENT},1\n`), /CSV line 2: unexpected text after a quoted field/);
+  });
+
+  it('rejects a header without the required columns', () => {
+    assert.throws(() => readCsv(`destination,amount\nlocal-b,1\n`), /missing column\(s\): recipient/);
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * Bridge Tests
+ * ============
+ *
+ * Checks bridge() makes before it connects to any chain.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { bridge } = require('../lib/bridge');
+
+describe('bridge', () => {
+  it('rejects an unknown source or destination network', async () => {
+    await assert.rejects(bridge('typo', 'local-b', '1'), /^Error: Network typo not found$/);
+    await assert.rejects(bridge('local-a', 'typo', '1'), /^Error: Network typo not found$/);
+  });
+});
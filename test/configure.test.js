@@ -0,0 +1,172 @@
+/**
+ * Peer Configuration Tests
+ * ========================
+ *
+ * Comparing the peers stored in a deployed contract with the ones network.config.js asks for.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { getNetworkConfig } = require('../network.config');
+const { getDesiredPeers, diffPeerConfiguration } = require('../lib/configure');
+
+const MESSAGE = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const PEER = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const OTHER_PEER = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+
+/**
+ * Build the on-chain configuration of a contract
+ * @param {Object} peers - Peers keyed by chain ID ({ endpoint, confirmations, sendingDisabled })
+ * @param {string} messageContract - Message contract stored on-chain
+ * @returns {Object} Configuration shaped like readPeerConfiguration()
+ */
+function onChainConfig(peers, messageContract = MESSAGE) {
+  return { messageContract, peers };
+}
+
+/**
+ * Build a desired peer
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Peer shaped like getDesiredPeers()
+ */
+function desiredPeer(fields) {
+  return { chainId: 31338, address: PEER, confirmations: 1, sendingDisabled: false, ...fields };
+}
+
+describe('diffPeerConfiguration', () => {
+  it('finds nothing to do when the contract matches', () => {
+    const diff = diffPeerConfiguration(
+      onChainConfig({ 31338: { endpoint: PEER, confirmations: 1, sendingDisabled: false } }),
+      MESSAGE,
+      [desiredPeer()]
+    );
+
+    assert.deepEqual(diff, { changes: [], sendingChanges: [], messageChanged: false, drift: [] });
+  });
+
+  it('configures a new contract without reporting drift', () => {
+    const diff = diffPeerConfiguration(
+      onChainConfig({ 31338: { endpoint: ethers.ZeroAddress, confirmations: 0, sendingDisabled: false } }, ethers.ZeroAddress),
+      MESSAGE,
+      [desiredPeer()]
+    );
+
+    assert.equal(diff.messageChanged, true);
+    assert.deepEqual(diff.drift, []);
+    assert.deepEqual(diff.changes, [
+      desiredPeer({ previousAddress: ethers.ZeroAddress, previousConfirmations: 0 })
+    ]);
+  });
+
+  it('updates a peer whose confirmations changed', () => {
+    const diff = diffPeerConfiguration(
+      onChainConfig({ 31338: { endpoint: PEER.toLowerCase(), confirmations: 1, sendingDisabled: false } }),
+      MESSAGE.toLowerCase(),
+      [desiredPeer({ confirmations: 5 })]
+    );
+
+    assert.equal(diff.messageChanged, false);
+    assert.deepEqual(diff.drift, []);
+    assert.deepEqual(diff.changes.map(change => [change.chainId, change.previousConfirmations, change.confirmations]), [[31338, 1, 5]]);
+  });
+
+  it('reports drift when the contract points somewhere else', () => {
+    const diff = diffPeerConfiguration(
+      onChainConfig({ 31338: { endpoint: OTHER_PEER, confirmations: 1, sendingDisabled: false } }, OTHER_PEER),
+      MESSAGE,
+      [desiredPeer()]
+    );
+
+    assert.equal(diff.messageChanged, true);
+    assert.equal(diff.drift.length, 2);
+    assert.match(diff.drift[0], /Message contract on-chain is/);
+    assert.match(diff.drift[1], /Peer for chain 31338 on-chain is/);
+    assert.equal(diff.changes[0].previousAddress, OTHER_PEER);
+  });
+
+  it('unsets a peer whose route is no longer allowed', () => {
+    const diff = diffPeerConfiguration(
+      onChainConfig({
+        31338: { endpoint: PEER, confirmations: 1, sendingDisabled: false },
+        31339: { endpoint: ethers.ZeroAddress, confirmations: 0, sendingDisabled: false }
+      }),
+      MESSAGE,
+      [
+        desiredPeer({ address: ethers.ZeroAddress, confirmations: 0 }),
+        desiredPeer({ chainId: 31339, address: ethers.ZeroAddress, confirmations: 0 })
+      ]
+    );
+
+    assert.deepEqual(diff.changes, [
+      desiredPeer({ address: ethers.ZeroAddress, confirmations: 0, previousAddress: PEER, previousConfirmations: 1, unset: true })
+    ]);
+    assert.deepEqual(diff.sendingChanges, []);
+  });
+
+  it('switches bridging to a receive-only peer off and back on', () => {
+    const onChain = onChainConfig({ 31338: { endpoint: PEER, confirmations: 1, sendingDisabled: false } });
+    assert.deepEqual(diffPeerConfiguration(onChain, MESSAGE, [desiredPeer({ sendingDisabled: true })]).sendingChanges, [
+      { chainId: 31338, sendingDisabled: true }
+    ]);
+
+    onChain.peers[31338].sendingDisabled = true;
+    const diff = diffPeerConfiguration(onChain, MESSAGE, [desiredPeer()]);
+    assert.deepEqual(diff.changes, []);
+    assert.deepEqual(diff.sendingChanges, [{ chainId: 31338, sendingDisabled: false }]);
+  });
+
+  it('reports drift when a deployment without one-way routes needs one', () => {
+    const diff = diffPeerConfiguration(
+      onChainConfig({ 31338: { endpoint: PEER, confirmations: 1, sendingDisabled: null } }),
+      MESSAGE,
+      [desiredPeer({ sendingDisabled: true })]
+    );
+
+    assert.deepEqual(diff.sendingChanges, []);
+    assert.equal(diff.drift.length, 1);
+    assert.match(diff.drift[0], /predates one-way routes/);
+  });
+});
+
+describe('getDesiredPeers', () => {
+  const localA = getNetworkConfig('local-a');
+  const localB = getNetworkConfig('local-b');
+  const securityA = { ...localA.security };
+  const securityB = { ...localB.security };
+  const deployments = [{ chainId: 31337, address: PEER }, { chainId: 31338, address: OTHER_PEER }];
+
+  afterEach(() => {
+    localA.security = { ...securityA };
+    localB.security = { ...securityB };
+  });
+
+  it('peers every deployment that bridges both ways', () => {
+    localA.security.confirmations = 4;
+
+    assert.deepEqual(getDesiredPeers(deployments[0], deployments), [
+      { chainId: 31338, address: OTHER_PEER, confirmations: 4, sendingDisabled: false }
+    ]);
+  });
+
+  it('marks a peer that may only send to this chain as receive-only', () => {
+    localA.security.bridgeSource = false;
+    localB.security.bridgeDestination = false;
+
+    assert.deepEqual(getDesiredPeers(deployments[0], deployments), [
+      { chainId: 31338, address: OTHER_PEER, confirmations: 1, sendingDisabled: true }
+    ]);
+    assert.deepEqual(getDesiredPeers(deployments[1], deployments), [
+      { chainId: 31337, address: PEER, confirmations: 1, sendingDisabled: false }
+    ]);
+  });
+
+  it('unsets a peer when neither direction is allowed', () => {
+    localA.security.bridgeSource = false;
+    localB.security.bridgeSource = false;
+
+    assert.deepEqual(getDesiredPeers(deployments[0], deployments), [
+      { chainId: 31338, address: ethers.ZeroAddress, confirmations: 0, sendingDisabled: false }
+    ]);
+  });
+});
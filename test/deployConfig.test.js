@@ -0,0 +1,77 @@
+/**
+ * Deployment Configuration Tests
+ * ==============================
+ *
+ * Validation of the token parameters in deploy.config.js.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGenesisNetwork, validateTokenConfig } = require('../deploy.config');
+
+/**
+ * Build valid token parameters
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Token parameters
+ */
+function token(fields) {
+  return {
+    name: 'Test Token',
+    symbol: 'TEST',
+    decimals: 18,
+    initialSupply: '1000',
+    genesisNetwork: 'avalanche-testnet',
+    localGenesisNetwork: 'local-a',
+    ...fields
+  };
+}
+
+describe('validateTokenConfig', () => {
+  it('accepts valid parameters', () => {
+    assert.doesNotThrow(() => validateTokenConfig(token()));
+    assert.doesNotThrow(() => validateTokenConfig(token({ decimals: 6, initialSupply: '0.000001' })));
+  });
+
+  it('accepts no genesis network', () => {
+    assert.doesNotThrow(() => validateTokenConfig(token({ genesisNetwork: null, localGenesisNetwork: null })));
+  });
+
+  it('rejects an empty name or symbol', () => {
+    assert.throws(() => validateTokenConfig(token({ name: ' ' })), /name must be a non-empty string/);
+    assert.throws(() => validateTokenConfig(token({ symbol: '' })), /symbol must be a non-empty string/);
+  });
+
+  it('rejects decimals outside 0-36', () => {
+    for (const decimals of [-1, 37, 6.5, '18']) {
+      assert.throws(() => validateTokenConfig(token({ decimals })), /decimals must be an integer between 0 and 36/);
+    }
+  });
+
+  it('rejects an initial supply that is negative, malformed or too precise', () => {
+    for (const initialSupply of ['-1', '1e6', '1,000', '']) {
+      assert.throws(() => validateTokenConfig(token({ initialSupply })), /initialSupply must be a non-negative amount/);
+    }
+    assert.throws(() => validateTokenConfig(token({ decimals: 2, initialSupply: '1.005' })), /at most 2 decimals/);
+  });
+
+  it('rejects a genesis network that is not configured', () => {
+    assert.throws(() => validateTokenConfig(token({ genesisNetwork: 'mainnet' })), /genesisNetwork 'mainnet' is not a network/);
+    assert.throws(() => validateTokenConfig(token({ localGenesisNetwork: 'local-z' })), /localGenesisNetwork 'local-z' is not a network/);
+  });
+});
+
+describe('parseGenesisNetwork', () => {
+  it('falls back to the default network when unset', () => {
+    assert.equal(parseGenesisNetwork(undefined, 'avalanche-testnet'), 'avalanche-testnet');
+    assert.equal(parseGenesisNetwork('', 'avalanche-testnet'), 'avalanche-testnet');
+  });
+
+  it('reads none as minting nothing', () => {
+    assert.equal(parseGenesisNetwork('none', 'avalanche-testnet'), null);
+    assert.equal(parseGenesisNetwork(' NONE ', 'avalanche-testnet'), null);
+  });
+
+  it('keeps any other network name', () => {
+    assert.equal(parseGenesisNetwork('base-testnet', 'avalanche-testnet'), 'base-testnet');
+  });
+});
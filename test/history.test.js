@@ -0,0 +1,120 @@
+/**
+ * Bridge History Tests
+ * ====================
+ *
+ * Pairing of TokensBridged and TokensReceived events into transfer rows.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { pairTransfers } = require('../lib/history');
+
+const RECIPIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const SENDER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+/**
+ * Build a TokensBridged history event from local-a to local-b
+ * @param {Object} fields - Fields to override
+ * @returns {Object} History event
+ */
+function sentEvent(fields) {
+  return {
+    event: 'TokensBridged',
+    network: 'local-a',
+    chainId: 31337,
+    blockNumber: 10,
+    logIndex: 0,
+    sender: SENDER,
+    recipient: RECIPIENT,
+    amountWei: '1000000000000000000',
+    destChainId: 31338,
+    messageId: null,
+    ...fields
+  };
+}
+
+/**
+ * Build a TokensReceived history event on local-b from local-a
+ * @param {Object} fields - Fields to override
+ * @returns {Object} History event
+ */
+function receivedEvent(fields) {
+  return {
+    event: 'TokensReceived',
+    network: 'local-b',
+    chainId: 31338,
+    blockNumber: 20,
+    logIndex: 0,
+    recipient: RECIPIENT,
+    amountWei: '1000000000000000000',
+    sourceChainId: 31337,
+    messageId: null,
+    ...fields
+  };
+}
+
+describe('pairTransfers', () => {
+  it('pairs bridges with their deliveries on the message ID', () => {
+    // Same recipient and amount, delivered in the opposite order
+    const transfers = pairTransfers([
+      sentEvent({ txHash: '0xs1', messageId: '1', timestamp: '2026-01-01T00:00:00.000Z' }),
+      sentEvent({ txHash: '0xs2', messageId: '2', timestamp: '2026-01-01T00:01:00.000Z', blockNumber: 11 }),
+      receivedEvent({ txHash: '0xr2', messageId: '2', timestamp: '2026-01-01T00:02:00.000Z' }),
+      receivedEvent({ txHash: '0xr1', messageId: '1', timestamp: '2026-01-01T00:03:00.000Z', blockNumber: 21 })
+    ]);
+
+    assert.deepEqual(transfers.map(transfer => [transfer.sourceTxHash, transfer.destTxHash, transfer.status]), [
+      ['0xs1', '0xr1', 'delivered'],
+      ['0xs2', '0xr2', 'delivered']
+    ]);
+    assert.ok(transfers.every(transfer => !transfer.ambiguous));
+    assert.equal(transfers[0].sourceNetwork, 'local-a');
+    assert.equal(transfers[0].destNetwork, 'local-b');
+  });
+
+  it('does not pair a delivery with another message ID', () => {
+    const transfers = pairTransfers([
+      sentEvent({ txHash: '0xs1', messageId: '1', timestamp: '2026-01-01T00:00:00.000Z' }),
+      receivedEvent({ txHash: '0xr9', messageId: '9', timestamp: '2026-01-01T00:01:00.000Z' })
+    ]);
+
+    assert.deepEqual(transfers.map(transfer => transfer.status), ['pending', 'unmatched']);
+    assert.equal(transfers[1].messageId, '9');
+    assert.equal(transfers[1].sender, null);
+  });
+
+  it('pairs events without a message ID oldest first and flags ambiguous matches', () => {
+    const transfers = pairTransfers([
+      sentEvent({ txHash: '0xs1', timestamp: '2026-01-01T00:00:00.000Z' }),
+      sentEvent({ txHash: '0xs2', timestamp: '2026-01-01T00:01:00.000Z', blockNumber: 11 }),
+      receivedEvent({ txHash: '0xr1', timestamp: '2026-01-01T00:02:00.000Z' }),
+      receivedEvent({ txHash: '0xr2', timestamp: '2026-01-01T00:03:00.000Z', blockNumber: 21 })
+    ]);
+
+    assert.deepEqual(transfers.map(transfer => [transfer.sourceTxHash, transfer.destTxHash, transfer.ambiguous]), [
+      ['0xs1', '0xr1', true],
+      ['0xs2', '0xr2', false]
+    ]);
+  });
+
+  it('never pairs a bridge with a delivery from before it was sent', () => {
+    const transfers = pairTransfers([
+      receivedEvent({ txHash: '0xr0', timestamp: '2026-01-01T00:00:00.000Z' }),
+      sentEvent({ txHash: '0xs1', timestamp: '2026-01-01T00:01:00.000Z' })
+    ]);
+
+    assert.deepEqual(transfers.map(transfer => [transfer.status, transfer.sourceTxHash ?? transfer.destTxHash]), [
+      ['unmatched', '0xr0'],
+      ['pending', '0xs1']
+    ]);
+  });
+
+  it('formats amounts with the decimals of the chain, when known', () => {
+    const events = [
+      sentEvent({ txHash: '0xs1', amountWei: '2500000', timestamp: '2026-01-01T00:00:00.000Z' })
+    ];
+
+    assert.equal(pairTransfers(events, { 31337: 6 })[0].amount, '2.5');
+    assert.equal(pairTransfers(events)[0].amount, null);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Deployment Journal Tests
+ * ========================
+ *
+ * Resuming and replacing journaled transactions against an in-process devnet
+ * chain (ganache, as started by scripts/devnet.js). Ganache mines every
+ * transaction it receives, so a stuck transaction is one journaled as broadcast
+ * that the node never got. The journal is written to deployments/journal-test/,
+ * which is removed after every test.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const ganache = require('ganache');
+const { getNetworkConfig } = require('../network.config');
+const { DEVNET_PRIVATE_KEY } = require('../lib/devnet');
+const {
+  getJournalPath,
+  readJournal,
+  broadcastJournaled,
+  waitForJournaled,
+  followReplacements,
+  resumeJournal
+} = require('../lib/journal');
+
+const RECIPIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const localA = getNetworkConfig('local-a');
+const network = { ...localA, name: 'journal-test', gas: { ...localA.gas } };
+
+let chain;
+let wallet;
+
+/**
+ * Journal a signed transaction without broadcasting it, as a run that crashed
+ * right after writing the journal would leave it
+ *
+ * @param {Object} txRequest - Transaction request
+ * @param {Object} fields - Journal fields to add or override
+ * @returns {Promise<Object>} Journal entry
+ */
+async function journalSigned(txRequest, fields = {}) {
+  const populated = await wallet.populateTransaction(txRequest);
+  const rawTransaction = await wallet.signTransaction(populated);
+  const { hash, nonce } = ethers.Transaction.from(rawTransaction);
+  const entry = {
+    hash,
+    nonce,
+    from: wallet.address,
+    network: network.name,
+    chainId: network.chainId,
+    intent: 'bridge',
+    expectedAddress: null,
+    meta: {},
+    status: 'signed',
+    rawTransaction,
+    createdAt: new Date().toISOString(),
+    ...fields
+  };
+
+  fs.mkdirSync(path.dirname(getJournalPath(network)), { recursive: true });
+  fs.writeFileSync(getJournalPath(network), JSON.stringify({ entries: [...readJournal(network), entry] }, null, 2));
+  return entry;
+}
+
+/**
+ * Find the current journal entry for a transaction
+ * @param {string} hash - Transaction hash
+ * @returns {Object|undefined} Journal entry
+ */
+function journalEntry(hash) {
+  return readJournal(network).find(entry => entry.hash === hash);
+}
+
+beforeEach(() => {
+  chain = ganache.provider({
+    chain: { chainId: network.chainId },
+    wallet: { accounts: [{ secretKey: DEVNET_PRIVATE_KEY, balance: ethers.toBeHex(ethers.parseEther('100')) }] },
+    logging: { quiet: true }
+  });
+  const provider = new ethers.BrowserProvider(chain, network.chainId, { pollingInterval: 100 });
+  wallet = new ethers.Wallet(DEVNET_PRIVATE_KEY, provider);
+});
+
+afterEach(async () => {
+  wallet.provider.destroy();
+  await chain.disconnect();
+  fs.rmSync(path.dirname(getJournalPath(network)), { recursive: true, force: true });
+});
+
+describe('resumeJournal', () => {
+  it('rebroadcasts a transaction the node never saw', async () => {
+    const entry = await journalSigned({ to: RECIPIENT, value: 1n });
+
+    await resumeJournal(network, wallet, 'bridge');
+
+    assert.equal(journalEntry(entry.hash).status, 'confirmed');
+    assert.equal((await wallet.provider.getTransactionReceipt(entry.hash)).status, 1);
+  });
+
+  it('records a transaction mined while nothing was waiting for it', async () => {
+    const entry = await broadcastJournaled(wallet, { to: RECIPIENT, value: 1n }, { network, intent: 'bridge' });
+    assert.equal(entry.status, 'broadcast');
+
+    await resumeJournal(network, wallet, 'bridge');
+
+    const receipt = await wallet.provider.getTransactionReceipt(entry.hash);
+    assert.equal(journalEntry(entry.hash).status, 'confirmed');
+    assert.equal(journalEntry(entry.hash).blockNumber, receipt.blockNumber);
+  });
+
+  it('marks a transaction dropped when its nonce was used by another one', async () => {
+    const entry = await journalSigned({ to: RECIPIENT, value: 1n });
+    await (await wallet.sendTransaction({ to: RECIPIENT, value: 2n, nonce: entry.nonce })).wait();
+
+    await resumeJournal(network, wallet, 'bridge');
+
+    assert.equal(journalEntry(entry.hash).status, 'dropped');
+  });
+
+  it('records the address of a resumed deployment', async () => {
+    const entry = await journalSigned({ data: '0x6080604052' }, {
+      intent: 'deploy',
+      expectedAddress: ethers.getCreateAddress({ from: wallet.address, nonce: 0 })
+    });
+
+    await resumeJournal(network, wallet, 'deploy');
+
+    assert.equal(journalEntry(entry.hash).status, 'confirmed');
+    assert.equal(journalEntry(entry.hash).contractAddress, entry.expectedAddress);
+  });
+
+  it('only resumes transactions with the given intent', async () => {
+    const entry = await journalSigned({ to: RECIPIENT, value: 1n }, { intent: 'configure' });
+
+    const entries = await resumeJournal(network, wallet, 'bridge');
+
+    assert.deepEqual(entries, []);
+    assert.equal(journalEntry(entry.hash).status, 'signed');
+    assert.equal(await wallet.provider.getTransaction(entry.hash), null);
+  });
+});
+
+describe('waitForJournaled', () => {
+  const stuckNetwork = { ...network, gas: { ...network.gas, stuckTimeoutSeconds: 0 } };
+
+  it('speeds up a stuck transaction and follows it to the replacement', async () => {
+    const entry = await journalSigned({ to: RECIPIENT, value: 1n }, { status: 'broadcast' });
+
+    const { entry: mined, receipt } = await waitForJournaled(wallet, stuckNetwork, entry, { onStuck: 'speed-up' });
+
+    assert.notEqual(mined.hash, entry.hash);
+    assert.equal(mined.status, 'confirmed');
+    assert.equal(mined.replaces, entry.hash);
+    assert.equal(receipt.hash, mined.hash);
+    assert.equal(journalEntry(entry.hash).status, 'replaced');
+    assert.equal(followReplacements(network, entry.hash), mined.hash);
+    assert.equal(await wallet.provider.getTransactionReceipt(entry.hash), null);
+  });
+
+  it('cancels a stuck transaction with a transfer to the sender', async () => {
+    const entry = await journalSigned({ to: RECIPIENT, value: 1n }, { status: 'broadcast' });
+
+    const { entry: mined } = await waitForJournaled(wallet, stuckNetwork, entry, { onStuck: 'cancel' });
+
+    assert.equal(mined.status, 'cancelled');
+    assert.equal(mined.action, 'cancel');
+    const cancellation = await wallet.provider.getTransaction(mined.hash);
+    assert.equal(cancellation.to, wallet.address);
+    assert.equal(cancellation.nonce, entry.nonce);
+  });
+
+  it('asks what to do with a stuck transaction', async () => {
+    const entry = await journalSigned({ to: RECIPIENT, value: 1n }, { status: 'broadcast' });
+    const asked = [];
+
+    const { entry: mined } = await waitForJournaled(wallet, stuckNetwork, entry, {
+      onStuck: (stuck) => {
+        asked.push(stuck);
+        return 'speed-up';
+      }
+    });
+
+    assert.equal(asked.length, 1);
+    assert.equal(asked[0].hash, entry.hash);
+    assert.equal(asked[0].nonce, entry.nonce);
+    assert.equal(asked[0].intent, 'bridge');
+    assert.equal(asked[0].replacements, 0);
+    assert.equal(mined.replaces, entry.hash);
+  });
+
+  it('waits for a receipt that lags behind the nonce', async () => {
+    const entry = await broadcastJournaled(wallet, { to: RECIPIENT, value: 1n }, { network, intent: 'bridge' });
+    // The node counts the nonce as used, but serves the receipt one poll late
+    let lookups = 0;
+    const lagging = {
+      getTransactionCount: (...args) => wallet.provider.getTransactionCount(...args),
+      getTransactionReceipt: async hash => (++lookups > 1 ? wallet.provider.getTransactionReceipt(hash) : null),
+      waitForTransaction: (...args) => wallet.provider.waitForTransaction(...args)
+    };
+
+    const { entry: mined } = await waitForJournaled(lagging, network, entry);
+
+    assert.equal(mined.hash, entry.hash);
+    assert.equal(mined.status, 'confirmed');
+  });
+
+  it('gives up when the nonce was used by a transaction outside the journal', async () => {
+    const entry = await journalSigned({ to: RECIPIENT, value: 1n }, { status: 'broadcast' });
+    await (await wallet.sendTransaction({ to: RECIPIENT, value: 2n, nonce: entry.nonce })).wait();
+
+    await assert.rejects(waitForJournaled(wallet, network, entry), /was used by a transaction that isn't in the journal/);
+    assert.equal(journalEntry(entry.hash).status, 'dropped');
+  });
+});
+
+describe('resumeJournal with replacements', () => {
+  it('keeps the original when it was mined before its replacement', async () => {
+    const original = await broadcastJournaled(wallet, { to: RECIPIENT, value: 1n }, { network, intent: 'bridge' });
+    const replacement = await journalSigned({ to: RECIPIENT, value: 1n, nonce: original.nonce, gasPrice: ethers.parseUnits('100', 'gwei') }, {
+      replaces: original.hash,
+      action: 'speed-up'
+    });
+    const entries = readJournal(network).map(entry => (entry.hash === original.hash
+      ? { ...entry, status: 'replaced', replacedBy: replacement.hash }
+      : entry));
+    fs.writeFileSync(getJournalPath(network), JSON.stringify({ entries }, null, 2));
+
+    await resumeJournal(network, wallet, 'bridge');
+
+    assert.equal(journalEntry(original.hash).status, 'confirmed');
+    assert.equal(journalEntry(replacement.hash).status, 'dropped');
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Network Configuration Tests
+ * ===========================
+ *
+ * Validation of the security and fee settings in network.config.js.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateNetworks } = require('../network.config');
+
+/**
+ * Build a group of two networks that bridge both ways
+ * @param {Object} overrides - Settings of the first network ({ security, gas, chainId })
+ * @returns {Object} Networks keyed by name
+ */
+function group(overrides = {}) {
+  return {
+    'chain-a': { chainId: 1, ...overrides },
+    'chain-b': { chainId: 2 }
+  };
+}
+
+describe('validateNetworks', () => {
+  it('fills in the default security and fee settings', () => {
+    const networks = group({ security: { confirmations: 3 } });
+    validateNetworks(networks, 'test');
+
+    assert.deepEqual(networks['chain-a'].security, {
+      confirmations: 3,
+      maxGasPriceGwei: null,
+      bridgeSource: true,
+      bridgeDestination: true
+    });
+    assert.equal(networks['chain-b'].security.confirmations, 1);
+    assert.equal(networks['chain-a'].gas.stuckTimeoutSeconds, 180);
+    assert.equal(networks['chain-a'].gas.replacementBumpPercent, 20);
+  });
+
+  it('accepts a one-way route', () => {
+    const networks = group({ security: { bridgeDestination: false } });
+    networks['chain-b'].security = { bridgeSource: false };
+
+    assert.doesNotThrow(() => validateNetworks(networks, 'test'));
+  });
+
+  it('rejects a chain ID used twice in a group', () => {
+    assert.throws(() => validateNetworks(group({ chainId: 2 }), 'test'), /chainId 2 is used by more than one test network/);
+  });
+
+  it('rejects confirmations that do not fit a uint16', () => {
+    for (const confirmations of [0, 65536, 1.5]) {
+      assert.throws(() => validateNetworks(group({ security: { confirmations } }), 'test'), /security\.confirmations must be an integer/);
+    }
+  });
+
+  it('rejects a network that can neither send nor receive', () => {
+    assert.throws(
+      () => validateNetworks(group({ security: { bridgeSource: false, bridgeDestination: false } }), 'test'),
+      /network 'chain-a'.*can neither send nor receive/
+    );
+  });
+
+  it('rejects a source with nowhere to send to', () => {
+    const networks = group();
+    networks['chain-b'].security = { bridgeDestination: false };
+
+    assert.throws(() => validateNetworks(networks, 'test'), /network 'chain-a'.*no other test network accepts bridges/);
+  });
+
+  it('rejects a destination with nothing to receive from', () => {
+    const networks = group();
+    networks['chain-b'].security = { bridgeSource: false };
+
+    assert.throws(() => validateNetworks(networks, 'test'), /network 'chain-a'.*no other test network may send bridges/);
+  });
+
+  it('rejects fee settings that contradict each other or the gas price cap', () => {
+    assert.throws(
+      () => validateNetworks(group({ gas: { maxFeePerGasGwei: 10, maxPriorityFeePerGasGwei: 20 } }), 'test'),
+      /maxPriorityFeePerGasGwei can't be above gas\.maxFeePerGasGwei/
+    );
+    assert.throws(
+      () => validateNetworks(group({ security: { maxGasPriceGwei: 50 }, gas: { maxFeePerGasGwei: 60 } }), 'test'),
+      /above the security\.maxGasPriceGwei cap/
+    );
+    assert.throws(() => validateNetworks(group({ gas: { multiplier: 0.5 } }), 'test'), /gas\.multiplier/);
+    assert.throws(() => validateNetworks(group({ gas: { replacementBumpPercent: 5 } }), 'test'), /gas\.replacementBumpPercent/);
+  });
+});
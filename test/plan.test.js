@@ -0,0 +1,129 @@
+/**
+ * Deployment Plan Tests
+ * =====================
+ *
+ * Whether a dry run resumes a journaled deployment, against an in-process devnet
+ * chain (ganache, as started by scripts/devnet.js). Planning sends nothing, so
+ * every test shares one chain. The plan is made for a throwaway copy of local-a,
+ * whose journal is written to deployments/plan-test/ and removed after every test.
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const ganache = require('ganache');
+const { localNetworks, getNetworkConfig } = require('../network.config');
+const { DEVNET_PRIVATE_KEY } = require('../lib/devnet');
+const { getJournalPath } = require('../lib/journal');
+const { compileContract, loadCompiledContract, getTokenParameters, getDeploymentSettings } = require('../lib/deploy');
+const { buildDeploymentPlan } = require('../lib/plan');
+
+const JOURNALED_ADDRESS = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+
+const network = { ...getNetworkConfig('local-a'), name: 'plan-test' };
+
+let chain;
+let wallet;
+
+/**
+ * Write deploy entries to the journal
+ * @param {Array<Object>} entries - Fields of each entry
+ */
+function writeDeployEntries(entries) {
+  const journalPath = getJournalPath(network);
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  fs.writeFileSync(journalPath, JSON.stringify({
+    entries: entries.map((fields, index) => ({
+      hash: ethers.zeroPadValue(ethers.toBeHex(index + 1), 32),
+      nonce: index,
+      from: wallet.address,
+      network: network.name,
+      chainId: network.chainId,
+      intent: 'deploy',
+      expectedAddress: JOURNALED_ADDRESS,
+      contractAddress: JOURNALED_ADDRESS,
+      meta: getDeploymentSettings(getTokenParameters(network, wallet.address), null),
+      status: 'confirmed',
+      createdAt: new Date().toISOString(),
+      ...fields
+    }))
+  }, null, 2));
+}
+
+/**
+ * Plan a deployment to the test network
+ * @returns {Promise<Object>} Planned network entry
+ */
+async function planTestNetwork() {
+  const plan = await buildDeploymentPlan([network.name], { signer: wallet });
+  return plan.networks[0];
+}
+
+before(async () => {
+  localNetworks[network.name] = network;
+  if (!loadCompiledContract()) {
+    await compileContract();
+  }
+
+  chain = ganache.provider({
+    chain: { chainId: network.chainId },
+    wallet: { accounts: [{ secretKey: DEVNET_PRIVATE_KEY, balance: ethers.toBeHex(ethers.parseEther('100')) }] },
+    logging: { quiet: true }
+  });
+  wallet = new ethers.Wallet(DEVNET_PRIVATE_KEY, new ethers.BrowserProvider(chain, network.chainId, { pollingInterval: 100 }));
+});
+
+after(async () => {
+  delete localNetworks[network.name];
+  wallet.provider.destroy();
+  await chain.disconnect();
+});
+
+afterEach(() => {
+  fs.rmSync(path.dirname(getJournalPath(network)), { recursive: true, force: true });
+});
+
+describe('buildDeploymentPlan', () => {
+  it('resumes an unsaved deployment made with the current settings', async () => {
+    writeDeployEntries([{}]);
+
+    const planned = await planTestNetwork();
+
+    assert.equal(planned.action, 'resume');
+    assert.equal(planned.address, JOURNALED_ADDRESS);
+  });
+
+  it('deploys again when the journaled deployment was saved', async () => {
+    writeDeployEntries([{ saved: true }]);
+
+    const planned = await planTestNetwork();
+
+    assert.equal(planned.action, 'deploy');
+    assert.equal(planned.address, ethers.getCreateAddress({ from: wallet.address, nonce: 0 }));
+  });
+
+  it('deploys again when the token settings changed', async () => {
+    const changed = getDeploymentSettings(getTokenParameters(network, wallet.address), null);
+    changed.constructorArgs[1] = 'OTHER';
+    writeDeployEntries([{ meta: changed }]);
+
+    assert.equal((await planTestNetwork()).action, 'deploy');
+  });
+
+  it('deploys again when the journaled deployment was discarded', async () => {
+    writeDeployEntries([{ discarded: true }]);
+
+    assert.equal((await planTestNetwork()).action, 'deploy');
+  });
+
+  it('resumes a deployment that may still be pending, whatever its settings', async () => {
+    writeDeployEntries([{ saved: true }, { status: 'broadcast', contractAddress: undefined, meta: {} }]);
+
+    const planned = await planTestNetwork();
+
+    assert.equal(planned.action, 'resume');
+    assert.equal(planned.journalStatus, 'broadcast');
+  });
+});